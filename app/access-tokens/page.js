@@ -0,0 +1,335 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const EXPIRY_OPTIONS = [
+  { value: "30", label: "30 days" },
+  { value: "90", label: "90 days" },
+  { value: "365", label: "1 year" },
+  { value: "", label: "Never" },
+];
+
+// Remembered for the browser session so a reload doesn't ask again
+const ADMIN_SECRET_KEY = "adminSecret";
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString() : "Never");
+
+export default function AccessTokens() {
+  // ADMIN_SECRET of the server, sent with every token request
+  const [adminSecret, setAdminSecret] = useState("");
+  const [secretInput, setSecretInput] = useState("");
+  const [accessTokens, setAccessTokens] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [name, setName] = useState("");
+  const [expiresInDays, setExpiresInDays] = useState("90");
+  const [creating, setCreating] = useState(false);
+  // Value of the token just created, only available until the page is left
+  const [newToken, setNewToken] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const adminHeaders = { Authorization: `Bearer ${adminSecret}` };
+
+  const loadAccessTokens = useCallback(async () => {
+    if (!adminSecret) return;
+
+    setLoading(true);
+    try {
+      const data = await requestJson("/api/access-tokens", {
+        headers: { Authorization: `Bearer ${adminSecret}` },
+      });
+      setAccessTokens(data.accessTokens);
+      setError("");
+    } catch (loadError) {
+      setAccessTokens([]);
+      setError(`Error loading access tokens: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [adminSecret]);
+
+  useEffect(() => {
+    setAdminSecret(sessionStorage.getItem(ADMIN_SECRET_KEY) || "");
+  }, []);
+
+  useEffect(() => {
+    loadAccessTokens();
+  }, [loadAccessTokens]);
+
+  const handleUnlock = (e) => {
+    e.preventDefault();
+    sessionStorage.setItem(ADMIN_SECRET_KEY, secretInput);
+    setAdminSecret(secretInput);
+    setSecretInput("");
+  };
+
+  const handleLock = () => {
+    sessionStorage.removeItem(ADMIN_SECRET_KEY);
+    setAdminSecret("");
+    setAccessTokens([]);
+    setNewToken(null);
+    setError("");
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setCreating(true);
+    setError("");
+
+    try {
+      const data = await requestJson("/api/access-tokens", {
+        method: "POST",
+        headers: adminHeaders,
+        body: JSON.stringify({ name, expiresInDays }),
+      });
+      setNewToken(data.token);
+      setCopied(false);
+      setName("");
+      await loadAccessTokens();
+    } catch (createError) {
+      setError(`Error creating access token: ${createError.message}`);
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+      setCopied(true);
+    } catch (copyError) {
+      alert(`Could not copy the token: ${copyError.message}`);
+    }
+  };
+
+  const handleRevoke = async (accessToken) => {
+    if (
+      !confirm(
+        `Revoke the token "${accessToken.name}"? Pipelines using it will stop working.`
+      )
+    ) {
+      return;
+    }
+
+    try {
+      await requestJson(`/api/access-tokens/${accessToken._id}`, {
+        method: "DELETE",
+        headers: adminHeaders,
+      });
+      await loadAccessTokens();
+    } catch (revokeError) {
+      alert(`Error revoking access token: ${revokeError.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            API Tokens
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        {!adminSecret && (
+          <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+            <h2 className="mb-2 text-lg font-medium text-gray-900">
+              Admin Secret
+            </h2>
+            <p className="mb-5 text-sm text-gray-500">
+              Managing tokens needs the <code>ADMIN_SECRET</code> set on the
+              server. It is kept in this browser tab until you lock the page.
+            </p>
+            <form
+              onSubmit={handleUnlock}
+              className="flex flex-col gap-2 sm:flex-row"
+            >
+              <input
+                type="password"
+                value={secretInput}
+                onChange={(e) => setSecretInput(e.target.value)}
+                className={inputClassName}
+                aria-label="Admin secret"
+                autoComplete="current-password"
+                required
+              />
+              <button
+                type="submit"
+                className="rounded-md bg-gray-900 px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors hover:bg-gray-800"
+              >
+                Unlock
+              </button>
+            </form>
+          </div>
+        )}
+
+        {adminSecret && (
+          <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+            <h2 className="mb-2 text-lg font-medium text-gray-900">New Token</h2>
+            <p className="mb-5 text-sm text-gray-500">
+              Tokens authenticate requests to the <code>/api/v1</code> API, e.g.
+              from a deploy pipeline. Send them as{" "}
+              <code>Authorization: Bearer &lt;token&gt;</code>. The API is
+              described in{" "}
+              <a
+                href="/api/v1/openapi.json"
+                className="text-blue-600 hover:underline"
+                target="_blank"
+                rel="noopener noreferrer"
+              >
+                openapi.json
+              </a>
+              .
+            </p>
+
+            <form onSubmit={handleCreate} className="grid gap-5 sm:grid-cols-3">
+              <div className="sm:col-span-2">
+                <label
+                  htmlFor="tokenName"
+                  className="mb-2 block text-sm font-medium text-gray-700"
+                >
+                  Name
+                </label>
+                <input
+                  id="tokenName"
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  className={inputClassName}
+                  placeholder="Deploy pipeline"
+                  required
+                />
+              </div>
+              <div>
+                <label
+                  htmlFor="tokenExpiry"
+                  className="mb-2 block text-sm font-medium text-gray-700"
+                >
+                  Expires after
+                </label>
+                <select
+                  id="tokenExpiry"
+                  value={expiresInDays}
+                  onChange={(e) => setExpiresInDays(e.target.value)}
+                  className={inputClassName}
+                >
+                  {EXPIRY_OPTIONS.map(({ value, label }) => (
+                    <option key={label} value={value}>
+                      {label}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <button
+                  type="submit"
+                  disabled={creating}
+                  className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+                    creating ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+                  }`}
+                >
+                  {creating ? "Creating..." : "Create Token"}
+                </button>
+              </div>
+            </form>
+
+            {newToken && (
+              <div className="mt-5 rounded-md border border-emerald-200 bg-emerald-50 p-4">
+                <p className="mb-2 text-sm text-emerald-800">
+                  Copy the token now, it won&apos;t be shown again.
+                </p>
+                <div className="flex flex-col gap-2 sm:flex-row sm:items-center">
+                  <code className="break-all rounded bg-white px-2 py-1 text-sm text-gray-900">
+                    {newToken}
+                  </code>
+                  <button
+                    onClick={handleCopy}
+                    className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                  >
+                    {copied ? "Copied" : "Copy"}
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        {adminSecret && (
+          <div className="mb-6 flex items-center justify-between border-b border-gray-200 pb-4">
+            <h2 className="text-xl font-medium text-gray-900">Tokens</h2>
+            <button
+              onClick={handleLock}
+              className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              Lock
+            </button>
+          </div>
+        )}
+
+        {!adminSecret ? null : loading ? (
+          <p className="text-sm text-gray-500">Loading access tokens...</p>
+        ) : accessTokens.length === 0 ? (
+          <p className="text-sm text-gray-500">No access tokens yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {accessTokens.map((accessToken) => {
+              const expired =
+                accessToken.expiresAt &&
+                new Date(accessToken.expiresAt) <= new Date();
+
+              return (
+                <div
+                  key={accessToken._id}
+                  className="flex flex-col justify-between gap-4 rounded-lg border border-gray-200 bg-white p-5 shadow-sm sm:flex-row sm:items-center"
+                >
+                  <div>
+                    <div className="flex items-center gap-2">
+                      <h3 className="text-sm font-medium text-gray-900">
+                        {accessToken.name}
+                      </h3>
+                      {expired && (
+                        <span className="rounded-full bg-rose-50 px-2.5 py-0.5 text-xs font-medium text-rose-700">
+                          Expired
+                        </span>
+                      )}
+                    </div>
+                    <p className="mt-1 text-xs text-gray-500">
+                      <span className="font-mono">{accessToken.prefix}…</span>{" "}
+                      · Created {formatDate(accessToken.createdAt)} · Last used{" "}
+                      {formatDate(accessToken.lastUsedAt)} · Expires{" "}
+                      {formatDate(accessToken.expiresAt)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => handleRevoke(accessToken)}
+                    className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                  >
+                    Revoke
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
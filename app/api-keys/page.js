@@ -0,0 +1,283 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import ApiKeyForm from "../components/ApiKeyForm";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+const secondaryButtonClassName =
+  "rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50";
+
+const STATUS_BADGES = {
+  available: { label: "Available", className: "bg-green-100 text-green-800" },
+  "rate-limited": {
+    label: "Rate limited",
+    className: "bg-yellow-100 text-yellow-800",
+  },
+  exhausted: {
+    label: "Daily quota used",
+    className: "bg-red-100 text-red-800",
+  },
+  disabled: { label: "Paused", className: "bg-gray-100 text-gray-700" },
+};
+
+/**
+ * Bar showing how much of a quota is used
+ * @param {Object} props
+ * @param {number} props.used - Requests made
+ * @param {number} props.quota - Requests allowed
+ */
+function QuotaBar({ used, quota }) {
+  const share = Math.min(used / quota, 1);
+  const color =
+    share >= 0.9 ? "bg-red-500" : share >= 0.7 ? "bg-yellow-500" : "bg-green-500";
+
+  return (
+    <div className="mt-1 h-2 w-full overflow-hidden rounded-full bg-gray-100">
+      <div className={`h-full ${color}`} style={{ width: `${share * 100}%` }} />
+    </div>
+  );
+}
+
+export default function ApiKeys() {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [formKey, setFormKey] = useState(0);
+
+  const loadApiKeys = useCallback(async () => {
+    try {
+      const data = await requestJson("/api/api-keys");
+      setApiKeys(data.apiKeys);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading API keys: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadApiKeys();
+  }, [loadApiKeys]);
+
+  const handleCreate = async (values) => {
+    await requestJson("/api/api-keys", {
+      method: "POST",
+      body: JSON.stringify(values),
+    });
+    // Remount the form to clear it
+    setFormKey((key) => key + 1);
+    await loadApiKeys();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await requestJson(`/api/api-keys/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(values),
+    });
+    setEditingId(null);
+    await loadApiKeys();
+  };
+
+  const handleToggleEnabled = async (apiKey) => {
+    try {
+      await handleUpdate(apiKey._id, { enabled: !apiKey.enabled });
+    } catch (toggleError) {
+      alert(`Error updating API key: ${toggleError.message}`);
+    }
+  };
+
+  const handleDelete = async (apiKey) => {
+    if (!confirm(`Delete the API key "${apiKey.name}" and its usage?`)) {
+      return;
+    }
+
+    try {
+      await requestJson(`/api/api-keys/${apiKey._id}`, { method: "DELETE" });
+      await loadApiKeys();
+    } catch (deleteError) {
+      alert(`Error deleting API key: ${deleteError.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            API Keys
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="mb-2 text-lg font-medium text-gray-900">
+            New API Key
+          </h2>
+          <p className="mb-5 text-sm text-gray-500">
+            Tests that are not sent with their own key use these keys in turn,
+            spreading the requests by the share of each key&apos;s daily quota
+            used. A key that PageSpeed Insights reports over quota rests until
+            its quota frees up while the run continues with the other keys.
+            Without keys, PAGESPEED_API_KEY is used.
+          </p>
+          <ApiKeyForm key={formKey} onSubmit={handleCreate} />
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-6 flex items-center justify-between border-b border-gray-200 pb-4">
+          <h2 className="text-xl font-medium text-gray-900">Usage</h2>
+          <button onClick={loadApiKeys} className={secondaryButtonClassName}>
+            Refresh
+          </button>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading API keys...</p>
+        ) : apiKeys.length === 0 ? (
+          <p className="text-sm text-gray-500">No API keys yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {apiKeys.map((apiKey) => {
+              const { usage } = apiKey;
+              const badge = STATUS_BADGES[usage.status];
+              const maxRequests = Math.max(
+                1,
+                ...usage.history.map(({ requests }) => requests)
+              );
+
+              return (
+                <div
+                  key={apiKey._id}
+                  className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm"
+                >
+                  {editingId === apiKey._id ? (
+                    <ApiKeyForm
+                      initialValues={apiKey}
+                      onSubmit={(values) => handleUpdate(apiKey._id, values)}
+                      onCancel={() => setEditingId(null)}
+                      submitLabel="Save Changes"
+                    />
+                  ) : (
+                    <>
+                      <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-start">
+                        <div className="min-w-0">
+                          <div className="flex items-center gap-2">
+                            <h3 className="text-sm font-medium text-gray-900">
+                              {apiKey.name}
+                            </h3>
+                            <span
+                              className={`rounded-full px-2.5 py-0.5 text-xs font-medium ${badge.className}`}
+                            >
+                              {badge.label}
+                            </span>
+                          </div>
+                          <p className="mt-1 font-mono text-xs text-gray-500">
+                            ••••{apiKey.suffix}
+                          </p>
+                          {apiKey.lastQuotaErrorAt && (
+                            <p className="mt-1 text-xs text-gray-500">
+                              Last quota error{" "}
+                              {new Date(apiKey.lastQuotaErrorAt).toLocaleString()}
+                              : {apiKey.lastQuotaError}
+                            </p>
+                          )}
+                        </div>
+
+                        <div className="flex flex-wrap gap-2">
+                          <button
+                            onClick={() => handleToggleEnabled(apiKey)}
+                            className={secondaryButtonClassName}
+                          >
+                            {apiKey.enabled ? "Pause" : "Resume"}
+                          </button>
+                          <button
+                            onClick={() => setEditingId(apiKey._id)}
+                            className={secondaryButtonClassName}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDelete(apiKey)}
+                            className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                          >
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+
+                      <div className="mt-4 grid gap-5 border-t border-gray-100 pt-4 sm:grid-cols-3">
+                        <div>
+                          <p className="text-xs text-gray-500">Today</p>
+                          <p className="text-sm text-gray-900">
+                            {usage.today.requests.toLocaleString()} /{" "}
+                            {apiKey.quotaPerDay.toLocaleString()} requests
+                          </p>
+                          <QuotaBar
+                            used={usage.today.requests}
+                            quota={apiKey.quotaPerDay}
+                          />
+                          <p className="mt-1 text-xs text-gray-500">
+                            {usage.today.quotaErrors} quota{" "}
+                            {usage.today.quotaErrors === 1 ? "error" : "errors"}
+                          </p>
+                        </div>
+
+                        <div>
+                          <p className="text-xs text-gray-500">
+                            Last 100 seconds (this server)
+                          </p>
+                          <p className="text-sm text-gray-900">
+                            {usage.recentRequests} /{" "}
+                            {apiKey.quotaPer100Seconds} requests
+                          </p>
+                          <QuotaBar
+                            used={usage.recentRequests}
+                            quota={apiKey.quotaPer100Seconds}
+                          />
+                        </div>
+
+                        <div>
+                          <p className="text-xs text-gray-500">Last 7 days</p>
+                          <div className="mt-1 flex h-10 items-end gap-1">
+                            {[...usage.history].reverse().map(({ day, requests }) => (
+                              <div
+                                key={day}
+                                title={`${day}: ${requests} requests`}
+                                className="flex-1 rounded-sm bg-blue-500"
+                                style={{
+                                  height: `${Math.max(
+                                    (requests / maxRequests) * 100,
+                                    4
+                                  )}%`,
+                                  opacity: requests ? 1 : 0.2,
+                                }}
+                              />
+                            ))}
+                          </div>
+                        </div>
+                      </div>
+                    </>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
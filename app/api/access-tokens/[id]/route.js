@@ -0,0 +1,39 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import { getModelErrorResponse } from "../../../lib/scheduledTests";
+import AccessToken from "../../../models/AccessToken";
+import { checkAdminSecret } from "../../../services/accessTokenService";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Revoke a token; requests using it are rejected from then on
+ */
+export async function DELETE(request, { params }) {
+  const denied = checkAdminSecret(request);
+  if (denied) {
+    return NextResponse.json({ error: denied.error }, { status: denied.status });
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const accessToken = await AccessToken.findByIdAndDelete(id);
+    if (!accessToken) {
+      return NextResponse.json(
+        { error: "Access token not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error revoking access token:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Access token not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
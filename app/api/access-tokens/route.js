@@ -0,0 +1,64 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import { getModelErrorResponse } from "../../lib/scheduledTests";
+import AccessToken from "../../models/AccessToken";
+import {
+  checkAdminSecret,
+  createAccessToken,
+} from "../../services/accessTokenService";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request) {
+  const denied = checkAdminSecret(request);
+  if (denied) {
+    return NextResponse.json({ error: denied.error }, { status: denied.status });
+  }
+
+  try {
+    await connectToDatabase();
+
+    const accessTokens = await AccessToken.find().sort({ createdAt: -1 });
+
+    return NextResponse.json({ accessTokens });
+  } catch (error) {
+    console.error("Error listing access tokens:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Create a token. The token value is only part of this response.
+ */
+export async function POST(request) {
+  const denied = checkAdminSecret(request);
+  if (denied) {
+    return NextResponse.json({ error: denied.error }, { status: denied.status });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { accessToken, token } = await createAccessToken({
+      name: body.name,
+      expiresInDays: body.expiresInDays,
+    });
+
+    return NextResponse.json({ accessToken, token }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating access token:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Access token not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
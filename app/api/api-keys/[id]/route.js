@@ -0,0 +1,76 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import { pickApiKeyFields } from "../../../lib/apiKeys";
+import { getModelErrorResponse } from "../../../lib/scheduledTests";
+import { forgetApiKey } from "../../../services/apiKeyService";
+import ApiKey from "../../../models/ApiKey";
+import ApiKeyUsage from "../../../models/ApiKeyUsage";
+
+export const dynamic = "force-dynamic";
+
+export async function PATCH(request, { params }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const apiKey = await ApiKey.findById(id).select("+key");
+    if (!apiKey) {
+      return NextResponse.json({ error: "API key not found" }, { status: 404 });
+    }
+
+    apiKey.set(pickApiKeyFields(body));
+
+    // A replaced key starts with fresh quotas
+    const replacesKey = apiKey.isModified("key");
+    if (replacesKey) {
+      apiKey.exhaustedOn = undefined;
+      await ApiKeyUsage.deleteMany({ apiKey: apiKey._id });
+    }
+
+    await apiKey.save();
+    if (replacesKey) forgetApiKey(apiKey._id);
+
+    return NextResponse.json({ apiKey });
+  } catch (error) {
+    console.error("Error updating API key:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "API key not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const apiKey = await ApiKey.findByIdAndDelete(id);
+    if (!apiKey) {
+      return NextResponse.json({ error: "API key not found" }, { status: 404 });
+    }
+
+    await ApiKeyUsage.deleteMany({ apiKey: apiKey._id });
+    forgetApiKey(apiKey._id);
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting API key:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "API key not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,46 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import { pickApiKeyFields } from "../../lib/apiKeys";
+import { getModelErrorResponse } from "../../lib/scheduledTests";
+import { listApiKeyUsage } from "../../services/apiKeyService";
+import ApiKey from "../../models/ApiKey";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    const apiKeys = await listApiKeyUsage();
+
+    return NextResponse.json({ apiKeys });
+  } catch (error) {
+    console.error("Error listing API keys:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await connectToDatabase();
+
+    const apiKey = await ApiKey.create(pickApiKeyFields(body));
+
+    return NextResponse.json({ apiKey }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating API key:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "API key not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,68 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import { pickBrandingFields } from "../../../lib/branding";
+import { getModelErrorResponse } from "../../../lib/scheduledTests";
+import BrandingProfile from "../../../models/BrandingProfile";
+
+export const dynamic = "force-dynamic";
+
+export async function PATCH(request, { params }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const profile = await BrandingProfile.findById(id);
+    if (!profile) {
+      return NextResponse.json(
+        { error: "Branding profile not found" },
+        { status: 404 }
+      );
+    }
+
+    profile.set(pickBrandingFields(body));
+    await profile.save();
+
+    return NextResponse.json({ profile });
+  } catch (error) {
+    console.error("Error updating branding profile:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Branding profile not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const profile = await BrandingProfile.findByIdAndDelete(id);
+    if (!profile) {
+      return NextResponse.json(
+        { error: "Branding profile not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting branding profile:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Branding profile not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
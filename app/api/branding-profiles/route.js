@@ -0,0 +1,47 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import { pickBrandingFields } from "../../lib/branding";
+import { getModelErrorResponse } from "../../lib/scheduledTests";
+import BrandingProfile from "../../models/BrandingProfile";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    await connectToDatabase();
+
+    const profiles = await BrandingProfile.find().sort({ name: 1 });
+
+    return NextResponse.json({ profiles });
+  } catch (error) {
+    console.error("Error listing branding profiles:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await connectToDatabase();
+
+    const profile = await BrandingProfile.create(pickBrandingFields(body));
+
+    return NextResponse.json({ profile }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating branding profile:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Branding profile not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,56 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import { pickBudgetFields } from "../../../lib/budgets";
+import { getModelErrorResponse } from "../../../lib/scheduledTests";
+import Budget from "../../../models/Budget";
+
+export const dynamic = "force-dynamic";
+
+export async function PATCH(request, { params }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const budget = await Budget.findById(id);
+    if (!budget) {
+      return NextResponse.json({ error: "Budget not found" }, { status: 404 });
+    }
+
+    budget.set(pickBudgetFields(body));
+    await budget.save();
+
+    return NextResponse.json({ budget });
+  } catch (error) {
+    console.error("Error updating budget:", error);
+    const { status, message } = getModelErrorResponse(error, "Budget not found");
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const budget = await Budget.findByIdAndDelete(id);
+    if (!budget) {
+      return NextResponse.json({ error: "Budget not found" }, { status: 404 });
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting budget:", error);
+    const { status, message } = getModelErrorResponse(error, "Budget not found");
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,45 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import { pickBudgetFields } from "../../lib/budgets";
+import { getModelErrorResponse } from "../../lib/scheduledTests";
+import Budget from "../../models/Budget";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    await connectToDatabase();
+
+    // Global budgets first, they are applied before pattern budgets
+    const budgets = await Budget.find().sort({ urlPattern: 1, createdAt: 1 });
+
+    return NextResponse.json({ budgets });
+  } catch (error) {
+    console.error("Error listing budgets:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await connectToDatabase();
+
+    const budget = await Budget.create(pickBudgetFields(body));
+
+    return NextResponse.json({ budget }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating budget:", error);
+    const { status, message } = getModelErrorResponse(error, "Budget not found");
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,63 @@
+import { NextResponse } from "next/server";
+import { crawlSite } from "../../services/crawlerService";
+
+// Crawls are capped so one request can't keep the server busy for long
+const MAX_DEPTH = 5;
+const MAX_PAGES = 500;
+
+export const maxDuration = 300;
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  const { url, maxDepth = 2, maxPages = 100 } = body;
+
+  if (!url || !/^https?:\/\//i.test(url)) {
+    return NextResponse.json(
+      { error: "Please provide a start URL beginning with http:// or https://" },
+      { status: 400 }
+    );
+  }
+
+  const depth = Number(maxDepth);
+  const pages = Number(maxPages);
+  if (
+    !Number.isInteger(depth) ||
+    depth < 0 ||
+    depth > MAX_DEPTH ||
+    !Number.isInteger(pages) ||
+    pages < 1 ||
+    pages > MAX_PAGES
+  ) {
+    return NextResponse.json(
+      {
+        error: `Depth must be between 0 and ${MAX_DEPTH} and the page limit between 1 and ${MAX_PAGES}`,
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const crawl = await crawlSite(url, {
+      maxDepth: depth,
+      maxPages: pages,
+      signal: request.signal,
+    });
+
+    return NextResponse.json(crawl);
+  } catch (error) {
+    if (request.signal.aborted) {
+      return new Response(null, { status: 499 });
+    }
+    console.error("Error crawling site:", error);
+    return NextResponse.json({ error: error.message }, { status: 502 });
+  }
+}
@@ -0,0 +1,35 @@
+import { NextResponse } from "next/server";
+import { runDueScheduledTests } from "../../../services/scheduler";
+
+// Runs can take several minutes for large URL lists
+export const maxDuration = 300;
+export const dynamic = "force-dynamic";
+
+/**
+ * Run every scheduled test that is due. Meant to be called by an external
+ * cron (e.g. Vercel Cron) when the in-process scheduler is not used.
+ */
+export async function GET(request) {
+  const secret = process.env.CRON_SECRET;
+
+  if (secret && request.headers.get("authorization") !== `Bearer ${secret}`) {
+    return NextResponse.json({ error: "Unauthorized" }, { status: 401 });
+  }
+
+  try {
+    const runs = await runDueScheduledTests();
+
+    return NextResponse.json({
+      runs: runs.map((run) => ({
+        id: run._id,
+        scheduledTest: run.scheduledTest,
+        status: run.status,
+        resultCount: run.resultCount,
+        errorCount: run.errorCount,
+      })),
+    });
+  } catch (error) {
+    console.error("Error running due scheduled tests:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
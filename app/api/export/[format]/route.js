@@ -1,13 +1,19 @@
 import { NextResponse } from "next/server";
 import {
-  generatePDFReport,
   generateCSVReport,
+  generateComparisonCSV,
+  generateComparisonPDF,
 } from "../../../services/exportService";
+import { generatePDFReport } from "../../../services/pdfReportService";
+import { findBrandingProfile } from "../../../services/brandingService";
+import {
+  compareResults,
+  parseComparisonThresholds,
+} from "../../../lib/comparison";
 
 export async function POST(request, { params }) {
   try {
-    console.log("Received params:", params);
-    const { format } = params;
+    const { format } = await params;
 
     let requestData;
     try {
@@ -21,7 +27,17 @@ export async function POST(request, { params }) {
       );
     }
 
-    const { results, reportName = "PageSpeed Report" } = requestData;
+    if (requestData.report === "comparison") {
+      return exportComparison(format, requestData);
+    }
+
+    const {
+      results,
+      reportName = "PageSpeed Report",
+      brandingProfileId,
+      // Sent by the table view so exports follow its sort
+      keepOrder = false,
+    } = requestData;
 
     if (!results || !Array.isArray(results) || results.length === 0) {
       console.error("Invalid results data:", results);
@@ -34,7 +50,7 @@ export async function POST(request, { params }) {
     if (format === "csv") {
       try {
         console.log("Generating CSV report");
-        const csvContent = generateCSVReport(results);
+        const csvContent = generateCSVReport(results, { keepOrder });
 
         return new Response(csvContent, {
           headers: {
@@ -52,9 +68,22 @@ export async function POST(request, { params }) {
     }
 
     if (format === "pdf") {
+      // Branding only changes the look of the PDF
+      const branding = brandingProfileId
+        ? await findBrandingProfile(brandingProfileId)
+        : null;
+      if (brandingProfileId && !branding) {
+        return NextResponse.json(
+          { error: "Branding profile not found" },
+          { status: 404 }
+        );
+      }
+
       try {
         console.log("Generating PDF report");
-        const pdfBuffer = await generatePDFReport(results, reportName);
+        const pdfBuffer = await generatePDFReport(results, reportName, branding, {
+          keepOrder,
+        });
 
         return new Response(pdfBuffer, {
           headers: {
@@ -83,3 +112,74 @@ export async function POST(request, { params }) {
     );
   }
 }
+
+/**
+ * Export the diff of two result sets, e.g. before and after a deploy
+ * @param {string} format - 'csv' or 'pdf'
+ * @param {Object} requestData - { baseline, current, thresholds, reportName }
+ * @returns {Promise<Response>} - File download or JSON error
+ */
+async function exportComparison(format, requestData) {
+  const {
+    baseline,
+    current,
+    thresholds,
+    reportName = "PageSpeed Comparison",
+  } = requestData;
+
+  if (
+    !Array.isArray(baseline) ||
+    baseline.length === 0 ||
+    !Array.isArray(current) ||
+    current.length === 0
+  ) {
+    return NextResponse.json(
+      { error: "A comparison needs non-empty baseline and current results" },
+      { status: 400 }
+    );
+  }
+
+  let limits;
+  try {
+    limits = parseComparisonThresholds(thresholds);
+  } catch (thresholdError) {
+    return NextResponse.json(
+      { error: thresholdError.message },
+      { status: 400 }
+    );
+  }
+
+  const comparison = compareResults(baseline, current, limits);
+
+  try {
+    if (format === "csv") {
+      return new Response(generateComparisonCSV(comparison), {
+        headers: {
+          "Content-Type": "text/csv",
+          "Content-Disposition": `attachment; filename="pagespeed-comparison.csv"`,
+        },
+      });
+    }
+
+    if (format === "pdf") {
+      const pdfBuffer = await generateComparisonPDF(comparison, reportName);
+      return new Response(pdfBuffer, {
+        headers: {
+          "Content-Type": "application/pdf",
+          "Content-Disposition": `attachment; filename="pagespeed-comparison.pdf"`,
+        },
+      });
+    }
+  } catch (error) {
+    console.error("Comparison export error:", error);
+    return NextResponse.json(
+      { error: `Comparison export failed: ${error.message}` },
+      { status: 500 }
+    );
+  }
+
+  return NextResponse.json(
+    { error: "Unsupported export format. Supported formats: pdf, csv" },
+    { status: 400 }
+  );
+}
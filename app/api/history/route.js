@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { listTestedUrls, getUrlHistory } from "../../services/resultService";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Without a url parameter, list every tested URL. With one, return its
+ * history, optionally filtered by strategy and limited to the last N days.
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const url = searchParams.get("url");
+  const strategy = searchParams.get("strategy");
+  const days = Number(searchParams.get("days"));
+
+  if (strategy && !["mobile", "desktop"].includes(strategy)) {
+    return NextResponse.json(
+      { error: "Strategy must be 'mobile' or 'desktop'" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    if (!url) {
+      const urls = await listTestedUrls();
+      return NextResponse.json({ urls });
+    }
+
+    const since =
+      days > 0 ? new Date(Date.now() - days * 24 * 60 * 60 * 1000) : undefined;
+    const history = await getUrlHistory(url, {
+      strategy: strategy || undefined,
+      since,
+    });
+
+    return NextResponse.json({ url, history });
+  } catch (error) {
+    console.error("Error loading history:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
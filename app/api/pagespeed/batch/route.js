@@ -0,0 +1,185 @@
+import { NextResponse } from "next/server";
+import { runPageSpeedTests } from "../../../services/pagespeedService";
+import { requiresApiKey } from "../../../services/pagespeedProviders";
+import { resolveApiKey } from "../../../services/apiKeyService";
+import { saveManualRun } from "../../../services/resultService";
+import { loadBudgets } from "../../../services/budgetService";
+import { notifyWebhooks } from "../../../services/webhookService";
+import { applyBudgets } from "../../../lib/budgets";
+import { expandStrategy, isValidStrategy } from "../../../lib/strategies";
+import { getTestOptions } from "../../../lib/testOptions";
+
+// Large batches can take several minutes
+export const maxDuration = 300;
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  const { urls, strategy = "mobile", apiKey, stream = false } = body;
+
+  if (!Array.isArray(urls) || urls.length === 0) {
+    return NextResponse.json(
+      { error: "Please provide at least one URL" },
+      { status: 400 }
+    );
+  }
+
+  if (urls.length > 50) {
+    return NextResponse.json(
+      { error: "Maximum 50 URLs allowed" },
+      { status: 400 }
+    );
+  }
+
+  if (!isValidStrategy(strategy)) {
+    return NextResponse.json(
+      { error: "Strategy must be 'mobile', 'desktop' or 'both'" },
+      { status: 400 }
+    );
+  }
+
+  let testOptions;
+  try {
+    // forceFresh skips cached results, running tests are still shared
+    testOptions = {
+      ...getTestOptions(body),
+      forceFresh: body.forceFresh === true,
+    };
+  } catch (optionsError) {
+    return NextResponse.json({ error: optionsError.message }, { status: 400 });
+  }
+
+  // A key sent with the request overrides the server keys for this batch only
+  const key = await resolveApiKey(apiKey);
+  if (!key && requiresApiKey()) {
+    return NextResponse.json(
+      {
+        error:
+          "No API key configured on the server. Add one on the API Keys page, set PAGESPEED_API_KEY or provide a key.",
+      },
+      { status: 400 }
+    );
+  }
+
+  if (stream) {
+    return streamBatch(urls, key, strategy, testOptions, request.signal);
+  }
+
+  try {
+    const budgets = await loadBudgets();
+    const results = (
+      await runPageSpeedTests(urls, key, strategy, testOptions)
+    ).map((result) => applyBudgets(result, budgets));
+    await saveResults(results, strategy, testOptions);
+
+    return NextResponse.json({ results });
+  } catch (error) {
+    console.error("Error running batch:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Stream results as newline-delimited JSON while the batch runs. Lines are
+ * { type: "start", total }, then { type: "result", index, result } per URL
+ * and strategy in completion order, then { type: "done", completed, failed, cancelled }.
+ * Closing the connection cancels the URLs that have not finished.
+ */
+function streamBatch(urls, apiKey, strategy, testOptions, requestSignal) {
+  const encoder = new TextEncoder();
+
+  // Stop on either a dropped connection or a cancelled reader
+  const abortController = new AbortController();
+  const signal = abortController.signal;
+  requestSignal.addEventListener("abort", () => abortController.abort());
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (message) => {
+        if (signal.aborted) return;
+        controller.enqueue(encoder.encode(`${JSON.stringify(message)}\n`));
+      };
+
+      // "both" tests every URL twice
+      send({
+        type: "start",
+        total: urls.length * expandStrategy(strategy).length,
+      });
+
+      try {
+        // Results are evaluated as they arrive so the cards show their budget
+        const budgets = await loadBudgets();
+        const evaluated = [];
+
+        await runPageSpeedTests(urls, apiKey, strategy, {
+          ...testOptions,
+          signal,
+          onResult: (result, index) => {
+            const withBudget = applyBudgets(result, budgets);
+            evaluated[index] = withBudget;
+            send({ type: "result", index, result: withBudget });
+          },
+        });
+        const results = evaluated.filter(Boolean);
+
+        if (results.length > 0) {
+          await saveResults(results, strategy, testOptions);
+        }
+
+        send({
+          type: "done",
+          completed: results.length,
+          failed: results.filter((result) => result.error).length,
+          cancelled: signal.aborted,
+        });
+      } catch (error) {
+        console.error("Error running batch:", error);
+        send({ type: "error", error: error.message });
+      }
+
+      if (!signal.aborted) {
+        controller.close();
+      }
+    },
+    cancel() {
+      abortController.abort();
+    },
+  });
+
+  return new Response(body, {
+    headers: {
+      "Content-Type": "application/x-ndjson",
+      "Cache-Control": "no-cache, no-transform",
+    },
+  });
+}
+
+/**
+ * Store the run for the history view and notify the global webhooks; a
+ * failure here shouldn't hide results
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @param {string} strategy - Test strategy ('mobile', 'desktop' or 'both')
+ * @param {Object} testOptions - Categories and locale the tests ran with
+ */
+async function saveResults(results, strategy, testOptions) {
+  let run;
+  try {
+    run = await saveManualRun(results, strategy, testOptions);
+  } catch (saveError) {
+    console.error("Error saving results:", saveError);
+    return;
+  }
+
+  // Deliveries retry for a while, so they don't hold up the response
+  notifyWebhooks(run, results).catch((webhookError) => {
+    console.error("Error notifying webhooks:", webhookError);
+  });
+}
@@ -1,47 +1,51 @@
 // File: src/app/api/pagespeed/route.js
 import { NextResponse } from "next/server";
+import { runPageSpeedTest } from "../../services/pagespeedService";
+import { requiresApiKey } from "../../services/pagespeedProviders";
+import { resolveApiKey } from "../../services/apiKeyService";
+import { getTestOptions } from "../../lib/testOptions";
+import { STRATEGIES } from "../../lib/strategies";
 
 export async function POST(request) {
   try {
-    const { url, apiKey, strategy = "desktop" } = await request.json();
+    const body = await request.json();
+    const { url, apiKey, strategy = "desktop" } = body;
 
-    if (!url || !apiKey) {
+    // A single test runs one strategy, "both" is only for batches
+    if (!STRATEGIES.includes(strategy)) {
+      return NextResponse.json(
+        { error: "Strategy must be 'mobile' or 'desktop'" },
+        { status: 400 }
+      );
+    }
+
+    // A key sent with the request overrides the server keys
+    const key = await resolveApiKey(apiKey);
+
+    if (!url || (!key && requiresApiKey())) {
       return NextResponse.json(
         { error: "URL and API key are required" },
         { status: 400 }
       );
     }
 
-    // Create URL params correctly to handle multiple categories
-    const params = new URLSearchParams();
-    params.append("url", url);
-    params.append("key", apiKey);
-    params.append("category", "performance");
-    params.append("category", "accessibility");
-    params.append("category", "best-practices");
-    params.append("category", "seo");
-    params.append("strategy", strategy);
-
-    const apiUrl = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?${params.toString()}`;
-    const response = await fetch(apiUrl);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = "API request failed";
-
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorMessage;
-      } catch (e) {
-        // If JSON parsing fails, use the text as is
-        errorMessage = errorText || errorMessage;
-      }
-
-      throw new Error(errorMessage);
+    let testOptions;
+    try {
+      testOptions = {
+        ...getTestOptions(body),
+        forceFresh: body.forceFresh === true,
+      };
+    } catch (optionsError) {
+      return NextResponse.json({ error: optionsError.message }, { status: 400 });
+    }
+
+    const result = await runPageSpeedTest(url, key, strategy, testOptions);
+
+    if (result.error) {
+      throw new Error(result.error);
     }
 
-    const data = await response.json();
-    return NextResponse.json(data);
+    return NextResponse.json(result.data);
   } catch (error) {
     return NextResponse.json({ error: error.message }, { status: 500 });
   }
@@ -0,0 +1,87 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import {
+  pickScheduledTestFields,
+  getModelErrorResponse,
+} from "../../../lib/scheduledTests";
+import ScheduledTest from "../../../models/ScheduledTest";
+
+export const dynamic = "force-dynamic";
+
+export async function GET(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const scheduledTest = await ScheduledTest.findById(id);
+    if (!scheduledTest) {
+      return NextResponse.json(
+        { error: "Scheduled test not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ scheduledTest });
+  } catch (error) {
+    console.error("Error loading scheduled test:", error);
+    const { status, message } = getModelErrorResponse(error);
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function PATCH(request, { params }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const scheduledTest = await ScheduledTest.findById(id);
+    if (!scheduledTest) {
+      return NextResponse.json(
+        { error: "Scheduled test not found" },
+        { status: 404 }
+      );
+    }
+
+    // Assign and save (rather than findByIdAndUpdate) so the validators and
+    // the nextRunAt hook run
+    scheduledTest.set(pickScheduledTestFields(body));
+    await scheduledTest.save();
+
+    return NextResponse.json({ scheduledTest });
+  } catch (error) {
+    console.error("Error updating scheduled test:", error);
+    const { status, message } = getModelErrorResponse(error);
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const scheduledTest = await ScheduledTest.findByIdAndDelete(id);
+    if (!scheduledTest) {
+      return NextResponse.json(
+        { error: "Scheduled test not found" },
+        { status: 404 }
+      );
+    }
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting scheduled test:", error);
+    const { status, message } = getModelErrorResponse(error);
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,44 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../../lib/mongoose";
+import { getModelErrorResponse } from "../../../../lib/scheduledTests";
+import ScheduledTest from "../../../../models/ScheduledTest";
+import { runScheduledTest } from "../../../../services/scheduler";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Run a scheduled test immediately, independent of its schedule. The run
+ * continues in the background; clients poll the scheduled test for its
+ * lastRunStatus.
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const scheduledTest = await ScheduledTest.findById(id).select("+apiKey");
+    if (!scheduledTest) {
+      return NextResponse.json(
+        { error: "Scheduled test not found" },
+        { status: 404 }
+      );
+    }
+
+    if (scheduledTest.lastRunStatus === "running") {
+      return NextResponse.json(
+        { error: "This scheduled test is already running" },
+        { status: 409 }
+      );
+    }
+
+    runScheduledTest(scheduledTest).catch((error) => {
+      console.error(`Manual run of "${scheduledTest.name}" failed:`, error);
+    });
+
+    return NextResponse.json({ status: "running" }, { status: 202 });
+  } catch (error) {
+    console.error("Error starting scheduled test:", error);
+    const { status, message } = getModelErrorResponse(error);
+    return NextResponse.json({ error: message }, { status });
+  }
+}
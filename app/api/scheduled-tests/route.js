@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import {
+  pickScheduledTestFields,
+  getModelErrorResponse,
+} from "../../lib/scheduledTests";
+import ScheduledTest from "../../models/ScheduledTest";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    await connectToDatabase();
+
+    const scheduledTests = await ScheduledTest.find().sort({ createdAt: -1 });
+
+    return NextResponse.json({ scheduledTests });
+  } catch (error) {
+    console.error("Error listing scheduled tests:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await connectToDatabase();
+
+    const scheduledTest = await ScheduledTest.create(
+      pickScheduledTestFields(body)
+    );
+
+    return NextResponse.json({ scheduledTest }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating scheduled test:", error);
+    const { status, message } = getModelErrorResponse(error);
+    return NextResponse.json({ error: message }, { status });
+  }
+}
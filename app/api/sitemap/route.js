@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { loadSitemapUrls } from "../../services/sitemapService";
+
+// Large sitemap indexes can take a while to download
+export const maxDuration = 60;
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  const { url, xml } = body;
+
+  if (!url && !xml) {
+    return NextResponse.json(
+      { error: "Please provide a sitemap URL or file" },
+      { status: 400 }
+    );
+  }
+
+  if (url && !/^https?:\/\//i.test(url)) {
+    return NextResponse.json(
+      { error: "The sitemap URL must start with http:// or https://" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const sitemap = await loadSitemapUrls({ url, xml });
+    return NextResponse.json(sitemap);
+  } catch (error) {
+    // An uploaded file is only parsed, so its errors are bad input; a
+    // sitemap URL fails when the remote server does, or with a 400 when its
+    // response isn't a sitemap
+    if (xml || error.status === 400) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
+
+    console.error("Error loading sitemap:", error);
+    return NextResponse.json({ error: error.message }, { status: 502 });
+  }
+}
@@ -0,0 +1,9 @@
+import { NextResponse } from "next/server";
+import { OPENAPI_DOCUMENT } from "../../../lib/openApi";
+
+/**
+ * OpenAPI description of the v1 API, public so tools can fetch it
+ */
+export function GET() {
+  return NextResponse.json(OPENAPI_DOCUMENT);
+}
@@ -0,0 +1,103 @@
+import { NextResponse } from "next/server";
+import {
+  RUN_EXPORT_FORMATS,
+  serializeResult,
+  serializeRun,
+  summarizeRunResults,
+} from "../../../../../../lib/apiV1";
+import { generateCSVReport } from "../../../../../../services/exportService";
+import { generatePDFReport } from "../../../../../../services/pdfReportService";
+import { findBrandingProfile } from "../../../../../../services/brandingService";
+import { authenticateRequest } from "../../../../../../services/accessTokenService";
+import { findRun } from "../../../../../../services/apiRunService";
+import { getRunResults } from "../../../../../../services/resultService";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Download the results of a finished run as JSON, CSV or PDF. PDF exports
+ * accept ?brandingProfileId= like the export route.
+ */
+export async function GET(request, { params }) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    if (!(await authenticateRequest(request))) {
+      return NextResponse.json(
+        { error: "Missing, invalid or expired access token" },
+        { status: 401 }
+      );
+    }
+
+    const { id, format } = await params;
+    if (!RUN_EXPORT_FORMATS.includes(format)) {
+      return NextResponse.json(
+        {
+          error: `Unsupported export format. Supported formats: ${RUN_EXPORT_FORMATS.join(", ")}`,
+        },
+        { status: 400 }
+      );
+    }
+
+    const run = await findRun(id);
+    if (!run) {
+      return NextResponse.json({ error: "Run not found" }, { status: 404 });
+    }
+
+    if (run.status === "running") {
+      return NextResponse.json(
+        { error: "The run is still running", run: serializeRun(run) },
+        { status: 409 }
+      );
+    }
+
+    const results = await getRunResults(run);
+    const filename = `pagespeed-run-${run._id}.${format}`;
+    const headers = {
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    };
+
+    if (format === "json") {
+      const body = {
+        run: serializeRun(run),
+        summary: summarizeRunResults(results),
+        results: results.map(serializeResult),
+      };
+      return new Response(JSON.stringify(body, null, 2), {
+        headers: { ...headers, "Content-Type": "application/json" },
+      });
+    }
+
+    if (format === "csv") {
+      return new Response(generateCSVReport(results), {
+        headers: { ...headers, "Content-Type": "text/csv" },
+      });
+    }
+
+    const brandingProfileId = searchParams.get("brandingProfileId");
+    const branding = brandingProfileId
+      ? await findBrandingProfile(brandingProfileId)
+      : null;
+    if (brandingProfileId && !branding) {
+      return NextResponse.json(
+        { error: "Branding profile not found" },
+        { status: 404 }
+      );
+    }
+
+    const reportName = `PageSpeed Report - ${new Date(
+      run.finishedAt || run.startedAt
+    ).toLocaleDateString()}`;
+    const pdfBuffer = await generatePDFReport(results, reportName, branding);
+
+    return new Response(pdfBuffer, {
+      headers: { ...headers, "Content-Type": "application/pdf" },
+    });
+  } catch (error) {
+    console.error("Error exporting run:", error);
+    return NextResponse.json(
+      { error: `Export failed: ${error.message}` },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,49 @@
+import { NextResponse } from "next/server";
+import {
+  serializeResult,
+  serializeRun,
+  summarizeRunResults,
+} from "../../../../../lib/apiV1";
+import { authenticateRequest } from "../../../../../services/accessTokenService";
+import { findRun } from "../../../../../services/apiRunService";
+import { getRunResults } from "../../../../../services/resultService";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Get the results of a finished run in the v1 result schema
+ */
+export async function GET(request, { params }) {
+  try {
+    if (!(await authenticateRequest(request))) {
+      return NextResponse.json(
+        { error: "Missing, invalid or expired access token" },
+        { status: 401 }
+      );
+    }
+
+    const { id } = await params;
+    const run = await findRun(id);
+    if (!run) {
+      return NextResponse.json({ error: "Run not found" }, { status: 404 });
+    }
+
+    if (run.status === "running") {
+      return NextResponse.json(
+        { error: "The run is still running", run: serializeRun(run) },
+        { status: 409 }
+      );
+    }
+
+    const results = await getRunResults(run);
+
+    return NextResponse.json({
+      run: serializeRun(run),
+      summary: summarizeRunResults(results),
+      results: results.map(serializeResult),
+    });
+  } catch (error) {
+    console.error("Error loading run results:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
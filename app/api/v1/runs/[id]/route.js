@@ -0,0 +1,41 @@
+import { NextResponse } from "next/server";
+import { parseWait, serializeRun } from "../../../../lib/apiV1";
+import { authenticateRequest } from "../../../../services/accessTokenService";
+import { findRun, waitForRun } from "../../../../services/apiRunService";
+
+// A waiting request blocks until the run finishes
+export const maxDuration = 300;
+export const dynamic = "force-dynamic";
+
+/**
+ * Get a run. ?wait=<seconds> long-polls until the run is no longer running
+ * or the time is up, so CI jobs don't have to poll in a tight loop.
+ */
+export async function GET(request, { params }) {
+  const { searchParams } = new URL(request.url);
+
+  try {
+    if (!(await authenticateRequest(request))) {
+      return NextResponse.json(
+        { error: "Missing, invalid or expired access token" },
+        { status: 401 }
+      );
+    }
+
+    const { id } = await params;
+    let run = await findRun(id);
+    if (!run) {
+      return NextResponse.json({ error: "Run not found" }, { status: 404 });
+    }
+
+    const waitSeconds = parseWait(searchParams.get("wait"));
+    if (waitSeconds > 0) {
+      run = await waitForRun(run, waitSeconds);
+    }
+
+    return NextResponse.json({ run: serializeRun(run) });
+  } catch (error) {
+    console.error("Error loading run:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
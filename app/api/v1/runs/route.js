@@ -0,0 +1,128 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import {
+  parseRunRequest,
+  serializeResult,
+  serializeRun,
+  summarizeRunResults,
+} from "../../../lib/apiV1";
+import TestRun from "../../../models/TestRun";
+import { authenticateRequest } from "../../../services/accessTokenService";
+import { startApiRun } from "../../../services/apiRunService";
+import { requiresApiKey } from "../../../services/pagespeedProviders";
+import { resolveApiKey } from "../../../services/apiKeyService";
+
+// A waiting request blocks until the run finishes
+export const maxDuration = 300;
+export const dynamic = "force-dynamic";
+
+const DEFAULT_LIMIT = 20;
+
+/**
+ * List the latest runs, newest first. ?limit= caps the number of runs
+ * (default 20, at most 100).
+ */
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(Number(searchParams.get("limit")) || DEFAULT_LIMIT, 100);
+
+  try {
+    if (!(await authenticateRequest(request))) {
+      return NextResponse.json(
+        { error: "Missing, invalid or expired access token" },
+        { status: 401 }
+      );
+    }
+
+    await connectToDatabase();
+    const runs = await TestRun.find().sort({ startedAt: -1 }).limit(limit);
+
+    return NextResponse.json({ runs: runs.map(serializeRun) });
+  } catch (error) {
+    console.error("Error listing runs:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+/**
+ * Start a run. Responds 202 with the running run, or, when the body asks to
+ * wait and the run finishes in time, 201 with the run and its results.
+ */
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const accessToken = await authenticateRequest(request);
+    if (!accessToken) {
+      return NextResponse.json(
+        { error: "Missing, invalid or expired access token" },
+        { status: 401 }
+      );
+    }
+
+    let runRequest;
+    try {
+      runRequest = parseRunRequest(body);
+    } catch (validationError) {
+      return NextResponse.json(
+        { error: validationError.message },
+        { status: 400 }
+      );
+    }
+
+    const apiKey = await resolveApiKey();
+    if (!apiKey && requiresApiKey()) {
+      return NextResponse.json(
+        {
+          error:
+            "No API key configured on the server. Add one on the API Keys page or set PAGESPEED_API_KEY.",
+        },
+        { status: 503 }
+      );
+    }
+
+    const { run, finished } = await startApiRun(runRequest, accessToken, apiKey);
+    finished.catch((error) => {
+      console.error(`API run ${run._id} could not be stored:`, error);
+    });
+
+    if (runRequest.waitSeconds > 0) {
+      let timer;
+      const outcome = await Promise.race([
+        finished,
+        new Promise((resolve) => {
+          timer = setTimeout(resolve, runRequest.waitSeconds * 1000, null);
+        }),
+      ]);
+      clearTimeout(timer);
+
+      if (outcome) {
+        return NextResponse.json(
+          {
+            run: serializeRun(outcome.run),
+            summary: summarizeRunResults(outcome.results),
+            results: outcome.results.map(serializeResult),
+          },
+          { status: 201 }
+        );
+      }
+    }
+
+    const location = serializeRun(run).links.self;
+    return NextResponse.json(
+      { run: serializeRun(run) },
+      { status: 202, headers: { Location: location } }
+    );
+  } catch (error) {
+    console.error("Error starting API run:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
@@ -0,0 +1,38 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../../lib/mongoose";
+import { getModelErrorResponse } from "../../../../lib/scheduledTests";
+import WebhookDelivery from "../../../../models/WebhookDelivery";
+
+export const dynamic = "force-dynamic";
+
+const DEFAULT_LIMIT = 50;
+
+/**
+ * Delivery log of a webhook, newest first. ?limit= caps the number of
+ * deliveries (default 50, at most 200).
+ */
+export async function GET(request, { params }) {
+  const { searchParams } = new URL(request.url);
+  const limit = Math.min(
+    Number(searchParams.get("limit")) || DEFAULT_LIMIT,
+    200
+  );
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const deliveries = await WebhookDelivery.find({ webhook: id })
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    return NextResponse.json({ deliveries });
+  } catch (error) {
+    console.error("Error loading webhook deliveries:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Webhook not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
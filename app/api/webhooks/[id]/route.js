@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../lib/mongoose";
+import { pickWebhookFields } from "../../../lib/webhooks";
+import { getModelErrorResponse } from "../../../lib/scheduledTests";
+import Webhook from "../../../models/Webhook";
+import WebhookDelivery from "../../../models/WebhookDelivery";
+
+export const dynamic = "force-dynamic";
+
+export async function PATCH(request, { params }) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const webhook = await Webhook.findById(id).select("+secret");
+    if (!webhook) {
+      return NextResponse.json({ error: "Webhook not found" }, { status: 404 });
+    }
+
+    webhook.set(pickWebhookFields(body));
+    await webhook.save();
+
+    return NextResponse.json({ webhook });
+  } catch (error) {
+    console.error("Error updating webhook:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Webhook not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
+
+export async function DELETE(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const webhook = await Webhook.findByIdAndDelete(id);
+    if (!webhook) {
+      return NextResponse.json({ error: "Webhook not found" }, { status: 404 });
+    }
+
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+
+    return NextResponse.json({ success: true });
+  } catch (error) {
+    console.error("Error deleting webhook:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Webhook not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,34 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../../../lib/mongoose";
+import { getModelErrorResponse } from "../../../../lib/scheduledTests";
+import Webhook from "../../../../models/Webhook";
+import { sendTestWebhook } from "../../../../services/webhookService";
+
+export const dynamic = "force-dynamic";
+
+/**
+ * Send a "ping" event to a webhook and return the logged delivery, so the
+ * endpoint and signature can be checked before a run fires it
+ */
+export async function POST(request, { params }) {
+  try {
+    const { id } = await params;
+    await connectToDatabase();
+
+    const webhook = await Webhook.findById(id).select("+secret");
+    if (!webhook) {
+      return NextResponse.json({ error: "Webhook not found" }, { status: 404 });
+    }
+
+    const delivery = await sendTestWebhook(webhook);
+
+    return NextResponse.json({ delivery });
+  } catch (error) {
+    console.error("Error sending test webhook:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Webhook not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
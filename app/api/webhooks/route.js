@@ -0,0 +1,50 @@
+import { NextResponse } from "next/server";
+import { connectToDatabase } from "../../lib/mongoose";
+import { pickWebhookFields } from "../../lib/webhooks";
+import { getModelErrorResponse } from "../../lib/scheduledTests";
+import Webhook from "../../models/Webhook";
+
+export const dynamic = "force-dynamic";
+
+export async function GET() {
+  try {
+    await connectToDatabase();
+
+    // The secret is selected only so the list can show which are signed
+    const webhooks = await Webhook.find()
+      .select("+secret")
+      .sort({ createdAt: 1 });
+
+    return NextResponse.json({ webhooks });
+  } catch (error) {
+    console.error("Error listing webhooks:", error);
+    return NextResponse.json({ error: error.message }, { status: 500 });
+  }
+}
+
+export async function POST(request) {
+  let body;
+  try {
+    body = await request.json();
+  } catch (parseError) {
+    return NextResponse.json(
+      { error: "Invalid JSON in request body" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    await connectToDatabase();
+
+    const webhook = await Webhook.create(pickWebhookFields(body));
+
+    return NextResponse.json({ webhook }, { status: 201 });
+  } catch (error) {
+    console.error("Error creating webhook:", error);
+    const { status, message } = getModelErrorResponse(
+      error,
+      "Webhook not found"
+    );
+    return NextResponse.json({ error: message }, { status });
+  }
+}
@@ -0,0 +1,166 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import BrandingProfileForm from "../components/BrandingProfileForm";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+export default function Branding() {
+  const [profiles, setProfiles] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [formKey, setFormKey] = useState(0);
+
+  const loadProfiles = useCallback(async () => {
+    try {
+      const data = await requestJson("/api/branding-profiles");
+      setProfiles(data.profiles);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading branding profiles: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadProfiles();
+  }, [loadProfiles]);
+
+  const handleCreate = async (values) => {
+    await requestJson("/api/branding-profiles", {
+      method: "POST",
+      body: JSON.stringify(values),
+    });
+    // Remount the form to clear it
+    setFormKey((key) => key + 1);
+    await loadProfiles();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await requestJson(`/api/branding-profiles/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(values),
+    });
+    setEditingId(null);
+    await loadProfiles();
+  };
+
+  const handleDelete = async (profile) => {
+    if (!confirm(`Delete the branding profile "${profile.name}"?`)) return;
+
+    try {
+      await requestJson(`/api/branding-profiles/${profile._id}`, {
+        method: "DELETE",
+      });
+      await loadProfiles();
+    } catch (deleteError) {
+      alert(`Error deleting branding profile: ${deleteError.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            Report Branding
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="mb-2 text-lg font-medium text-gray-900">
+            New Branding Profile
+          </h2>
+          <p className="mb-5 text-sm text-gray-500">
+            A profile puts your logo, company and client name, color, cover
+            note and footer on the PDF report. Pick it next to the export
+            buttons after a test run.
+          </p>
+          <BrandingProfileForm key={formKey} onSubmit={handleCreate} />
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-6 border-b border-gray-200 pb-4">
+          <h2 className="text-xl font-medium text-gray-900">Profiles</h2>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading branding profiles...</p>
+        ) : profiles.length === 0 ? (
+          <p className="text-sm text-gray-500">No branding profiles yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {profiles.map((profile) => (
+              <div
+                key={profile._id}
+                className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm"
+              >
+                {editingId === profile._id ? (
+                  <BrandingProfileForm
+                    initialValues={profile}
+                    onSubmit={(values) => handleUpdate(profile._id, values)}
+                    onCancel={() => setEditingId(null)}
+                    submitLabel="Save Changes"
+                  />
+                ) : (
+                  <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-start">
+                    <div className="flex items-start gap-3">
+                      <span
+                        className="mt-0.5 h-5 w-5 flex-shrink-0 rounded border border-gray-200"
+                        style={{ backgroundColor: profile.primaryColor }}
+                        title={profile.primaryColor}
+                      />
+                      <div>
+                        <h3 className="text-sm font-medium text-gray-900">
+                          {profile.name}
+                        </h3>
+                        <p className="mt-1 text-xs text-gray-500">
+                          {[
+                            profile.companyName,
+                            profile.clientName && `for ${profile.clientName}`,
+                            profile.logo ? "with logo" : "no logo",
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </p>
+                      </div>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => setEditingId(profile._id)}
+                        className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(profile)}
+                        className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,178 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import BudgetForm from "../components/BudgetForm";
+import { BUDGET_METRICS, formatBudgetValue } from "../lib/budgets";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+/**
+ * Describe the limits of a budget, e.g. "Performance ≥ 80 · LCP ≤ 2.5 s"
+ * @param {Object} thresholds - Limits keyed by budget metric key
+ * @returns {string} - Summary of the limits
+ */
+const describeThresholds = (thresholds = {}) =>
+  BUDGET_METRICS.filter(
+    ({ key }) => thresholds[key] !== undefined && thresholds[key] !== null
+  )
+    .map(
+      (metric) =>
+        `${metric.label} ${metric.comparison === "min" ? "≥" : "≤"} ${formatBudgetValue(
+          metric,
+          thresholds[metric.key]
+        )}`
+    )
+    .join(" · ");
+
+export default function Budgets() {
+  const [budgets, setBudgets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [formKey, setFormKey] = useState(0);
+
+  const loadBudgets = useCallback(async () => {
+    try {
+      const data = await requestJson("/api/budgets");
+      setBudgets(data.budgets);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading budgets: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBudgets();
+  }, [loadBudgets]);
+
+  const handleCreate = async (values) => {
+    await requestJson("/api/budgets", {
+      method: "POST",
+      body: JSON.stringify(values),
+    });
+    // Remount the form to clear it
+    setFormKey((key) => key + 1);
+    await loadBudgets();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await requestJson(`/api/budgets/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(values),
+    });
+    setEditingId(null);
+    await loadBudgets();
+  };
+
+  const handleDelete = async (budget) => {
+    if (!confirm(`Delete the budget "${budget.name}"?`)) return;
+
+    try {
+      await requestJson(`/api/budgets/${budget._id}`, { method: "DELETE" });
+      await loadBudgets();
+    } catch (deleteError) {
+      alert(`Error deleting budget: ${deleteError.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            Performance Budgets
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="mb-2 text-lg font-medium text-gray-900">New Budget</h2>
+          <p className="mb-5 text-sm text-gray-500">
+            Every result is checked against the global budgets and the budgets
+            whose URL pattern matches. When two budgets limit the same metric,
+            the pattern budget wins, and a schedule&apos;s own budget wins over
+            both.
+          </p>
+          <BudgetForm key={formKey} onSubmit={handleCreate} />
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-6 border-b border-gray-200 pb-4">
+          <h2 className="text-xl font-medium text-gray-900">Budgets</h2>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading budgets...</p>
+        ) : budgets.length === 0 ? (
+          <p className="text-sm text-gray-500">No budgets yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {budgets.map((budget) => (
+              <div
+                key={budget._id}
+                className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm"
+              >
+                {editingId === budget._id ? (
+                  <BudgetForm
+                    initialValues={budget}
+                    onSubmit={(values) => handleUpdate(budget._id, values)}
+                    onCancel={() => setEditingId(null)}
+                    submitLabel="Save Changes"
+                  />
+                ) : (
+                  <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-start">
+                    <div>
+                      <div className="flex items-center gap-2">
+                        <h3 className="text-sm font-medium text-gray-900">
+                          {budget.name}
+                        </h3>
+                        <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+                          {budget.urlPattern ? (
+                            <span className="font-mono">{budget.urlPattern}</span>
+                          ) : (
+                            "All URLs"
+                          )}
+                        </span>
+                      </div>
+                      <p className="mt-1 text-xs text-gray-500">
+                        {describeThresholds(budget.thresholds)}
+                      </p>
+                    </div>
+
+                    <div className="flex flex-wrap gap-2">
+                      <button
+                        onClick={() => setEditingId(budget._id)}
+                        className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                      >
+                        Edit
+                      </button>
+                      <button
+                        onClick={() => handleDelete(budget)}
+                        className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                      >
+                        Delete
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
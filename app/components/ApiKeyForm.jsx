@@ -0,0 +1,173 @@
+"use client";
+
+import { useState } from "react";
+import {
+  DEFAULT_QUOTA_PER_100_SECONDS,
+  DEFAULT_QUOTA_PER_DAY,
+} from "../lib/apiKeys";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Create/edit form for a server API key
+ * @param {Object} props
+ * @param {Object} props.initialValues - Values to pre-fill the form with
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the user cancels an edit
+ * @param {string} props.submitLabel - Label of the submit button
+ */
+export default function ApiKeyForm({
+  initialValues = {},
+  onSubmit,
+  onCancel,
+  submitLabel = "Add API Key",
+}) {
+  const [values, setValues] = useState({
+    name: initialValues.name || "",
+    key: "",
+    quotaPerDay: initialValues.quotaPerDay ?? DEFAULT_QUOTA_PER_DAY,
+    quotaPer100Seconds:
+      initialValues.quotaPer100Seconds ?? DEFAULT_QUOTA_PER_100_SECONDS,
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const setValue = (field, value) =>
+    setValues((previous) => ({ ...previous, [field]: value }));
+
+  const editing = Boolean(initialValues._id);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!editing && !values.key.trim()) {
+      setError("Please enter the API key");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit(values);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const idPrefix = editing ? `api-key-${initialValues._id}` : "api-key";
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        <div>
+          <label
+            htmlFor={`${idPrefix}-name`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Name
+          </label>
+          <input
+            id={`${idPrefix}-name`}
+            type="text"
+            value={values.name}
+            onChange={(e) => setValue("name", e.target.value)}
+            className={inputClassName}
+            placeholder="Marketing project"
+            required
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-key`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            API Key
+            {editing && (
+              <span className="ml-2 text-xs font-normal text-gray-500">
+                (leave empty to keep the key ending in {initialValues.suffix})
+              </span>
+            )}
+          </label>
+          <input
+            id={`${idPrefix}-key`}
+            type="password"
+            value={values.key}
+            onChange={(e) => setValue("key", e.target.value)}
+            className={inputClassName}
+            autoComplete="new-password"
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-quota-day`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Requests per Day
+          </label>
+          <input
+            id={`${idPrefix}-quota-day`}
+            type="number"
+            min="1"
+            value={values.quotaPerDay}
+            onChange={(e) => setValue("quotaPerDay", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-quota-window`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Requests per 100 Seconds
+          </label>
+          <input
+            id={`${idPrefix}-quota-window`}
+            type="number"
+            min="1"
+            value={values.quotaPer100Seconds}
+            onChange={(e) => setValue("quotaPer100Seconds", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <p className="mb-5 text-xs text-gray-500">
+        Use the quotas shown for the PageSpeed Insights API in the key&apos;s
+        Google Cloud project. Daily quotas reset at midnight Pacific Time.
+      </p>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+            saving ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+          }`}
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
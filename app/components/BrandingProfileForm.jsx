@@ -0,0 +1,232 @@
+"use client";
+
+import { useState } from "react";
+import {
+  DEFAULT_PRIMARY_COLOR,
+  LOGO_TYPES,
+  MAX_LOGO_BYTES,
+} from "../lib/branding";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Read a file as a data URL
+ * @param {File} file - Selected file
+ * @returns {Promise<string>} - Data URL
+ */
+const readDataUrl = (file) =>
+  new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(file);
+  });
+
+/**
+ * Create/edit form for a branding profile applied to PDF exports
+ * @param {Object} props
+ * @param {Object} props.initialValues - Values to pre-fill the form with
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the user cancels an edit
+ * @param {string} props.submitLabel - Label of the submit button
+ */
+export default function BrandingProfileForm({
+  initialValues = {},
+  onSubmit,
+  onCancel,
+  submitLabel = "Create Profile",
+}) {
+  const [values, setValues] = useState({
+    name: initialValues.name || "",
+    companyName: initialValues.companyName || "",
+    clientName: initialValues.clientName || "",
+    primaryColor: initialValues.primaryColor || DEFAULT_PRIMARY_COLOR,
+    logo: initialValues.logo || "",
+    footerText: initialValues.footerText || "",
+    coverNote: initialValues.coverNote || "",
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const setValue = (field, value) =>
+    setValues((previous) => ({ ...previous, [field]: value }));
+
+  const handleLogo = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    if (!LOGO_TYPES.includes(file.type)) {
+      setError("The logo must be a PNG or JPEG image");
+      return;
+    }
+    if (file.size > MAX_LOGO_BYTES) {
+      setError(`The logo must be at most ${MAX_LOGO_BYTES / 1024} KB`);
+      return;
+    }
+
+    try {
+      setValue("logo", await readDataUrl(file));
+      setError("");
+    } catch (readError) {
+      setError(`Could not read ${file.name}: ${readError.message}`);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    setSaving(true);
+    try {
+      await onSubmit(values);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const idPrefix = initialValues._id
+    ? `branding-${initialValues._id}`
+    : "branding";
+
+  const textFields = [
+    { field: "name", label: "Profile Name", placeholder: "Globex reports", required: true },
+    { field: "companyName", label: "Company Name", placeholder: "Acme Agency" },
+    { field: "clientName", label: "Client Name", placeholder: "Globex Corporation" },
+    { field: "footerText", label: "Footer Text", placeholder: "Confidential" },
+  ];
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        {textFields.map(({ field, label, placeholder, required }) => (
+          <div key={field}>
+            <label
+              htmlFor={`${idPrefix}-${field}`}
+              className="mb-2 block text-sm font-medium text-gray-700"
+            >
+              {label}
+            </label>
+            <input
+              id={`${idPrefix}-${field}`}
+              type="text"
+              value={values[field]}
+              onChange={(e) => setValue(field, e.target.value)}
+              className={inputClassName}
+              placeholder={placeholder}
+              required={required}
+            />
+          </div>
+        ))}
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-color`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Primary Color
+          </label>
+          <div className="flex items-center gap-2">
+            <input
+              id={`${idPrefix}-color`}
+              type="color"
+              value={values.primaryColor}
+              onChange={(e) => setValue("primaryColor", e.target.value)}
+              className="h-9 w-12 cursor-pointer rounded border border-gray-300"
+            />
+            <span className="font-mono text-sm text-gray-500">
+              {values.primaryColor}
+            </span>
+          </div>
+        </div>
+
+        <div>
+          <span className="mb-2 block text-sm font-medium text-gray-700">
+            Logo
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              (PNG or JPEG, max {MAX_LOGO_BYTES / 1024} KB)
+            </span>
+          </span>
+          <div className="flex items-center gap-3">
+            {values.logo && (
+              // eslint-disable-next-line @next/next/no-img-element
+              <img
+                src={values.logo}
+                alt="Logo preview"
+                className="h-9 max-w-[8rem] rounded border border-gray-200 object-contain"
+              />
+            )}
+            <label className="cursor-pointer rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50">
+              {values.logo ? "Replace" : "Upload"}
+              <input
+                type="file"
+                accept={LOGO_TYPES.join(",")}
+                onChange={handleLogo}
+                className="hidden"
+              />
+            </label>
+            {values.logo && (
+              <button
+                type="button"
+                onClick={() => setValue("logo", "")}
+                className="text-xs font-medium text-red-600 hover:text-red-700"
+              >
+                Remove
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label
+          htmlFor={`${idPrefix}-coverNote`}
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          Cover Note
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            (optional, shown on the cover page)
+          </span>
+        </label>
+        <textarea
+          id={`${idPrefix}-coverNote`}
+          value={values.coverNote}
+          onChange={(e) => setValue("coverNote", e.target.value)}
+          className={`h-24 ${inputClassName}`}
+          maxLength={2000}
+          placeholder="This audit covers the home page and the main product templates..."
+        />
+      </div>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+            saving ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+          }`}
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,52 @@
+'use client';
+
+import { BUDGET_METRICS, formatBudgetValue } from '../lib/budgets';
+
+/**
+ * Pass/fail badge for a budget evaluation
+ * @param {Object} props
+ * @param {Object} props.budget - Evaluation from evaluateBudget
+ */
+export function BudgetStatusBadge({ budget }) {
+  if (!budget) return null;
+
+  return (
+    <span
+      className={`whitespace-nowrap rounded-full px-2.5 py-0.5 text-xs font-medium ${
+        budget.passed ? 'bg-emerald-50 text-emerald-600' : 'bg-rose-50 text-rose-600'
+      }`}
+    >
+      {budget.passed ? 'Budget passed' : 'Budget failed'}
+    </span>
+  );
+}
+
+/**
+ * One badge per budget check, e.g. "LCP 3.1 s / 2.5 s"
+ * @param {Object} props
+ * @param {Object} props.budget - Evaluation from evaluateBudget
+ */
+export default function BudgetChecks({ budget }) {
+  if (!budget || budget.checks.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap gap-1.5">
+      {budget.checks.map((check) => {
+        const metric = BUDGET_METRICS.find(({ key }) => key === check.metric);
+
+        return (
+          <span
+            key={check.metric}
+            title={`${metric.comparison === 'min' ? 'Minimum' : 'Maximum'} ${formatBudgetValue(metric, check.limit)}`}
+            className={`rounded px-1.5 py-0.5 text-xs ${
+              check.passed ? 'bg-emerald-50 text-emerald-600' : 'bg-rose-50 text-rose-600'
+            }`}
+          >
+            {check.passed ? '✓' : '✗'} {check.label} {formatBudgetValue(metric, check.actual)} /{' '}
+            {formatBudgetValue(metric, check.limit)}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+"use client";
+
+import { BUDGET_METRICS } from "../lib/budgets";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const getPlaceholder = (metric) => {
+  if (metric.category) return "e.g. 80";
+  if (metric.unit === "unitless") return "e.g. 0.1";
+  return "ms";
+};
+
+/**
+ * Threshold inputs for a budget, empty inputs are not checked
+ * @param {Object} props
+ * @param {Object} props.values - Thresholds keyed by budget metric key
+ * @param {Function} props.onChange - Called with the updated thresholds
+ * @param {string} props.idPrefix - Prefix for input ids, keeps them unique per form
+ */
+export default function BudgetFields({ values, onChange, idPrefix = "budget" }) {
+  return (
+    <div className="grid grid-cols-2 gap-3 sm:grid-cols-5">
+      {BUDGET_METRICS.map((metric) => (
+        <div key={metric.key}>
+          <label
+            htmlFor={`${idPrefix}-${metric.key}`}
+            className="mb-1 block text-xs font-medium text-gray-500"
+          >
+            {metric.label} {metric.comparison === "min" ? "≥" : "≤"}
+          </label>
+          <input
+            id={`${idPrefix}-${metric.key}`}
+            type="number"
+            min="0"
+            step="any"
+            value={values[metric.key] ?? ""}
+            onChange={(e) =>
+              onChange({ ...values, [metric.key]: e.target.value })
+            }
+            className={inputClassName}
+            placeholder={getPlaceholder(metric)}
+          />
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,129 @@
+"use client";
+
+import { useState } from "react";
+import BudgetFields from "./BudgetFields";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Create/edit form for a global or URL pattern budget
+ * @param {Object} props
+ * @param {Object} props.initialValues - Values to pre-fill the form with
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the user cancels an edit
+ * @param {string} props.submitLabel - Label of the submit button
+ */
+export default function BudgetForm({
+  initialValues = {},
+  onSubmit,
+  onCancel,
+  submitLabel = "Create Budget",
+}) {
+  const [name, setName] = useState(initialValues.name || "");
+  const [urlPattern, setUrlPattern] = useState(initialValues.urlPattern || "");
+  const [thresholds, setThresholds] = useState(initialValues.thresholds || {});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    setSaving(true);
+    try {
+      await onSubmit({ name, urlPattern, thresholds });
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const idPrefix = initialValues._id ? `budget-${initialValues._id}` : "budget";
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        <div>
+          <label
+            htmlFor={`${idPrefix}-name`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Name
+          </label>
+          <input
+            id={`${idPrefix}-name`}
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            className={inputClassName}
+            placeholder="Client SLA"
+            required
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-pattern`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            URL Pattern
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              (optional, leave blank for all URLs)
+            </span>
+          </label>
+          <input
+            id={`${idPrefix}-pattern`}
+            type="text"
+            value={urlPattern}
+            onChange={(e) => setUrlPattern(e.target.value)}
+            className={`font-mono ${inputClassName}`}
+            placeholder="example.com/blog/*"
+          />
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label className="mb-2 block text-sm font-medium text-gray-700">
+          Limits
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            (scores 0-100, times in milliseconds)
+          </span>
+        </label>
+        <BudgetFields
+          values={thresholds}
+          onChange={setThresholds}
+          idPrefix={idPrefix}
+        />
+      </div>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+            saving ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+          }`}
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
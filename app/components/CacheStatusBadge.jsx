@@ -0,0 +1,43 @@
+"use client";
+
+/**
+ * Age of a result, e.g. "4 min"
+ * @param {string} fetchedAt - ISO timestamp the result was received
+ * @returns {string} - Rounded age
+ */
+const formatAge = (fetchedAt) => {
+  const minutes = Math.floor((Date.now() - new Date(fetchedAt)) / 60000);
+  if (minutes < 1) return "<1 min";
+  if (minutes < 60) return `${minutes} min`;
+  return `${Math.floor(minutes / 60)} h`;
+};
+
+/**
+ * Badge for results that were not tested for this request: served from the
+ * server's result cache, or shared with an identical test that was running
+ * @param {Object} props
+ * @param {Object} props.cache - { status, fetchedAt } from getCachedResult
+ * @param {string} props.label - Optional prefix, e.g. the strategy
+ */
+export default function CacheStatusBadge({ cache, label }) {
+  if (!cache || cache.status === "miss") return null;
+
+  const fetched = new Date(cache.fetchedAt).toLocaleString();
+  const text =
+    cache.status === "hit"
+      ? `Cached · ${formatAge(cache.fetchedAt)} old`
+      : "Shared test";
+
+  return (
+    <span
+      title={
+        cache.status === "hit"
+          ? `From the server cache, tested ${fetched}`
+          : `Shared with an identical test that was already running, tested ${fetched}`
+      }
+      className="whitespace-nowrap rounded-full bg-sky-50 px-2.5 py-0.5 text-xs font-medium text-sky-700"
+    >
+      {label ? `${label}: ${text}` : text}
+    </span>
+  );
+}
@@ -0,0 +1,404 @@
+"use client";
+
+import { useState } from "react";
+import { CATEGORIES, formatMetricValue } from "../lib/lighthouse";
+import {
+  COMPARISON_METRICS,
+  DEFAULT_COMPARISON_THRESHOLDS,
+  compareResults,
+  getComparisonRowLabel,
+  parseComparisonThresholds,
+  parseResultsFile,
+} from "../lib/comparison";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const secondaryButtonClassName =
+  "rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50 disabled:text-gray-400";
+
+// Positive deltas are good for scores and bad for metrics
+const getDeltaClass = (delta, higherIsBetter) => {
+  if (delta === null || delta === 0) return "text-gray-500";
+  return delta > 0 === higherIsBetter ? "text-emerald-600" : "text-rose-500";
+};
+
+const formatSigned = (value, format = (number) => `${number}`) =>
+  value === null ? "–" : `${value > 0 ? "+" : ""}${format(value)}`;
+
+/**
+ * Slot for one side of the comparison: session results or an uploaded file
+ * @param {Object} props
+ * @param {string} props.title - "Baseline" or "Current"
+ * @param {Object} props.value - { label, results } or null
+ * @param {Function} props.onUseSession - Use the results of this session
+ * @param {Function} props.onUpload - Called with { label, results } from a file
+ * @param {boolean} props.hasSession - Whether there are session results
+ */
+function ResultSetSlot({ title, value, onUseSession, onUpload, hasSession }) {
+  const [error, setError] = useState("");
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    try {
+      onUpload({ label: file.name, results: parseResultsFile(await file.text()) });
+      setError("");
+    } catch (parseError) {
+      setError(`Could not read ${file.name}: ${parseError.message}`);
+    }
+    e.target.value = "";
+  };
+
+  return (
+    <div className="rounded-md border border-gray-200 bg-gray-50 p-4">
+      <h3 className="text-sm font-medium text-gray-900">{title}</h3>
+      <p className="mb-3 mt-1 text-xs text-gray-500">
+        {value
+          ? `${value.label} · ${value.results.length} result${value.results.length === 1 ? "" : "s"}`
+          : "Not set"}
+      </p>
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={onUseSession}
+          disabled={!hasSession}
+          className={secondaryButtonClassName}
+        >
+          Use Current Results
+        </button>
+        <label className={`cursor-pointer ${secondaryButtonClassName}`}>
+          Upload JSON
+          <input
+            type="file"
+            accept=".json,application/json"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Diff two result sets per URL and strategy and export the regression report
+ * @param {Object} props
+ * @param {Array} props.sessionResults - Results of the last batch on this page
+ */
+export default function ComparisonPanel({ sessionResults }) {
+  const [baseline, setBaseline] = useState(null);
+  const [current, setCurrent] = useState(null);
+  // Kept as typed so an input can be cleared, see limits below
+  const [thresholds, setThresholds] = useState(DEFAULT_COMPARISON_THRESHOLDS);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState("");
+
+  const hasSession = sessionResults.length > 0;
+  // Compare against the latest batch unless another set was uploaded
+  const currentSet =
+    current ||
+    (hasSession ? { label: "Current session", results: sessionResults } : null);
+
+  // Empty inputs use the defaults, invalid ones too until they are fixed
+  let limits = DEFAULT_COMPARISON_THRESHOLDS;
+  let thresholdError = "";
+  try {
+    limits = parseComparisonThresholds(thresholds);
+  } catch (parseError) {
+    thresholdError = parseError.message;
+  }
+
+  const comparison =
+    baseline && currentSet
+      ? compareResults(baseline.results, currentSet.results, limits)
+      : null;
+
+  const handleThresholdChange = (key, value) => {
+    setThresholds((previous) => ({ ...previous, [key]: value }));
+  };
+
+  const handleExport = async (format) => {
+    setError("");
+    setExporting(true);
+    try {
+      const response = await fetch(`/api/export/${format}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          report: "comparison",
+          baseline: baseline.results,
+          current: currentSet.results,
+          thresholds: limits,
+          reportName: `${baseline.label} vs ${currentSet.label}`,
+        }),
+      });
+
+      if (!response.ok) {
+        let errorMessage = `Failed with status ${response.status}`;
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (e) {
+          // Not JSON, keep the status message
+        }
+        throw new Error(errorMessage);
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `pagespeed-comparison-${new Date().toISOString().split("T")[0]}.${format}`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (exportError) {
+      setError(`Error exporting comparison: ${exportError.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+      <div className="mb-5 flex flex-col justify-between gap-4 sm:flex-row sm:items-center">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Compare Runs</h2>
+          <p className="text-sm text-gray-500">
+            Diff two result sets, e.g. before and after a deploy. Use
+            &quot;Export JSON&quot; to keep a run for later comparisons.
+          </p>
+        </div>
+        {comparison && (
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => handleExport("csv")}
+              disabled={exporting}
+              className={secondaryButtonClassName}
+            >
+              Export Comparison CSV
+            </button>
+            <button
+              type="button"
+              onClick={() => handleExport("pdf")}
+              disabled={exporting}
+              className={secondaryButtonClassName}
+            >
+              Export Comparison PDF
+            </button>
+          </div>
+        )}
+      </div>
+
+      <div className="mb-5 grid gap-4 sm:grid-cols-2">
+        <ResultSetSlot
+          title="Baseline"
+          value={baseline}
+          hasSession={hasSession}
+          onUseSession={() =>
+            setBaseline({ label: "Earlier session run", results: sessionResults })
+          }
+          onUpload={setBaseline}
+        />
+        <ResultSetSlot
+          title="Current"
+          value={currentSet}
+          hasSession={hasSession}
+          onUseSession={() => setCurrent(null)}
+          onUpload={setCurrent}
+        />
+      </div>
+
+      <div className="mb-5 grid gap-4 sm:grid-cols-2">
+        <div>
+          <label
+            htmlFor="comparisonScoreThreshold"
+            className="mb-2 block text-xs font-medium text-gray-700"
+          >
+            Highlight score drops of at least (points)
+          </label>
+          <input
+            id="comparisonScoreThreshold"
+            type="number"
+            min="1"
+            value={thresholds.score}
+            placeholder={String(DEFAULT_COMPARISON_THRESHOLDS.score)}
+            onChange={(e) => handleThresholdChange("score", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label
+            htmlFor="comparisonMetricThreshold"
+            className="mb-2 block text-xs font-medium text-gray-700"
+          >
+            Highlight metric increases of at least (%)
+          </label>
+          <input
+            id="comparisonMetricThreshold"
+            type="number"
+            min="1"
+            value={thresholds.metric}
+            placeholder={String(DEFAULT_COMPARISON_THRESHOLDS.metric)}
+            onChange={(e) => handleThresholdChange("metric", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+        {thresholdError && (
+          <p className="text-xs text-red-600 sm:col-span-2">
+            {thresholdError}, using the defaults.
+          </p>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      {comparison && (
+        <>
+          <div className="mb-4 flex flex-wrap gap-4 text-xs text-gray-500">
+            <span>
+              <span className="font-medium text-gray-700">
+                {comparison.summary.compared}
+              </span>{" "}
+              compared
+            </span>
+            <span>
+              <span className="font-medium text-rose-500">
+                {comparison.summary.regressed}
+              </span>{" "}
+              regressed
+            </span>
+            <span>
+              <span className="font-medium text-emerald-600">
+                {comparison.summary.improved}
+              </span>{" "}
+              improved
+            </span>
+            <span>
+              <span className="font-medium text-gray-700">
+                {comparison.summary.newlyFailingAudits}
+              </span>{" "}
+              newly failing audits
+            </span>
+            {(comparison.unmatched.baseline.length > 0 ||
+              comparison.unmatched.current.length > 0) && (
+              <span className="text-amber-600">
+                {comparison.unmatched.baseline.length} only in baseline,{" "}
+                {comparison.unmatched.current.length} only in current
+              </span>
+            )}
+          </div>
+
+          {comparison.rows.length === 0 ? (
+            <p className="text-sm text-gray-500">
+              The two sets have no URL and strategy in common.
+            </p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="w-full text-xs">
+                <thead>
+                  <tr className="text-left text-gray-500">
+                    <th className="px-2 pb-2 font-medium">Page</th>
+                    {CATEGORIES.map(({ key, label }) => (
+                      <th key={key} className="px-2 pb-2 font-medium">
+                        {label}
+                      </th>
+                    ))}
+                    {COMPARISON_METRICS.map(({ key, label }) => (
+                      <th key={key} className="px-2 pb-2 font-medium">
+                        {label}
+                      </th>
+                    ))}
+                    <th className="px-2 pb-2 font-medium">Audits</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.rows.map((row) => (
+                    <tr
+                      key={`${row.url}-${row.strategy}`}
+                      className={`border-t border-gray-100 align-top ${
+                        row.regressions.length > 0 ? "bg-rose-50" : ""
+                      }`}
+                    >
+                      <td className="max-w-xs break-words px-2 py-2 text-gray-900">
+                        {getComparisonRowLabel(row)}
+                        {row.regressions.length > 0 && (
+                          <p className="mt-1 text-rose-600">
+                            {row.regressions.join(", ")}
+                          </p>
+                        )}
+                        {row.error && (
+                          <p className="mt-1 text-red-500">{row.error}</p>
+                        )}
+                      </td>
+                      {CATEGORIES.map(({ key }) => {
+                        const category = row.categories[key];
+                        return (
+                          <td
+                            key={key}
+                            title={
+                              category && category.delta !== null
+                                ? `${category.before} → ${category.after}`
+                                : ""
+                            }
+                            className={`px-2 py-2 font-medium ${getDeltaClass(
+                              category?.delta ?? null,
+                              true
+                            )}`}
+                          >
+                            {formatSigned(category?.delta ?? null)}
+                          </td>
+                        );
+                      })}
+                      {COMPARISON_METRICS.map(({ key, unit }) => {
+                        const metric = row.metrics[key];
+                        const format = (value) => formatMetricValue(value, unit);
+                        return (
+                          <td
+                            key={key}
+                            title={
+                              metric && metric.delta !== null
+                                ? `${format(metric.before)} → ${format(metric.after)}`
+                                : ""
+                            }
+                            className={`whitespace-nowrap px-2 py-2 ${getDeltaClass(
+                              metric?.delta ?? null,
+                              false
+                            )}`}
+                          >
+                            {formatSigned(metric?.delta ?? null, format)}
+                          </td>
+                        );
+                      })}
+                      <td className="px-2 py-2">
+                        {row.newlyFailing.map((audit) => (
+                          <p key={audit.id} className="text-rose-500">
+                            ✗ {audit.title}
+                          </p>
+                        ))}
+                        {row.newlyPassing.map((audit) => (
+                          <p key={audit.id} className="text-emerald-600">
+                            ✓ {audit.title}
+                          </p>
+                        ))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
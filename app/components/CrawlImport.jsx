@@ -0,0 +1,187 @@
+"use client";
+
+import { useState } from "react";
+import { requestJson } from "../lib/requestJson";
+import { groupUrlsByTemplate } from "../lib/urlPatterns";
+
+// Batches and schedules accept at most this many URLs
+const MAX_URLS = 50;
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Crawl a site from a start URL and pick pages, optionally one per template
+ * @param {Object} props
+ * @param {Function} props.onUseUrls - Called with the selected URLs for a batch
+ * @param {Function} props.onSchedule - Called with the selected URLs for a schedule
+ */
+export default function CrawlImport({ onUseUrls, onSchedule }) {
+  const [startUrl, setStartUrl] = useState("");
+  const [maxDepth, setMaxDepth] = useState(2);
+  const [maxPages, setMaxPages] = useState(100);
+  const [crawl, setCrawl] = useState(null);
+  const [onePerTemplate, setOnePerTemplate] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleCrawl = async (e) => {
+    e.preventDefault();
+    if (!startUrl.trim()) return;
+
+    setError("");
+    setLoading(true);
+    try {
+      const data = await requestJson("/api/crawl", {
+        method: "POST",
+        body: JSON.stringify({
+          url: startUrl.trim(),
+          maxDepth: Number(maxDepth),
+          maxPages: Number(maxPages),
+        }),
+      });
+      setCrawl(data);
+    } catch (crawlError) {
+      setError(`Error crawling site: ${crawlError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const groups = crawl
+    ? groupUrlsByTemplate(crawl.pages.map((page) => page.url))
+    : [];
+  // The first URL of a group was found closest to the start page
+  const selectedUrls = onePerTemplate
+    ? groups.map((group) => group.urls[0])
+    : groups.flatMap((group) => group.urls);
+  const usableUrls = selectedUrls.slice(0, MAX_URLS);
+
+  return (
+    <div className="mb-5 rounded-md border border-gray-200 bg-gray-50 p-4">
+      <div className="mb-4 grid gap-2 sm:grid-cols-[1fr_auto_auto_auto]">
+        <input
+          type="url"
+          value={startUrl}
+          onChange={(e) => setStartUrl(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleCrawl(e)}
+          className={inputClassName}
+          placeholder="https://example.com"
+          aria-label="Start URL"
+        />
+        <label className="flex items-center gap-2 text-xs text-gray-700">
+          Depth
+          <input
+            type="number"
+            min="0"
+            max="5"
+            value={maxDepth}
+            onChange={(e) => setMaxDepth(e.target.value)}
+            className={`w-16 ${inputClassName}`}
+          />
+        </label>
+        <label className="flex items-center gap-2 text-xs text-gray-700">
+          Max pages
+          <input
+            type="number"
+            min="1"
+            max="500"
+            value={maxPages}
+            onChange={(e) => setMaxPages(e.target.value)}
+            className={`w-20 ${inputClassName}`}
+          />
+        </label>
+        <button
+          type="button"
+          onClick={handleCrawl}
+          disabled={loading || !startUrl.trim()}
+          className="whitespace-nowrap rounded-md bg-gray-900 px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors hover:bg-gray-800 disabled:bg-gray-400"
+        >
+          {loading ? "Crawling..." : "Crawl Site"}
+        </button>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      {crawl && (
+        <>
+          <p className="mb-4 text-xs text-gray-500">
+            Found {crawl.pages.length} page{crawl.pages.length === 1 ? "" : "s"}{" "}
+            in {groups.length} template{groups.length === 1 ? "" : "s"}
+            {crawl.truncated && " (stopped at the depth or page limit)"}.
+            Skipped {crawl.skipped.robots} blocked by robots.txt,{" "}
+            {crawl.skipped.nonHtml} non-HTML and {crawl.skipped.errors} failed.
+          </p>
+
+          <label className="mb-4 flex items-center">
+            <input
+              type="checkbox"
+              checked={onePerTemplate}
+              onChange={(e) => setOnePerTemplate(e.target.checked)}
+              className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">
+              Test one page per template
+            </span>
+          </label>
+
+          <div className="mb-4 max-h-64 overflow-y-auto rounded-md border border-gray-200 bg-white">
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-500">
+                  <th className="px-2 py-1.5 font-medium">Template</th>
+                  <th className="px-2 py-1.5 font-medium">Pages</th>
+                  <th className="px-2 py-1.5 font-medium">
+                    {onePerTemplate ? "Representative" : "URLs"}
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {groups.map((group) => (
+                  <tr key={group.pattern} className="border-t border-gray-100 align-top">
+                    <td className="break-all px-2 py-1.5 font-mono text-gray-700">
+                      {group.pattern}
+                    </td>
+                    <td className="px-2 py-1.5 text-gray-500">{group.urls.length}</td>
+                    <td className="whitespace-pre-line break-all px-2 py-1.5 font-mono text-gray-500">
+                      {onePerTemplate ? group.urls[0] : group.urls.join("\n")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => onUseUrls(usableUrls)}
+              disabled={usableUrls.length === 0}
+              className="rounded-md bg-gray-900 px-3 py-1.5 text-xs font-medium text-white shadow-sm transition-colors hover:bg-gray-800 disabled:bg-gray-400"
+            >
+              Use {usableUrls.length} URL{usableUrls.length === 1 ? "" : "s"}
+            </button>
+            <button
+              type="button"
+              onClick={() => onSchedule(usableUrls)}
+              disabled={usableUrls.length === 0}
+              className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Schedule These URLs
+            </button>
+            {selectedUrls.length > MAX_URLS && (
+              <span className="text-xs text-amber-600">
+                {selectedUrls.length} URLs selected, only the first {MAX_URLS}{" "}
+                are used.
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+'use client';
+
+import { FIELD_METRICS, FIELD_CATEGORIES, getResultFieldData } from '../lib/fieldData';
+
+const getCategoryClass = (category) => {
+  if (category === 'FAST') return 'text-emerald-600';
+  if (category === 'AVERAGE') return 'text-amber-500';
+  if (category === 'SLOW') return 'text-rose-500';
+  return 'text-gray-400';
+};
+
+/**
+ * Core Web Vitals assessment badge of field data
+ * @param {Object} props
+ * @param {boolean|null} props.passed - Assessment from getFieldData
+ */
+function AssessmentBadge({ passed }) {
+  if (passed === null) {
+    return (
+      <span className="rounded-full bg-gray-100 px-2 py-0.5 text-xs font-medium text-gray-500">
+        Not assessed
+      </span>
+    );
+  }
+
+  return (
+    <span
+      className={`rounded-full px-2 py-0.5 text-xs font-medium ${
+        passed ? 'bg-emerald-50 text-emerald-600' : 'bg-rose-50 text-rose-600'
+      }`}
+    >
+      {passed ? 'Passed' : 'Failed'}
+    </span>
+  );
+}
+
+/**
+ * Share of good, needs improvement and poor experiences as a stacked bar
+ * @param {Object} props
+ * @param {Object} props.distribution - { fast, average, slow }, each 0–1
+ */
+function DistributionBar({ distribution }) {
+  const segments = [
+    { key: 'fast', className: 'bg-emerald-500' },
+    { key: 'average', className: 'bg-amber-400' },
+    { key: 'slow', className: 'bg-rose-500' }
+  ];
+
+  return (
+    <div
+      className="flex h-1.5 w-full overflow-hidden rounded-full bg-gray-100"
+      title={segments
+        .map(({ key }) => `${Math.round(distribution[key] * 100)}%`)
+        .join(' / ')}
+    >
+      {segments.map(({ key, className }) => (
+        <div
+          key={key}
+          className={className}
+          style={{ width: `${distribution[key] * 100}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * Real-user metrics of the page or the origin
+ * @param {Object} props
+ * @param {string} props.title - "This page" or "Origin"
+ * @param {Object} props.fieldData - Field data from getFieldData
+ */
+function FieldDataGroup({ title, fieldData }) {
+  return (
+    <div>
+      <div className="mb-1.5 flex items-center justify-between gap-2">
+        <span className="text-xs font-medium text-gray-700">{title}</span>
+        <AssessmentBadge passed={fieldData.passed} />
+      </div>
+      <div className="space-y-1.5">
+        {FIELD_METRICS.filter(({ key }) => fieldData.metrics[key]).map(({ key, label }) => {
+          const metric = fieldData.metrics[key];
+
+          return (
+            <div key={key} className="grid grid-cols-[3rem_4.5rem_1fr] items-center gap-2">
+              <span className="text-xs font-medium text-gray-500">{label}</span>
+              <span
+                className={`text-xs ${getCategoryClass(metric.category)}`}
+                title={FIELD_CATEGORIES[metric.category]}
+              >
+                {metric.value}
+              </span>
+              <DistributionBar distribution={metric.distribution} />
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Chrome UX Report data of a result: 75th percentile of real-user LCP, INP,
+ * CLS, FCP and TTFB for the page and its origin
+ * @param {Object} props
+ * @param {Object} props.result - PageSpeed result
+ * @param {string} props.label - Optional prefix, e.g. "Mobile"
+ */
+export default function FieldDataPanel({ result, label }) {
+  const { page, origin } = getResultFieldData(result);
+
+  return (
+    <div className="border-t border-gray-100 px-5 py-3">
+      <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">
+        {label ? `${label} ` : ''}Field Data (75th percentile)
+      </h4>
+      {page || origin ? (
+        <div className="space-y-3">
+          {page ? (
+            <FieldDataGroup title="This page" fieldData={page} />
+          ) : (
+            <p className="text-xs text-gray-400">Not enough real-user data for this page</p>
+          )}
+          {origin && <FieldDataGroup title="Origin" fieldData={origin} />}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-400">No real-user data available</p>
+      )}
+    </div>
+  );
+}
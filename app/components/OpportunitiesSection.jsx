@@ -0,0 +1,123 @@
+'use client';
+
+import {
+  getOpportunities,
+  getDiagnostics,
+  formatMetricValue,
+  formatBytes
+} from '../lib/lighthouse';
+
+/**
+ * Estimated savings of an opportunity, e.g. "1.2 s · 293 KiB"
+ * @param {Object} opportunity - Entry from getOpportunities
+ * @returns {string} - Savings label
+ */
+const formatSavings = ({ savingsMs, savingsBytes }) =>
+  [
+    savingsMs > 0 && formatMetricValue(savingsMs, 'ms'),
+    savingsBytes > 0 && formatBytes(savingsBytes)
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * Wasted time and bytes of one audit item, e.g. "120 ms · 45 KiB of 80 KiB"
+ * @param {Object} item - Item from getOpportunities or getDiagnostics
+ * @returns {string} - Waste label
+ */
+const formatItemWaste = ({ wastedMs, wastedBytes, totalBytes }) =>
+  [
+    wastedMs !== null && wastedMs > 0 && formatMetricValue(wastedMs, 'ms'),
+    wastedBytes !== null &&
+      `${formatBytes(wastedBytes)}${totalBytes !== null ? ` of ${formatBytes(totalBytes)}` : ''}`,
+    wastedBytes === null && totalBytes !== null && formatBytes(totalBytes)
+  ]
+    .filter(Boolean)
+    .join(' · ');
+
+/**
+ * An audit with its resources, expandable when it has any
+ * @param {Object} props
+ * @param {Object} props.audit - Entry from getOpportunities or getDiagnostics
+ * @param {string} props.summary - Savings or display value shown next to the title
+ */
+function AuditRow({ audit, summary }) {
+  const title = (
+    <span className="flex justify-between gap-2">
+      <span className="text-gray-700">{audit.title}</span>
+      <span className="whitespace-nowrap text-rose-500">{summary}</span>
+    </span>
+  );
+
+  if (audit.items.length === 0) {
+    return <li className="py-1 text-xs">{title}</li>;
+  }
+
+  return (
+    <li className="py-1 text-xs">
+      <details>
+        <summary className="cursor-pointer list-none">{title}</summary>
+        <ul className="mt-1 space-y-0.5 border-l border-gray-200 pl-2">
+          {audit.items.map((item, index) => (
+            <li key={index} className="flex justify-between gap-2 text-gray-500">
+              <span className="break-all">{item.label}</span>
+              <span className="whitespace-nowrap">{formatItemWaste(item)}</span>
+            </li>
+          ))}
+        </ul>
+      </details>
+    </li>
+  );
+}
+
+/**
+ * Collapsible list of the Lighthouse opportunities, ranked by estimated
+ * savings, and the failing diagnostics of a result
+ * @param {Object} props
+ * @param {Object} props.lighthouseResult - lighthouseResult of the result
+ * @param {string} props.label - Optional prefix, e.g. "Mobile"
+ */
+export default function OpportunitiesSection({ lighthouseResult, label }) {
+  const opportunities = getOpportunities(lighthouseResult);
+  const diagnostics = getDiagnostics(lighthouseResult);
+
+  if (opportunities.length === 0 && diagnostics.length === 0) return null;
+
+  return (
+    <details className="border-t border-gray-100 px-5 py-3">
+      <summary className="cursor-pointer text-xs font-medium uppercase text-gray-500">
+        {label ? `${label} ` : ''}Opportunities &amp; Diagnostics ({opportunities.length + diagnostics.length})
+      </summary>
+
+      {opportunities.length > 0 && (
+        <div className="mt-2">
+          <h5 className="text-xs font-medium text-gray-700">Opportunities · estimated savings</h5>
+          <ul className="divide-y divide-gray-100">
+            {opportunities.map((opportunity) => (
+              <AuditRow
+                key={opportunity.id}
+                audit={opportunity}
+                summary={formatSavings(opportunity)}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {diagnostics.length > 0 && (
+        <div className="mt-2">
+          <h5 className="text-xs font-medium text-gray-700">Diagnostics</h5>
+          <ul className="divide-y divide-gray-100">
+            {diagnostics.map((diagnostic) => (
+              <AuditRow
+                key={diagnostic.id}
+                audit={diagnostic}
+                summary={diagnostic.displayValue}
+              />
+            ))}
+          </ul>
+        </div>
+      )}
+    </details>
+  );
+}
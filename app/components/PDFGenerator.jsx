@@ -1,2 +0,0 @@
-// TODO: Implement PDF generation on this file
-
@@ -1,5 +1,13 @@
 'use client';
 
+import Link from 'next/link';
+import StrategyComparisonCard from './StrategyComparisonCard';
+import BudgetChecks, { BudgetStatusBadge } from './BudgetChecks';
+import OpportunitiesSection from './OpportunitiesSection';
+import FieldDataPanel from './FieldDataPanel';
+import CacheStatusBadge from './CacheStatusBadge';
+import { CATEGORIES, WEB_VITALS, getCategoryScores, getWebVitals } from '../lib/lighthouse';
+
 export default function ResultCard({ result }) {
   if (!result) {
     return (
@@ -9,11 +17,19 @@ export default function ResultCard({ result }) {
     );
   }
   
+  // A { url, mobile, desktop } group from a "Both" run
+  if (result.mobile && result.desktop) {
+    return <StrategyComparisonCard group={result} />;
+  }
+
   const {
     url,
     data,
     error,
-    strategy = 'Desktop' // Default to Desktop if not provided
+    strategy = 'Desktop', // Default to Desktop if not provided
+    attempts,
+    budget,
+    cache
   } = result;
   
   if (error) {
@@ -23,6 +39,9 @@ export default function ResultCard({ result }) {
         <div className="rounded-md bg-red-50 p-3">
           <p className="text-sm text-red-500">{error}</p>
         </div>
+        {attempts > 1 && (
+          <p className="mt-2 text-xs text-gray-500">Failed after {attempts} attempts</p>
+        )}
       </div>
     );
   }
@@ -40,27 +59,18 @@ export default function ResultCard({ result }) {
   }
   
   // Safely extract scores with fallbacks to prevent errors
-  const categories = data.lighthouseResult.categories;
-  const scores = {
-    performance: categories.performance?.score ? categories.performance.score * 100 : 0,
-    accessibility: categories.accessibility?.score ? categories.accessibility.score * 100 : 0,
-    bestPractices: categories['best-practices']?.score ? categories['best-practices'].score * 100 : 0,
-    seo: categories.seo?.score ? categories.seo.score * 100 : 0
-  };
-  
-  // Extract Core Web Vitals metrics
-  const audits = data.lighthouseResult.audits || {};
+  const lighthouseResult = data.lighthouseResult;
+  const categoryScores = getCategoryScores(lighthouseResult);
+  const scores = CATEGORIES.map(({ key, label }) => ({
+    key,
+    label,
+    // null when the category was left out of the run
+    score: categoryScores[key]
+  }));
   
   // Get Core Web Vitals metrics
-  const webVitals = {
-    lcp: audits['largest-contentful-paint']?.displayValue || 'N/A',
-    fid: audits['max-potential-fid']?.displayValue || 'N/A',
-    cls: audits['cumulative-layout-shift']?.displayValue || 'N/A',
-    fcp: audits['first-contentful-paint']?.displayValue || 'N/A',
-    tti: audits['interactive']?.displayValue || 'N/A',
-    tbt: audits['total-blocking-time']?.displayValue || 'N/A',
-    si: audits['speed-index']?.displayValue || 'N/A'
-  };
+  const audits = lighthouseResult.audits || {};
+  const webVitals = getWebVitals(lighthouseResult);
 
   // Get numeric values and assess performance
   const getVitalClass = (auditId) => {
@@ -88,60 +98,82 @@ export default function ResultCard({ result }) {
       <div className="px-5 pt-4">
         <div className="flex items-start justify-between gap-2">
           <h3 className="break-words text-sm font-medium text-gray-900">{url}</h3>
-          <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
-            {strategy === 'mobile' ? 'Mobile' : 'Desktop'}
-          </span>
+          <div className="flex flex-col items-end gap-1">
+            <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+              {strategy === 'mobile' ? 'Mobile' : 'Desktop'}
+            </span>
+            <BudgetStatusBadge budget={budget} />
+            <CacheStatusBadge cache={cache} />
+          </div>
         </div>
+        {attempts > 1 && (
+          <p className="mt-1 text-xs text-gray-500">Succeeded after {attempts} attempts</p>
+        )}
         
         {/* Main scores */}
         <div className="mt-4 grid grid-cols-2 gap-x-4 gap-y-5 sm:grid-cols-4">
-          {Object.entries(scores).map(([key, score]) => (
+          {scores.map(({ key, label, score }) => (
             <div key={key} className="flex flex-col">
               <span className="text-xs font-medium text-gray-500 whitespace-nowrap">
-                {key === 'bestPractices' ? 'Best Practices' : key.charAt(0).toUpperCase() + key.slice(1)}
+                {label}
               </span>
               <div className="mt-1">
-                <span className={`text-xl font-semibold ${getScoreColor(score)}`}>
-                  {Math.round(score)}
-                </span>
+                {score === null ? (
+                  <span className="text-sm text-gray-400">Not run</span>
+                ) : (
+                  <span className={`text-xl font-semibold ${getScoreColor(score)}`}>
+                    {score}
+                  </span>
+                )}
               </div>
             </div>
           ))}
         </div>
       </div>
       
-      {/* Core Web Vitals section */}
+      {/* Lab metrics section */}
       <div className="mt-4 border-t border-gray-100">
         <div className="px-5 py-3">
-          <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">Core Web Vitals</h4>
+          <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">Lab Metrics</h4>
           <div className="grid grid-cols-2 gap-x-4 gap-y-2 text-sm sm:grid-cols-3">
-            {Object.entries(webVitals).map(([key, value]) => (
+            {WEB_VITALS.map(({ key, label, auditId }) => (
               <div key={key} className="flex items-center">
-                <span className="text-xs font-medium text-gray-500">{key.toUpperCase()}: </span>
-                <span className={`ml-1 text-xs ${getVitalClass(`${key === 'lcp' ? 'largest-contentful-paint' : 
-                                      key === 'fid' ? 'max-potential-fid' : 
-                                      key === 'cls' ? 'cumulative-layout-shift' : 
-                                      key === 'fcp' ? 'first-contentful-paint' : 
-                                      key === 'tti' ? 'interactive' : 
-                                      key === 'tbt' ? 'total-blocking-time' : 
-                                      'speed-index'}`)}`}>
-                  {value}
+                <span className="text-xs font-medium text-gray-500">{label}: </span>
+                <span className={`ml-1 text-xs ${getVitalClass(auditId)}`}>
+                  {webVitals[key].value}
                 </span>
               </div>
             ))}
           </div>
         </div>
       </div>
+
+      <FieldDataPanel result={result} />
+
+      <OpportunitiesSection lighthouseResult={lighthouseResult} />
       
-      <div className="border-t border-gray-100 bg-gray-50 px-5 py-3">
+      {budget && budget.checks.length > 0 && (
+        <div className="border-t border-gray-100 px-5 py-3">
+          <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">Budget</h4>
+          <BudgetChecks budget={budget} />
+        </div>
+      )}
+
+      <div className="flex justify-center gap-6 border-t border-gray-100 bg-gray-50 px-5 py-3">
         <a 
           href={`https://developers.google.com/speed/pagespeed/insights/?url=${encodeURIComponent(url)}&strategy=${strategy}`}
           target="_blank"
           rel="noopener noreferrer"
-          className="block text-center text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+          className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
         >
           View Full Report
         </a>
+        <Link
+          href={`/history?url=${encodeURIComponent(url)}&strategy=${strategy}`}
+          className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+        >
+          View History
+        </Link>
       </div>
     </div>
   );
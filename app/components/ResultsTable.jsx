@@ -0,0 +1,295 @@
+"use client";
+
+import { CATEGORIES, formatMetricValue } from "../lib/lighthouse";
+import {
+  DEFAULT_RESULT_FILTERS,
+  RESULT_TABLE_COLUMNS,
+  hasScoreRange,
+  summarizeResultRows,
+} from "../lib/resultsTable";
+import ScoreDistributionChart from "./ScoreDistributionChart";
+
+const inputClassName =
+  "rounded-md border border-gray-300 bg-white px-2 py-1.5 text-xs text-gray-700 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+const SUMMARY_STATS = [
+  { key: "mean", label: "Mean" },
+  { key: "median", label: "Median" },
+  { key: "min", label: "Min" },
+  { key: "max", label: "Max" },
+];
+
+const getScoreColor = (score) => {
+  if (score === null || score === undefined) return "text-gray-400";
+  if (score >= 90) return "text-emerald-600";
+  if (score >= 50) return "text-amber-500";
+  return "text-rose-500";
+};
+
+/**
+ * Format a score or metric cell
+ * @param {Object} column - Column from RESULT_TABLE_COLUMNS
+ * @param {number} value - Cell value, null when missing
+ * @returns {string} - Display value
+ */
+const formatCell = (column, value) => {
+  if (value === null || value === undefined) return "–";
+  if (column.type === "score") return String(Math.round(value));
+  return formatMetricValue(value, column.unit);
+};
+
+/**
+ * Dense table of results with one row per URL and strategy, sortable by every
+ * column and filtered by URL, error state and score range. The summary rows
+ * and distribution charts cover the rows that match the filters.
+ * @param {Object} props
+ * @param {Array} props.rows - Filtered and sorted rows from getVisibleResultRows
+ * @param {number} props.totalCount - Number of results before filtering
+ * @param {Object} props.filters - See DEFAULT_RESULT_FILTERS
+ * @param {Function} props.onFiltersChange - Called with the new filters
+ * @param {Object} props.sort - { key, direction }
+ * @param {Function} props.onSortChange - Called with the new sort
+ */
+export default function ResultsTable({
+  rows,
+  totalCount,
+  filters,
+  onFiltersChange,
+  sort,
+  onSortChange,
+}) {
+  const summary = summarizeResultRows(rows);
+  const filtered =
+    filters.query.trim() !== "" ||
+    filters.status !== "all" ||
+    hasScoreRange(filters);
+
+  const setFilter = (field, value) =>
+    onFiltersChange({ ...filters, [field]: value });
+
+  // The first click shows the worst results first: lowest scores, slowest metrics
+  const handleSort = (column) => {
+    if (sort.key === column.key) {
+      onSortChange({
+        key: column.key,
+        direction: sort.direction === "asc" ? "desc" : "asc",
+      });
+    } else {
+      onSortChange({
+        key: column.key,
+        direction: column.type === "metric" ? "desc" : "asc",
+      });
+    }
+  };
+
+  return (
+    <div>
+      <div className="mb-6 grid gap-4 sm:grid-cols-2 lg:grid-cols-4">
+        {CATEGORIES.map(({ key, label }) => (
+          <ScoreDistributionChart
+            key={key}
+            title={label}
+            rows={rows}
+            category={key}
+          />
+        ))}
+      </div>
+
+      <div className="mb-4 flex flex-wrap items-center gap-3">
+        <input
+          type="search"
+          value={filters.query}
+          onChange={(e) => setFilter("query", e.target.value)}
+          className={`${inputClassName} w-56`}
+          placeholder="Filter by URL"
+          aria-label="Filter by URL"
+        />
+        <select
+          value={filters.status}
+          onChange={(e) => setFilter("status", e.target.value)}
+          className={inputClassName}
+          aria-label="Filter by result"
+        >
+          <option value="all">All results</option>
+          <option value="passed">With scores</option>
+          <option value="errors">Errors only</option>
+        </select>
+        <div className="flex items-center gap-2 text-xs text-gray-500">
+          <select
+            value={filters.category}
+            onChange={(e) => setFilter("category", e.target.value)}
+            className={inputClassName}
+            aria-label="Score range category"
+          >
+            {CATEGORIES.map(({ key, label }) => (
+              <option key={key} value={key}>
+                {label}
+              </option>
+            ))}
+          </select>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={filters.minScore}
+            onChange={(e) => setFilter("minScore", e.target.value)}
+            className={`${inputClassName} w-16`}
+            aria-label="Minimum score"
+          />
+          to
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={filters.maxScore}
+            onChange={(e) => setFilter("maxScore", e.target.value)}
+            className={`${inputClassName} w-16`}
+            aria-label="Maximum score"
+          />
+        </div>
+        {filtered && (
+          <button
+            onClick={() => onFiltersChange(DEFAULT_RESULT_FILTERS)}
+            className="text-xs text-blue-600 hover:underline"
+          >
+            Clear filters
+          </button>
+        )}
+        <span className="ml-auto text-xs text-gray-500">
+          {rows.length === totalCount
+            ? `${totalCount} result${totalCount === 1 ? "" : "s"}`
+            : `${rows.length} of ${totalCount} results`}
+          {" · exports follow this view"}
+        </span>
+      </div>
+
+      <div className="max-h-[70vh] overflow-auto rounded-lg border border-gray-200 bg-white shadow-sm">
+        <table className="min-w-full text-xs">
+          <thead className="sticky top-0 z-10 bg-white shadow-sm">
+            <tr className="border-b border-gray-200">
+              {RESULT_TABLE_COLUMNS.map((column) => (
+                <th
+                  key={column.key}
+                  aria-sort={
+                    sort.key === column.key
+                      ? sort.direction === "asc"
+                        ? "ascending"
+                        : "descending"
+                      : "none"
+                  }
+                  className={`whitespace-nowrap px-3 py-2 font-medium text-gray-500 ${
+                    column.type === "text" ? "text-left" : "text-right"
+                  }`}
+                >
+                  <button
+                    onClick={() => handleSort(column)}
+                    className="inline-flex items-center gap-1 hover:text-gray-900"
+                  >
+                    {column.label}
+                    <span className="w-2 text-gray-400">
+                      {sort.key === column.key
+                        ? sort.direction === "asc"
+                          ? "▲"
+                          : "▼"
+                        : ""}
+                    </span>
+                  </button>
+                </th>
+              ))}
+            </tr>
+            {SUMMARY_STATS.map((stat) => (
+              <tr
+                key={stat.key}
+                className="border-b border-gray-100 bg-gray-50 last:border-gray-200"
+              >
+                <th
+                  colSpan={2}
+                  className="px-3 py-1.5 text-left font-medium text-gray-700"
+                >
+                  {stat.label}
+                </th>
+                {RESULT_TABLE_COLUMNS.filter(({ type }) => type !== "text").map(
+                  (column) => {
+                    const value = summary[column.key][stat.key];
+                    return (
+                      <td
+                        key={column.key}
+                        className={`whitespace-nowrap px-3 py-1.5 text-right font-medium ${
+                          column.type === "score"
+                            ? getScoreColor(value)
+                            : "text-gray-700"
+                        }`}
+                      >
+                        {formatCell(column, value)}
+                      </td>
+                    );
+                  }
+                )}
+              </tr>
+            ))}
+          </thead>
+
+          <tbody>
+            {rows.length === 0 ? (
+              <tr>
+                <td
+                  colSpan={RESULT_TABLE_COLUMNS.length}
+                  className="px-3 py-6 text-center text-gray-500"
+                >
+                  No results match the filters.
+                </td>
+              </tr>
+            ) : (
+              rows.map((row) => (
+                <tr
+                  key={row.id}
+                  className="border-b border-gray-100 last:border-0 hover:bg-gray-50"
+                >
+                  <td
+                    className="max-w-xs truncate px-3 py-2 text-gray-900"
+                    title={row.values.url}
+                  >
+                    {row.values.url}
+                  </td>
+                  <td className="px-3 py-2 text-gray-700">
+                    {row.values.strategy === "mobile" ? "Mobile" : "Desktop"}
+                  </td>
+                  {row.error ? (
+                    <td
+                      colSpan={RESULT_TABLE_COLUMNS.length - 2}
+                      className="px-3 py-2 text-red-500"
+                    >
+                      {row.error}
+                    </td>
+                  ) : (
+                    RESULT_TABLE_COLUMNS.filter(
+                      ({ type }) => type !== "text"
+                    ).map((column) => {
+                      const value = row.values[column.key];
+                      const metricScore = row.metricScores[column.key];
+                      const color = getScoreColor(
+                        column.type === "score"
+                          ? value
+                          : typeof metricScore === "number"
+                            ? metricScore * 100
+                            : null
+                      );
+                      return (
+                        <td
+                          key={column.key}
+                          className={`whitespace-nowrap px-3 py-2 text-right ${color}`}
+                        >
+                          {formatCell(column, value)}
+                        </td>
+                      );
+                    })
+                  )}
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
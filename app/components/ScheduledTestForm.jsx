@@ -0,0 +1,332 @@
+"use client";
+
+import { useState } from "react";
+import { STRATEGY_OPTIONS } from "../lib/strategies";
+import { CATEGORY_KEYS } from "../lib/testOptions";
+import TestOptionsFields from "./TestOptionsFields";
+import BudgetFields from "./BudgetFields";
+
+const FREQUENCY_PRESETS = [
+  { label: "Every hour", value: "0 * * * *" },
+  { label: "Every night at 02:00", value: "0 2 * * *" },
+  { label: "Every Monday at 02:00", value: "0 2 * * 1" },
+  { label: "First day of the month at 02:00", value: "0 2 1 * *" },
+];
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Create/edit form for a scheduled test
+ * @param {Object} props
+ * @param {Object} props.initialValues - Values to pre-fill the form with
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the user cancels an edit
+ * @param {string} props.submitLabel - Label of the submit button
+ */
+export default function ScheduledTestForm({
+  initialValues = {},
+  onSubmit,
+  onCancel,
+  submitLabel = "Create Schedule",
+}) {
+  const initialFrequency = initialValues.frequency || "0 2 * * *";
+  const isPreset = FREQUENCY_PRESETS.some(
+    (preset) => preset.value === initialFrequency
+  );
+
+  const [name, setName] = useState(initialValues.name || "");
+  const [urls, setUrls] = useState((initialValues.urls || []).join("\n"));
+  const [strategy, setStrategy] = useState(initialValues.strategy || "mobile");
+  const [frequencyPreset, setFrequencyPreset] = useState(
+    isPreset ? initialFrequency : "custom"
+  );
+  const [customFrequency, setCustomFrequency] = useState(
+    isPreset ? "" : initialFrequency
+  );
+  const [timezone, setTimezone] = useState(
+    initialValues.timezone ||
+      Intl.DateTimeFormat().resolvedOptions().timeZone ||
+      "UTC"
+  );
+  const [apiKey, setApiKey] = useState(initialValues.apiKey || "");
+  const [recipients, setRecipients] = useState(
+    (initialValues.recipients || []).join(", ")
+  );
+  const [testOptions, setTestOptions] = useState({
+    categories: initialValues.categories?.length
+      ? initialValues.categories
+      : CATEGORY_KEYS,
+    locale: initialValues.locale || "",
+    utmCampaign: initialValues.utmCampaign || "",
+    utmSource: initialValues.utmSource || "",
+  });
+  const [budget, setBudget] = useState(initialValues.budget || {});
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    const urlList = urls
+      .split("\n")
+      .map((url) => url.trim())
+      .filter((url) => url.length > 0);
+
+    if (urlList.length === 0) {
+      setError("Please enter at least one URL");
+      return;
+    }
+
+    if (urlList.length > 50) {
+      setError("Maximum 50 URLs allowed");
+      return;
+    }
+
+    if (testOptions.categories.length === 0) {
+      setError("Please select at least one category");
+      return;
+    }
+
+    const values = {
+      name,
+      urls: urlList,
+      strategy,
+      frequency:
+        frequencyPreset === "custom" ? customFrequency.trim() : frequencyPreset,
+      timezone,
+      ...testOptions,
+      budget,
+      recipients: recipients
+        .split(/[\s,;]+/)
+        .filter((email) => email.length > 0),
+    };
+
+    // Leave the stored key untouched unless a new one was entered
+    if (apiKey) {
+      values.apiKey = apiKey;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit(values);
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-5">
+        <label
+          htmlFor="scheduleName"
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          Name
+        </label>
+        <input
+          id="scheduleName"
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          className={inputClassName}
+          placeholder="Nightly client check"
+          required
+        />
+      </div>
+
+      <div className="mb-5">
+        <label
+          htmlFor="scheduleUrls"
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          URLs to Test (one per line, max 50)
+        </label>
+        <textarea
+          id="scheduleUrls"
+          value={urls}
+          onChange={(e) => setUrls(e.target.value)}
+          className={`h-36 ${inputClassName}`}
+          placeholder="https://example.com"
+          required
+        />
+      </div>
+
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        <div>
+          <label className="mb-2 block text-sm font-medium text-gray-700">
+            Test Strategy
+          </label>
+          <div className="flex space-x-6">
+            {STRATEGY_OPTIONS.map(({ value, label }) => (
+              <label key={value} className="flex items-center">
+                <input
+                  type="radio"
+                  value={value}
+                  checked={strategy === value}
+                  onChange={() => setStrategy(value)}
+                  className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">{label}</span>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <div>
+          <label
+            htmlFor="scheduleTimezone"
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Timezone
+          </label>
+          <input
+            id="scheduleTimezone"
+            type="text"
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            className={inputClassName}
+            placeholder="Europe/London"
+          />
+        </div>
+      </div>
+
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        <div>
+          <label
+            htmlFor="scheduleFrequency"
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Frequency
+          </label>
+          <select
+            id="scheduleFrequency"
+            value={frequencyPreset}
+            onChange={(e) => setFrequencyPreset(e.target.value)}
+            className={inputClassName}
+          >
+            {FREQUENCY_PRESETS.map((preset) => (
+              <option key={preset.value} value={preset.value}>
+                {preset.label}
+              </option>
+            ))}
+            <option value="custom">Custom cron expression</option>
+          </select>
+        </div>
+
+        {frequencyPreset === "custom" && (
+          <div>
+            <label
+              htmlFor="scheduleCron"
+              className="mb-2 block text-sm font-medium text-gray-700"
+            >
+              Cron Expression
+            </label>
+            <input
+              id="scheduleCron"
+              type="text"
+              value={customFrequency}
+              onChange={(e) => setCustomFrequency(e.target.value)}
+              className={`font-mono ${inputClassName}`}
+              placeholder="*/30 * * * *"
+              required
+            />
+          </div>
+        )}
+      </div>
+
+      <TestOptionsFields
+        values={testOptions}
+        onChange={setTestOptions}
+        idPrefix="schedule"
+      />
+
+      <div className="mb-5">
+        <label className="mb-2 block text-sm font-medium text-gray-700">
+          Budget
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            (optional, overrides global and URL pattern budgets)
+          </span>
+        </label>
+        <BudgetFields
+          values={budget}
+          onChange={setBudget}
+          idPrefix="scheduleBudget"
+        />
+      </div>
+
+      <div className="mb-5">
+        <label
+          htmlFor="scheduleApiKey"
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          Google PageSpeed API Key
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            (optional, defaults to the server key)
+          </span>
+        </label>
+        <input
+          id="scheduleApiKey"
+          type="password"
+          value={apiKey}
+          onChange={(e) => setApiKey(e.target.value)}
+          className={inputClassName}
+          placeholder={
+            initialValues._id ? "Leave blank to keep the current key" : ""
+          }
+          autoComplete="off"
+        />
+      </div>
+
+      <div className="mb-5">
+        <label
+          htmlFor="scheduleRecipients"
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          Email Digest Recipients
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            (optional, comma separated)
+          </span>
+        </label>
+        <input
+          id="scheduleRecipients"
+          type="text"
+          value={recipients}
+          onChange={(e) => setRecipients(e.target.value)}
+          className={inputClassName}
+          placeholder="team@example.com, client@example.com"
+        />
+      </div>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+            saving ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+          }`}
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
@@ -0,0 +1,114 @@
+"use client";
+
+import { getScoreDistribution } from "../lib/resultsTable";
+
+const WIDTH = 240;
+const HEIGHT = 120;
+const PADDING = { top: 14, right: 4, bottom: 18, left: 4 };
+
+// Lighthouse's score bands
+const getBarColor = (min) => {
+  if (min >= 90) return "#059669";
+  if (min >= 50) return "#f59e0b";
+  return "#f43f5e";
+};
+
+/**
+ * Histogram of one category's scores in ranges of ten points
+ * @param {Object} props
+ * @param {string} props.title - Category label
+ * @param {Array} props.rows - Rows from getResultRows
+ * @param {string} props.category - Category key
+ */
+export default function ScoreDistributionChart({ title, rows, category }) {
+  const buckets = getScoreDistribution(rows, category);
+  const total = buckets.reduce((sum, bucket) => sum + bucket.count, 0);
+
+  if (total === 0) {
+    return (
+      <div className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+        <h3 className="mb-2 text-xs font-medium text-gray-900">{title}</h3>
+        <p className="text-xs text-gray-500">No scores</p>
+      </div>
+    );
+  }
+
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+  const maxCount = Math.max(...buckets.map(({ count }) => count));
+  const slot = innerWidth / buckets.length;
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm">
+      <div className="mb-2 flex items-center justify-between gap-2">
+        <h3 className="text-xs font-medium text-gray-900">{title}</h3>
+        <span className="text-xs text-gray-500">
+          {total} score{total === 1 ? "" : "s"}
+        </span>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="h-auto w-full">
+        <line
+          x1={PADDING.left}
+          x2={WIDTH - PADDING.right}
+          y1={PADDING.top + innerHeight}
+          y2={PADDING.top + innerHeight}
+          stroke="#e5e7eb"
+        />
+
+        {buckets.map(({ min, max, count }, index) => {
+          const height = (count / maxCount) * innerHeight;
+          const x = PADDING.left + index * slot + 1;
+          const y = PADDING.top + innerHeight - height;
+
+          return (
+            <g key={min}>
+              <rect
+                x={x}
+                y={y}
+                width={slot - 2}
+                height={height}
+                rx="1"
+                fill={getBarColor(min)}
+              >
+                <title>{`${min}–${max}: ${count} result${count === 1 ? "" : "s"}`}</title>
+              </rect>
+              {count > 0 && (
+                <text
+                  x={x + (slot - 2) / 2}
+                  y={y - 3}
+                  textAnchor="middle"
+                  fontSize="9"
+                  fill="#6b7280"
+                >
+                  {count}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {[0, 50, 90].map((score) => (
+          <text
+            key={score}
+            x={PADDING.left + (score / 10) * slot}
+            y={HEIGHT - 4}
+            fontSize="9"
+            fill="#6b7280"
+          >
+            {score}
+          </text>
+        ))}
+        <text
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 4}
+          textAnchor="end"
+          fontSize="9"
+          fill="#6b7280"
+        >
+          100
+        </text>
+      </svg>
+    </div>
+  );
+}
@@ -0,0 +1,244 @@
+"use client";
+
+import { useState } from "react";
+import { requestJson } from "../lib/requestJson";
+import {
+  filterUrls,
+  parsePatterns,
+  sampleUrlsByPrefix,
+} from "../lib/urlPatterns";
+
+// Batches and schedules accept at most this many URLs
+const MAX_URLS = 50;
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Load URLs from a sitemap (or sitemap index), filter and sample them
+ * @param {Object} props
+ * @param {Function} props.onUseUrls - Called with the selected URLs for a batch
+ * @param {Function} props.onSchedule - Called with the selected URLs for a schedule
+ */
+export default function SitemapImport({ onUseUrls, onSchedule }) {
+  const [sitemapUrl, setSitemapUrl] = useState("");
+  const [sitemap, setSitemap] = useState(null);
+  const [include, setInclude] = useState("");
+  const [exclude, setExclude] = useState("");
+  const [perPrefix, setPerPrefix] = useState("");
+  const [prefixDepth, setPrefixDepth] = useState(1);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  const loadSitemap = async (source) => {
+    setError("");
+    setLoading(true);
+    try {
+      const data = await requestJson("/api/sitemap", {
+        method: "POST",
+        body: JSON.stringify(source),
+      });
+      setSitemap(data);
+    } catch (loadError) {
+      setError(`Error loading sitemap: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleLoad = (e) => {
+    e.preventDefault();
+    if (sitemapUrl.trim()) {
+      loadSitemap({ url: sitemapUrl.trim() });
+    }
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    loadSitemap({ xml: await file.text() });
+    // Allow picking the same file again after editing it
+    e.target.value = "";
+  };
+
+  const selectedUrls = sitemap
+    ? sampleUrlsByPrefix(
+        filterUrls(sitemap.urls, {
+          include: parsePatterns(include),
+          exclude: parsePatterns(exclude),
+        }),
+        Number(perPrefix),
+        prefixDepth
+      )
+    : [];
+  const usableUrls = selectedUrls.slice(0, MAX_URLS);
+
+  return (
+    <div className="mb-5 rounded-md border border-gray-200 bg-gray-50 p-4">
+      <div className="mb-4 flex flex-col gap-2 sm:flex-row">
+        <input
+          type="url"
+          value={sitemapUrl}
+          onChange={(e) => setSitemapUrl(e.target.value)}
+          onKeyDown={(e) => e.key === "Enter" && handleLoad(e)}
+          className={inputClassName}
+          placeholder="https://example.com/sitemap.xml"
+          aria-label="Sitemap URL"
+        />
+        <button
+          type="button"
+          onClick={handleLoad}
+          disabled={loading || !sitemapUrl.trim()}
+          className="whitespace-nowrap rounded-md bg-gray-900 px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors hover:bg-gray-800 disabled:bg-gray-400"
+        >
+          {loading ? "Loading..." : "Load Sitemap"}
+        </button>
+        <label className="cursor-pointer whitespace-nowrap rounded-md border border-gray-300 bg-white px-4 py-2 text-center text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50">
+          Upload XML
+          <input
+            type="file"
+            accept=".xml,application/xml,text/xml"
+            onChange={handleFile}
+            className="hidden"
+          />
+        </label>
+      </div>
+
+      {error && (
+        <div className="mb-4 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      {sitemap && (
+        <>
+          <p className="mb-4 text-xs text-gray-500">
+            Found {sitemap.urls.length} URL{sitemap.urls.length === 1 ? "" : "s"}{" "}
+            in {sitemap.sitemaps} sitemap{sitemap.sitemaps === 1 ? "" : "s"}
+            {sitemap.truncated && " (stopped early, the sitemap is very large)"}
+            {sitemap.errors.length > 0 &&
+              `. ${sitemap.errors.length} sitemap${
+                sitemap.errors.length === 1 ? "" : "s"
+              } could not be loaded`}
+          </p>
+
+          <div className="mb-4 grid gap-4 sm:grid-cols-2">
+            <div>
+              <label
+                htmlFor="sitemapInclude"
+                className="mb-2 block text-xs font-medium text-gray-700"
+              >
+                Include (globs, one per line)
+              </label>
+              <textarea
+                id="sitemapInclude"
+                value={include}
+                onChange={(e) => setInclude(e.target.value)}
+                className={`h-20 font-mono ${inputClassName}`}
+                placeholder="example.com/products/*"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="sitemapExclude"
+                className="mb-2 block text-xs font-medium text-gray-700"
+              >
+                Exclude (globs, one per line)
+              </label>
+              <textarea
+                id="sitemapExclude"
+                value={exclude}
+                onChange={(e) => setExclude(e.target.value)}
+                className={`h-20 font-mono ${inputClassName}`}
+                placeholder="*/tag/*"
+              />
+            </div>
+          </div>
+
+          <div className="mb-4 grid gap-4 sm:grid-cols-2">
+            <div>
+              <label
+                htmlFor="sitemapPerPrefix"
+                className="mb-2 block text-xs font-medium text-gray-700"
+              >
+                Max URLs per path prefix
+              </label>
+              <input
+                id="sitemapPerPrefix"
+                type="number"
+                min="0"
+                value={perPrefix}
+                onChange={(e) => setPerPrefix(e.target.value)}
+                className={inputClassName}
+                placeholder="All"
+              />
+            </div>
+            <div>
+              <label
+                htmlFor="sitemapPrefixDepth"
+                className="mb-2 block text-xs font-medium text-gray-700"
+              >
+                Prefix depth
+              </label>
+              <select
+                id="sitemapPrefixDepth"
+                value={prefixDepth}
+                onChange={(e) => setPrefixDepth(Number(e.target.value))}
+                className={inputClassName}
+              >
+                <option value={1}>/section</option>
+                <option value={2}>/section/subsection</option>
+                <option value={3}>/section/subsection/page</option>
+              </select>
+            </div>
+          </div>
+
+          <div className="mb-4 max-h-48 overflow-y-auto rounded-md border border-gray-200 bg-white p-2">
+            {selectedUrls.length === 0 ? (
+              <p className="text-xs text-gray-500">No URLs match the filters.</p>
+            ) : (
+              <ul className="space-y-0.5">
+                {selectedUrls.map((url, index) => (
+                  <li
+                    key={url}
+                    className={`break-all font-mono text-xs ${
+                      index < MAX_URLS ? "text-gray-700" : "text-gray-400"
+                    }`}
+                  >
+                    {url}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              type="button"
+              onClick={() => onUseUrls(usableUrls)}
+              disabled={usableUrls.length === 0}
+              className="rounded-md bg-gray-900 px-3 py-1.5 text-xs font-medium text-white shadow-sm transition-colors hover:bg-gray-800 disabled:bg-gray-400"
+            >
+              Use {usableUrls.length} URL{usableUrls.length === 1 ? "" : "s"}
+            </button>
+            <button
+              type="button"
+              onClick={() => onSchedule(usableUrls)}
+              disabled={usableUrls.length === 0}
+              className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50 disabled:text-gray-400"
+            >
+              Schedule These URLs
+            </button>
+            {selectedUrls.length > MAX_URLS && (
+              <span className="text-xs text-amber-600">
+                {selectedUrls.length} URLs match, only the first {MAX_URLS} are
+                used. Narrow the filters or sample per prefix.
+              </span>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
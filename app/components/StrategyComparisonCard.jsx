@@ -0,0 +1,220 @@
+"use client";
+
+import Link from "next/link";
+import {
+  CATEGORIES,
+  WEB_VITALS,
+  getCategoryScores,
+  getWebVitals,
+  formatMetricValue,
+} from "../lib/lighthouse";
+import BudgetChecks, { BudgetStatusBadge } from "./BudgetChecks";
+import OpportunitiesSection from "./OpportunitiesSection";
+import FieldDataPanel from "./FieldDataPanel";
+import CacheStatusBadge from "./CacheStatusBadge";
+
+const getScoreColor = (score) => {
+  if (score === null) return "text-gray-400";
+  if (score >= 90) return "text-emerald-600";
+  if (score >= 50) return "text-amber-500";
+  return "text-rose-500";
+};
+
+const getVitalClass = (auditScore) => {
+  if (auditScore === null) return "text-gray-400";
+  return getScoreColor(auditScore * 100);
+};
+
+/**
+ * Format the desktop minus mobile difference of a vital
+ * @param {number} mobileValue - Mobile numericValue
+ * @param {number} desktopValue - Desktop numericValue
+ * @param {string} unit - 'ms' or 'unitless'
+ * @returns {string} - Signed difference, or an empty string if unavailable
+ */
+const formatVitalGap = (mobileValue, desktopValue, unit) => {
+  if (mobileValue === undefined || desktopValue === undefined) return "";
+
+  const gap = desktopValue - mobileValue;
+  return `${gap > 0 ? "+" : ""}${formatMetricValue(gap, unit)}`;
+};
+
+/**
+ * Mobile and desktop results of one URL side by side
+ * @param {Object} props
+ * @param {Object} props.group - { url, mobile, desktop } from groupResultsByUrl
+ */
+export default function StrategyComparisonCard({ group }) {
+  const { url, mobile, desktop } = group;
+
+  const sides = [
+    { key: "mobile", label: "Mobile", result: mobile },
+    { key: "desktop", label: "Desktop", result: desktop },
+  ].map((side) => {
+    const lhr = side.result?.error ? null : side.result?.data?.lighthouseResult;
+    return {
+      ...side,
+      scores: getCategoryScores(lhr),
+      vitals: getWebVitals(lhr),
+      lhr,
+      available: Boolean(lhr?.categories),
+    };
+  });
+
+  const [mobileSide, desktopSide] = sides;
+  const bothAvailable = mobileSide.available && desktopSide.available;
+
+  return (
+    <div className="overflow-hidden rounded-sm border border-gray-200 bg-white shadow-sm transition-all hover:shadow-md">
+      <div className="px-5 pt-4">
+        <div className="flex items-start justify-between gap-2">
+          <h3 className="break-words text-sm font-medium text-gray-900">{url}</h3>
+          <div className="flex flex-col items-end gap-1">
+            <span className="whitespace-nowrap rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+              Mobile vs Desktop
+            </span>
+            {sides.map((side) => (
+              <CacheStatusBadge
+                key={side.key}
+                cache={side.result?.cache}
+                label={side.label}
+              />
+            ))}
+          </div>
+        </div>
+
+        {sides
+          .filter((side) => side.result?.error)
+          .map((side) => (
+            <div key={side.key} className="mt-3 rounded-md bg-red-50 p-3">
+              <p className="text-sm text-red-500">
+                {side.label}: {side.result.error}
+              </p>
+            </div>
+          ))}
+
+        <table className="mt-4 w-full text-xs">
+          <thead>
+            <tr className="text-left text-gray-500">
+              <th className="pb-2 font-medium"></th>
+              <th className="pb-2 font-medium">Mobile</th>
+              <th className="pb-2 font-medium">Desktop</th>
+              <th className="pb-2 font-medium">Gap</th>
+            </tr>
+          </thead>
+          <tbody>
+            {CATEGORIES.map(({ key, label }) => {
+              const mobileScore = mobileSide.scores[key];
+              const desktopScore = desktopSide.scores[key];
+              const gap =
+                mobileScore !== null && desktopScore !== null
+                  ? desktopScore - mobileScore
+                  : null;
+
+              return (
+                <tr key={key} className="border-t border-gray-100">
+                  <td className="py-1.5 font-medium text-gray-500">{label}</td>
+                  <td className={`py-1.5 text-sm font-semibold ${getScoreColor(mobileScore)}`}>
+                    {mobileScore ?? "Not run"}
+                  </td>
+                  <td className={`py-1.5 text-sm font-semibold ${getScoreColor(desktopScore)}`}>
+                    {desktopScore ?? "Not run"}
+                  </td>
+                  <td className="py-1.5 text-gray-500">
+                    {gap === null ? "" : `${gap > 0 ? "+" : ""}${gap}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Lab metrics section */}
+      <div className="mt-4 border-t border-gray-100">
+        <div className="px-5 py-3">
+          <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">Lab Metrics</h4>
+          <table className="w-full text-xs">
+            <tbody>
+              {WEB_VITALS.map(({ key, label, unit }) => {
+                const mobileVital = mobileSide.vitals[key];
+                const desktopVital = desktopSide.vitals[key];
+
+                return (
+                  <tr key={key}>
+                    <td className="py-0.5 font-medium text-gray-500">{label}</td>
+                    <td className={`py-0.5 ${getVitalClass(mobileVital.score)}`}>
+                      {mobileVital.value}
+                    </td>
+                    <td className={`py-0.5 ${getVitalClass(desktopVital.score)}`}>
+                      {desktopVital.value}
+                    </td>
+                    <td className="py-0.5 text-gray-500">
+                      {bothAvailable &&
+                        formatVitalGap(
+                          mobileVital.numericValue,
+                          desktopVital.numericValue,
+                          unit
+                        )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {sides
+        .filter((side) => side.available)
+        .map((side) => (
+          <FieldDataPanel key={side.key} result={side.result} label={side.label} />
+        ))}
+
+      {sides.map((side) => (
+        <OpportunitiesSection
+          key={side.key}
+          lighthouseResult={side.lhr}
+          label={side.label}
+        />
+      ))}
+
+      {sides.some((side) => side.result?.budget?.checks.length > 0) && (
+        <div className="border-t border-gray-100 px-5 py-3">
+          <h4 className="mb-2 text-xs font-medium uppercase text-gray-500">Budget</h4>
+          {sides
+            .filter((side) => side.result?.budget?.checks.length > 0)
+            .map((side) => (
+              <div key={side.key} className="mb-2 last:mb-0">
+                <div className="mb-1 flex items-center gap-2">
+                  <span className="text-xs font-medium text-gray-500">{side.label}</span>
+                  <BudgetStatusBadge budget={side.result.budget} />
+                </div>
+                <BudgetChecks budget={side.result.budget} />
+              </div>
+            ))}
+        </div>
+      )}
+
+      <div className="flex justify-center gap-6 border-t border-gray-100 bg-gray-50 px-5 py-3">
+        {sides.map((side) => (
+          <a
+            key={side.key}
+            href={`https://developers.google.com/speed/pagespeed/insights/?url=${encodeURIComponent(url)}&strategy=${side.key}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+          >
+            {side.label} Report
+          </a>
+        ))}
+        <Link
+          href={`/history?url=${encodeURIComponent(url)}`}
+          className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+        >
+          View History
+        </Link>
+      </div>
+    </div>
+  );
+}
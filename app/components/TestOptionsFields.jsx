@@ -0,0 +1,112 @@
+"use client";
+
+import { CATEGORIES } from "../lib/lighthouse";
+import { LOCALES } from "../lib/testOptions";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Category, locale and UTM inputs shared by the test and schedule forms
+ * @param {Object} props
+ * @param {Object} props.values - { categories, locale, utmCampaign, utmSource }
+ * @param {Function} props.onChange - Called with the updated values
+ * @param {string} props.idPrefix - Prefix for input ids, keeps them unique per form
+ */
+export default function TestOptionsFields({ values, onChange, idPrefix = "test" }) {
+  const update = (field, value) => onChange({ ...values, [field]: value });
+
+  const toggleCategory = (key) => {
+    update(
+      "categories",
+      values.categories.includes(key)
+        ? values.categories.filter((category) => category !== key)
+        : [...values.categories, key]
+    );
+  };
+
+  return (
+    <>
+      <div className="mb-5">
+        <label className="mb-2 block text-sm font-medium text-gray-700">
+          Categories
+        </label>
+        <div className="flex flex-wrap gap-x-6 gap-y-2">
+          {CATEGORIES.map(({ key, label }) => (
+            <label key={key} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={values.categories.includes(key)}
+                onChange={() => toggleCategory(key)}
+                className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+              />
+              <span className="ml-2 text-sm text-gray-700">{label}</span>
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="mb-5 grid gap-5 sm:grid-cols-3">
+        <div>
+          <label
+            htmlFor={`${idPrefix}Locale`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Report Language
+          </label>
+          <select
+            id={`${idPrefix}Locale`}
+            value={values.locale}
+            onChange={(e) => update("locale", e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">Default (English)</option>
+            {LOCALES.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}UtmCampaign`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            UTM Campaign
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              (optional)
+            </span>
+          </label>
+          <input
+            id={`${idPrefix}UtmCampaign`}
+            type="text"
+            value={values.utmCampaign}
+            onChange={(e) => update("utmCampaign", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}UtmSource`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            UTM Source
+            <span className="ml-2 text-xs font-normal text-gray-500">
+              (optional)
+            </span>
+          </label>
+          <input
+            id={`${idPrefix}UtmSource`}
+            type="text"
+            value={values.utmSource}
+            onChange={(e) => update("utmSource", e.target.value)}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+    </>
+  );
+}
@@ -0,0 +1,178 @@
+"use client";
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 12, right: 16, bottom: 28, left: 48 };
+
+/**
+ * Split a series into line segments, breaking at missing values
+ * @param {Array} points - [{ x, y }] with y possibly null
+ * @returns {Array<Array>} - Segments of consecutive points
+ */
+const toSegments = (points) => {
+  const segments = [];
+  let current = [];
+
+  points.forEach((point) => {
+    if (point.y === null || point.y === undefined) {
+      if (current.length > 0) segments.push(current);
+      current = [];
+    } else {
+      current.push(point);
+    }
+  });
+
+  if (current.length > 0) segments.push(current);
+  return segments;
+};
+
+/**
+ * Simple SVG line chart for values over time
+ * @param {Object} props
+ * @param {string} props.title - Chart heading
+ * @param {Array} props.data - [{ date, [seriesKey]: number|null }]
+ * @param {Array} props.series - [{ key, label, color }]
+ * @param {number} props.yMax - Fixed top of the y axis, defaults to the data max
+ * @param {Function} props.formatValue - Formats values for ticks and tooltips
+ */
+export default function TrendChart({
+  title,
+  data,
+  series,
+  yMax,
+  formatValue = (value) => String(value),
+}) {
+  const innerWidth = WIDTH - PADDING.left - PADDING.right;
+  const innerHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const allValues = data.flatMap((point) =>
+    series
+      .map(({ key }) => point[key])
+      .filter((value) => value !== null && value !== undefined)
+  );
+
+  if (allValues.length === 0) {
+    return (
+      <div className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm">
+        <h3 className="mb-2 text-sm font-medium text-gray-900">{title}</h3>
+        <p className="text-sm text-gray-500">No data for this period</p>
+      </div>
+    );
+  }
+
+  const maxValue = yMax ?? (Math.max(...allValues) || 1) * 1.1;
+  const times = data.map((point) => new Date(point.date).getTime());
+  const minTime = Math.min(...times);
+  const timeRange = Math.max(...times) - minTime;
+
+  const getX = (time) =>
+    PADDING.left +
+    (timeRange === 0 ? innerWidth / 2 : ((time - minTime) / timeRange) * innerWidth);
+  const getY = (value) =>
+    PADDING.top + innerHeight - (value / maxValue) * innerHeight;
+
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map((ratio) => ratio * maxValue);
+  const firstDate = new Date(minTime).toLocaleDateString();
+  const lastDate = new Date(minTime + timeRange).toLocaleDateString();
+
+  return (
+    <div className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <h3 className="text-sm font-medium text-gray-900">{title}</h3>
+        <div className="flex flex-wrap gap-3">
+          {series.map(({ key, label, color }) => (
+            <span key={key} className="flex items-center text-xs text-gray-500">
+              <span
+                className="mr-1 inline-block h-2 w-2 rounded-full"
+                style={{ backgroundColor: color }}
+              />
+              {label}
+            </span>
+          ))}
+        </div>
+      </div>
+
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="h-auto w-full">
+        {ticks.map((tick) => (
+          <g key={tick}>
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={getY(tick)}
+              y2={getY(tick)}
+              stroke="#f3f4f6"
+            />
+            <text
+              x={PADDING.left - 6}
+              y={getY(tick) + 3}
+              textAnchor="end"
+              fontSize="10"
+              fill="#6b7280"
+            >
+              {formatValue(tick)}
+            </text>
+          </g>
+        ))}
+
+        <text
+          x={PADDING.left}
+          y={HEIGHT - 8}
+          fontSize="10"
+          fill="#6b7280"
+        >
+          {firstDate}
+        </text>
+        <text
+          x={WIDTH - PADDING.right}
+          y={HEIGHT - 8}
+          textAnchor="end"
+          fontSize="10"
+          fill="#6b7280"
+        >
+          {lastDate}
+        </text>
+
+        {series.map(({ key, label, color }) => {
+          const points = data.map((point) => ({
+            x: getX(new Date(point.date).getTime()),
+            y: point[key],
+            date: point.date,
+          }));
+
+          return (
+            <g key={key}>
+              {toSegments(points).map((segment, index) => (
+                <polyline
+                  key={index}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="2"
+                  points={segment
+                    .map((point) => `${point.x},${getY(point.y)}`)
+                    .join(" ")}
+                />
+              ))}
+              {points
+                .filter((point) => point.y !== null && point.y !== undefined)
+                .map((point, index) => (
+                  <circle
+                    key={index}
+                    cx={point.x}
+                    cy={getY(point.y)}
+                    r="3"
+                    fill={color}
+                  >
+                    <title>
+                      {`${label}: ${formatValue(point.y)} (${new Date(
+                        point.date
+                      ).toLocaleString()})`}
+                    </title>
+                  </circle>
+                ))}
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+}
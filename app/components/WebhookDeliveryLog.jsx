@@ -0,0 +1,125 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import { requestJson } from "../lib/requestJson";
+
+const STATUS_STYLES = {
+  pending: "bg-blue-50 text-blue-700",
+  delivered: "bg-emerald-50 text-emerald-700",
+  failed: "bg-rose-50 text-rose-700",
+};
+
+/**
+ * Outcome of the last attempt of a delivery, e.g. "HTTP 200 in 120 ms"
+ * @param {Object} attempt - Attempt entry of a WebhookDelivery
+ * @returns {string} - Outcome label
+ */
+const describeAttempt = (attempt) =>
+  `${attempt.statusCode ? `HTTP ${attempt.statusCode}` : attempt.error} in ${
+    attempt.durationMs
+  } ms`;
+
+/**
+ * Latest deliveries of a webhook with their attempts
+ * @param {Object} props
+ * @param {string} props.webhookId - Webhook id
+ * @param {number} props.refreshKey - Changing it reloads the log
+ */
+export default function WebhookDeliveryLog({ webhookId, refreshKey = 0 }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadDeliveries = useCallback(async () => {
+    setLoading(true);
+    try {
+      const data = await requestJson(`/api/webhooks/${webhookId}/deliveries`);
+      setDeliveries(data.deliveries);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading deliveries: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, [webhookId]);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries, refreshKey]);
+
+  if (error) {
+    return <p className="text-xs text-red-600">{error}</p>;
+  }
+
+  if (loading && deliveries.length === 0) {
+    return <p className="text-xs text-gray-500">Loading deliveries...</p>;
+  }
+
+  if (deliveries.length === 0) {
+    return <p className="text-xs text-gray-500">No deliveries yet.</p>;
+  }
+
+  return (
+    <div>
+      <div className="mb-2 flex justify-end">
+        <button
+          onClick={loadDeliveries}
+          className="text-xs font-medium text-gray-500 hover:text-gray-700"
+        >
+          Refresh
+        </button>
+      </div>
+      <ul className="divide-y divide-gray-100">
+        {deliveries.map((delivery) => {
+          const lastAttempt = delivery.attempts[delivery.attempts.length - 1];
+
+          return (
+            <li key={delivery._id} className="py-2 text-xs">
+              <details>
+                <summary className="flex cursor-pointer list-none flex-wrap items-center gap-x-3 gap-y-1">
+                  <span
+                    className={`rounded-full px-2 py-0.5 font-medium ${
+                      STATUS_STYLES[delivery.status]
+                    }`}
+                  >
+                    {delivery.status}
+                  </span>
+                  <span className="font-mono text-gray-700">{delivery.event}</span>
+                  <span className="text-gray-500">
+                    {new Date(delivery.createdAt).toLocaleString()}
+                  </span>
+                  {lastAttempt && (
+                    <span className="text-gray-500">
+                      {describeAttempt(lastAttempt)}
+                      {delivery.attempts.length > 1 &&
+                        ` · ${delivery.attempts.length} attempts`}
+                    </span>
+                  )}
+                </summary>
+                <div className="mt-2 space-y-2 border-l border-gray-200 pl-3">
+                  <ol className="space-y-0.5 text-gray-500">
+                    {delivery.attempts.map((attempt, index) => (
+                      <li key={index}>
+                        {index + 1}.{" "}
+                        {new Date(attempt.attemptedAt).toLocaleTimeString()} –{" "}
+                        {describeAttempt(attempt)}
+                      </li>
+                    ))}
+                  </ol>
+                  {delivery.response && (
+                    <pre className="max-h-32 overflow-auto whitespace-pre-wrap break-all rounded bg-gray-50 p-2 text-gray-600">
+                      {delivery.response}
+                    </pre>
+                  )}
+                  <pre className="max-h-48 overflow-auto rounded bg-gray-50 p-2 text-gray-600">
+                    {JSON.stringify(delivery.payload, null, 2)}
+                  </pre>
+                </div>
+              </details>
+            </li>
+          );
+        })}
+      </ul>
+    </div>
+  );
+}
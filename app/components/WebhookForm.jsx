@@ -0,0 +1,259 @@
+"use client";
+
+import { useState } from "react";
+import {
+  DEFAULT_SCORE_DROP,
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_KEYS,
+  WEBHOOK_FORMATS,
+} from "../lib/webhooks";
+
+const inputClassName =
+  "w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500";
+
+/**
+ * Create/edit form for a webhook
+ * @param {Object} props
+ * @param {Object} props.initialValues - Values to pre-fill the form with
+ * @param {Array} props.scheduledTests - Schedules the webhook can be limited to
+ * @param {Function} props.onSubmit - Called with the form values
+ * @param {Function} props.onCancel - Called when the user cancels an edit
+ * @param {string} props.submitLabel - Label of the submit button
+ */
+export default function WebhookForm({
+  initialValues = {},
+  scheduledTests = [],
+  onSubmit,
+  onCancel,
+  submitLabel = "Create Webhook",
+}) {
+  const [values, setValues] = useState({
+    name: initialValues.name || "",
+    url: initialValues.url || "",
+    format: initialValues.format || "json",
+    events: initialValues.events || WEBHOOK_EVENT_KEYS,
+    scheduledTest: initialValues.scheduledTest || "",
+    scoreDropThreshold: initialValues.scoreDropThreshold ?? DEFAULT_SCORE_DROP,
+    secret: "",
+  });
+  const [removeSecret, setRemoveSecret] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
+
+  const setValue = (field, value) =>
+    setValues((previous) => ({ ...previous, [field]: value }));
+
+  const toggleEvent = (key) =>
+    setValue(
+      "events",
+      values.events.includes(key)
+        ? values.events.filter((event) => event !== key)
+        : [...values.events, key]
+    );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (values.events.length === 0) {
+      setError("Please select at least one event");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onSubmit({
+        ...values,
+        // null removes the secret, an empty one keeps the current secret
+        secret: removeSecret ? null : values.secret,
+      });
+    } catch (submitError) {
+      setError(submitError.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const idPrefix = initialValues._id ? `webhook-${initialValues._id}` : "webhook";
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="mb-5 grid gap-5 sm:grid-cols-2">
+        <div>
+          <label
+            htmlFor={`${idPrefix}-name`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Name
+          </label>
+          <input
+            id={`${idPrefix}-name`}
+            type="text"
+            value={values.name}
+            onChange={(e) => setValue("name", e.target.value)}
+            className={inputClassName}
+            placeholder="Team channel"
+            required
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-url`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Endpoint URL
+          </label>
+          <input
+            id={`${idPrefix}-url`}
+            type="url"
+            value={values.url}
+            onChange={(e) => setValue("url", e.target.value)}
+            className={inputClassName}
+            placeholder="https://hooks.slack.com/services/..."
+            required
+          />
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-format`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Payload
+          </label>
+          <select
+            id={`${idPrefix}-format`}
+            value={values.format}
+            onChange={(e) => setValue("format", e.target.value)}
+            className={inputClassName}
+          >
+            {WEBHOOK_FORMATS.map(({ value, label }) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label
+            htmlFor={`${idPrefix}-schedule`}
+            className="mb-2 block text-sm font-medium text-gray-700"
+          >
+            Runs
+          </label>
+          <select
+            id={`${idPrefix}-schedule`}
+            value={values.scheduledTest}
+            onChange={(e) => setValue("scheduledTest", e.target.value)}
+            className={inputClassName}
+          >
+            <option value="">All runs (global)</option>
+            {scheduledTests.map((test) => (
+              <option key={test._id} value={test._id}>
+                Schedule: {test.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label className="mb-2 block text-sm font-medium text-gray-700">
+          Events
+        </label>
+        <div className="flex flex-wrap items-center gap-x-6 gap-y-2">
+          {WEBHOOK_EVENTS.map(({ key, label }) => (
+            <label key={key} className="flex items-center">
+              <input
+                type="checkbox"
+                checked={values.events.includes(key)}
+                onChange={() => toggleEvent(key)}
+                className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+              />
+              <span className="ml-2 text-sm text-gray-700">{label}</span>
+            </label>
+          ))}
+          {values.events.includes("score.dropped") && (
+            <label className="flex items-center gap-2 text-sm text-gray-700">
+              by at least
+              <input
+                type="number"
+                min="1"
+                max="100"
+                value={values.scoreDropThreshold}
+                onChange={(e) => setValue("scoreDropThreshold", e.target.value)}
+                className="w-16 rounded-md border border-gray-300 p-1 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              />
+              points
+            </label>
+          )}
+        </div>
+      </div>
+
+      <div className="mb-5">
+        <label
+          htmlFor={`${idPrefix}-secret`}
+          className="mb-2 block text-sm font-medium text-gray-700"
+        >
+          Signing Secret
+          <span className="ml-2 text-xs font-normal text-gray-500">
+            {initialValues.signed
+              ? "(leave empty to keep the current secret)"
+              : "(optional, signs requests with HMAC-SHA256)"}
+          </span>
+        </label>
+        <input
+          id={`${idPrefix}-secret`}
+          type="password"
+          value={values.secret}
+          onChange={(e) => setValue("secret", e.target.value)}
+          className={inputClassName}
+          disabled={removeSecret}
+          autoComplete="new-password"
+        />
+        {initialValues.signed && (
+          <label className="mt-2 flex items-center">
+            <input
+              type="checkbox"
+              checked={removeSecret}
+              onChange={(e) => setRemoveSecret(e.target.checked)}
+              className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+            />
+            <span className="ml-2 text-sm text-gray-700">
+              Remove the secret and send unsigned requests
+            </span>
+          </label>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-5 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          disabled={saving}
+          className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+            saving ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+          }`}
+        >
+          {saving ? "Saving..." : submitLabel}
+        </button>
+        {onCancel && (
+          <button
+            type="button"
+            onClick={onCancel}
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
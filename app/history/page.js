@@ -0,0 +1,288 @@
+"use client";
+
+import { Suspense, useEffect, useState } from "react";
+import Link from "next/link";
+import { useRouter, useSearchParams } from "next/navigation";
+import TrendChart from "../components/TrendChart";
+import { CATEGORIES } from "../lib/lighthouse";
+import "../globals.css";
+
+const CATEGORY_COLORS = {
+  performance: "#2563eb",
+  accessibility: "#059669",
+  "best-practices": "#d97706",
+  seo: "#7c3aed",
+};
+
+const PERIODS = [
+  { label: "Last 30 days", value: 30 },
+  { label: "Last 90 days", value: 90 },
+  { label: "Last year", value: 365 },
+  { label: "All time", value: 0 },
+];
+
+const METRIC_CHARTS = [
+  {
+    key: "lcp",
+    title: "Largest Contentful Paint",
+    color: "#2563eb",
+    formatValue: (value) => `${(value / 1000).toFixed(1)} s`,
+  },
+  {
+    key: "cls",
+    title: "Cumulative Layout Shift",
+    color: "#d97706",
+    formatValue: (value) => value.toFixed(2),
+  },
+  {
+    key: "tbt",
+    title: "Total Blocking Time",
+    color: "#e11d48",
+    formatValue: (value) => `${Math.round(value)} ms`,
+  },
+];
+
+function History() {
+  const router = useRouter();
+  const searchParams = useSearchParams();
+  const selectedUrl = searchParams.get("url") || "";
+
+  const [urls, setUrls] = useState([]);
+  const [urlFilter, setUrlFilter] = useState("");
+  const [strategy, setStrategy] = useState(
+    searchParams.get("strategy") || "mobile"
+  );
+  const [days, setDays] = useState(90);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    fetch("/api/history")
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        setUrls(data.urls);
+      })
+      .catch((loadError) =>
+        setError(`Error loading tested URLs: ${loadError.message}`)
+      );
+  }, []);
+
+  useEffect(() => {
+    if (!selectedUrl) return;
+
+    const params = new URLSearchParams({ url: selectedUrl, strategy });
+    if (days > 0) params.append("days", days);
+
+    setLoading(true);
+    fetch(`/api/history?${params.toString()}`)
+      .then((response) => response.json())
+      .then((data) => {
+        if (data.error) throw new Error(data.error);
+        setHistory(data.history);
+        setError("");
+      })
+      .catch((loadError) =>
+        setError(`Error loading history: ${loadError.message}`)
+      )
+      .finally(() => setLoading(false));
+  }, [selectedUrl, strategy, days]);
+
+  const selectUrl = (url) => {
+    router.replace(`/history?url=${encodeURIComponent(url)}`);
+  };
+
+  const visibleUrls = urls.filter(({ url }) =>
+    url.toLowerCase().includes(urlFilter.toLowerCase())
+  );
+
+  const scoreData = history.map((point) => ({
+    date: point.testedAt,
+    ...point.scores,
+  }));
+  const metricData = history.map((point) => ({
+    date: point.testedAt,
+    ...point.metrics,
+  }));
+
+  const first = history[0];
+  const latest = history[history.length - 1];
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            Score History
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="grid gap-6 lg:grid-cols-4">
+          <aside className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm lg:col-span-1">
+            <input
+              type="text"
+              value={urlFilter}
+              onChange={(e) => setUrlFilter(e.target.value)}
+              className="mb-3 w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+              placeholder="Filter URLs"
+            />
+            {visibleUrls.length === 0 ? (
+              <p className="text-sm text-gray-500">No tested URLs yet.</p>
+            ) : (
+              <ul className="max-h-[32rem] space-y-1 overflow-y-auto">
+                {visibleUrls.map(({ url, count }) => (
+                  <li key={url}>
+                    <button
+                      onClick={() => selectUrl(url)}
+                      className={`w-full break-all rounded-md px-2 py-1.5 text-left text-xs transition-colors ${
+                        url === selectedUrl
+                          ? "bg-gray-900 text-white"
+                          : "text-gray-700 hover:bg-gray-100"
+                      }`}
+                    >
+                      {url}
+                      <span className="ml-1 opacity-60">({count})</span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </aside>
+
+          <section className="space-y-5 lg:col-span-3">
+            {!selectedUrl ? (
+              <p className="text-sm text-gray-500">
+                Select a URL to see how its scores changed over time.
+              </p>
+            ) : (
+              <>
+                <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-center">
+                  <h2 className="break-all text-lg font-medium text-gray-900">
+                    {selectedUrl}
+                  </h2>
+                  <div className="flex gap-2">
+                    <select
+                      value={strategy}
+                      onChange={(e) => setStrategy(e.target.value)}
+                      className="rounded-md border border-gray-300 p-1.5 text-xs shadow-sm"
+                    >
+                      <option value="mobile">Mobile</option>
+                      <option value="desktop">Desktop</option>
+                    </select>
+                    <select
+                      value={days}
+                      onChange={(e) => setDays(Number(e.target.value))}
+                      className="rounded-md border border-gray-300 p-1.5 text-xs shadow-sm"
+                    >
+                      {PERIODS.map((period) => (
+                        <option key={period.value} value={period.value}>
+                          {period.label}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+
+                {loading ? (
+                  <p className="text-sm text-gray-500">Loading history...</p>
+                ) : history.length === 0 ? (
+                  <p className="text-sm text-gray-500">
+                    No results for this strategy and period.
+                  </p>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-2 gap-4 sm:grid-cols-4">
+                      {CATEGORIES.map(({ key, label }) => {
+                        const current = latest.scores[key];
+                        const change =
+                          current !== null && first.scores[key] !== null
+                            ? current - first.scores[key]
+                            : null;
+
+                        return (
+                          <div
+                            key={key}
+                            className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm"
+                          >
+                            <span className="text-xs font-medium text-gray-500">
+                              {label}
+                            </span>
+                            <div className="mt-1 flex items-baseline gap-2">
+                              <span className="text-xl font-semibold text-gray-900">
+                                {current ?? "N/A"}
+                              </span>
+                              {change !== null && history.length > 1 && (
+                                <span
+                                  className={`text-xs font-medium ${
+                                    change > 0
+                                      ? "text-emerald-600"
+                                      : change < 0
+                                      ? "text-rose-500"
+                                      : "text-gray-500"
+                                  }`}
+                                >
+                                  {change > 0 ? "+" : ""}
+                                  {change} since{" "}
+                                  {new Date(first.testedAt).toLocaleDateString()}
+                                </span>
+                              )}
+                            </div>
+                          </div>
+                        );
+                      })}
+                    </div>
+
+                    <TrendChart
+                      title="Category Scores"
+                      data={scoreData}
+                      series={CATEGORIES.map(({ key, label }) => ({
+                        key,
+                        label,
+                        color: CATEGORY_COLORS[key],
+                      }))}
+                      yMax={100}
+                      formatValue={(value) => String(Math.round(value))}
+                    />
+
+                    <div className="grid gap-5 md:grid-cols-3">
+                      {METRIC_CHARTS.map(({ key, title, color, formatValue }) => (
+                        <TrendChart
+                          key={key}
+                          title={title}
+                          data={metricData}
+                          series={[{ key, label: key.toUpperCase(), color }]}
+                          formatValue={formatValue}
+                        />
+                      ))}
+                    </div>
+                  </>
+                )}
+              </>
+            )}
+          </section>
+        </div>
+      </main>
+    </div>
+  );
+}
+
+export default function HistoryPage() {
+  return (
+    <Suspense fallback={null}>
+      <History />
+    </Suspense>
+  );
+}
@@ -0,0 +1,71 @@
+// PSI's default quotas for a Google Cloud project
+export const DEFAULT_QUOTA_PER_DAY = 25000;
+export const DEFAULT_QUOTA_PER_100_SECONDS = 400;
+
+export const QUOTA_WINDOW_MS = 100 * 1000;
+
+// Google resets daily quotas at midnight Pacific Time
+const QUOTA_DAY_FORMAT = new Intl.DateTimeFormat("en-CA", {
+  timeZone: "America/Los_Angeles",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+});
+
+/**
+ * Quota day a request counts towards
+ * @param {Date} date - Time of the request
+ * @returns {string} - Day in Pacific Time as YYYY-MM-DD
+ */
+export function getQuotaDay(date = new Date()) {
+  return QUOTA_DAY_FORMAT.format(date);
+}
+
+/**
+ * Check whether a PSI error means the key is over one of its quotas
+ * @param {Error} error - Error thrown by a PSI provider
+ * @returns {boolean} - True for 429s and quota or rate limit 403s
+ */
+export function isQuotaError(error) {
+  if (error.status === 429) return true;
+  return error.status === 403 && /quota|rate ?limit/i.test(error.message);
+}
+
+/**
+ * Check whether a quota error is about the daily quota, which only frees up
+ * on the next quota day, rather than the per-100-seconds rate
+ * @param {Error} error - Quota error
+ * @returns {boolean}
+ */
+export function isDailyQuotaError(error) {
+  return /per day|daily/i.test(error.message);
+}
+
+/**
+ * Pick the editable fields of an API key from a request body
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Fields to assign to an ApiKey document
+ */
+export function pickApiKeyFields(body = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.enabled !== undefined) fields.enabled = body.enabled;
+
+  // The key is never sent to the client, so an empty one keeps the current key
+  if (body.key) fields.key = String(body.key).trim();
+
+  [
+    ["quotaPerDay", DEFAULT_QUOTA_PER_DAY],
+    ["quotaPer100Seconds", DEFAULT_QUOTA_PER_100_SECONDS],
+  ].forEach(([field, defaultValue]) => {
+    if (body[field] !== undefined) {
+      fields[field] =
+        body[field] === "" || body[field] === null
+          ? defaultValue
+          : Number(body[field]);
+    }
+  });
+
+  return fields;
+}
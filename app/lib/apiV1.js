@@ -0,0 +1,194 @@
+import { CATEGORY_KEYS, getTestOptions } from "./testOptions";
+import { WEB_VITALS, getCategoryScores, getWebVitals } from "./lighthouse";
+import {
+  cleanThresholds,
+  describeBudgetViolations,
+  summarizeBudgets,
+} from "./budgets";
+import { FIELD_METRICS, getAssessmentLabel, getResultFieldData } from "./fieldData";
+import { isValidStrategy } from "./strategies";
+
+export const API_V1_BASE = "/api/v1";
+
+export const MAX_RUN_URLS = 50;
+
+// Longest a request may block on a run, below the routes' maxDuration
+export const MAX_WAIT_SECONDS = 280;
+
+// Export formats of a finished run
+export const RUN_EXPORT_FORMATS = ["json", "csv", "pdf"];
+
+/**
+ * Validate the body of a create-run request
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - { urls, strategy, testOptions, budget, waitSeconds }
+ *   where testOptions includes forceFresh
+ * @throws {Error} - With a message for the client when the body is invalid
+ */
+export function parseRunRequest(body = {}) {
+  const { urls, strategy = "mobile", budget, wait } = body;
+
+  if (
+    !Array.isArray(urls) ||
+    urls.length === 0 ||
+    urls.some((url) => typeof url !== "string" || url.trim() === "")
+  ) {
+    throw new Error("urls must be a non-empty array of URLs");
+  }
+
+  if (urls.length > MAX_RUN_URLS) {
+    throw new Error(`Maximum ${MAX_RUN_URLS} URLs allowed`);
+  }
+
+  if (!isValidStrategy(strategy)) {
+    throw new Error("strategy must be 'mobile', 'desktop' or 'both'");
+  }
+
+  if (budget !== undefined && (typeof budget !== "object" || budget === null)) {
+    throw new Error("budget must be an object of thresholds");
+  }
+
+  return {
+    urls: urls.map((url) => url.trim()),
+    strategy,
+    testOptions: {
+      ...getTestOptions(body),
+      forceFresh: body.forceFresh === true,
+    },
+    budget: budget ? cleanThresholds(budget) : null,
+    waitSeconds: parseWait(wait),
+  };
+}
+
+/**
+ * Read how long a request wants to wait for a run to finish
+ * @param {boolean|number|string} wait - true for the maximum, or seconds
+ * @returns {number} - Seconds, 0 to return immediately
+ */
+export function parseWait(wait) {
+  if (wait === true || wait === "true") return MAX_WAIT_SECONDS;
+
+  const seconds = Number(wait);
+  if (!Number.isFinite(seconds) || seconds <= 0) return 0;
+
+  return Math.min(seconds, MAX_WAIT_SECONDS);
+}
+
+/**
+ * Convert a TestRun document into the v1 run schema
+ * @param {Object} run - TestRun document
+ * @returns {Object} - Run resource
+ */
+export function serializeRun(run) {
+  const id = String(run._id);
+  const self = `${API_V1_BASE}/runs/${id}`;
+
+  return {
+    id,
+    status: run.status,
+    source: run.source,
+    strategy: run.strategy,
+    urls: run.urls,
+    categories: run.categories?.length ? run.categories : CATEGORY_KEYS,
+    locale: run.locale || null,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt || null,
+    resultCount: run.resultCount,
+    errorCount: run.errorCount,
+    error: run.error || null,
+    links: {
+      self,
+      results: `${self}/results`,
+      exports: Object.fromEntries(
+        RUN_EXPORT_FORMATS.map((format) => [format, `${self}/export/${format}`])
+      ),
+    },
+  };
+}
+
+/**
+ * Field data in the v1 schema
+ * @param {Object} fieldData - Field data from getFieldData
+ * @returns {Object|null} - { assessment, metrics: { [key]: { percentile, category } } }
+ */
+function serializeFieldData(fieldData) {
+  if (!fieldData) return null;
+
+  const metrics = {};
+  FIELD_METRICS.forEach(({ key }) => {
+    const metric = fieldData.metrics[key];
+    if (metric) {
+      metrics[key] = { percentile: metric.percentile, category: metric.category };
+    }
+  });
+
+  return { assessment: getAssessmentLabel(fieldData), metrics };
+}
+
+/**
+ * Convert a result into the v1 result schema, which keeps the scores,
+ * metrics, budget and field data and drops the raw Lighthouse result
+ * @param {Object} result - Result in the shape returned by runPageSpeedTest
+ * @returns {Object} - Result resource
+ */
+export function serializeResult(result) {
+  const lhr = result.data?.lighthouseResult;
+
+  if (result.error || !lhr) {
+    return {
+      url: result.url,
+      strategy: result.strategy,
+      status: "error",
+      error: result.error || "Invalid or incomplete response data",
+    };
+  }
+
+  const vitals = getWebVitals(lhr);
+  const { page, origin } = getResultFieldData(result);
+
+  return {
+    url: result.url,
+    strategy: result.strategy,
+    status: "ok",
+    testedAt: result.data.analysisUTCTimestamp || null,
+    finalUrl: lhr.finalUrl || null,
+    scores: getCategoryScores(lhr),
+    metrics: Object.fromEntries(
+      WEB_VITALS.map(({ key, unit }) => [
+        key,
+        {
+          value: vitals[key].numericValue ?? null,
+          unit,
+          // getWebVitals shows missing audits as "N/A", the API uses null
+          displayValue:
+            vitals[key].numericValue === undefined ? null : vitals[key].value,
+          score: vitals[key].score,
+        },
+      ])
+    ),
+    budget: result.budget
+      ? {
+          passed: result.budget.passed,
+          violations: describeBudgetViolations(result.budget),
+          checks: result.budget.checks,
+        }
+      : null,
+    fieldData: {
+      page: serializeFieldData(page),
+      origin: serializeFieldData(origin),
+    },
+  };
+}
+
+/**
+ * Totals of a finished run for CI checks
+ * @param {Array} results - Results of the run
+ * @returns {Object} - { total, failed, budgets } with budgets from summarizeBudgets
+ */
+export function summarizeRunResults(results) {
+  return {
+    total: results.length,
+    failed: results.filter((result) => result.error).length,
+    budgets: summarizeBudgets(results),
+  };
+}
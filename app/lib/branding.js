@@ -0,0 +1,55 @@
+// Cover band and heading color of unbranded reports
+export const DEFAULT_PRIMARY_COLOR = "#111827";
+
+// Logos are stored in the profile as data URLs, PDFKit reads PNG and JPEG
+export const LOGO_TYPES = ["image/png", "image/jpeg"];
+export const MAX_LOGO_BYTES = 512 * 1024;
+
+const TEXT_FIELDS = ["name", "companyName", "clientName", "footerText", "coverNote"];
+
+/**
+ * Check that a color is a six digit hex color such as "#1d4ed8"
+ * @param {string} color - Color to check
+ * @returns {boolean} - Whether the color can be used in reports
+ */
+export function isValidColor(color) {
+  return typeof color === "string" && /^#[0-9a-f]{6}$/i.test(color);
+}
+
+/**
+ * Check that a logo is a PNG or JPEG data URL within the size limit
+ * @param {string} logo - Data URL
+ * @returns {boolean} - Whether the logo can be used in reports
+ */
+export function isValidLogo(logo) {
+  if (typeof logo !== "string") return false;
+
+  const match = logo.match(/^data:(image\/[a-z]+);base64,([A-Za-z0-9+/]+=*)$/);
+  if (!match || !LOGO_TYPES.includes(match[1])) return false;
+
+  // Four base64 characters encode three bytes
+  return (match[2].length * 3) / 4 <= MAX_LOGO_BYTES;
+}
+
+/**
+ * Pick the editable fields of a branding profile from a request body
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Fields to assign to a BrandingProfile document
+ */
+export function pickBrandingFields(body = {}) {
+  const fields = {};
+
+  TEXT_FIELDS.forEach((field) => {
+    if (body[field] === undefined) return;
+    // Empty text clears the field rather than storing ""
+    fields[field] = body[field] ? String(body[field]).trim() : undefined;
+  });
+  if (body.primaryColor !== undefined) {
+    fields.primaryColor = body.primaryColor || DEFAULT_PRIMARY_COLOR;
+  }
+  if (body.logo !== undefined) {
+    fields.logo = body.logo || undefined;
+  }
+
+  return fields;
+}
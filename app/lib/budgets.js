@@ -0,0 +1,197 @@
+import { formatMetricValue, getCategoryScores } from "./lighthouse";
+import { matchesUrlPattern } from "./urlPatterns";
+
+// Metrics a budget can limit. Category scores are minimums on a 0-100
+// scale, lab metrics are maximums in the unit of the audit's numericValue.
+export const BUDGET_METRICS = [
+  { key: "performance", label: "Performance", category: "performance", comparison: "min" },
+  { key: "accessibility", label: "Accessibility", category: "accessibility", comparison: "min" },
+  { key: "bestPractices", label: "Best Practices", category: "best-practices", comparison: "min" },
+  { key: "seo", label: "SEO", category: "seo", comparison: "min" },
+  { key: "lcp", label: "LCP", auditId: "largest-contentful-paint", unit: "ms", comparison: "max" },
+  { key: "cls", label: "CLS", auditId: "cumulative-layout-shift", unit: "unitless", comparison: "max" },
+  { key: "tbt", label: "TBT", auditId: "total-blocking-time", unit: "ms", comparison: "max" },
+  { key: "fcp", label: "FCP", auditId: "first-contentful-paint", unit: "ms", comparison: "max" },
+  { key: "si", label: "SI", auditId: "speed-index", unit: "ms", comparison: "max" },
+  { key: "tti", label: "TTI", auditId: "interactive", unit: "ms", comparison: "max" },
+];
+
+export const BUDGET_METRIC_KEYS = BUDGET_METRICS.map(({ key }) => key);
+
+/**
+ * Keep only the thresholds that are set to a number
+ * @param {Object} thresholds - Limits keyed by budget metric key
+ * @returns {Object} - Thresholds without empty values
+ */
+export function cleanThresholds(thresholds = {}) {
+  const cleaned = {};
+
+  BUDGET_METRIC_KEYS.forEach((key) => {
+    const value = thresholds?.[key];
+    if (value === null || value === undefined || value === "") return;
+
+    const number = Number(value);
+    if (Number.isFinite(number)) {
+      cleaned[key] = number;
+    }
+  });
+
+  return cleaned;
+}
+
+/**
+ * Pick the editable fields of a saved budget from a request body
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Fields to assign to a Budget document
+ */
+export function pickBudgetFields(body = {}) {
+  const fields = {};
+
+  if (body.name !== undefined) fields.name = body.name;
+  if (body.urlPattern !== undefined) {
+    // An empty pattern makes the budget global
+    fields.urlPattern = body.urlPattern ? String(body.urlPattern).trim() : undefined;
+  }
+  if (body.thresholds !== undefined) {
+    fields.thresholds = cleanThresholds(body.thresholds);
+  }
+
+  return fields;
+}
+
+/**
+ * Merge the budgets that apply to a URL. Global budgets come first, then
+ * budgets whose URL pattern matches, then the schedule's own budget, so the
+ * more specific limit wins when two budgets set the same metric.
+ * @param {string} url - URL that was tested
+ * @param {Array} budgets - Saved budgets, { urlPattern, thresholds }
+ * @param {Object} scheduleBudget - Thresholds of the schedule, if any
+ * @returns {Object|null} - Thresholds to evaluate, null if none apply
+ */
+export function resolveBudget(url, budgets = [], scheduleBudget = null) {
+  const globalBudgets = budgets.filter((budget) => !budget.urlPattern);
+  const patternBudgets = budgets.filter(
+    (budget) => budget.urlPattern && matchesUrlPattern(url, budget.urlPattern)
+  );
+
+  const thresholds = [...globalBudgets, ...patternBudgets].reduce(
+    (merged, budget) => ({ ...merged, ...cleanThresholds(budget.thresholds) }),
+    {}
+  );
+  Object.assign(thresholds, cleanThresholds(scheduleBudget));
+
+  return Object.keys(thresholds).length > 0 ? thresholds : null;
+}
+
+/**
+ * Get the value of a budget metric from a Lighthouse result
+ * @param {Object} lhr - lighthouseResult
+ * @param {Object} metric - Entry of BUDGET_METRICS
+ * @returns {number|null} - Score or numericValue, null if unavailable
+ */
+function getMetricValue(lhr, metric) {
+  if (metric.category) {
+    return getCategoryScores(lhr)[metric.category];
+  }
+
+  const value = lhr?.audits?.[metric.auditId]?.numericValue;
+  return typeof value === "number" ? value : null;
+}
+
+/**
+ * Format a budget metric value for display
+ * @param {Object} metric - Entry of BUDGET_METRICS
+ * @param {number} value - Score or numericValue
+ * @returns {string} - e.g. "80", "2.5 s" or "0.100"
+ */
+export function formatBudgetValue(metric, value) {
+  return metric.category ? `${value}` : formatMetricValue(value, metric.unit);
+}
+
+/**
+ * Evaluate a Lighthouse result against budget thresholds. Metrics the
+ * result has no value for (e.g. a category that was not run) are skipped.
+ * @param {Object} lhr - lighthouseResult
+ * @param {Object} thresholds - Limits keyed by budget metric key
+ * @returns {Object} - { passed, checks: [{ metric, label, limit, actual, passed }] }
+ */
+export function evaluateBudget(lhr, thresholds) {
+  const checks = BUDGET_METRICS.filter(
+    ({ key }) => thresholds[key] !== undefined
+  )
+    .map((metric) => {
+      const actual = getMetricValue(lhr, metric);
+      if (actual === null) return null;
+
+      const limit = thresholds[metric.key];
+      return {
+        metric: metric.key,
+        label: metric.label,
+        limit,
+        actual,
+        passed: metric.comparison === "min" ? actual >= limit : actual <= limit,
+      };
+    })
+    .filter(Boolean);
+
+  return {
+    passed: checks.every((check) => check.passed),
+    checks,
+  };
+}
+
+/**
+ * Attach a budget evaluation to a PageSpeed result
+ * @param {Object} result - { url, strategy, data } or { url, error }
+ * @param {Array} budgets - Saved budgets
+ * @param {Object} scheduleBudget - Thresholds of the schedule, if any
+ * @returns {Object} - The result, with `budget` set when a budget applies
+ */
+export function applyBudgets(result, budgets, scheduleBudget = null) {
+  const lhr = result.data?.lighthouseResult;
+  if (result.error || !lhr) return result;
+
+  const thresholds = resolveBudget(result.url, budgets, scheduleBudget);
+  if (!thresholds) return result;
+
+  return { ...result, budget: evaluateBudget(lhr, thresholds) };
+}
+
+/**
+ * Describe the failed checks of a budget evaluation
+ * @param {Object} budget - Evaluation from evaluateBudget
+ * @returns {Array<string>} - e.g. ["LCP 3.1 s > 2.5 s"]
+ */
+export function describeBudgetViolations(budget) {
+  return (budget?.checks || [])
+    .filter((check) => !check.passed)
+    .map((check) => {
+      const metric = BUDGET_METRICS.find(({ key }) => key === check.metric);
+      const operator = metric.comparison === "min" ? "<" : ">";
+      return `${check.label} ${formatBudgetValue(
+        metric,
+        check.actual
+      )} ${operator} ${formatBudgetValue(metric, check.limit)}`;
+    });
+}
+
+/**
+ * Count budget results across a batch
+ * @param {Array} results - Results with budget evaluations
+ * @returns {Object} - { evaluated, passed, failed, violations }
+ */
+export function summarizeBudgets(results) {
+  const evaluated = results.filter((result) => result.budget);
+  const failed = evaluated.filter((result) => !result.budget.passed);
+
+  return {
+    evaluated: evaluated.length,
+    passed: evaluated.length - failed.length,
+    failed: failed.length,
+    violations: evaluated.reduce(
+      (total, result) =>
+        total + result.budget.checks.filter((check) => !check.passed).length,
+      0
+    ),
+  };
+}
@@ -0,0 +1,272 @@
+import {
+  CATEGORIES,
+  WEB_VITALS,
+  formatMetricValue,
+  getCategoryScores,
+} from "./lighthouse";
+import { getUrlKey, getStrategyLabel } from "./strategies";
+
+// Lab metrics compared between runs, all "lower is better"
+export const COMPARISON_METRICS = WEB_VITALS.filter(({ key }) =>
+  ["lcp", "cls", "tbt", "fcp", "si", "tti"].includes(key)
+);
+
+// Regressions smaller than this are treated as run-to-run noise
+export const DEFAULT_COMPARISON_THRESHOLDS = {
+  // Category score points
+  score: 5,
+  // Percent increase of a lab metric
+  metric: 10,
+};
+
+/**
+ * Read comparison thresholds from form or request input. Empty values use
+ * the defaults; a threshold below 1 would flag unchanged values.
+ * @param {Object} thresholds - { score, metric } as numbers or strings
+ * @returns {Object} - { score, metric } as numbers
+ */
+export function parseComparisonThresholds(thresholds = {}) {
+  const limits = {};
+
+  Object.entries(DEFAULT_COMPARISON_THRESHOLDS).forEach(([key, fallback]) => {
+    const value = thresholds?.[key];
+    if (value === undefined || value === null || value === "") {
+      limits[key] = fallback;
+      return;
+    }
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 1) {
+      throw new Error(`The ${key} threshold must be a number of at least 1`);
+    }
+    limits[key] = number;
+  });
+
+  return limits;
+}
+
+// Lighthouse shows an audit as passed from a score of 0.9
+const AUDIT_PASS_SCORE = 0.9;
+
+/**
+ * Get the audits that have a pass/fail score, keyed by audit id
+ * @param {Object} lhr - lighthouseResult
+ * @returns {Map<string, Object>} - { id, title, passed }
+ */
+function getScoredAudits(lhr) {
+  const audits = new Map();
+
+  Object.entries(lhr?.audits || {}).forEach(([id, audit]) => {
+    // Informative, manual and not applicable audits have no score
+    if (typeof audit.score !== "number") return;
+    audits.set(id, {
+      id,
+      title: audit.title || id,
+      passed: audit.score >= AUDIT_PASS_SCORE,
+    });
+  });
+
+  return audits;
+}
+
+/**
+ * Compare two results of the same URL and strategy
+ * @param {Object} baseline - Earlier result
+ * @param {Object} current - Later result
+ * @param {Object} thresholds - { score, metric }, see DEFAULT_COMPARISON_THRESHOLDS
+ * @returns {Object} - Deltas, audit changes and regressions
+ */
+function compareResultPair(baseline, current, thresholds) {
+  const baselineLhr = baseline.data?.lighthouseResult;
+  const currentLhr = current.data?.lighthouseResult;
+
+  const row = {
+    url: current.url,
+    strategy: current.strategy,
+    categories: {},
+    metrics: {},
+    newlyFailing: [],
+    newlyPassing: [],
+    regressions: [],
+    improvements: [],
+  };
+
+  if (baseline.error || current.error || !baselineLhr || !currentLhr) {
+    row.error = current.error || baseline.error || "Missing Lighthouse data";
+    return row;
+  }
+
+  const baselineScores = getCategoryScores(baselineLhr);
+  const currentScores = getCategoryScores(currentLhr);
+  CATEGORIES.forEach(({ key, label }) => {
+    const before = baselineScores[key];
+    const after = currentScores[key];
+    const delta = before !== null && after !== null ? after - before : null;
+    row.categories[key] = { before, after, delta };
+
+    // Unchanged values are neither, whatever the threshold
+    if (!delta) return;
+    if (delta < 0 && -delta >= thresholds.score) {
+      row.regressions.push(`${label} ${delta}`);
+    } else if (delta > 0 && delta >= thresholds.score) {
+      row.improvements.push(`${label} +${delta}`);
+    }
+  });
+
+  COMPARISON_METRICS.forEach(({ key, label, auditId, unit }) => {
+    const before = baselineLhr.audits?.[auditId]?.numericValue;
+    const after = currentLhr.audits?.[auditId]?.numericValue;
+    if (typeof before !== "number" || typeof after !== "number") {
+      row.metrics[key] = { before: null, after: null, delta: null, percent: null };
+      return;
+    }
+
+    const delta = after - before;
+    // A metric going up from zero (e.g. CLS 0 to 0.05) is a full regression
+    const percent = before === 0 ? (after === 0 ? 0 : 100) : (delta / before) * 100;
+    row.metrics[key] = { before, after, delta, percent };
+
+    const change = `${label} ${delta > 0 ? "+" : ""}${formatMetricValue(delta, unit)}`;
+    if (percent > 0 && percent >= thresholds.metric) {
+      row.regressions.push(change);
+    } else if (percent < 0 && -percent >= thresholds.metric) {
+      row.improvements.push(change);
+    }
+  });
+
+  const baselineAudits = getScoredAudits(baselineLhr);
+  getScoredAudits(currentLhr).forEach((audit, id) => {
+    const before = baselineAudits.get(id);
+    if (!before || before.passed === audit.passed) return;
+
+    const change = { id, title: audit.title };
+    if (audit.passed) {
+      row.newlyPassing.push(change);
+    } else {
+      row.newlyFailing.push(change);
+    }
+  });
+
+  return row;
+}
+
+/**
+ * Diff two result sets per URL and strategy, e.g. before and after a deploy
+ * @param {Array} baselineResults - Earlier results
+ * @param {Array} currentResults - Later results
+ * @param {Object} thresholds - { score, metric }, missing ones default to
+ *   DEFAULT_COMPARISON_THRESHOLDS, see parseComparisonThresholds
+ * @returns {Object} - { rows, unmatched: { baseline, current }, summary }
+ */
+export function compareResults(
+  baselineResults,
+  currentResults,
+  thresholds = DEFAULT_COMPARISON_THRESHOLDS
+) {
+  const limits = parseComparisonThresholds(thresholds);
+  const getKey = (result) => `${getUrlKey(result.url)}|${result.strategy}`;
+
+  const baselineByKey = new Map(
+    baselineResults.map((result) => [getKey(result), result])
+  );
+  const matchedKeys = new Set();
+
+  const rows = [];
+  const unmatchedCurrent = [];
+  currentResults.forEach((current) => {
+    const key = getKey(current);
+    const baseline = baselineByKey.get(key);
+    if (!baseline) {
+      unmatchedCurrent.push(current.url);
+      return;
+    }
+
+    matchedKeys.add(key);
+    rows.push(compareResultPair(baseline, current, limits));
+  });
+
+  const unmatchedBaseline = baselineResults
+    .filter((result) => !matchedKeys.has(getKey(result)))
+    .map((result) => result.url);
+
+  return {
+    thresholds: limits,
+    rows,
+    unmatched: { baseline: unmatchedBaseline, current: unmatchedCurrent },
+    summary: {
+      compared: rows.filter((row) => !row.error).length,
+      regressed: rows.filter((row) => row.regressions.length > 0).length,
+      improved: rows.filter(
+        (row) => row.improvements.length > 0 && row.regressions.length === 0
+      ).length,
+      newlyFailingAudits: rows.reduce(
+        (total, row) => total + row.newlyFailing.length,
+        0
+      ),
+    },
+  };
+}
+
+/**
+ * Label of a comparison row, e.g. "example.com (Mobile)"
+ * @param {Object} row - Row from compareResults
+ * @returns {string} - Label
+ */
+export function getComparisonRowLabel(row) {
+  return `${row.url} (${getStrategyLabel(row.strategy)})`;
+}
+
+/**
+ * Read results from an uploaded JSON file. Accepts a results array or a
+ * batch response of the shape { results: [...] }.
+ * @param {string} text - File content
+ * @returns {Array} - Results
+ */
+export function parseResultsFile(text) {
+  const data = JSON.parse(text);
+  const results = Array.isArray(data) ? data : data?.results;
+
+  if (
+    !Array.isArray(results) ||
+    results.some((result) => !result || typeof result.url !== "string")
+  ) {
+    throw new Error("The file does not contain PageSpeed results");
+  }
+
+  return results;
+}
+
+/**
+ * Find category scores that dropped by at least a threshold between two
+ * result sets, matched per URL and strategy like compareResults
+ * @param {Array} baselineResults - Earlier results
+ * @param {Array} currentResults - Later results
+ * @param {number} threshold - Minimum drop in score points
+ * @returns {Array} - [{ url, strategy, category, label, before, after, delta }]
+ */
+export function getScoreDrops(
+  baselineResults,
+  currentResults,
+  threshold = DEFAULT_COMPARISON_THRESHOLDS.score
+) {
+  const { rows } = compareResults(baselineResults, currentResults, {
+    score: threshold,
+  });
+
+  return rows
+    .filter((row) => !row.error)
+    .flatMap((row) =>
+      CATEGORIES.filter(({ key }) => {
+        const { delta } = row.categories[key];
+        return delta < 0 && -delta >= threshold;
+      }).map(
+        ({ key, label }) => ({
+          url: row.url,
+          strategy: row.strategy,
+          category: key,
+          label,
+          ...row.categories[key],
+        })
+      )
+    );
+}
@@ -0,0 +1,33 @@
+import { CronExpressionParser } from "cron-parser";
+
+/**
+ * Check whether a cron expression (or alias such as "@daily") is valid
+ * @param {string} frequency - Cron expression
+ * @returns {boolean} - True if the expression can be parsed
+ */
+export function isValidFrequency(frequency) {
+  if (!frequency || typeof frequency !== "string") return false;
+
+  try {
+    CronExpressionParser.parse(frequency);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Calculate the next run time for a cron expression
+ * @param {string} frequency - Cron expression, e.g. "0 2 * * *"
+ * @param {string} timezone - IANA timezone the expression is evaluated in
+ * @param {Date} from - Date to calculate the next run from
+ * @returns {Date} - Next run time
+ */
+export function getNextRunDate(frequency, timezone = "UTC", from = new Date()) {
+  const expression = CronExpressionParser.parse(frequency, {
+    currentDate: from,
+    tz: timezone || "UTC",
+  });
+
+  return expression.next().toDate();
+}
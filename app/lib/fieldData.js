@@ -0,0 +1,168 @@
+import { formatMetricValue } from "./lighthouse";
+
+// Real-user metrics reported by CrUX in loadingExperience, in display order
+export const FIELD_METRICS = [
+  {
+    key: "lcp",
+    label: "LCP",
+    metricId: "LARGEST_CONTENTFUL_PAINT_MS",
+    unit: "ms",
+    core: true,
+  },
+  {
+    key: "inp",
+    label: "INP",
+    metricId: "INTERACTION_TO_NEXT_PAINT",
+    unit: "ms",
+    core: true,
+  },
+  {
+    key: "cls",
+    label: "CLS",
+    metricId: "CUMULATIVE_LAYOUT_SHIFT_SCORE",
+    unit: "unitless",
+    core: true,
+    // CrUX reports the CLS percentile multiplied by 100
+    scale: 100,
+  },
+  {
+    key: "fcp",
+    label: "FCP",
+    metricId: "FIRST_CONTENTFUL_PAINT_MS",
+    unit: "ms",
+    core: false,
+  },
+  {
+    key: "ttfb",
+    label: "TTFB",
+    metricId: "EXPERIMENTAL_TIME_TO_FIRST_BYTE",
+    unit: "ms",
+    core: false,
+  },
+];
+
+// CrUX rating buckets, in the order of the distributions
+export const FIELD_CATEGORIES = {
+  FAST: "Good",
+  AVERAGE: "Needs improvement",
+  SLOW: "Poor",
+};
+
+/**
+ * Reduce a loadingExperience object to the metrics we display, for storage
+ * @param {Object} experience - loadingExperience or originLoadingExperience
+ * @returns {Object|undefined} - Trimmed copy, undefined without field data
+ */
+export function trimLoadingExperience(experience) {
+  if (!experience?.metrics) return undefined;
+
+  const metrics = {};
+  FIELD_METRICS.forEach(({ metricId }) => {
+    const metric = experience.metrics[metricId];
+    if (!metric) return;
+
+    metrics[metricId] = {
+      percentile: metric.percentile,
+      category: metric.category,
+      distributions: (metric.distributions || []).map(
+        ({ min, max, proportion }) => ({ min, max, proportion })
+      ),
+    };
+  });
+
+  return {
+    id: experience.id,
+    overall_category: experience.overall_category,
+    origin_fallback: experience.origin_fallback,
+    metrics,
+  };
+}
+
+/**
+ * Core Web Vitals assessment of field data: passed when LCP, INP and CLS are
+ * all good at the 75th percentile. Like PSI, a page without INP data is
+ * assessed on LCP and CLS alone; without either of those there is none.
+ * @param {Object} metrics - Metrics from getFieldData, keyed by FIELD_METRICS key
+ * @returns {boolean|null} - Whether the assessment passed, null if unavailable
+ */
+function getAssessment(metrics) {
+  if (!metrics.lcp || !metrics.cls) return null;
+
+  return FIELD_METRICS.filter(({ core }) => core).every(
+    ({ key }) => !metrics[key] || metrics[key].category === "FAST"
+  );
+}
+
+/**
+ * Get the real-user metrics of a loadingExperience object
+ * @param {Object} experience - loadingExperience or originLoadingExperience
+ * @returns {Object|null} - { id, passed, metrics: { [key]: { value,
+ *   percentile, category, distribution: { fast, average, slow } } } }
+ *   where the distribution proportions are 0–1, or null without field data
+ */
+export function getFieldData(experience) {
+  const source = experience?.metrics || {};
+  const metrics = {};
+
+  FIELD_METRICS.forEach(({ key, metricId, unit, scale = 1 }) => {
+    const metric = source[metricId];
+    if (!metric || typeof metric.percentile !== "number") return;
+
+    const [fast, average, slow] = (metric.distributions || []).map(
+      ({ proportion }) => proportion || 0
+    );
+    const percentile = metric.percentile / scale;
+    metrics[key] = {
+      value: formatMetricValue(percentile, unit),
+      percentile,
+      category: metric.category,
+      distribution: { fast: fast || 0, average: average || 0, slow: slow || 0 },
+    };
+  });
+
+  if (Object.keys(metrics).length === 0) return null;
+
+  return { id: experience.id, passed: getAssessment(metrics), metrics };
+}
+
+/**
+ * Get the page and origin field data of a result. When CrUX has too little
+ * data for the page, PSI repeats the origin data as page data and sets
+ * origin_fallback, which is reported as no page data here.
+ * @param {Object} result - Result with data.loadingExperience
+ * @returns {Object} - { page, origin } from getFieldData
+ */
+export function getResultFieldData(result) {
+  const pageExperience = result?.data?.loadingExperience;
+
+  return {
+    page: pageExperience?.origin_fallback ? null : getFieldData(pageExperience),
+    origin: getFieldData(result?.data?.originLoadingExperience),
+  };
+}
+
+/**
+ * Label of the Core Web Vitals assessment of field data
+ * @param {Object} fieldData - Field data from getFieldData
+ * @returns {string} - "Passed", "Failed", "Not assessed" or "No data"
+ */
+export function getAssessmentLabel(fieldData) {
+  if (!fieldData) return "No data";
+  if (fieldData.passed === null) return "Not assessed";
+  return fieldData.passed ? "Passed" : "Failed";
+}
+
+/**
+ * Describe field data in one line, e.g. "Passed - LCP 2.1 s, INP 180 ms"
+ * @param {Object} fieldData - Field data from getFieldData
+ * @returns {string} - Summary, "No data" without field data
+ */
+export function describeFieldData(fieldData) {
+  if (!fieldData) return "No data";
+
+  const metrics = FIELD_METRICS.filter(({ key }) => fieldData.metrics[key]).map(
+    ({ key, label }) => `${label} ${fieldData.metrics[key].value}`
+  );
+
+  return `${getAssessmentLabel(fieldData)} - ${metrics.join(", ")}`;
+}
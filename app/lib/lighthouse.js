@@ -0,0 +1,299 @@
+// Audits kept when a Lighthouse result is trimmed for storage
+const STORED_AUDITS = [
+  "first-contentful-paint",
+  "largest-contentful-paint",
+  "cumulative-layout-shift",
+  "total-blocking-time",
+  "speed-index",
+  "interactive",
+  "max-potential-fid",
+  "server-response-time",
+];
+
+// Items kept per opportunity or diagnostic when a result is trimmed
+const STORED_AUDIT_ITEMS = 5;
+
+/**
+ * Reduce a Lighthouse result to the fields needed for reports and history.
+ * A full PSI response is several hundred kilobytes, mostly screenshots and
+ * audit details we never display.
+ * @param {Object} lhr - Full lighthouseResult from the PSI response
+ * @returns {Object|null} - Trimmed lighthouseResult
+ */
+export function trimLighthouseResult(lhr) {
+  if (!lhr) return null;
+
+  const categories = {};
+  Object.entries(lhr.categories || {}).forEach(([key, category]) => {
+    categories[key] = {
+      id: category.id,
+      title: category.title,
+      score: category.score,
+    };
+  });
+
+  // Keep the failing opportunities and diagnostics with their top items so
+  // stored results can still list what to fix
+  const keptAudits = [
+    ...getOpportunities(lhr, { itemLimit: STORED_AUDIT_ITEMS }),
+    ...getDiagnostics(lhr, { itemLimit: STORED_AUDIT_ITEMS }),
+  ];
+  const keptIds = new Set(keptAudits.map((audit) => audit.id));
+  if (categories.performance && keptIds.size > 0) {
+    categories.performance.auditRefs = lhr.categories.performance.auditRefs
+      .filter((ref) => keptIds.has(ref.id))
+      .map((ref) => ({ id: ref.id, group: ref.group }));
+  }
+
+  const audits = {};
+  STORED_AUDITS.forEach((auditId) => {
+    const audit = lhr.audits?.[auditId];
+    if (!audit) return;
+
+    audits[auditId] = {
+      id: audit.id,
+      title: audit.title,
+      score: audit.score,
+      numericValue: audit.numericValue,
+      numericUnit: audit.numericUnit,
+      displayValue: audit.displayValue,
+    };
+  });
+
+  keptAudits.forEach((audit) => {
+    audits[audit.id] = {
+      id: audit.id,
+      title: audit.title,
+      score: audit.score,
+      displayValue: audit.displayValue,
+      details: {
+        overallSavingsMs: audit.savingsMs,
+        overallSavingsBytes: audit.savingsBytes,
+        items: audit.items.map(({ label, ...item }) => ({ url: label, ...item })),
+      },
+    };
+  });
+
+  return {
+    requestedUrl: lhr.requestedUrl,
+    finalUrl: lhr.finalUrl,
+    fetchTime: lhr.fetchTime,
+    lighthouseVersion: lhr.lighthouseVersion,
+    configSettings: {
+      formFactor: lhr.configSettings?.formFactor,
+      locale: lhr.configSettings?.locale,
+      onlyCategories: lhr.configSettings?.onlyCategories,
+    },
+    categories,
+    audits,
+  };
+}
+
+// Lighthouse categories in display order
+export const CATEGORIES = [
+  { key: "performance", label: "Performance" },
+  { key: "accessibility", label: "Accessibility" },
+  { key: "best-practices", label: "Best Practices" },
+  { key: "seo", label: "SEO" },
+];
+
+// Lab metrics, keyed by their short name. Max Potential FID is a lab
+// estimate of the worst input delay, not the First Input Delay of real users.
+export const WEB_VITALS = [
+  { key: "lcp", label: "LCP", auditId: "largest-contentful-paint", unit: "ms" },
+  { key: "mpfid", label: "Max Potential FID", auditId: "max-potential-fid", unit: "ms" },
+  { key: "cls", label: "CLS", auditId: "cumulative-layout-shift", unit: "unitless" },
+  { key: "fcp", label: "FCP", auditId: "first-contentful-paint", unit: "ms" },
+  { key: "tti", label: "TTI", auditId: "interactive", unit: "ms" },
+  { key: "tbt", label: "TBT", auditId: "total-blocking-time", unit: "ms" },
+  { key: "si", label: "SI", auditId: "speed-index", unit: "ms" },
+];
+
+/**
+ * Format a numeric metric value the way Lighthouse displays it
+ * @param {number} value - numericValue of the audit
+ * @param {string} unit - 'ms' or 'unitless'
+ * @returns {string} - e.g. "2.4 s", "180 ms" or "0.052"
+ */
+export function formatMetricValue(value, unit) {
+  if (value === null || value === undefined) return "N/A";
+  if (unit === "unitless") return value.toFixed(3);
+  if (Math.abs(value) >= 1000) return `${(value / 1000).toFixed(1)} s`;
+  return `${Math.round(value)} ms`;
+}
+
+/**
+ * Get category scores on a 0-100 scale
+ * @param {Object} lhr - lighthouseResult
+ * @returns {Object} - Scores keyed by category key, null when the category
+ *   was not run
+ */
+export function getCategoryScores(lhr) {
+  const categories = lhr?.categories || {};
+  const scores = {};
+
+  CATEGORIES.forEach(({ key }) => {
+    const score = categories[key]?.score;
+    scores[key] = typeof score === "number" ? Math.round(score * 100) : null;
+  });
+
+  return scores;
+}
+
+/**
+ * Get the Core Web Vitals display values and audit scores
+ * @param {Object} lhr - lighthouseResult
+ * @returns {Object} - { value, score, numericValue } keyed by vital key
+ */
+export function getWebVitals(lhr) {
+  const audits = lhr?.audits || {};
+  const vitals = {};
+
+  WEB_VITALS.forEach(({ key, auditId }) => {
+    const audit = audits[auditId];
+    vitals[key] = {
+      value: audit?.displayValue || "N/A",
+      score: audit ? audit.score : null,
+      numericValue: audit?.numericValue,
+    };
+  });
+
+  return vitals;
+}
+
+// Audits pass from this score, like the green checks in the Lighthouse report
+const PASSING_AUDIT_SCORE = 0.9;
+
+/**
+ * Get the rows of an audit's details table in a display-friendly shape
+ * @param {Object} audit - Lighthouse audit
+ * @param {number} limit - Maximum rows to return
+ * @returns {Array} - [{ label, wastedMs, wastedBytes, totalBytes }]
+ */
+function getAuditItems(audit, limit) {
+  const items = Array.isArray(audit.details?.items) ? audit.details.items : [];
+
+  return items.slice(0, limit).map((item) => ({
+    label:
+      item.url ||
+      item.source?.url ||
+      item.node?.nodeLabel ||
+      item.node?.snippet ||
+      item.label ||
+      item.groupLabel ||
+      item.entity?.text ||
+      (typeof item.entity === "string" ? item.entity : null) ||
+      "Unlabelled item",
+    wastedMs: typeof item.wastedMs === "number" ? item.wastedMs : null,
+    wastedBytes: typeof item.wastedBytes === "number" ? item.wastedBytes : null,
+    totalBytes:
+      typeof item.totalBytes === "number"
+        ? item.totalBytes
+        : typeof item.transferSize === "number"
+          ? item.transferSize
+          : null,
+  }));
+}
+
+/**
+ * Estimated time savings of an audit. Newer Lighthouse versions report
+ * savings per metric in metricSavings instead of overallSavingsMs.
+ * @param {Object} audit - Lighthouse audit
+ * @returns {number} - Milliseconds, 0 if unknown
+ */
+function getSavingsMs(audit) {
+  if (typeof audit.details?.overallSavingsMs === "number") {
+    return audit.details.overallSavingsMs;
+  }
+
+  // CLS savings are unitless, so only the timing metrics count
+  const { LCP = 0, FCP = 0, TBT = 0, INP = 0 } = audit.metricSavings || {};
+  return Math.max(LCP, FCP, TBT, INP);
+}
+
+/**
+ * Get the performance audits of a result with the group they are listed in
+ * @param {Object} lhr - lighthouseResult
+ * @returns {Array} - [{ audit, group }]
+ */
+function getPerformanceAudits(lhr) {
+  const refs = lhr?.categories?.performance?.auditRefs || [];
+  return refs
+    .map((ref) => ({ audit: lhr.audits?.[ref.id], group: ref.group }))
+    .filter(({ audit }) => audit);
+}
+
+/**
+ * Get the failing opportunities of a result, largest estimated savings first
+ * @param {Object} lhr - Full lighthouseResult (trimmed results have none)
+ * @param {Object} options
+ * @param {number} options.limit - Maximum opportunities to return
+ * @param {number} options.itemLimit - Maximum items per opportunity
+ * @returns {Array} - [{ id, title, displayValue, savingsMs, savingsBytes, items }]
+ */
+export function getOpportunities(lhr, { limit = 10, itemLimit = 10 } = {}) {
+  return getPerformanceAudits(lhr)
+    .filter(
+      ({ audit, group }) =>
+        group === "load-opportunities" ||
+        group === "insights" ||
+        audit.details?.type === "opportunity"
+    )
+    .map(({ audit }) => ({
+      id: audit.id,
+      title: audit.title,
+      displayValue: audit.displayValue || "",
+      score: audit.score,
+      savingsMs: getSavingsMs(audit),
+      savingsBytes: audit.details?.overallSavingsBytes || 0,
+      items: getAuditItems(audit, itemLimit),
+    }))
+    .filter(
+      (opportunity) =>
+        (opportunity.score === null || opportunity.score < PASSING_AUDIT_SCORE) &&
+        (opportunity.savingsMs > 0 || opportunity.savingsBytes > 0)
+    )
+    .sort(
+      (a, b) => b.savingsMs - a.savingsMs || b.savingsBytes - a.savingsBytes
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Get the failing diagnostics of a result, lowest score first
+ * @param {Object} lhr - Full lighthouseResult (trimmed results have none)
+ * @param {Object} options
+ * @param {number} options.limit - Maximum diagnostics to return
+ * @param {number} options.itemLimit - Maximum items per diagnostic
+ * @returns {Array} - [{ id, title, displayValue, score, items }]
+ */
+export function getDiagnostics(lhr, { limit = 10, itemLimit = 10 } = {}) {
+  return getPerformanceAudits(lhr)
+    .filter(
+      ({ audit, group }) =>
+        group === "diagnostics" &&
+        typeof audit.score === "number" &&
+        audit.score < PASSING_AUDIT_SCORE
+    )
+    .map(({ audit }) => ({
+      id: audit.id,
+      title: audit.title,
+      displayValue: audit.displayValue || "",
+      score: audit.score,
+      items: getAuditItems(audit, itemLimit),
+    }))
+    .sort((a, b) => a.score - b.score)
+    .slice(0, limit);
+}
+
+/**
+ * Format a byte count, e.g. "1.2 MiB" or "340 KiB" as Lighthouse does
+ * @param {number} bytes - Byte count
+ * @returns {string} - Formatted size
+ */
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return "N/A";
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MiB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KiB`;
+  return `${bytes} B`;
+}
@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+// Reuse the connection across hot reloads in development and across
+// route handler invocations in production.
+let cached = global.mongoose;
+
+if (!cached) {
+  cached = global.mongoose = { conn: null, promise: null };
+}
+
+/**
+ * Check whether a database is set up, for features that work without one
+ * @returns {boolean} - True when MONGODB_URI is set
+ */
+export function isDatabaseConfigured() {
+  return Boolean(MONGODB_URI);
+}
+
+/**
+ * Connect to MongoDB using the MONGODB_URI environment variable
+ * @returns {Promise<typeof mongoose>} - Connected mongoose instance
+ */
+export async function connectToDatabase() {
+  if (cached.conn) {
+    return cached.conn;
+  }
+
+  if (!MONGODB_URI) {
+    throw new Error("MONGODB_URI environment variable is not defined");
+  }
+
+  if (!cached.promise) {
+    cached.promise = mongoose
+      .connect(MONGODB_URI, { bufferCommands: false })
+      .then((instance) => {
+        console.log("Connected to MongoDB");
+        return instance;
+      });
+  }
+
+  try {
+    cached.conn = await cached.promise;
+  } catch (error) {
+    cached.promise = null;
+    console.error("MongoDB connection error:", error);
+    throw error;
+  }
+
+  return cached.conn;
+}
+
+export default connectToDatabase;
@@ -0,0 +1,437 @@
+import { CATEGORY_KEYS } from "./testOptions";
+import { WEB_VITALS } from "./lighthouse";
+import { BUDGET_METRICS } from "./budgets";
+import { FIELD_METRICS } from "./fieldData";
+import {
+  API_V1_BASE,
+  MAX_RUN_URLS,
+  MAX_WAIT_SECONDS,
+  RUN_EXPORT_FORMATS,
+} from "./apiV1";
+
+const errorResponse = (description) => ({
+  description,
+  content: {
+    "application/json": { schema: { $ref: "#/components/schemas/Error" } },
+  },
+});
+
+const runIdParameter = {
+  name: "id",
+  in: "path",
+  required: true,
+  schema: { type: "string" },
+};
+
+const nullableNumber = { type: ["number", "null"] };
+
+const fieldDataSchema = {
+  type: ["object", "null"],
+  properties: {
+    assessment: {
+      type: "string",
+      enum: ["Passed", "Failed", "Not assessed"],
+      description: "Core Web Vitals assessment at the 75th percentile",
+    },
+    metrics: {
+      type: "object",
+      properties: Object.fromEntries(
+        FIELD_METRICS.map(({ key, label }) => [
+          key,
+          {
+            type: "object",
+            description: `${label} at the 75th percentile`,
+            properties: {
+              percentile: { type: "number" },
+              category: { type: "string", enum: ["FAST", "AVERAGE", "SLOW"] },
+            },
+          },
+        ])
+      ),
+    },
+  },
+};
+
+/**
+ * OpenAPI 3.1 description of the v1 API, served at /api/v1/openapi.json
+ */
+export const OPENAPI_DOCUMENT = {
+  openapi: "3.1.0",
+  info: {
+    title: "PageSpeed Tester API",
+    version: "1.0.0",
+    description:
+      "Start PageSpeed Insights runs from CI pipelines, wait for them and fetch their results and reports. Authenticate with a personal access token created on the API Tokens page.",
+  },
+  servers: [{ url: API_V1_BASE }],
+  security: [{ accessToken: [] }],
+  paths: {
+    "/runs": {
+      get: {
+        summary: "List the latest runs",
+        operationId: "listRuns",
+        parameters: [
+          {
+            name: "limit",
+            in: "query",
+            schema: { type: "integer", minimum: 1, maximum: 100, default: 20 },
+          },
+        ],
+        responses: {
+          200: {
+            description: "Runs, newest first",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    runs: {
+                      type: "array",
+                      items: { $ref: "#/components/schemas/Run" },
+                    },
+                  },
+                },
+              },
+            },
+          },
+          401: errorResponse("Missing, invalid or expired access token"),
+        },
+      },
+      post: {
+        summary: "Start a run",
+        operationId: "createRun",
+        requestBody: {
+          required: true,
+          content: {
+            "application/json": {
+              schema: { $ref: "#/components/schemas/RunRequest" },
+            },
+          },
+        },
+        responses: {
+          201: {
+            description: "The run finished within the requested wait",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/RunResults" },
+              },
+            },
+          },
+          202: {
+            description: "The run was started and is still running",
+            headers: {
+              Location: {
+                description: "URL of the run",
+                schema: { type: "string" },
+              },
+            },
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { run: { $ref: "#/components/schemas/Run" } },
+                },
+              },
+            },
+          },
+          400: errorResponse("Invalid request body"),
+          401: errorResponse("Missing, invalid or expired access token"),
+          503: errorResponse("No PageSpeed API key configured on the server"),
+        },
+      },
+    },
+    "/runs/{id}": {
+      get: {
+        summary: "Get a run",
+        operationId: "getRun",
+        parameters: [
+          runIdParameter,
+          {
+            name: "wait",
+            in: "query",
+            description: `Seconds to wait for a running run to finish, at most ${MAX_WAIT_SECONDS}`,
+            schema: { type: "integer", minimum: 0, maximum: MAX_WAIT_SECONDS },
+          },
+        ],
+        responses: {
+          200: {
+            description: "The run",
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: { run: { $ref: "#/components/schemas/Run" } },
+                },
+              },
+            },
+          },
+          401: errorResponse("Missing, invalid or expired access token"),
+          404: errorResponse("Run not found"),
+        },
+      },
+    },
+    "/runs/{id}/results": {
+      get: {
+        summary: "Get the results of a finished run",
+        operationId: "getRunResults",
+        parameters: [runIdParameter],
+        responses: {
+          200: {
+            description: "The run with its summary and results",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/RunResults" },
+              },
+            },
+          },
+          401: errorResponse("Missing, invalid or expired access token"),
+          404: errorResponse("Run not found"),
+          409: errorResponse("The run is still running"),
+        },
+      },
+    },
+    "/runs/{id}/export/{format}": {
+      get: {
+        summary: "Download the results of a finished run",
+        operationId: "exportRun",
+        parameters: [
+          runIdParameter,
+          {
+            name: "format",
+            in: "path",
+            required: true,
+            schema: { type: "string", enum: RUN_EXPORT_FORMATS },
+          },
+          {
+            name: "brandingProfileId",
+            in: "query",
+            description: "Branding profile for the PDF report",
+            schema: { type: "string" },
+          },
+        ],
+        responses: {
+          200: {
+            description: "Report file",
+            content: {
+              "application/json": {
+                schema: { $ref: "#/components/schemas/RunResults" },
+              },
+              "text/csv": { schema: { type: "string" } },
+              "application/pdf": {
+                schema: { type: "string", format: "binary" },
+              },
+            },
+          },
+          400: errorResponse("Unsupported export format"),
+          401: errorResponse("Missing, invalid or expired access token"),
+          404: errorResponse("Run or branding profile not found"),
+          409: errorResponse("The run is still running"),
+        },
+      },
+    },
+  },
+  components: {
+    securitySchemes: {
+      accessToken: {
+        type: "http",
+        scheme: "bearer",
+        description: "Personal access token, starting with pst_",
+      },
+    },
+    schemas: {
+      Error: {
+        type: "object",
+        required: ["error"],
+        properties: { error: { type: "string" } },
+      },
+      Thresholds: {
+        type: "object",
+        description:
+          "Budget limits. Category scores are minimums on a 0-100 scale, lab metrics are maximums in milliseconds (CLS unitless).",
+        properties: Object.fromEntries(
+          BUDGET_METRICS.map(({ key, label, comparison }) => [
+            key,
+            {
+              type: "number",
+              minimum: 0,
+              description: `${comparison === "min" ? "Minimum" : "Maximum"} ${label}`,
+            },
+          ])
+        ),
+      },
+      RunRequest: {
+        type: "object",
+        required: ["urls"],
+        properties: {
+          urls: {
+            type: "array",
+            items: { type: "string" },
+            minItems: 1,
+            maxItems: MAX_RUN_URLS,
+          },
+          strategy: {
+            type: "string",
+            enum: ["mobile", "desktop", "both"],
+            default: "mobile",
+          },
+          categories: {
+            type: "array",
+            items: { type: "string", enum: CATEGORY_KEYS },
+            description: "Lighthouse categories to run, all by default",
+          },
+          locale: { type: "string", example: "de" },
+          utmCampaign: { type: "string" },
+          utmSource: { type: "string" },
+          forceFresh: {
+            type: "boolean",
+            default: false,
+            description:
+              "Test again instead of using results cached on the server",
+          },
+          budget: {
+            $ref: "#/components/schemas/Thresholds",
+            description:
+              "Limits for this run, override saved global and URL pattern budgets",
+          },
+          wait: {
+            oneOf: [
+              { type: "boolean" },
+              { type: "integer", minimum: 0, maximum: MAX_WAIT_SECONDS },
+            ],
+            description: `Wait for the run to finish: true for up to ${MAX_WAIT_SECONDS} seconds, or a number of seconds`,
+          },
+        },
+      },
+      Run: {
+        type: "object",
+        properties: {
+          id: { type: "string" },
+          status: {
+            type: "string",
+            enum: ["running", "completed", "partial", "failed"],
+          },
+          source: { type: "string", enum: ["scheduled", "manual", "api"] },
+          strategy: { type: "string", enum: ["mobile", "desktop", "both"] },
+          urls: { type: "array", items: { type: "string" } },
+          categories: {
+            type: "array",
+            items: { type: "string", enum: CATEGORY_KEYS },
+          },
+          locale: { type: ["string", "null"] },
+          startedAt: { type: "string", format: "date-time" },
+          finishedAt: { type: ["string", "null"], format: "date-time" },
+          resultCount: { type: "integer" },
+          errorCount: { type: "integer" },
+          error: { type: ["string", "null"] },
+          links: {
+            type: "object",
+            properties: {
+              self: { type: "string" },
+              results: { type: "string" },
+              exports: {
+                type: "object",
+                properties: Object.fromEntries(
+                  RUN_EXPORT_FORMATS.map((format) => [format, { type: "string" }])
+                ),
+              },
+            },
+          },
+        },
+      },
+      Result: {
+        type: "object",
+        required: ["url", "strategy", "status"],
+        properties: {
+          url: { type: "string" },
+          strategy: { type: "string", enum: ["mobile", "desktop"] },
+          status: { type: "string", enum: ["ok", "error"] },
+          error: {
+            type: "string",
+            description: "Only set when status is error",
+          },
+          testedAt: { type: ["string", "null"], format: "date-time" },
+          finalUrl: { type: ["string", "null"] },
+          scores: {
+            type: "object",
+            description: "0-100, null when the category was not run",
+            properties: Object.fromEntries(
+              CATEGORY_KEYS.map((key) => [key, nullableNumber])
+            ),
+          },
+          metrics: {
+            type: "object",
+            properties: Object.fromEntries(
+              WEB_VITALS.map(({ key, label }) => [
+                key,
+                {
+                  type: "object",
+                  description: label,
+                  properties: {
+                    value: nullableNumber,
+                    unit: { type: "string", enum: ["ms", "unitless"] },
+                    displayValue: { type: ["string", "null"] },
+                    score: nullableNumber,
+                  },
+                },
+              ])
+            ),
+          },
+          budget: {
+            type: ["object", "null"],
+            properties: {
+              passed: { type: "boolean" },
+              violations: {
+                type: "array",
+                items: { type: "string" },
+                example: ["LCP 3.1 s > 2.5 s"],
+              },
+              checks: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    metric: { type: "string" },
+                    label: { type: "string" },
+                    limit: { type: "number" },
+                    actual: { type: "number" },
+                    passed: { type: "boolean" },
+                  },
+                },
+              },
+            },
+          },
+          fieldData: {
+            type: "object",
+            properties: { page: fieldDataSchema, origin: fieldDataSchema },
+          },
+        },
+      },
+      RunResults: {
+        type: "object",
+        properties: {
+          run: { $ref: "#/components/schemas/Run" },
+          summary: {
+            type: "object",
+            properties: {
+              total: { type: "integer" },
+              failed: { type: "integer" },
+              budgets: {
+                type: "object",
+                properties: {
+                  evaluated: { type: "integer" },
+                  passed: { type: "integer" },
+                  failed: { type: "integer" },
+                  violations: { type: "integer" },
+                },
+              },
+            },
+          },
+          results: {
+            type: "array",
+            items: { $ref: "#/components/schemas/Result" },
+          },
+        },
+      },
+    },
+  },
+};
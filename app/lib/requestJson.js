@@ -0,0 +1,25 @@
+/**
+ * Call a JSON API route and throw the error message it returns on failure
+ * @param {string} url - Route URL
+ * @param {Object} options - fetch options
+ * @returns {Promise<Object>} - Parsed response body
+ */
+export async function requestJson(url, options = {}) {
+  const response = await fetch(url, {
+    ...options,
+    headers: { "Content-Type": "application/json", ...options.headers },
+  });
+
+  let data = {};
+  try {
+    data = await response.json();
+  } catch (e) {
+    // Empty or non-JSON body, fall back to the status code below
+  }
+
+  if (!response.ok) {
+    throw new Error(data.error || `Failed with status ${response.status}`);
+  }
+
+  return data;
+}
@@ -0,0 +1,205 @@
+import { CATEGORIES, WEB_VITALS, getCategoryScores, getWebVitals } from "./lighthouse";
+
+// Columns of the results table, in display order. Scores are higher is
+// better, lab metrics lower is better.
+export const RESULT_TABLE_COLUMNS = [
+  { key: "url", label: "URL", type: "text" },
+  { key: "strategy", label: "Strategy", type: "text" },
+  ...CATEGORIES.map(({ key, label }) => ({ key, label, type: "score" })),
+  ...WEB_VITALS.map(({ key, label, unit }) => ({
+    key,
+    label: key === "mpfid" ? "Max FID" : label,
+    type: "metric",
+    unit,
+  })),
+];
+
+export const DEFAULT_RESULT_FILTERS = {
+  query: "",
+  // "all", "passed" for results with scores or "errors"
+  status: "all",
+  category: "performance",
+  minScore: 0,
+  maxScore: 100,
+};
+
+// Width of the score ranges in the distribution charts
+const DISTRIBUTION_BUCKET = 10;
+
+/**
+ * One table row per result with the values of every column
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @returns {Array} - [{ id, result, error, values, metricScores }] in result
+ *   order, metricScores holding the audit score of each lab metric
+ */
+export function getResultRows(results) {
+  return results.map((result, index) => {
+    const lhr = result.error ? null : result.data?.lighthouseResult;
+    const scores = getCategoryScores(lhr);
+    const vitals = getWebVitals(lhr);
+
+    const values = { url: result.url, strategy: result.strategy || "mobile" };
+    const metricScores = {};
+    CATEGORIES.forEach(({ key }) => {
+      values[key] = scores[key];
+    });
+    WEB_VITALS.forEach(({ key }) => {
+      values[key] = vitals[key].numericValue ?? null;
+      metricScores[key] = vitals[key].score;
+    });
+
+    return {
+      id: `${index}-${result.url}-${values.strategy}`,
+      result,
+      error: result.error || (lhr?.categories ? null : "Invalid data"),
+      values,
+      metricScores,
+    };
+  });
+}
+
+/**
+ * Check whether the score range filter is narrower than 0-100
+ * @param {Object} filters - See DEFAULT_RESULT_FILTERS
+ * @returns {boolean}
+ */
+export function hasScoreRange(filters) {
+  return Number(filters.minScore) > 0 || Number(filters.maxScore) < 100;
+}
+
+/**
+ * Keep the rows matching the URL substring, status and score range
+ * @param {Array} rows - Rows from getResultRows
+ * @param {Object} filters - See DEFAULT_RESULT_FILTERS
+ * @returns {Array} - Matching rows
+ */
+export function filterResultRows(rows, filters) {
+  const query = filters.query.trim().toLowerCase();
+  const minScore = Number(filters.minScore) || 0;
+  const maxScore = filters.maxScore === "" ? 100 : Number(filters.maxScore);
+  const scoreRange = hasScoreRange(filters);
+
+  return rows.filter((row) => {
+    if (query && !row.values.url.toLowerCase().includes(query)) return false;
+    if (filters.status === "passed" && row.error) return false;
+    if (filters.status === "errors" && !row.error) return false;
+
+    if (scoreRange) {
+      // Results without the score cannot be in the range
+      const score = row.values[filters.category];
+      if (score === null || score < minScore || score > maxScore) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Sort rows by a column. Missing values always come last, and rows that
+ * compare equal keep their order.
+ * @param {Array} rows - Rows from getResultRows
+ * @param {Object} sort - { key, direction: "asc" | "desc" }, no key keeps the order
+ * @returns {Array} - Sorted copy
+ */
+export function sortResultRows(rows, sort) {
+  if (!sort?.key) return rows;
+
+  const column = RESULT_TABLE_COLUMNS.find(({ key }) => key === sort.key);
+  const direction = sort.direction === "desc" ? -1 : 1;
+
+  return [...rows].sort((a, b) => {
+    const first = a.values[sort.key];
+    const second = b.values[sort.key];
+
+    if (first === null || first === undefined) {
+      return second === null || second === undefined ? 0 : 1;
+    }
+    if (second === null || second === undefined) return -1;
+
+    const order =
+      column?.type === "text"
+        ? String(first).localeCompare(String(second))
+        : first - second;
+    return order * direction;
+  });
+}
+
+/**
+ * Mean, median, min and max of every score and metric column
+ * @param {Array} rows - Rows from getResultRows
+ * @returns {Object} - { mean, median, min, max } keyed by column key, each
+ *   null when no row has a value
+ */
+export function summarizeResultRows(rows) {
+  const summary = {};
+
+  RESULT_TABLE_COLUMNS.filter(({ type }) => type !== "text").forEach(
+    ({ key }) => {
+      const values = rows
+        .map((row) => row.values[key])
+        .filter((value) => value !== null && value !== undefined)
+        .sort((a, b) => a - b);
+
+      if (values.length === 0) {
+        summary[key] = { mean: null, median: null, min: null, max: null };
+        return;
+      }
+
+      const middle = Math.floor(values.length / 2);
+      summary[key] = {
+        mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+        median:
+          values.length % 2
+            ? values[middle]
+            : (values[middle - 1] + values[middle]) / 2,
+        min: values[0],
+        max: values[values.length - 1],
+      };
+    }
+  );
+
+  return summary;
+}
+
+/**
+ * Count the scores of a category in ranges of ten points
+ * @param {Array} rows - Rows from getResultRows
+ * @param {string} category - Category key
+ * @returns {Array} - [{ min, max, count }] from 0-9 up to 90-100
+ */
+export function getScoreDistribution(rows, category) {
+  const buckets = Array.from(
+    { length: 100 / DISTRIBUTION_BUCKET },
+    (_, index) => ({
+      min: index * DISTRIBUTION_BUCKET,
+      max: index * DISTRIBUTION_BUCKET + DISTRIBUTION_BUCKET - 1,
+      count: 0,
+    })
+  );
+  // A perfect score belongs to the top range
+  buckets[buckets.length - 1].max = 100;
+
+  rows.forEach((row) => {
+    const score = row.values[category];
+    if (score === null || score === undefined) return;
+
+    const index = Math.min(
+      Math.floor(score / DISTRIBUTION_BUCKET),
+      buckets.length - 1
+    );
+    buckets[index].count++;
+  });
+
+  return buckets;
+}
+
+/**
+ * Rows of the results table after filtering and sorting
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @param {Object} filters - See DEFAULT_RESULT_FILTERS
+ * @param {Object} sort - See sortResultRows
+ * @returns {Array} - Rows from getResultRows
+ */
+export function getVisibleResultRows(results, filters, sort) {
+  return sortResultRows(filterResultRows(getResultRows(results), filters), sort);
+}
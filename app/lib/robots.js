@@ -0,0 +1,96 @@
+/**
+ * Parse the rules of a robots.txt that apply to a user agent. Groups for
+ * the agent's own token win over the "*" group, as in RFC 9309.
+ * @param {string} text - robots.txt content
+ * @param {string} userAgent - Product token of the crawler, e.g. "PageSpeedTester"
+ * @returns {Array<{ allow: boolean, path: string }>} - Rules of the matching group
+ */
+export function parseRobotsTxt(text, userAgent) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  text.split(/\r?\n/).forEach((rawLine) => {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    const separator = line.indexOf(":");
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === "user-agent") {
+      // Consecutive user-agent lines share one group
+      if (!lastWasAgent) {
+        current = { agents: [], rules: [] };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === "allow" || field === "disallow") {
+      // An empty Disallow allows everything, so it adds no rule
+      if (value) {
+        current.rules.push({ allow: field === "allow", path: value });
+      }
+    }
+  });
+
+  const token = userAgent.toLowerCase();
+  const ownGroups = groups.filter((group) =>
+    group.agents.some((agent) => agent !== "*" && token.includes(agent))
+  );
+  const matching =
+    ownGroups.length > 0
+      ? ownGroups
+      : groups.filter((group) => group.agents.includes("*"));
+
+  return matching.flatMap((group) => group.rules);
+}
+
+/**
+ * Convert a robots.txt path rule into a regular expression, supporting the
+ * "*" wildcard and the "$" end anchor
+ * @param {string} path - Rule path
+ * @returns {RegExp} - Expression matched against path plus query
+ */
+const toRuleExpression = (path) => {
+  const anchored = path.endsWith("$");
+  const source = (anchored ? path.slice(0, -1) : path)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(`^${source}${anchored ? "$" : ""}`);
+};
+
+/**
+ * Check whether robots.txt rules allow a URL. The longest matching rule
+ * wins and Allow wins a tie.
+ * @param {Array} rules - Rules from parseRobotsTxt
+ * @param {string} url - Absolute URL
+ * @returns {boolean} - Whether the URL may be crawled
+ */
+export function isAllowedByRobots(rules, url) {
+  const { pathname, search } = new URL(url);
+  const target = `${pathname}${search}`;
+
+  let winner = null;
+  rules.forEach((rule) => {
+    if (!toRuleExpression(rule.path).test(target)) return;
+
+    if (
+      !winner ||
+      rule.path.length > winner.path.length ||
+      (rule.path.length === winner.path.length && rule.allow)
+    ) {
+      winner = rule;
+    }
+  });
+
+  return winner ? winner.allow : true;
+}
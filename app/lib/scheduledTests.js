@@ -0,0 +1,116 @@
+import { CATEGORY_KEYS } from "./testOptions";
+import { cleanThresholds } from "./budgets";
+
+// Fields a client may set on a scheduled test
+const EDITABLE_FIELDS = [
+  "name",
+  "urls",
+  "strategy",
+  "frequency",
+  "timezone",
+  "enabled",
+  "apiKey",
+  "recipients",
+  "categories",
+  "locale",
+  "utmCampaign",
+  "utmSource",
+  "budget",
+];
+
+/**
+ * Get the PSI request options stored on a scheduled test
+ * @param {Object} scheduledTest - ScheduledTest document
+ * @returns {Object} - Options for runPageSpeedTests
+ */
+export function getScheduledTestOptions(scheduledTest) {
+  const categories = scheduledTest.categories || [];
+
+  return {
+    // Leave categories unset when all of them run, like manual runs do
+    categories:
+      categories.length > 0 && categories.length < CATEGORY_KEYS.length
+        ? [...categories]
+        : undefined,
+    locale: scheduledTest.locale || undefined,
+    utmCampaign: scheduledTest.utmCampaign || undefined,
+    utmSource: scheduledTest.utmSource || undefined,
+  };
+}
+
+/**
+ * Pick the editable fields from a request body and normalise the lists
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Fields to assign to a ScheduledTest document
+ */
+export function pickScheduledTestFields(body = {}) {
+  const fields = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  });
+
+  if (typeof fields.urls === "string") {
+    fields.urls = fields.urls.split("\n");
+  }
+
+  if (Array.isArray(fields.urls)) {
+    fields.urls = fields.urls
+      .map((url) => String(url).trim())
+      .filter((url) => url.length > 0);
+  }
+
+  if (typeof fields.recipients === "string") {
+    fields.recipients = fields.recipients.split(/[\s,;]+/);
+  }
+
+  if (Array.isArray(fields.recipients)) {
+    fields.recipients = fields.recipients
+      .map((email) => String(email).trim())
+      .filter((email) => email.length > 0);
+  }
+
+  // An empty key means "use the server default", not "store an empty key"
+  if (fields.apiKey === "") {
+    fields.apiKey = undefined;
+  }
+
+  // Empty request options fall back to the PSI defaults
+  ["locale", "utmCampaign", "utmSource"].forEach((field) => {
+    if (fields[field] === "") {
+      fields[field] = undefined;
+    }
+  });
+
+  if (fields.budget !== undefined) {
+    fields.budget = cleanThresholds(fields.budget);
+  }
+
+  return fields;
+}
+
+/**
+ * Convert a mongoose error into an HTTP status and message
+ * @param {Error} error - Error thrown by a model operation
+ * @param {string} notFoundMessage - Message for an id that can't be cast
+ * @returns {{ status: number, message: string }} - Response details
+ */
+export function getModelErrorResponse(
+  error,
+  notFoundMessage = "Scheduled test not found"
+) {
+  if (error.name === "ValidationError") {
+    const message = Object.values(error.errors)
+      .map((fieldError) => fieldError.message)
+      .join(", ");
+    return { status: 400, message };
+  }
+
+  if (error.name === "CastError") {
+    return { status: 404, message: notFoundMessage };
+  }
+
+  return { status: 500, message: error.message };
+}
@@ -0,0 +1,85 @@
+// Strategies accepted by the PSI API
+export const STRATEGIES = ["mobile", "desktop"];
+
+// Strategy options offered in forms, "both" runs every URL twice
+export const STRATEGY_OPTIONS = [
+  { value: "mobile", label: "Mobile" },
+  { value: "desktop", label: "Desktop" },
+  { value: "both", label: "Both" },
+];
+
+/**
+ * Check whether a strategy option is supported
+ * @param {string} strategy - 'mobile', 'desktop' or 'both'
+ * @returns {boolean} - True if valid
+ */
+export function isValidStrategy(strategy) {
+  return STRATEGY_OPTIONS.some((option) => option.value === strategy);
+}
+
+/**
+ * Expand a strategy option into the PSI strategies it runs
+ * @param {string} strategy - 'mobile', 'desktop' or 'both'
+ * @returns {Array<string>} - PSI strategies
+ */
+export function expandStrategy(strategy) {
+  return strategy === "both" ? STRATEGIES : [strategy];
+}
+
+/**
+ * Get the display label of a strategy option
+ * @param {string} strategy - 'mobile', 'desktop' or 'both'
+ * @returns {string} - Label
+ */
+export function getStrategyLabel(strategy) {
+  const option = STRATEGY_OPTIONS.find((item) => item.value === strategy);
+  return option ? option.label : "Desktop";
+}
+
+/**
+ * Key that identifies a page regardless of scheme and trailing slash.
+ * Results for failed tests keep the URL as typed, so compare without them.
+ * @param {string} url - Tested URL
+ * @returns {string} - Comparison key
+ */
+export const getUrlKey = (url) =>
+  url.replace(/^https?:\/\//, "").replace(/\/$/, "");
+
+/**
+ * Group results by URL so mobile and desktop results of the same page can be
+ * shown together. Groups keep the order in which URLs first appear.
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @returns {Array} - [{ url, mobile, desktop }], missing strategies undefined
+ */
+export function groupResultsByUrl(results) {
+  const groups = new Map();
+
+  results.forEach((result) => {
+    const key = getUrlKey(result.url);
+    if (!groups.has(key)) {
+      groups.set(key, { url: result.url });
+    }
+
+    const group = groups.get(key);
+    group[result.strategy === "mobile" ? "mobile" : "desktop"] = result;
+
+    // Prefer the normalised URL of a successful result
+    if (!result.error) {
+      group.url = result.url;
+    }
+  });
+
+  return Array.from(groups.values());
+}
+
+/**
+ * Order results so both strategies of a URL are next to each other,
+ * mobile first
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @returns {Array} - Reordered results
+ */
+export function sortResultsByUrl(results) {
+  return groupResultsByUrl(results).flatMap((group) =>
+    [group.mobile, group.desktop].filter(Boolean)
+  );
+}
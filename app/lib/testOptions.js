@@ -0,0 +1,73 @@
+import { CATEGORIES } from "./lighthouse";
+
+export const CATEGORY_KEYS = CATEGORIES.map(({ key }) => key);
+
+// Locales offered in forms; PSI accepts any locale Lighthouse is translated to
+export const LOCALES = [
+  { value: "en", label: "English" },
+  { value: "de", label: "German" },
+  { value: "es", label: "Spanish" },
+  { value: "fr", label: "French" },
+  { value: "it", label: "Italian" },
+  { value: "nl", label: "Dutch" },
+  { value: "pl", label: "Polish" },
+  { value: "pt-BR", label: "Portuguese (Brazil)" },
+  { value: "sv", label: "Swedish" },
+  { value: "ja", label: "Japanese" },
+  { value: "ko", label: "Korean" },
+  { value: "zh-CN", label: "Chinese (Simplified)" },
+];
+
+const LOCALE_PATTERN = /^[a-zA-Z]{2,3}([-_][a-zA-Z0-9]{2,4})?$/;
+
+/**
+ * Check that a value looks like a locale code, e.g. "en" or "pt-BR"
+ * @param {string} locale - Locale to check
+ * @returns {boolean} - Whether PSI can be asked for this locale
+ */
+export function isValidLocale(locale) {
+  return typeof locale === "string" && LOCALE_PATTERN.test(locale);
+}
+
+/**
+ * Validate and normalise the PSI request options sent by a client
+ * @param {Object} input - Request body or schedule fields
+ * @param {Array<string>} input.categories - Lighthouse categories to run
+ * @param {string} input.locale - Locale for audit text, e.g. "de"
+ * @param {string} input.utmCampaign - Value for PSI's utm_campaign parameter
+ * @param {string} input.utmSource - Value for PSI's utm_source parameter
+ * @returns {Object} - Options for runPageSpeedTests, unset fields omitted
+ */
+export function getTestOptions({ categories, locale, utmCampaign, utmSource } = {}) {
+  const options = {};
+
+  if (categories !== undefined && categories !== null) {
+    if (!Array.isArray(categories) || categories.length === 0) {
+      throw new Error("Please select at least one category");
+    }
+
+    const unknown = categories.filter((key) => !CATEGORY_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown categories: ${unknown.join(", ")}`);
+    }
+
+    // Keep the display order, and leave it unset when every category runs
+    if (CATEGORY_KEYS.some((key) => !categories.includes(key))) {
+      options.categories = CATEGORY_KEYS.filter((key) =>
+        categories.includes(key)
+      );
+    }
+  }
+
+  if (locale) {
+    if (!isValidLocale(locale)) {
+      throw new Error(`"${locale}" is not a valid locale`);
+    }
+    options.locale = locale;
+  }
+
+  if (utmCampaign) options.utmCampaign = String(utmCampaign).trim();
+  if (utmSource) options.utmSource = String(utmSource).trim();
+
+  return options;
+}
@@ -0,0 +1,150 @@
+const stripScheme = (value) => value.trim().replace(/^https?:\/\//, "");
+
+/**
+ * Check a URL against a glob pattern where "*" matches any characters.
+ * The scheme is ignored on both sides, so "example.com/blog/*" matches
+ * "https://example.com/blog/post".
+ * @param {string} url - URL to check
+ * @param {string} pattern - Glob pattern
+ * @returns {boolean} - Whether the URL matches
+ */
+export function matchesUrlPattern(url, pattern) {
+  const source = stripScheme(pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+
+  return new RegExp(`^${source}/?$`, "i").test(stripScheme(url));
+}
+
+/**
+ * Split user input into glob patterns, one per line or comma separated
+ * @param {string} input - Raw textarea value
+ * @returns {Array<string>} - Non-empty patterns
+ */
+export function parsePatterns(input = "") {
+  return input
+    .split(/[\n,]+/)
+    .map((pattern) => pattern.trim())
+    .filter((pattern) => pattern.length > 0);
+}
+
+/**
+ * Keep the URLs that match any include pattern and no exclude pattern
+ * @param {Array<string>} urls - Candidate URLs
+ * @param {Object} filters
+ * @param {Array<string>} filters.include - Patterns to keep, all URLs if empty
+ * @param {Array<string>} filters.exclude - Patterns to drop
+ * @returns {Array<string>} - Matching URLs in their original order
+ */
+export function filterUrls(urls, { include = [], exclude = [] } = {}) {
+  return urls.filter(
+    (url) =>
+      (include.length === 0 ||
+        include.some((pattern) => matchesUrlPattern(url, pattern))) &&
+      !exclude.some((pattern) => matchesUrlPattern(url, pattern))
+  );
+}
+
+/**
+ * Get the first path segments of a URL, e.g. "/blog" for depth 1
+ * @param {string} url - Absolute URL
+ * @param {number} depth - Number of path segments to keep
+ * @returns {string} - Path prefix, "/" for the home page
+ */
+export function getPathPrefix(url, depth = 1) {
+  let pathname;
+  try {
+    pathname = new URL(url).pathname;
+  } catch (e) {
+    return "/";
+  }
+
+  const segments = pathname.split("/").filter(Boolean).slice(0, depth);
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Sample URLs so no path prefix dominates the list, e.g. 3 per section.
+ * Templated sites have many near-identical pages under one prefix, and a
+ * handful of them is usually enough to judge the template.
+ * @param {Array<string>} urls - Candidate URLs
+ * @param {number} perPrefix - Maximum URLs kept per prefix
+ * @param {number} depth - Path segments that make up a prefix
+ * @returns {Array<string>} - Sampled URLs in their original order
+ */
+export function sampleUrlsByPrefix(urls, perPrefix, depth = 1) {
+  if (!perPrefix || perPrefix <= 0) return urls;
+
+  const counts = new Map();
+  return urls.filter((url) => {
+    const prefix = getPathPrefix(url, depth);
+    const count = counts.get(prefix) || 0;
+    if (count >= perPrefix) return false;
+
+    counts.set(prefix, count + 1);
+    return true;
+  });
+}
+
+// Path segments that are ids rather than part of a page type
+const DYNAMIC_SEGMENT_PATTERN =
+  /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|[0-9a-f]{16,})$/i;
+
+/**
+ * Group URLs that are likely rendered by the same page template. Id-like
+ * path segments become "*", and the last segment becomes "*" when a parent
+ * path has at least `minSiblings` children, so /products/red-shirt and
+ * /products/blue-hat share the pattern "example.com/products/*". Top level
+ * pages such as /about and /contact are kept apart.
+ * @param {Array<string>} urls - Absolute URLs of one site
+ * @param {number} minSiblings - Children a path needs before they are grouped
+ * @returns {Array<{ pattern: string, urls: Array<string> }>} - Groups, largest first
+ */
+export function groupUrlsByTemplate(urls, minSiblings = 3) {
+  const parsed = urls
+    .map((url) => {
+      try {
+        const { host, pathname } = new URL(url);
+        const segments = pathname
+          .split("/")
+          .filter(Boolean)
+          .map((segment) =>
+            DYNAMIC_SEGMENT_PATTERN.test(segment) ? "*" : segment
+          );
+        return { url, host, segments };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+
+  const getParentKey = ({ host, segments }) =>
+    `${host}/${segments.slice(0, -1).join("/")}`;
+
+  const siblingCounts = new Map();
+  parsed.forEach((page) => {
+    if (page.segments.length < 2) return;
+    const key = getParentKey(page);
+    siblingCounts.set(key, (siblingCounts.get(key) || 0) + 1);
+  });
+
+  const groups = new Map();
+  parsed.forEach((page) => {
+    const segments = [...page.segments];
+    if (
+      segments.length >= 2 &&
+      siblingCounts.get(getParentKey(page)) >= minSiblings
+    ) {
+      segments[segments.length - 1] = "*";
+    }
+
+    const pattern = `${page.host}/${segments.join("/")}`;
+    if (!groups.has(pattern)) groups.set(pattern, []);
+    groups.get(pattern).push(page.url);
+  });
+
+  return [...groups.entries()]
+    .map(([pattern, groupUrls]) => ({ pattern, urls: groupUrls }))
+    .sort((a, b) => b.urls.length - a.urls.length);
+}
@@ -0,0 +1,68 @@
+import { DEFAULT_COMPARISON_THRESHOLDS } from "./comparison";
+
+// Events a webhook can subscribe to
+export const WEBHOOK_EVENTS = [
+  { key: "run.completed", label: "Run completed" },
+  { key: "budget.failed", label: "Budget violation" },
+  { key: "score.dropped", label: "Score drop" },
+];
+
+export const WEBHOOK_EVENT_KEYS = WEBHOOK_EVENTS.map(({ key }) => key);
+
+export const WEBHOOK_FORMATS = [
+  { value: "json", label: "Generic JSON" },
+  { value: "slack", label: "Slack" },
+];
+
+// Score points a category has to lose before score.dropped fires
+export const DEFAULT_SCORE_DROP = DEFAULT_COMPARISON_THRESHOLDS.score;
+
+/**
+ * Check that a webhook URL is an absolute http(s) URL
+ * @param {string} url - Endpoint URL
+ * @returns {boolean} - True if the URL can be posted to
+ */
+export function isValidWebhookUrl(url) {
+  try {
+    return ["http:", "https:"].includes(new URL(url).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Pick the editable fields of a webhook from a request body
+ * @param {Object} body - Parsed JSON request body
+ * @returns {Object} - Fields to assign to a Webhook document
+ */
+export function pickWebhookFields(body = {}) {
+  const fields = {};
+
+  ["name", "url", "format", "events", "enabled"].forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+
+  if (typeof fields.url === "string") fields.url = fields.url.trim();
+
+  if (body.scheduledTest !== undefined) {
+    // No schedule makes the webhook global
+    fields.scheduledTest = body.scheduledTest || undefined;
+  }
+
+  if (body.scoreDropThreshold !== undefined) {
+    fields.scoreDropThreshold =
+      body.scoreDropThreshold === "" || body.scoreDropThreshold === null
+        ? DEFAULT_SCORE_DROP
+        : Number(body.scoreDropThreshold);
+  }
+
+  // The secret is never sent to the client, so an empty one keeps the
+  // current secret and null removes it
+  if (body.secret === null) {
+    fields.secret = undefined;
+  } else if (body.secret) {
+    fields.secret = String(body.secret);
+  }
+
+  return fields;
+}
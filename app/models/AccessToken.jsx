@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const AccessTokenSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // SHA-256 of the token, the token itself is only shown once
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    // Start of the token, to tell tokens apart in the list
+    prefix: {
+      type: String,
+      required: true,
+    },
+    // Unset for a token that never expires
+    expiresAt: Date,
+    lastUsedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Never send the hash to the client, even right after creation
+      transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.models.AccessToken ||
+  mongoose.model("AccessToken", AccessTokenSchema);
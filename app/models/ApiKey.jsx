@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_QUOTA_PER_100_SECONDS,
+  DEFAULT_QUOTA_PER_DAY,
+} from "../lib/apiKeys";
+
+const ApiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    key: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    // End of the key, to tell keys apart in the list
+    suffix: String,
+    quotaPerDay: {
+      type: Number,
+      min: 1,
+      default: DEFAULT_QUOTA_PER_DAY,
+    },
+    quotaPer100Seconds: {
+      type: Number,
+      min: 1,
+      default: DEFAULT_QUOTA_PER_100_SECONDS,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    // Quota day (YYYY-MM-DD, Pacific Time) on which PSI reported the daily
+    // quota as used up, so other server instances skip the key too
+    exhaustedOn: String,
+    lastQuotaErrorAt: Date,
+    lastQuotaError: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Never send the key to the client, even when it was selected
+      transform: (doc, ret) => {
+        delete ret.key;
+        return ret;
+      },
+    },
+  }
+);
+
+ApiKeySchema.pre("save", function (next) {
+  if (this.isModified("key")) {
+    this.suffix = this.key.slice(-4);
+  }
+  next();
+});
+
+export default mongoose.models.ApiKey ||
+  mongoose.model("ApiKey", ApiKeySchema);
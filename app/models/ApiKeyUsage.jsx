@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+/**
+ * Requests made with an API key on one quota day
+ */
+const ApiKeyUsageSchema = new mongoose.Schema(
+  {
+    apiKey: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+      required: true,
+    },
+    // Quota day in Pacific Time, YYYY-MM-DD
+    day: {
+      type: String,
+      required: true,
+    },
+    requests: {
+      type: Number,
+      default: 0,
+    },
+    quotaErrors: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+ApiKeyUsageSchema.index({ apiKey: 1, day: -1 }, { unique: true });
+
+export default mongoose.models.ApiKeyUsage ||
+  mongoose.model("ApiKeyUsage", ApiKeyUsageSchema);
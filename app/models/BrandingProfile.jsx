@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_PRIMARY_COLOR,
+  MAX_LOGO_BYTES,
+  isValidColor,
+  isValidLogo,
+} from "../lib/branding";
+
+const BrandingProfileSchema = new mongoose.Schema(
+  {
+    // Shown when picking a profile for an export
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    companyName: {
+      type: String,
+      trim: true,
+    },
+    clientName: {
+      type: String,
+      trim: true,
+    },
+    primaryColor: {
+      type: String,
+      default: DEFAULT_PRIMARY_COLOR,
+      validate: {
+        validator: isValidColor,
+        message: "Primary color must be a hex color such as #1d4ed8",
+      },
+    },
+    // PNG or JPEG data URL
+    logo: {
+      type: String,
+      validate: {
+        validator: isValidLogo,
+        message: `Logo must be a PNG or JPEG image of at most ${
+          MAX_LOGO_BYTES / 1024
+        } KB`,
+      },
+    },
+    footerText: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    // Paragraph on the cover page, e.g. the scope of the audit
+    coverNote: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.BrandingProfile ||
+  mongoose.model("BrandingProfile", BrandingProfileSchema);
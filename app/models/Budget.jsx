@@ -0,0 +1,40 @@
+import mongoose from "mongoose";
+import { BUDGET_METRIC_KEYS } from "../lib/budgets";
+
+// Limits keyed by budget metric, unset metrics are not checked
+export const BudgetThresholdsSchema = new mongoose.Schema(
+  Object.fromEntries(
+    BUDGET_METRIC_KEYS.map((key) => [key, { type: Number, min: 0 }])
+  ),
+  { _id: false }
+);
+
+const BudgetSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // Glob such as "example.com/blog/*", empty for a global budget
+    urlPattern: {
+      type: String,
+      trim: true,
+    },
+    thresholds: {
+      type: BudgetThresholdsSchema,
+      default: () => ({}),
+      validate: {
+        validator: (thresholds) =>
+          BUDGET_METRIC_KEYS.some(
+            (key) => thresholds[key] !== undefined && thresholds[key] !== null
+          ),
+        message: "A budget needs at least one limit",
+      },
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.models.Budget ||
+  mongoose.model("Budget", BudgetSchema);
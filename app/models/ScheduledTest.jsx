@@ -0,0 +1,125 @@
+import mongoose from "mongoose";
+import { isValidFrequency, getNextRunDate } from "../lib/cron";
+import { CATEGORY_KEYS, isValidLocale } from "../lib/testOptions";
+import { BudgetThresholdsSchema } from "./Budget";
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ScheduledTestSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    urls: {
+      type: [String],
+      required: true,
+      validate: {
+        validator: (urls) => urls.length > 0 && urls.length <= 50,
+        message: "A scheduled test needs between 1 and 50 URLs",
+      },
+    },
+    strategy: {
+      type: String,
+      enum: ["mobile", "desktop", "both"],
+      default: "mobile",
+    },
+    categories: {
+      type: [{ type: String, enum: CATEGORY_KEYS }],
+      default: () => [...CATEGORY_KEYS],
+      validate: {
+        validator: (categories) => categories.length > 0,
+        message: "Please select at least one category",
+      },
+    },
+    // Locale for Lighthouse audit text, PSI defaults to English
+    locale: {
+      type: String,
+      validate: {
+        validator: isValidLocale,
+        message: (props) => `"${props.value}" is not a valid locale`,
+      },
+    },
+    utmCampaign: {
+      type: String,
+      trim: true,
+    },
+    utmSource: {
+      type: String,
+      trim: true,
+    },
+    // Limits for this schedule, override global and URL pattern budgets
+    budget: BudgetThresholdsSchema,
+    // Cron expression, e.g. "0 2 * * *" for every night at 02:00
+    frequency: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidFrequency,
+        message: (props) => `"${props.value}" is not a valid cron expression`,
+      },
+    },
+    timezone: {
+      type: String,
+      default: "UTC",
+    },
+    // Optional per-schedule key, falls back to the server keys
+    apiKey: {
+      type: String,
+      select: false,
+    },
+    // Email addresses that receive a digest after every run
+    recipients: {
+      type: [String],
+      default: [],
+      validate: {
+        validator: (recipients) =>
+          recipients.every((email) => EMAIL_PATTERN.test(email)),
+        message: "Recipients must be valid email addresses",
+      },
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      index: true,
+    },
+    lastRunAt: Date,
+    lastRunStatus: {
+      type: String,
+      enum: ["running", "completed", "partial", "failed"],
+    },
+    lastRunError: String,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Never send the API key to the client, even when it was selected
+      transform: (doc, ret) => {
+        delete ret.apiKey;
+        return ret;
+      },
+    },
+  }
+);
+
+ScheduledTestSchema.index({ enabled: 1, nextRunAt: 1 });
+
+// Recalculate the next run whenever the timing changes or a paused test resumes
+ScheduledTestSchema.pre("save", function (next) {
+  if (
+    this.isNew ||
+    this.isModified("frequency") ||
+    this.isModified("timezone") ||
+    (this.isModified("enabled") && this.enabled)
+  ) {
+    this.nextRunAt = getNextRunDate(this.frequency, this.timezone);
+  }
+  next();
+});
+
+export default mongoose.models.ScheduledTest ||
+  mongoose.model("ScheduledTest", ScheduledTestSchema);
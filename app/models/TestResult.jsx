@@ -0,0 +1,70 @@
+import mongoose from "mongoose";
+
+const TestResultSchema = new mongoose.Schema(
+  {
+    run: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestRun",
+      index: true,
+    },
+    scheduledTest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledTest",
+    },
+    url: {
+      type: String,
+      required: true,
+    },
+    strategy: {
+      type: String,
+      enum: ["mobile", "desktop"],
+      required: true,
+    },
+    testedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    error: String,
+    // Number of PSI requests it took, including retries
+    attempts: Number,
+    // Trimmed copy, see trimLighthouseResult in lib/lighthouse
+    lighthouseResult: mongoose.Schema.Types.Mixed,
+    // CrUX field data, see trimLoadingExperience in lib/fieldData
+    loadingExperience: mongoose.Schema.Types.Mixed,
+    originLoadingExperience: mongoose.Schema.Types.Mixed,
+    // Budget evaluation, see evaluateBudget in lib/budgets
+    budget: mongoose.Schema.Types.Mixed,
+    // Copy of a result measured by another test, from the result cache or a
+    // shared test. Kept so the run lists it, left out of the URL history.
+    cached: Boolean,
+  },
+  { timestamps: true }
+);
+
+TestResultSchema.index({ url: 1, strategy: 1, testedAt: -1 });
+
+/**
+ * Convert the stored document back into the shape returned by
+ * runPageSpeedTest so ResultCard and the exporters can consume it
+ * @returns {Object} - { url, strategy, data } or { url, strategy, error }
+ */
+TestResultSchema.methods.toResult = function () {
+  if (this.error) {
+    return { url: this.url, strategy: this.strategy, error: this.error };
+  }
+
+  return {
+    url: this.url,
+    strategy: this.strategy,
+    data: {
+      analysisUTCTimestamp: this.testedAt.toISOString(),
+      lighthouseResult: this.lighthouseResult,
+      loadingExperience: this.loadingExperience,
+      originLoadingExperience: this.originLoadingExperience,
+    },
+    budget: this.budget,
+  };
+};
+
+export default mongoose.models.TestResult ||
+  mongoose.model("TestResult", TestResultSchema);
@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+const TestRunSchema = new mongoose.Schema(
+  {
+    scheduledTest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledTest",
+      index: true,
+    },
+    source: {
+      type: String,
+      enum: ["scheduled", "manual", "api"],
+      default: "manual",
+    },
+    // Token that started an API run
+    accessToken: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "AccessToken",
+    },
+    strategy: {
+      type: String,
+      enum: ["mobile", "desktop", "both"],
+    },
+    urls: [String],
+    // Unset when all categories were requested
+    categories: {
+      type: [String],
+      default: undefined,
+    },
+    locale: String,
+    status: {
+      type: String,
+      enum: ["running", "completed", "partial", "failed"],
+      default: "running",
+    },
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    finishedAt: Date,
+    resultCount: {
+      type: Number,
+      default: 0,
+    },
+    errorCount: {
+      type: Number,
+      default: 0,
+    },
+    error: String,
+  },
+  { timestamps: true }
+);
+
+TestRunSchema.index({ scheduledTest: 1, startedAt: -1 });
+
+export default mongoose.models.TestRun ||
+  mongoose.model("TestRun", TestRunSchema);
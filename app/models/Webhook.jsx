@@ -0,0 +1,76 @@
+import mongoose from "mongoose";
+import {
+  DEFAULT_SCORE_DROP,
+  WEBHOOK_EVENT_KEYS,
+  WEBHOOK_FORMATS,
+  isValidWebhookUrl,
+} from "../lib/webhooks";
+
+const WebhookSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    url: {
+      type: String,
+      required: true,
+      validate: {
+        validator: isValidWebhookUrl,
+        message: (props) => `"${props.value}" is not a valid http(s) URL`,
+      },
+    },
+    // "slack" posts { text } for incoming webhooks, "json" the full payload
+    format: {
+      type: String,
+      enum: WEBHOOK_FORMATS.map(({ value }) => value),
+      default: "json",
+    },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENT_KEYS }],
+      default: () => [...WEBHOOK_EVENT_KEYS],
+      validate: {
+        validator: (events) => events.length > 0,
+        message: "Please select at least one event",
+      },
+    },
+    // Unset for a global webhook that fires for every run
+    scheduledTest: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ScheduledTest",
+      index: true,
+    },
+    scoreDropThreshold: {
+      type: Number,
+      min: 1,
+      max: 100,
+      default: DEFAULT_SCORE_DROP,
+    },
+    // HMAC-SHA256 key for the X-PageSpeed-Signature header
+    secret: {
+      type: String,
+      select: false,
+    },
+    enabled: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      // Only tell the client whether a secret is set, when it was selected
+      transform: (doc, ret) => {
+        if (doc.isSelected("secret")) {
+          ret.signed = Boolean(ret.secret);
+        }
+        delete ret.secret;
+        return ret;
+      },
+    },
+  }
+);
+
+export default mongoose.models.Webhook ||
+  mongoose.model("Webhook", WebhookSchema);
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const WebhookAttemptSchema = new mongoose.Schema(
+  {
+    attemptedAt: Date,
+    // HTTP status of the response, unset when the request failed
+    statusCode: Number,
+    error: String,
+    durationMs: Number,
+  },
+  { _id: false }
+);
+
+const WebhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Webhook",
+      required: true,
+    },
+    event: {
+      type: String,
+      required: true,
+    },
+    run: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestRun",
+    },
+    url: String,
+    status: {
+      type: String,
+      enum: ["pending", "delivered", "failed"],
+      default: "pending",
+    },
+    attempts: {
+      type: [WebhookAttemptSchema],
+      default: [],
+    },
+    // Start of the last response body, to debug rejected deliveries
+    response: String,
+    // Body as sent, before Slack formatting
+    payload: mongoose.Schema.Types.Mixed,
+    deliveredAt: Date,
+  },
+  { timestamps: true }
+);
+
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+
+export default mongoose.models.WebhookDelivery ||
+  mongoose.model("WebhookDelivery", WebhookDeliverySchema);
@@ -1,12 +1,54 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import Link from "next/link";
 import ResultCard from "./components/ResultCard";
+import TestOptionsFields from "./components/TestOptionsFields";
+import SitemapImport from "./components/SitemapImport";
+import CrawlImport from "./components/CrawlImport";
+import ComparisonPanel from "./components/ComparisonPanel";
+import ResultsTable from "./components/ResultsTable";
+import {
+  STRATEGY_OPTIONS,
+  expandStrategy,
+  groupResultsByUrl,
+} from "./lib/strategies";
+import { CATEGORY_KEYS } from "./lib/testOptions";
+import { summarizeBudgets } from "./lib/budgets";
+import { requestJson } from "./lib/requestJson";
+import {
+  DEFAULT_RESULT_FILTERS,
+  getVisibleResultRows,
+} from "./lib/resultsTable";
 import "./globals.css";
-import { runPageSpeedTests } from "./services/pagespeedService";
-import { jsPDF } from "jspdf";
 
+/**
+ * Read a newline-delimited JSON response, calling onMessage for each line
+ * @param {Response} response - fetch response with an NDJSON body
+ * @param {Function} onMessage - Called with each parsed message
+ */
+async function readNdjson(response, onMessage) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+
+    lines
+      .filter((line) => line.trim().length > 0)
+      .forEach((line) => onMessage(JSON.parse(line)));
+  }
+
+  if (buffer.trim().length > 0) {
+    onMessage(JSON.parse(buffer));
+  }
+}
 
 export default function Home() {
   const [urls, setUrls] = useState("");
@@ -15,6 +57,32 @@ export default function Home() {
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [strategy, setStrategy] = useState("mobile");
+  const [progress, setProgress] = useState(null);
+  const [abortController, setAbortController] = useState(null);
+  // URL source panel shown above the textarea: null, "sitemap" or "crawl"
+  const [urlImport, setUrlImport] = useState(null);
+  const [showComparison, setShowComparison] = useState(false);
+  const [brandingProfiles, setBrandingProfiles] = useState([]);
+  const [brandingProfileId, setBrandingProfileId] = useState("");
+  // Skip results cached on the server and test every URL again
+  const [forceFresh, setForceFresh] = useState(false);
+  // "cards" or "table", the table has its own filters and sort
+  const [resultsView, setResultsView] = useState("cards");
+  const [tableFilters, setTableFilters] = useState(DEFAULT_RESULT_FILTERS);
+  const [tableSort, setTableSort] = useState({ key: null, direction: "asc" });
+  const [testOptions, setTestOptions] = useState({
+    categories: CATEGORY_KEYS,
+    locale: "",
+    utmCampaign: "",
+    utmSource: "",
+  });
+
+  // Branding needs the database, without it exports are simply unbranded
+  useEffect(() => {
+    requestJson("/api/branding-profiles")
+      .then((data) => setBrandingProfiles(data.profiles))
+      .catch(() => setBrandingProfiles([]));
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -37,314 +105,92 @@ export default function Home() {
       return;
     }
 
+    if (testOptions.categories.length === 0) {
+      setError("Please select at least one category");
+      return;
+    }
+
     setLoading(true);
     setResults([]);
+    setProgress({
+      total: urlList.length * expandStrategy(strategy).length,
+      completed: 0,
+      failed: 0,
+    });
+
+    const controller = new AbortController();
+    setAbortController(controller);
 
     try {
-      // Call the PageSpeed service function
-      const testResults = await runPageSpeedTests(urlList, apiKey, strategy);
-      setResults(testResults);
+      // Tests run on the server so the API key never reaches the browser
+      const response = await fetch("/api/pagespeed/batch", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({
+          urls: urlList,
+          strategy,
+          // Only sent when the user overrides the server key
+          apiKey: apiKey || undefined,
+          categories: testOptions.categories,
+          locale: testOptions.locale || undefined,
+          utmCampaign: testOptions.utmCampaign || undefined,
+          utmSource: testOptions.utmSource || undefined,
+          forceFresh,
+          stream: true,
+        }),
+        signal: controller.signal,
+      });
+
+      if (!response.ok) {
+        let errorMessage = `Failed with status ${response.status}`;
+        try {
+          const errorData = await response.json();
+          errorMessage = errorData.error || errorMessage;
+        } catch (e) {
+          // If we can't parse the error response as JSON, just use the status code
+        }
+        throw new Error(errorMessage);
+      }
+
+      // Cards are added in the order the tests finish
+      await readNdjson(response, (message) => {
+        if (message.type === "result") {
+          setResults((previous) => [...previous, message.result]);
+          setProgress((previous) => ({
+            ...previous,
+            completed: previous.completed + 1,
+            failed: previous.failed + (message.result.error ? 1 : 0),
+          }));
+        } else if (message.type === "error") {
+          throw new Error(message.error);
+        }
+      });
     } catch (error) {
-      setError(`Error running tests: ${error.message}`);
+      if (error.name === "AbortError") {
+        setError("Tests cancelled. Results for finished URLs are shown below.");
+      } else {
+        setError(`Error running tests: ${error.message}`);
+      }
     } finally {
+      setAbortController(null);
       setLoading(false);
     }
   };
 
-   const handleExportPDF = () => {
-     if (!results || results.length === 0) {
-       alert("No results to export");
-       return;
-     }
-
-     try {
-       setLoading(true);
-
-       // Create a new PDF document - using portrait for the card layout
-       const doc = new jsPDF({
-         orientation: "portrait",
-         unit: "pt",
-         format: "a4",
-       });
-
-       // Constants for layout
-       const pageWidth = doc.internal.pageSize.width;
-       const pageHeight = doc.internal.pageSize.height;
-       const margin = 30;
-       const contentWidth = pageWidth - margin * 2;
-
-       // Title and timestamp on first page
-       doc.setFontSize(16);
-       doc.setTextColor(33, 33, 33);
-       doc.text("PageSpeed Insights Report", margin, margin + 10);
-
-       doc.setFontSize(9);
-       doc.setTextColor(102, 102, 102);
-       doc.text(
-         `Generated on ${new Date().toLocaleString()}`,
-         margin,
-         margin + 25
-       );
-
-       // Add horizontal line
-       doc.setDrawColor(230, 230, 230);
-       doc.setLineWidth(0.5);
-       doc.line(margin, margin + 35, pageWidth - margin, margin + 35);
-
-       // Start position for results
-       let y = margin + 50;
-       const cardsPerRow = 1; // One card per row
-       const cardMargin = 15;
-       const cardWidth = contentWidth;
-       const cardHeight = 190; // Height for each card
-
-       // Color function for scores
-       const getScoreColor = (score) => {
-         if (score >= 90) return [16, 185, 129]; // green - similar to tailwind's emerald-500
-         if (score >= 50) return [245, 158, 11]; // amber - similar to tailwind's amber-500
-         return [239, 68, 68]; // red - similar to tailwind's red-500
-       };
-
-       // Process each result
-       for (let i = 0; i < results.length; i++) {
-         const result = results[i];
-
-         // Calculate position
-         const rowIndex = Math.floor(i / cardsPerRow);
-         const colIndex = i % cardsPerRow;
-         const cardX = margin + colIndex * (cardWidth + cardMargin);
-         const cardY = y + rowIndex * (cardHeight + cardMargin);
-
-         // Check if we need a new page
-         if (cardY + cardHeight > pageHeight - margin) {
-           doc.addPage();
-           y = margin;
-           i--; // Process this result again on the new page
-           continue;
-         }
-
-         // Create card outline - white card with light gray border
-         doc.setDrawColor(226, 232, 240); // tailwind gray-300
-         doc.setFillColor(255, 255, 255);
-         doc.roundedRect(cardX, cardY, cardWidth, cardHeight, 3, 3, "FD");
-
-         // URL with strategy badge
-         const displayUrl =
-           result.url.length > 50
-             ? result.url.substring(0, 47) + "..."
-             : result.url;
-
-         // URL text
-         doc.setFontSize(10);
-         doc.setFont(undefined, "bold");
-         doc.setTextColor(31, 41, 55); // tailwind gray-800
-         doc.text(displayUrl, cardX + 15, cardY + 25);
-
-         // Strategy badge
-         const strategy = result.strategy === "mobile" ? "Mobile" : "Desktop";
-         doc.setFillColor(240, 240, 240);
-         const strategyTextWidth =
-           (doc.getStringUnitWidth(strategy) * 9 * doc.internal.scaleFactor) /
-           72;
-         doc.roundedRect(
-           cardX + cardWidth - 15 - strategyTextWidth - 10,
-           cardY + 14,
-           strategyTextWidth + 10,
-           18,
-           2,
-           2,
-           "F"
-         );
-         doc.setFontSize(9);
-         doc.setTextColor(75, 85, 99); // tailwind gray-600
-         doc.text(
-           strategy,
-           cardX + cardWidth - 15 - strategyTextWidth - 5,
-           cardY + 25
-         );
-
-         if (result.error) {
-           // Error display
-           doc.setFillColor(254, 226, 226); // tailwind red-100
-           doc.roundedRect(
-             cardX + 15,
-             cardY + 40,
-             cardWidth - 30,
-             30,
-             2,
-             2,
-             "F"
-           );
-           doc.setTextColor(220, 38, 38); // tailwind red-600
-           doc.setFontSize(10);
-           doc.text(`Error: ${result.error}`, cardX + 25, cardY + 60);
-         } else if (result.data && result.data.lighthouseResult) {
-           const lhr = result.data.lighthouseResult;
-           const categories = lhr.categories;
-
-           if (categories) {
-             // Performance metrics row
-             let metricsY = cardY + 55;
-
-             // Category labels in first row
-             doc.setFontSize(9);
-             doc.setTextColor(75, 85, 99); // tailwind gray-600
-
-             const metrics = [
-               {
-                 name: "Performance",
-                 score: categories.performance?.score || 0,
-               },
-               {
-                 name: "Accessibility",
-                 score: categories.accessibility?.score || 0,
-               },
-               {
-                 name: "Best Practices",
-                 score: categories["best-practices"]?.score || 0,
-               },
-               { name: "Seo", score: categories.seo?.score || 0 },
-             ];
-
-             const metricWidth = (cardWidth - 30) / metrics.length;
-
-             metrics.forEach((metric, idx) => {
-               const metricX = cardX + 15 + idx * metricWidth;
-
-               // Category name
-               doc.text(metric.name, metricX, metricsY);
-
-               // Score with appropriate color
-               const score = Math.round(metric.score * 100);
-               const scoreColor = getScoreColor(score);
-               doc.setFontSize(16);
-               doc.setTextColor(scoreColor[0], scoreColor[1], scoreColor[2]);
-               doc.setFont(undefined, "bold");
-               doc.text(`${score}`, metricX, metricsY + 20);
-             });
-
-             // Reset font
-             doc.setFont(undefined, "normal");
-
-             // CORE WEB VITALS section
-             const vitalsY = metricsY + 45;
-
-             // Title
-             doc.setFontSize(9);
-             doc.setTextColor(75, 85, 99); // tailwind gray-600
-             doc.setFont(undefined, "bold");
-             doc.text("CORE WEB VITALS", cardX + 15, vitalsY);
-             doc.setFont(undefined, "normal");
-
-             // Extract web vitals
-             const audits = lhr.audits || {};
-
-             // First row of web vitals
-             const vitalsRow1 = [
-               {
-                 name: "LCP:",
-                 value:
-                   audits["largest-contentful-paint"]?.displayValue || "N/A",
-                 score: audits["largest-contentful-paint"]?.score || 0,
-               },
-               {
-                 name: "FID:",
-                 value: audits["max-potential-fid"]?.displayValue || "N/A",
-                 score: audits["max-potential-fid"]?.score || 0,
-               },
-               {
-                 name: "CLS:",
-                 value:
-                   audits["cumulative-layout-shift"]?.displayValue || "N/A",
-                 score: audits["cumulative-layout-shift"]?.score || 0,
-               },
-             ];
-
-             // Second row of web vitals
-             const vitalsRow2 = [
-               {
-                 name: "FCP:",
-                 value: audits["first-contentful-paint"]?.displayValue || "N/A",
-                 score: audits["first-contentful-paint"]?.score || 0,
-               },
-               {
-                 name: "TTI:",
-                 value: audits["interactive"]?.displayValue || "N/A",
-                 score: audits["interactive"]?.score || 0,
-               },
-               {
-                 name: "TBT:",
-                 value: audits["total-blocking-time"]?.displayValue || "N/A",
-                 score: audits["total-blocking-time"]?.score || 0,
-               },
-             ];
-
-             // Function to draw web vitals row
-             const drawVitalsRow = (vitals, rowY) => {
-               const vitalWidth = (cardWidth - 30) / vitals.length;
-
-               vitals.forEach((vital, idx) => {
-                 const vitalX = cardX + 15 + idx * vitalWidth;
-
-                 // Get color for the value
-                 const valueColor = getScoreColor(vital.score);
-
-                 // Vital name
-                 doc.setFontSize(9);
-                 doc.setTextColor(75, 85, 99); // tailwind gray-600
-                 doc.text(vital.name, vitalX, rowY);
-
-                 // Vital value with color
-                 doc.setTextColor(valueColor[0], valueColor[1], valueColor[2]);
-                 doc.text(vital.value, vitalX + 30, rowY);
-               });
-             };
-
-             // Draw both rows of web vitals
-             drawVitalsRow(vitalsRow1, vitalsY + 20);
-             drawVitalsRow(vitalsRow2, vitalsY + 40);
-
-             // View Full Report link at bottom
-             const linkY = vitalsY + 70;
-             doc.setTextColor(59, 130, 246); // tailwind blue-500
-             doc.setFontSize(9);
-
-             const linkText = "View Full Report";
-             const linkWidth =
-               (doc.getStringUnitWidth(linkText) *
-                 9 *
-                 doc.internal.scaleFactor) /
-               72;
-             const linkX = cardX + (cardWidth - linkWidth) / 2; // Center link
-
-             doc.text(linkText, linkX, linkY);
-           } else {
-             // No data available
-             doc.setTextColor(102, 102, 102);
-             doc.setFontSize(10);
-             doc.text("No valid data available", cardX + 15, cardY + 60);
-           }
-         } else {
-           // No data available
-           doc.setTextColor(102, 102, 102);
-           doc.setFontSize(10);
-           doc.text("No valid data available", cardX + 15, cardY + 60);
-         }
-       }
-
-       // Save and download PDF
-       doc.save("pagespeed-report.pdf");
-     } catch (error) {
-       console.error("PDF generation error:", error);
-       alert(`Error generating PDF: ${error.message}`);
-     } finally {
-       setLoading(false);
-     }
-   };
- 
-  // Handle exporting results
-    const handleExportCSV = async () => {
-      if (!results || results.length === 0) {
+  const handleCancel = () => {
+    abortController?.abort();
+  };
+
+  const tableRows = getVisibleResultRows(results, tableFilters, tableSort);
+  // The table view exports the rows it shows, in its order
+  const exportResults =
+    resultsView === "table" ? tableRows.map((row) => row.result) : results;
+
+  // Handle exporting results, the CSV and PDF files are built on the server
+    const handleExportFile = async (format) => {
+      if (!exportResults || exportResults.length === 0) {
         alert("No results to export");
         return;
       }
@@ -352,17 +198,19 @@ export default function Home() {
       try {
         setLoading(true);
         console.log(
-          `Sending CSV export request with ${results.length} results`
+          `Sending ${format.toUpperCase()} export request with ${exportResults.length} results`
         );
 
-        const response = await fetch("/api/export/csv", {
+        const response = await fetch(`/api/export/${format}`, {
           method: "POST",
           headers: {
             "Content-Type": "application/json",
           },
           body: JSON.stringify({
-            results,
+            results: exportResults,
             reportName: "PageSpeed Insights Report",
+            brandingProfileId: brandingProfileId || undefined,
+            keepOrder: resultsView === "table",
           }),
         });
 
@@ -386,45 +234,83 @@ export default function Home() {
         // Create a link and trigger download
         const a = document.createElement("a");
         a.href = url;
-        a.download = `pagespeed-report.csv`;
+        a.download = `pagespeed-report.${format}`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
         URL.revokeObjectURL(url);
       } catch (error) {
         console.error("Export error:", error);
-        alert(`Error exporting as CSV: ${error.message}`);
+        alert(`Error exporting as ${format.toUpperCase()}: ${error.message}`);
       } finally {
         setLoading(false);
       }
     };
     
 
+    // Raw results, so the run can be uploaded again for a comparison
+    const handleExportJSON = () => {
+      if (exportResults.length === 0) {
+        alert("No results to export");
+        return;
+      }
+
+      const blob = new Blob(
+        [JSON.stringify({ results: exportResults }, null, 2)],
+        { type: "application/json" }
+      );
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement("a");
+      a.href = url;
+      a.download = `pagespeed-results-${
+        new Date().toISOString().split("T")[0]
+      }.json`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    };
+
     // Modified handleExport function to call the appropriate method
     const handleExport = (format) => {
-      if (format === "csv") {
-        handleExportCSV();
-      } else if (format === "pdf") {
-        handleExportPDF();
+      if (format === "csv" || format === "pdf") {
+        handleExportFile(format);
+      } else if (format === "json") {
+        handleExportJSON();
       }
     };
 
+  const budgetSummary = summarizeBudgets(results);
+
+  // Hand URLs and the current settings over to the Scheduled Tests page
+  const openScheduleForm = (scheduleUrls) => {
+    const scheduledData = {
+      urls: scheduleUrls,
+      strategy,
+      ...testOptions,
+    };
+    sessionStorage.setItem("newScheduledTest", JSON.stringify(scheduledData));
+    window.location.href = "/scheduled-tests";
+  };
+
   // Function to save current tests as a scheduled test
   const handleSaveAsScheduled = () => {
-    // Store current settings in sessionStorage
     if (results.length > 0) {
-      const scheduledData = {
-        urls: results.map((r) => r.url),
-        strategy,
-        apiKey,
-      };
-      sessionStorage.setItem("newScheduledTest", JSON.stringify(scheduledData));
-      window.location.href = "/scheduled-tests";
+      openScheduleForm(groupResultsByUrl(results).map((group) => group.url));
     } else {
       alert("Please run tests first before scheduling");
     }
   };
 
+  const handleUseImportedUrls = (importedUrls) => {
+    setUrls(importedUrls.join("\n"));
+    setUrlImport(null);
+  };
+
+  const toggleUrlImport = (source) => {
+    setUrlImport((current) => (current === source ? null : source));
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
       <main className="mx-auto max-w-6xl">
@@ -432,12 +318,57 @@ export default function Home() {
           <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
             PageSpeed Insights Bulk Tester
           </h1>
-          <Link
-            href="/scheduled-tests"
-            className="rounded-md bg-gray-900 px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors hover:bg-gray-800"
-          >
-            Scheduled Tests
-          </Link>
+          <div className="flex gap-2">
+            <button
+              type="button"
+              onClick={() => setShowComparison((show) => !show)}
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              {showComparison ? "Hide Comparison" : "Compare Runs"}
+            </button>
+            <Link
+              href="/budgets"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              Budgets
+            </Link>
+            <Link
+              href="/branding"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              Branding
+            </Link>
+            <Link
+              href="/webhooks"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              Webhooks
+            </Link>
+            <Link
+              href="/access-tokens"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              API Tokens
+            </Link>
+            <Link
+              href="/api-keys"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              API Keys
+            </Link>
+            <Link
+              href="/history"
+              className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+            >
+              History
+            </Link>
+            <Link
+              href="/scheduled-tests"
+              className="rounded-md bg-gray-900 px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors hover:bg-gray-800"
+            >
+              Scheduled Tests
+            </Link>
+          </div>
         </div>
 
         <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
@@ -449,7 +380,7 @@ export default function Home() {
               >
                 Google PageSpeed API Key
                 <span className="ml-2 text-xs font-normal text-gray-500">
-                  (Get one from{" "}
+                  (optional, overrides the server keys. Get one from{" "}
                   <a
                     href="https://developers.google.com/speed/docs/insights/v5/get-started"
                     className="text-blue-600 hover:underline"
@@ -463,12 +394,12 @@ export default function Home() {
               </label>
               <input
                 id="apiKey"
-                type="text"
+                type="password"
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
                 className="w-full rounded-md border border-gray-300 p-2 text-sm shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
-                placeholder="Enter your API key"
-                required
+                placeholder="Leave blank to use the keys on the API Keys page"
+                autoComplete="off"
               />
             </div>
 
@@ -477,36 +408,65 @@ export default function Home() {
                 Test Strategy
               </label>
               <div className="flex space-x-6">
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="mobile"
-                    checked={strategy === "mobile"}
-                    onChange={() => setStrategy("mobile")}
-                    className="h-4 w-4 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="ml-2 text-sm text-gray-700">Mobile</span>
-                </label>
-                <label className="flex items-center">
-                  <input
-                    type="radio"
-                    value="desktop"
-                    checked={strategy === "desktop"}
-                    onChange={() => setStrategy("desktop")}
-                    className="h-4 w-4 text-blue-600 focus:ring-blue-500"
-                  />
-                  <span className="ml-2 text-sm text-gray-700">Desktop</span>
-                </label>
+                {STRATEGY_OPTIONS.map((option) => (
+                  <label key={option.value} className="flex items-center">
+                    <input
+                      type="radio"
+                      value={option.value}
+                      checked={strategy === option.value}
+                      onChange={() => setStrategy(option.value)}
+                      className="h-4 w-4 text-blue-600 focus:ring-blue-500"
+                    />
+                    <span className="ml-2 text-sm text-gray-700">
+                      {option.label}
+                    </span>
+                  </label>
+                ))}
               </div>
             </div>
 
+            <TestOptionsFields
+              values={testOptions}
+              onChange={setTestOptions}
+            />
+
             <div className="mb-5">
-              <label
-                htmlFor="urls"
-                className="mb-2 block text-sm font-medium text-gray-700"
-              >
-                URLs to Test (one per line, max 27)
-              </label>
+              <div className="mb-2 flex items-center justify-between gap-2">
+                <label
+                  htmlFor="urls"
+                  className="block text-sm font-medium text-gray-700"
+                >
+                  URLs to Test (one per line, max 27)
+                </label>
+                <div className="flex gap-4">
+                  <button
+                    type="button"
+                    onClick={() => toggleUrlImport("sitemap")}
+                    className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+                  >
+                    {urlImport === "sitemap" ? "Hide sitemap import" : "Load from sitemap"}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => toggleUrlImport("crawl")}
+                    className="text-xs font-medium text-blue-500 transition-colors hover:text-blue-600"
+                  >
+                    {urlImport === "crawl" ? "Hide crawler" : "Crawl site"}
+                  </button>
+                </div>
+              </div>
+              {urlImport === "sitemap" && (
+                <SitemapImport
+                  onUseUrls={handleUseImportedUrls}
+                  onSchedule={openScheduleForm}
+                />
+              )}
+              {urlImport === "crawl" && (
+                <CrawlImport
+                  onUseUrls={handleUseImportedUrls}
+                  onSchedule={openScheduleForm}
+                />
+              )}
               <textarea
                 id="urls"
                 value={urls}
@@ -517,16 +477,80 @@ export default function Home() {
               />
             </div>
 
-            <button
-              type="submit"
-              disabled={loading}
-              className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
-                loading ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
-              }`}
-            >
-              {loading ? "Running Tests..." : "Run PageSpeed Tests"}
-            </button>
+            <div className="flex items-center gap-2">
+              <button
+                type="submit"
+                disabled={loading}
+                className={`rounded-md px-4 py-2 text-sm font-medium text-white shadow-sm transition-colors ${
+                  loading ? "bg-gray-400" : "bg-gray-900 hover:bg-gray-800"
+                }`}
+              >
+                {loading ? "Running Tests..." : "Run PageSpeed Tests"}
+              </button>
+              {abortController && (
+                <button
+                  type="button"
+                  onClick={handleCancel}
+                  className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                >
+                  Cancel
+                </button>
+              )}
+              <label className="ml-2 flex items-center">
+                <input
+                  type="checkbox"
+                  checked={forceFresh}
+                  onChange={(e) => setForceFresh(e.target.checked)}
+                  className="h-4 w-4 rounded text-blue-600 focus:ring-blue-500"
+                />
+                <span className="ml-2 text-sm text-gray-700">
+                  Force fresh results
+                </span>
+              </label>
+            </div>
           </form>
+
+          {progress && (
+            <div className="mt-5">
+              <div className="mb-2 flex flex-wrap gap-4 text-xs text-gray-500">
+                <span>
+                  <span className="font-medium text-emerald-600">
+                    {progress.completed - progress.failed}
+                  </span>{" "}
+                  completed
+                </span>
+                <span>
+                  <span className="font-medium text-rose-500">
+                    {progress.failed}
+                  </span>{" "}
+                  failed
+                </span>
+                <span>
+                  <span className="font-medium text-gray-700">
+                    {abortController ? progress.total - progress.completed : 0}
+                  </span>{" "}
+                  pending
+                </span>
+              </div>
+              <div className="flex h-2 overflow-hidden rounded-full bg-gray-100">
+                <div
+                  className="bg-emerald-500 transition-all"
+                  style={{
+                    width: `${
+                      ((progress.completed - progress.failed) / progress.total) *
+                      100
+                    }%`,
+                  }}
+                />
+                <div
+                  className="bg-rose-500 transition-all"
+                  style={{
+                    width: `${(progress.failed / progress.total) * 100}%`,
+                  }}
+                />
+              </div>
+            </div>
+          )}
         </div>
 
         {error && (
@@ -535,12 +559,52 @@ export default function Home() {
           </div>
         )}
 
+        {showComparison && <ComparisonPanel sessionResults={results} />}
+
         {results.length > 0 && (
           <div className="results">
             <div className="mb-6 flex flex-col justify-between gap-4 border-b border-gray-200 pb-4 sm:flex-row sm:items-center">
-              <h2 className="text-xl font-medium text-gray-900">Results</h2>
+              <div className="flex items-center gap-4">
+                <h2 className="text-xl font-medium text-gray-900">Results</h2>
+                <div className="inline-flex rounded-md shadow-sm">
+                  {[
+                    { value: "cards", label: "Cards" },
+                    { value: "table", label: "Table" },
+                  ].map(({ value, label }, index) => (
+                    <button
+                      key={value}
+                      onClick={() => setResultsView(value)}
+                      aria-pressed={resultsView === value}
+                      className={`border px-3 py-1.5 text-xs font-medium transition-colors ${
+                        index === 0 ? "rounded-l-md" : "-ml-px rounded-r-md"
+                      } ${
+                        resultsView === value
+                          ? "border-gray-900 bg-gray-900 text-white"
+                          : "border-gray-300 bg-white text-gray-700 hover:bg-gray-50"
+                      }`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
 
               <div className="flex flex-wrap gap-2">
+                {brandingProfiles.length > 0 && (
+                  <select
+                    value={brandingProfileId}
+                    onChange={(e) => setBrandingProfileId(e.target.value)}
+                    className="rounded-md border border-gray-300 bg-white px-2 py-1.5 text-xs text-gray-700 shadow-sm focus:border-blue-500 focus:outline-none focus:ring-1 focus:ring-blue-500"
+                    aria-label="PDF branding"
+                  >
+                    <option value="">No branding</option>
+                    {brandingProfiles.map((profile) => (
+                      <option key={profile._id} value={profile._id}>
+                        {profile.name}
+                      </option>
+                    ))}
+                  </select>
+                )}
                 <button
                   onClick={() => handleExport("csv")}
                   className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
@@ -553,6 +617,12 @@ export default function Home() {
                 >
                   Export PDF
                 </button>
+                <button
+                  onClick={() => handleExport("json")}
+                  className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                >
+                  Export JSON
+                </button>
                 <button
                   onClick={handleSaveAsScheduled}
                   className="rounded-md bg-gray-900 px-3 py-1.5 text-xs font-medium text-white shadow-sm transition-colors hover:bg-gray-800"
@@ -562,11 +632,53 @@ export default function Home() {
               </div>
             </div>
 
-            <div className="grid gap-5 sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
-              {results.map((result, index) => (
-                <ResultCard key={index} result={result} />
-              ))}
-            </div>
+            {budgetSummary.evaluated > 0 && (
+              <div className="mb-6 flex flex-wrap gap-4 rounded-md border border-gray-200 bg-white px-4 py-3 text-xs text-gray-500">
+                <span className="font-medium text-gray-700">Budgets</span>
+                <span>
+                  <span className="font-medium text-emerald-600">
+                    {budgetSummary.passed}
+                  </span>{" "}
+                  passed
+                </span>
+                <span>
+                  <span className="font-medium text-rose-500">
+                    {budgetSummary.failed}
+                  </span>{" "}
+                  failed
+                </span>
+                <span>
+                  <span className="font-medium text-gray-700">
+                    {budgetSummary.violations}
+                  </span>{" "}
+                  violation{budgetSummary.violations === 1 ? "" : "s"}
+                </span>
+              </div>
+            )}
+
+            {resultsView === "table" ? (
+              <ResultsTable
+                rows={tableRows}
+                totalCount={results.length}
+                filters={tableFilters}
+                onFiltersChange={setTableFilters}
+                sort={tableSort}
+                onSortChange={setTableSort}
+              />
+            ) : (
+              <div className="grid gap-5 sm:grid-cols-1 md:grid-cols-2 lg:grid-cols-3">
+                {groupResultsByUrl(results).map((group) => (
+                  <ResultCard
+                    key={group.url}
+                    result={
+                      group.mobile && group.desktop
+                        ? group
+                        : group.mobile || group.desktop
+                    }
+                  />
+                ))}
+              </div>
+            )}
           </div>
         )}
       </main>
@@ -0,0 +1,257 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import ScheduledTestForm from "../components/ScheduledTestForm";
+import { getStrategyLabel } from "../lib/strategies";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+const STATUS_STYLES = {
+  running: "bg-blue-50 text-blue-600",
+  completed: "bg-emerald-50 text-emerald-600",
+  partial: "bg-amber-50 text-amber-600",
+  failed: "bg-rose-50 text-rose-600",
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString() : "—");
+
+export default function ScheduledTests() {
+  const [scheduledTests, setScheduledTests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [prefill, setPrefill] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const loadScheduledTests = useCallback(async () => {
+    try {
+      const data = await requestJson("/api/scheduled-tests");
+      setScheduledTests(data.scheduledTests);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading scheduled tests: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    // Pick up the URLs handed over by "Schedule This Test" on the home page
+    const stored = sessionStorage.getItem("newScheduledTest");
+    if (stored) {
+      try {
+        setPrefill(JSON.parse(stored));
+      } catch (e) {
+        console.error("Invalid newScheduledTest payload:", e);
+      }
+      sessionStorage.removeItem("newScheduledTest");
+    }
+
+    loadScheduledTests();
+  }, [loadScheduledTests]);
+
+  // Refresh while a run is in progress so its status updates
+  const hasRunningTest = scheduledTests.some(
+    (test) => test.lastRunStatus === "running"
+  );
+  useEffect(() => {
+    if (!hasRunningTest) return;
+
+    const interval = setInterval(loadScheduledTests, 5000);
+    return () => clearInterval(interval);
+  }, [hasRunningTest, loadScheduledTests]);
+
+  const handleCreate = async (values) => {
+    await requestJson("/api/scheduled-tests", {
+      method: "POST",
+      body: JSON.stringify(values),
+    });
+    setPrefill(null);
+    await loadScheduledTests();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await requestJson(`/api/scheduled-tests/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(values),
+    });
+    setEditingId(null);
+    await loadScheduledTests();
+  };
+
+  const handleToggleEnabled = async (test) => {
+    try {
+      await handleUpdate(test._id, { enabled: !test.enabled });
+    } catch (toggleError) {
+      alert(`Error updating schedule: ${toggleError.message}`);
+    }
+  };
+
+  const handleDelete = async (test) => {
+    if (!confirm(`Delete the schedule "${test.name}"?`)) return;
+
+    try {
+      await requestJson(`/api/scheduled-tests/${test._id}`, {
+        method: "DELETE",
+      });
+      await loadScheduledTests();
+    } catch (deleteError) {
+      alert(`Error deleting schedule: ${deleteError.message}`);
+    }
+  };
+
+  const handleRunNow = async (test) => {
+    try {
+      await requestJson(`/api/scheduled-tests/${test._id}/run`, {
+        method: "POST",
+      });
+      setScheduledTests((tests) =>
+        tests.map((t) =>
+          t._id === test._id ? { ...t, lastRunStatus: "running" } : t
+        )
+      );
+    } catch (runError) {
+      alert(`Error starting run: ${runError.message}`);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            Scheduled Tests
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="mb-5 text-lg font-medium text-gray-900">
+            New Schedule
+          </h2>
+          <ScheduledTestForm
+            key={prefill ? "prefilled" : "empty"}
+            initialValues={prefill || {}}
+            onSubmit={handleCreate}
+          />
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-6 border-b border-gray-200 pb-4">
+          <h2 className="text-xl font-medium text-gray-900">Schedules</h2>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading scheduled tests...</p>
+        ) : scheduledTests.length === 0 ? (
+          <p className="text-sm text-gray-500">No scheduled tests yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {scheduledTests.map((test) => (
+              <div
+                key={test._id}
+                className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm"
+              >
+                {editingId === test._id ? (
+                  <ScheduledTestForm
+                    initialValues={test}
+                    onSubmit={(values) => handleUpdate(test._id, values)}
+                    onCancel={() => setEditingId(null)}
+                    submitLabel="Save Changes"
+                  />
+                ) : (
+                  <>
+                    <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-start">
+                      <div>
+                        <div className="flex items-center gap-2">
+                          <h3 className="text-sm font-medium text-gray-900">
+                            {test.name}
+                          </h3>
+                          {!test.enabled && (
+                            <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+                              Paused
+                            </span>
+                          )}
+                          {test.lastRunStatus && (
+                            <span
+                              className={`rounded-full px-2.5 py-0.5 text-xs font-medium ${
+                                STATUS_STYLES[test.lastRunStatus]
+                              }`}
+                            >
+                              {test.lastRunStatus}
+                            </span>
+                          )}
+                        </div>
+                        <p className="mt-1 text-xs text-gray-500">
+                          {test.urls.length} URL
+                          {test.urls.length === 1 ? "" : "s"} ·{" "}
+                          {getStrategyLabel(test.strategy)} ·{" "}
+                          <span className="font-mono">{test.frequency}</span> (
+                          {test.timezone})
+                        </p>
+                      </div>
+
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          onClick={() => handleRunNow(test)}
+                          disabled={test.lastRunStatus === "running"}
+                          className="rounded-md bg-gray-900 px-3 py-1.5 text-xs font-medium text-white shadow-sm transition-colors hover:bg-gray-800 disabled:bg-gray-400"
+                        >
+                          Run Now
+                        </button>
+                        <button
+                          onClick={() => handleToggleEnabled(test)}
+                          className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                        >
+                          {test.enabled ? "Pause" : "Resume"}
+                        </button>
+                        <button
+                          onClick={() => setEditingId(test._id)}
+                          className="rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(test)}
+                          className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="mt-4 grid grid-cols-1 gap-2 border-t border-gray-100 pt-3 text-xs text-gray-500 sm:grid-cols-2">
+                      <div>
+                        <span className="font-medium">Last run: </span>
+                        {formatDate(test.lastRunAt)}
+                        {test.lastRunError && (
+                          <span className="ml-1 text-rose-500">
+                            ({test.lastRunError})
+                          </span>
+                        )}
+                      </div>
+                      <div>
+                        <span className="font-medium">Next run: </span>
+                        {test.enabled ? formatDate(test.nextRunAt) : "Paused"}
+                      </div>
+                    </div>
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import crypto from "crypto";
+import { connectToDatabase } from "../lib/mongoose";
+import AccessToken from "../models/AccessToken";
+
+// Marks the string as one of our tokens, e.g. for secret scanners
+const TOKEN_PREFIX = "pst_";
+
+// Characters of the token stored in clear to identify it
+const VISIBLE_LENGTH = TOKEN_PREFIX.length + 6;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Create a personal access token for the v1 API
+ * @param {Object} options - Token details
+ * @param {string} options.name - What the token is used for, e.g. "Deploy pipeline"
+ * @param {number} options.expiresInDays - Lifetime in days, unset for no expiry
+ * @returns {Promise<Object>} - { accessToken, token } where token is the
+ *   secret value, which cannot be retrieved again
+ */
+export async function createAccessToken({ name, expiresInDays }) {
+  await connectToDatabase();
+
+  const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const days = Number(expiresInDays);
+
+  const accessToken = await AccessToken.create({
+    name,
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, VISIBLE_LENGTH),
+    expiresAt:
+      days > 0 ? new Date(Date.now() + days * 24 * 60 * 60 * 1000) : undefined,
+  });
+
+  return { accessToken, token };
+}
+
+/**
+ * Check the admin secret that guards token management, sent as
+ * "Authorization: Bearer <ADMIN_SECRET>". Without ADMIN_SECRET nobody can
+ * manage tokens, as anyone who can create one can use the v1 API.
+ * @param {Request} request - Incoming request
+ * @returns {Object|null} - { status, error } to answer with, null when the
+ *   request may manage tokens
+ */
+export function checkAdminSecret(request) {
+  const secret = process.env.ADMIN_SECRET;
+  if (!secret) {
+    return {
+      status: 403,
+      error: "Set ADMIN_SECRET on the server to manage access tokens",
+    };
+  }
+
+  const match = /^Bearer\s+(.+)$/i.exec(
+    request.headers.get("authorization") || ""
+  );
+  // Comparing hashes keeps the comparison time independent of the secret
+  const matches =
+    match &&
+    crypto.timingSafeEqual(
+      Buffer.from(hashToken(match[1])),
+      Buffer.from(hashToken(secret))
+    );
+
+  return matches ? null : { status: 401, error: "Unauthorized" };
+}
+
+/**
+ * Find the access token sent as "Authorization: Bearer <token>"
+ * @param {Request} request - Incoming request
+ * @returns {Promise<Object|null>} - AccessToken document, null when the
+ *   header is missing or the token is unknown or expired
+ */
+export async function authenticateRequest(request) {
+  const match = /^Bearer\s+(\S+)$/i.exec(
+    request.headers.get("authorization") || ""
+  );
+  if (!match || !match[1].startsWith(TOKEN_PREFIX)) return null;
+
+  await connectToDatabase();
+
+  const accessToken = await AccessToken.findOne({
+    tokenHash: hashToken(match[1]),
+  });
+  if (!accessToken) return null;
+  if (accessToken.expiresAt && accessToken.expiresAt <= new Date()) return null;
+
+  // Only a hint for the token list, a lost update does not matter
+  AccessToken.updateOne(
+    { _id: accessToken._id },
+    { $set: { lastUsedAt: new Date() } }
+  ).catch((error) => console.error("Error updating token usage:", error));
+
+  return accessToken;
+}
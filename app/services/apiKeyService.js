@@ -0,0 +1,302 @@
+import { connectToDatabase, isDatabaseConfigured } from "../lib/mongoose";
+import {
+  QUOTA_WINDOW_MS,
+  getQuotaDay,
+  isDailyQuotaError,
+} from "../lib/apiKeys";
+import ApiKey from "../models/ApiKey";
+import ApiKeyUsage from "../models/ApiKeyUsage";
+
+const USAGE_HISTORY_DAYS = 7;
+
+// Usage is tracked per process and shared by every batch it runs. Daily
+// counts are also stored, so they survive restarts and are seeded from the
+// database when a pool is loaded.
+const recentRequests = new Map(); // key id -> request timestamps in the window
+const coolDowns = new Map(); // key id -> time a rate-limited key may be used
+const dailyRequests = new Map(); // key id -> { day, requests }
+const exhaustedDays = new Map(); // key id -> quota day its daily quota ran out
+
+/**
+ * The key to run tests with: a key sent with the request, otherwise the
+ * enabled keys registered on the API Keys page as a pool, otherwise
+ * PAGESPEED_API_KEY
+ * @param {string} requestKey - Key sent by the client, if any
+ * @returns {Promise<string|Object|undefined>} - Key or key pool for runPageSpeedTests
+ */
+export async function resolveApiKey(requestKey) {
+  if (requestKey) return requestKey;
+  return (await loadKeyPool()) || process.env.PAGESPEED_API_KEY;
+}
+
+/**
+ * Load the enabled API keys as a pool. Keys are optional, so without a
+ * database the run quietly falls back to PAGESPEED_API_KEY, and a database
+ * that fails is logged but doesn't fail the run either.
+ * @returns {Promise<Object|null>} - Pool from createKeyPool, null without keys
+ */
+export async function loadKeyPool() {
+  if (!isDatabaseConfigured()) return null;
+
+  try {
+    await connectToDatabase();
+
+    const apiKeys = await ApiKey.find({ enabled: true })
+      .select("+key")
+      .sort({ createdAt: 1 })
+      .lean();
+    if (apiKeys.length === 0) return null;
+
+    const usage = await ApiKeyUsage.find({
+      apiKey: { $in: apiKeys.map(({ _id }) => _id) },
+      day: getQuotaDay(),
+    }).lean();
+
+    return createKeyPool(apiKeys, usage);
+  } catch (error) {
+    console.error("Error loading API keys:", error);
+    return null;
+  }
+}
+
+/**
+ * Pool that hands out the least used key with quota left and rotates to
+ * another key when PSI reports one over quota
+ * @param {Array} apiKeys - ApiKey documents with the key selected
+ * @param {Array} usage - Today's ApiKeyUsage documents of the keys
+ * @returns {Object} - { size, acquire(), reportQuotaError(key, error) } where
+ *   acquire returns { key } with key.value to send, { waitMs } when every
+ *   key is rate limited, or { error } when every daily quota is used up
+ */
+export function createKeyPool(apiKeys, usage = []) {
+  const day = getQuotaDay();
+
+  const keys = apiKeys.map((apiKey) => {
+    const id = String(apiKey._id);
+    const stored =
+      usage.find((entry) => String(entry.apiKey) === id)?.requests || 0;
+    dailyRequests.set(id, {
+      day,
+      requests: Math.max(stored, getRequestsOnDay(id, day)),
+    });
+    if (apiKey.exhaustedOn === day) exhaustedDays.set(id, day);
+
+    return {
+      id,
+      name: apiKey.name,
+      value: apiKey.key,
+      quotaPerDay: apiKey.quotaPerDay,
+      quotaPer100Seconds: apiKey.quotaPer100Seconds,
+    };
+  });
+
+  return {
+    size: keys.length,
+
+    acquire() {
+      const now = Date.now();
+      const today = getQuotaDay();
+
+      const usable = keys.filter(
+        (key) =>
+          exhaustedDays.get(key.id) !== today &&
+          getRequestsOnDay(key.id, today) < key.quotaPerDay
+      );
+      if (usable.length === 0) {
+        return { error: "Every API key has used its daily quota" };
+      }
+
+      const ready = usable.filter((key) => getWaitMs(key, now) === 0);
+      if (ready.length === 0) {
+        return {
+          waitMs: Math.min(...usable.map((key) => getWaitMs(key, now))),
+        };
+      }
+
+      // Spread the requests so every key keeps some quota for the day
+      const share = (key) => getRequestsOnDay(key.id, today) / key.quotaPerDay;
+      const key = ready.reduce((best, candidate) =>
+        share(candidate) < share(best) ? candidate : best
+      );
+
+      recordRequest(key.id, today, now);
+      return { key };
+    },
+
+    reportQuotaError(key, error) {
+      const today = getQuotaDay();
+      const update = {
+        lastQuotaErrorAt: new Date(),
+        lastQuotaError: error.message,
+      };
+
+      if (isDailyQuotaError(error)) {
+        exhaustedDays.set(key.id, today);
+        update.exhaustedOn = today;
+      } else {
+        const delay = error.retryAfter
+          ? error.retryAfter * 1000
+          : QUOTA_WINDOW_MS;
+        coolDowns.set(key.id, Date.now() + delay);
+      }
+
+      console.warn(`API key "${key.name}" is over quota: ${error.message}`);
+      persist(
+        ApiKey.updateOne({ _id: key.id }, { $set: update }),
+        ApiKeyUsage.updateOne(
+          { apiKey: key.id, day: today },
+          { $inc: { quotaErrors: 1 } },
+          { upsert: true }
+        )
+      );
+    },
+  };
+}
+
+/**
+ * All API keys with their usage for the admin view
+ * @returns {Promise<Array>} - ApiKey JSON with usage: { today, history,
+ *   recentRequests, status } where history lists the last days' requests,
+ *   recentRequests counts this server's requests in the last 100 seconds and
+ *   status is "available", "rate-limited", "exhausted" or "disabled"
+ */
+export async function listApiKeyUsage() {
+  await connectToDatabase();
+
+  const now = Date.now();
+  const today = getQuotaDay();
+  const days = [
+    ...new Set(
+      Array.from({ length: USAGE_HISTORY_DAYS }, (_, index) =>
+        getQuotaDay(new Date(now - index * 24 * 60 * 60 * 1000))
+      )
+    ),
+  ];
+
+  const apiKeys = await ApiKey.find().sort({ createdAt: 1 });
+  const usage = await ApiKeyUsage.find({ day: { $in: days } }).lean();
+
+  return apiKeys.map((apiKey) => {
+    const id = String(apiKey._id);
+    const usageOf = (day) =>
+      usage.find((entry) => String(entry.apiKey) === id && entry.day === day);
+    const todayUsage = usageOf(today);
+    const requestsToday = Math.max(
+      todayUsage?.requests || 0,
+      getRequestsOnDay(id, today)
+    );
+
+    let status = "available";
+    if (!apiKey.enabled) {
+      status = "disabled";
+    } else if (
+      apiKey.exhaustedOn === today ||
+      exhaustedDays.get(id) === today ||
+      requestsToday >= apiKey.quotaPerDay
+    ) {
+      status = "exhausted";
+    } else if (getWaitMs(apiKey, now, id) > 0) {
+      status = "rate-limited";
+    }
+
+    return {
+      ...apiKey.toJSON(),
+      usage: {
+        today: {
+          requests: requestsToday,
+          quotaErrors: todayUsage?.quotaErrors || 0,
+        },
+        history: days.map((day) => ({
+          day,
+          requests: usageOf(day)?.requests || 0,
+        })),
+        recentRequests: getRecentRequests(id, now).length,
+        status,
+      },
+    };
+  });
+}
+
+/**
+ * Forget the in-memory usage of a deleted key
+ * @param {string} id - ApiKey id
+ */
+export function forgetApiKey(id) {
+  [recentRequests, coolDowns, dailyRequests, exhaustedDays].forEach((map) =>
+    map.delete(String(id))
+  );
+}
+
+/**
+ * Requests this process made with a key on a quota day
+ * @param {string} id - ApiKey id
+ * @param {string} day - Quota day
+ * @returns {number}
+ */
+function getRequestsOnDay(id, day) {
+  const entry = dailyRequests.get(id);
+  return entry?.day === day ? entry.requests : 0;
+}
+
+/**
+ * Timestamps of a key's requests in the last 100 seconds, pruning older ones
+ * @param {string} id - ApiKey id
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array<number>}
+ */
+function getRecentRequests(id, now) {
+  const recent = (recentRequests.get(id) || []).filter(
+    (time) => time > now - QUOTA_WINDOW_MS
+  );
+  recentRequests.set(id, recent);
+  return recent;
+}
+
+/**
+ * How long a key has to rest before its next request, because PSI rate
+ * limited it or it used its quota for the current 100 seconds
+ * @param {Object} key - Pool key or ApiKey document
+ * @param {number} now - Current time in milliseconds
+ * @param {string} id - ApiKey id, defaults to key.id
+ * @returns {number} - Milliseconds, 0 when the key can be used now
+ */
+function getWaitMs(key, now, id = key.id) {
+  const coolDown = (coolDowns.get(id) || 0) - now;
+
+  const recent = getRecentRequests(id, now);
+  const overQuota = recent.length - key.quotaPer100Seconds;
+  const window =
+    overQuota >= 0 ? recent[overQuota] + QUOTA_WINDOW_MS - now : 0;
+
+  return Math.max(0, coolDown, window);
+}
+
+/**
+ * Count a request towards a key's quotas
+ * @param {string} id - ApiKey id
+ * @param {string} day - Quota day
+ * @param {number} now - Time of the request in milliseconds
+ */
+function recordRequest(id, day, now) {
+  getRecentRequests(id, now).push(now);
+  dailyRequests.set(id, { day, requests: getRequestsOnDay(id, day) + 1 });
+
+  persist(
+    ApiKeyUsage.updateOne(
+      { apiKey: id, day },
+      { $inc: { requests: 1 } },
+      { upsert: true }
+    )
+  );
+}
+
+/**
+ * Store usage without holding up the tests; the in-memory counts stay
+ * correct if a write fails
+ * @param {...Promise} writes - Pending database writes
+ */
+function persist(...writes) {
+  Promise.all(writes).catch((error) => {
+    console.error("Error storing API key usage:", error);
+  });
+}
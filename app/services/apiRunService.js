@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import { connectToDatabase } from "../lib/mongoose";
+import { applyBudgets } from "../lib/budgets";
+import TestRun from "../models/TestRun";
+import { runPageSpeedTests } from "./pagespeedService";
+import { loadBudgets } from "./budgetService";
+import { notifyWebhooks } from "./webhookService";
+import { createTestRun, saveRunResults, failTestRun } from "./resultService";
+
+const POLL_INTERVAL_MS = 2000;
+
+/**
+ * Start a run requested through the v1 API. The tests continue in the
+ * background after this resolves.
+ * @param {Object} request - Parsed request from parseRunRequest
+ * @param {Object} accessToken - AccessToken document that started the run
+ * @param {string} apiKey - Google PageSpeed API key
+ * @returns {Promise<Object>} - { run, finished } where finished resolves
+ *   with { run, results } once the run is stored
+ */
+export async function startApiRun(
+  { urls, strategy, testOptions, budget },
+  accessToken,
+  apiKey
+) {
+  const run = await createTestRun({
+    urls,
+    strategy,
+    source: "api",
+    accessToken: accessToken._id,
+    categories: testOptions.categories,
+    locale: testOptions.locale,
+  });
+
+  const finished = (async () => {
+    let results = [];
+
+    try {
+      const budgets = await loadBudgets();
+      results = (
+        await runPageSpeedTests(urls, apiKey, strategy, testOptions)
+      ).map((result) => applyBudgets(result, budgets, budget));
+      await saveRunResults(run, results);
+    } catch (error) {
+      console.error(`API run ${run._id} failed:`, error);
+      await failTestRun(run, error);
+    }
+
+    notifyWebhooks(run, results).catch((error) => {
+      console.error("Error notifying webhooks:", error);
+    });
+
+    return { run, results };
+  })();
+
+  return { run, finished };
+}
+
+/**
+ * Load a run by id
+ * @param {string} id - TestRun id
+ * @returns {Promise<Object|null>} - TestRun document, null if there is no
+ *   run with that id
+ */
+export async function findRun(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  await connectToDatabase();
+  return TestRun.findById(id);
+}
+
+/**
+ * Poll a run until it is no longer running or the time is up. Polling the
+ * database rather than waiting on the run's promise also works when the run
+ * was started by another server instance.
+ * @param {Object} run - TestRun document
+ * @param {number} seconds - Longest time to wait
+ * @returns {Promise<Object>} - Latest TestRun document
+ */
+export async function waitForRun(run, seconds) {
+  const deadline = Date.now() + seconds * 1000;
+  let current = run;
+
+  while (current.status === "running" && Date.now() < deadline) {
+    await new Promise((resolve) =>
+      setTimeout(resolve, Math.min(POLL_INTERVAL_MS, deadline - Date.now()))
+    );
+    current = (await TestRun.findById(run._id)) || current;
+  }
+
+  return current;
+}
@@ -0,0 +1,16 @@
+import mongoose from "mongoose";
+import { connectToDatabase } from "../lib/mongoose";
+import BrandingProfile from "../models/BrandingProfile";
+
+/**
+ * Load a branding profile for an export
+ * @param {string} id - BrandingProfile id
+ * @returns {Promise<Object|null>} - Profile as a plain object, null if there
+ *   is no profile with that id
+ */
+export async function findBrandingProfile(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+
+  await connectToDatabase();
+  return BrandingProfile.findById(id).lean();
+}
@@ -0,0 +1,20 @@
+import { connectToDatabase, isDatabaseConfigured } from "../lib/mongoose";
+import Budget from "../models/Budget";
+
+/**
+ * Load the saved global and URL pattern budgets. Budgets are optional, so
+ * without a database the run quietly skips them, and a database that fails
+ * is logged but doesn't fail the run either.
+ * @returns {Promise<Array>} - Budgets as plain objects
+ */
+export async function loadBudgets() {
+  if (!isDatabaseConfigured()) return [];
+
+  try {
+    await connectToDatabase();
+    return await Budget.find().sort({ createdAt: 1 }).lean();
+  } catch (error) {
+    console.error("Error loading budgets:", error);
+    return [];
+  }
+}
@@ -0,0 +1,246 @@
+import { parseRobotsTxt, isAllowedByRobots } from "../lib/robots";
+
+const USER_AGENT = "PageSpeedTester";
+const DEFAULT_MAX_DEPTH = 2;
+const DEFAULT_MAX_PAGES = 100;
+const CRAWL_CONCURRENCY = 4;
+const FETCH_TIMEOUT_MS = 15000;
+
+// Links to files we never need to download to know they aren't pages
+const NON_HTML_EXTENSIONS =
+  /\.(jpe?g|png|gif|webp|avif|svg|ico|pdf|zip|gz|mp[34]|webm|mov|css|js|json|xml|txt|docx?|xlsx?|pptx?)$/i;
+
+/**
+ * Download and parse robots.txt for an origin. A missing or unreadable
+ * robots.txt allows everything.
+ * @param {string} origin - e.g. "https://example.com"
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Array>} - Rules from parseRobotsTxt
+ */
+async function loadRobotsRules(origin, signal) {
+  try {
+    const response = await fetch(`${origin}/robots.txt`, {
+      headers: { "User-Agent": USER_AGENT },
+      signal: AbortSignal.any([signal, AbortSignal.timeout(FETCH_TIMEOUT_MS)]),
+    });
+    if (!response.ok) return [];
+
+    return parseRobotsTxt(await response.text(), USER_AGENT);
+  } catch (error) {
+    if (signal.aborted) throw error;
+    return [];
+  }
+}
+
+/**
+ * Request a page, following redirects
+ * @param {string} url - Page URL
+ * @param {AbortSignal} signal - Cancels the request
+ * @returns {Promise<Response>} - fetch response, url is where it landed
+ */
+function fetchPage(url, signal) {
+  return fetch(url, {
+    headers: { "User-Agent": USER_AGENT, Accept: "text/html" },
+    redirect: "follow",
+    signal: AbortSignal.any([signal, AbortSignal.timeout(FETCH_TIMEOUT_MS)]),
+  });
+}
+
+/**
+ * Normalise a link so the same page is only queued once
+ * @param {string} href - Link target as written in the page
+ * @param {string} baseUrl - URL of the page the link is on
+ * @returns {string|null} - Absolute URL without fragment, null if unusable
+ */
+function resolveLink(href, baseUrl) {
+  try {
+    const url = new URL(href.trim(), baseUrl);
+    if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+
+    url.hash = "";
+    return url.toString();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Extract the link targets of an HTML page, honouring <base href>
+ * @param {string} html - Page HTML
+ * @param {string} pageUrl - Final URL of the page
+ * @returns {Array<string>} - Absolute URLs
+ */
+export function extractLinks(html, pageUrl) {
+  const baseHref = html.match(/<base\s[^>]*href\s*=\s*["']([^"']+)["']/i)?.[1];
+  const baseUrl = (baseHref && resolveLink(baseHref, pageUrl)) || pageUrl;
+
+  return [...html.matchAll(/<a\s[^>]*href\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))[^>]*>/gi)]
+    .filter(([tag]) => !/\brel\s*=\s*["'][^"']*\bnofollow\b/i.test(tag))
+    .map(([, doubleQuoted, singleQuoted, unquoted]) =>
+      resolveLink(
+        (doubleQuoted ?? singleQuoted ?? unquoted).replace(/&amp;/g, "&"),
+        baseUrl
+      )
+    )
+    .filter(Boolean);
+}
+
+/**
+ * Crawl a site from a seed URL, following links on the origin the seed
+ * lands on breadth first
+ * @param {string} seedUrl - Page to start from
+ * @param {Object} options - Crawl limits
+ * @param {number} options.maxDepth - Link hops from the seed (0 = seed only)
+ * @param {number} options.maxPages - Stop after this many HTML pages
+ * @param {AbortSignal} options.signal - Stops the crawl
+ * @returns {Promise<Object>} - { pages: [{ url, depth }], skipped, truncated }
+ */
+export async function crawlSite(
+  seedUrl,
+  {
+    maxDepth = DEFAULT_MAX_DEPTH,
+    maxPages = DEFAULT_MAX_PAGES,
+    signal = new AbortController().signal,
+  } = {}
+) {
+  const seed = resolveLink(seedUrl, seedUrl);
+  const pages = [];
+  const recorded = new Set();
+  const seen = new Set([seed]);
+  const skipped = { robots: 0, nonHtml: 0, errors: 0 };
+  let truncated = false;
+
+  // The seed may redirect, e.g. to https or www, so the site is the origin
+  // it lands on rather than the one typed
+  let seedResponse;
+  try {
+    seedResponse = await fetchPage(seed, signal);
+  } catch (error) {
+    if (signal.aborted) throw error;
+    skipped.errors += 1;
+    return { pages, skipped, truncated };
+  }
+
+  const { origin } = new URL(seedResponse.url || seed);
+  let rules;
+  try {
+    rules = await loadRobotsRules(origin, signal);
+  } catch (error) {
+    await seedResponse.body?.cancel();
+    throw error;
+  }
+
+  let queue = [{ url: seed, depth: 0, response: seedResponse }];
+
+  /**
+   * Fetch one page and queue its links
+   * @param {Object} item - { url, depth } and the response if it was
+   *   already fetched, as the seed is
+   * @param {Array} nextQueue - Queue of the next depth level
+   */
+  const visit = async ({ url, depth, response: fetched }, nextQueue) => {
+    let response = fetched;
+    if (!response) {
+      if (!isAllowedByRobots(rules, url)) {
+        skipped.robots += 1;
+        return;
+      }
+
+      try {
+        response = await fetchPage(url, signal);
+      } catch (error) {
+        if (signal.aborted) throw error;
+        skipped.errors += 1;
+        return;
+      }
+    }
+
+    // Redirects off the site, errors and non-HTML responses aren't pages
+    const finalUrl = resolveLink(response.url || url, url);
+    const contentType = response.headers.get("content-type") || "";
+    // The seed was requested before robots.txt was known
+    if (fetched && !isAllowedByRobots(rules, finalUrl)) {
+      skipped.robots += 1;
+      await response.body?.cancel();
+      return;
+    }
+    if (!response.ok || new URL(finalUrl).origin !== origin) {
+      skipped.errors += 1;
+      await response.body?.cancel();
+      return;
+    }
+    if (!contentType.includes("text/html")) {
+      skipped.nonHtml += 1;
+      await response.body?.cancel();
+      return;
+    }
+
+    if (pages.length >= maxPages) {
+      truncated = true;
+      await response.body?.cancel();
+      return;
+    }
+
+    // A redirect may land on a page that was already recorded
+    if (recorded.has(finalUrl)) {
+      await response.body?.cancel();
+      return;
+    }
+
+    // The timeout still runs while the body downloads, and a slow or reset
+    // body only loses this page
+    let html;
+    try {
+      html = await response.text();
+    } catch (error) {
+      if (signal.aborted) throw error;
+      skipped.errors += 1;
+      return;
+    }
+
+    // Other workers may have filled the crawl while the body downloaded
+    if (recorded.has(finalUrl)) return;
+    if (pages.length >= maxPages) {
+      truncated = true;
+      return;
+    }
+    recorded.add(finalUrl);
+    seen.add(finalUrl);
+    pages.push({ url: finalUrl, depth });
+
+    if (depth >= maxDepth) return;
+
+    extractLinks(html, finalUrl).forEach((link) => {
+      if (seen.has(link)) return;
+      if (new URL(link).origin !== origin) return;
+      if (NON_HTML_EXTENSIONS.test(new URL(link).pathname)) return;
+
+      seen.add(link);
+      nextQueue.push({ url: link, depth: depth + 1 });
+    });
+  };
+
+  while (queue.length > 0 && pages.length < maxPages) {
+    const nextQueue = [];
+    let next = 0;
+
+    // A small worker pool per level keeps the order breadth first
+    const worker = async () => {
+      while (next < queue.length && pages.length < maxPages) {
+        const item = queue[next++];
+        await visit(item, nextQueue);
+      }
+    };
+
+    await Promise.all(
+      Array.from({ length: Math.min(CRAWL_CONCURRENCY, queue.length) }, worker)
+    );
+
+    if (next < queue.length) truncated = true;
+    queue = nextQueue;
+  }
+
+  if (queue.length > 0) truncated = true;
+
+  return { pages, skipped, truncated };
+}
@@ -0,0 +1,219 @@
+import nodemailer from "nodemailer";
+import {
+  CATEGORIES,
+  WEB_VITALS,
+  getCategoryScores,
+  getWebVitals,
+} from "../lib/lighthouse";
+import { describeBudgetViolations, summarizeBudgets } from "../lib/budgets";
+import { generateCSVReport } from "./exportService";
+import { generatePDFReport } from "./pdfReportService";
+
+const DEFAULT_FROM = "PageSpeed Tester <no-reply@localhost>";
+
+/**
+ * Build nodemailer transport options from environment variables.
+ * EMAIL_TRANSPORT=json renders messages to JSON instead of sending them,
+ * which is useful in tests; anything else uses SMTP.
+ * @returns {Object} - nodemailer transport options
+ */
+export function getTransportOptions() {
+  if (process.env.EMAIL_TRANSPORT === "json") {
+    return { jsonTransport: true };
+  }
+
+  const options = {
+    host: process.env.SMTP_HOST || "localhost",
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+  };
+
+  if (process.env.SMTP_USER) {
+    options.auth = {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    };
+  }
+
+  return options;
+}
+
+/**
+ * Create a nodemailer transport
+ * @param {Object} options - Transport options, defaults to getTransportOptions()
+ * @returns {Object} - nodemailer transporter
+ */
+export function createEmailTransport(options = getTransportOptions()) {
+  return nodemailer.createTransport(options);
+}
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const getScoreColor = (score) => {
+  if (score === null) return "#9ca3af";
+  if (score >= 90) return "#059669";
+  if (score >= 50) return "#f59e0b";
+  return "#f43f5e";
+};
+
+const getVitalColor = (auditScore) => {
+  if (auditScore === null) return "#9ca3af";
+  return getScoreColor(auditScore * 100);
+};
+
+/**
+ * Render the HTML body of a run digest
+ * @param {Object} scheduledTest - ScheduledTest document
+ * @param {Object} run - Finished TestRun document
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @returns {string} - HTML email body
+ */
+export function buildRunDigestHtml(scheduledTest, run, results) {
+  const cellStyle =
+    "padding:6px 8px;border-bottom:1px solid #e5e7eb;font-size:12px;";
+  const headerStyle = `${cellStyle}text-align:left;color:#6b7280;font-weight:600;`;
+
+  const headerCells = [
+    "URL",
+    "Strategy",
+    ...CATEGORIES.map(({ label }) => label),
+    ...WEB_VITALS.map(({ label }) => label),
+    "Budget",
+  ]
+    .map((label) => `<th style="${headerStyle}">${escapeHtml(label)}</th>`)
+    .join("");
+
+  const rows = results
+    .map((result) => {
+      const urlCell = `<td style="${cellStyle}"><a href="${escapeHtml(
+        result.url
+      )}">${escapeHtml(result.url)}</a></td>`;
+      const strategyCell = `<td style="${cellStyle}">${
+        result.strategy === "mobile" ? "Mobile" : "Desktop"
+      }</td>`;
+
+      const lhr = result.data?.lighthouseResult;
+      if (result.error || !lhr) {
+        const colspan = CATEGORIES.length + WEB_VITALS.length + 1;
+        return `<tr>${urlCell}${strategyCell}<td colspan="${colspan}" style="${cellStyle}color:#f43f5e;">${escapeHtml(
+          result.error || "Invalid or incomplete response data"
+        )}</td></tr>`;
+      }
+
+      const scores = getCategoryScores(lhr);
+      const vitals = getWebVitals(lhr);
+
+      const scoreCells = CATEGORIES.map(({ key }) => {
+        const score = scores[key];
+        return `<td style="${cellStyle}font-weight:600;color:${getScoreColor(
+          score
+        )};">${score === null ? "Not run" : score}</td>`;
+      }).join("");
+
+      const vitalCells = WEB_VITALS.map(({ key }) => {
+        const vital = vitals[key];
+        return `<td style="${cellStyle}color:${getVitalColor(
+          vital.score
+        )};">${escapeHtml(vital.value)}</td>`;
+      }).join("");
+
+      let budgetCell = `<td style="${cellStyle}color:#9ca3af;">&ndash;</td>`;
+      if (result.budget) {
+        budgetCell = result.budget.passed
+          ? `<td style="${cellStyle}color:#059669;">Passed</td>`
+          : `<td style="${cellStyle}color:#e11d48;">${escapeHtml(
+              describeBudgetViolations(result.budget).join(", ")
+            )}</td>`;
+      }
+
+      return `<tr>${urlCell}${strategyCell}${scoreCells}${vitalCells}${budgetCell}</tr>`;
+    })
+    .join("");
+
+  const finishedAt = run.finishedAt || new Date();
+  const budgetSummary = summarizeBudgets(results);
+
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family:Arial,Helvetica,sans-serif;color:#111827;">
+    <h1 style="font-size:18px;font-weight:600;">${escapeHtml(
+      scheduledTest.name
+    )}</h1>
+    <p style="font-size:13px;color:#6b7280;">
+      Run finished ${escapeHtml(finishedAt.toLocaleString())} &middot;
+      ${results.length} URL${results.length === 1 ? "" : "s"} tested &middot;
+      ${run.errorCount || 0} error${run.errorCount === 1 ? "" : "s"}${
+        budgetSummary.evaluated > 0
+          ? ` &middot; ${budgetSummary.failed} of ${budgetSummary.evaluated} over budget`
+          : ""
+      }
+    </p>
+    <table style="border-collapse:collapse;width:100%;">
+      <thead><tr>${headerCells}</tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+    <p style="font-size:12px;color:#6b7280;">
+      The full reports are attached as PDF and CSV.
+    </p>
+  </body>
+</html>`;
+}
+
+/**
+ * Email the results of a scheduled run to the schedule's recipients
+ * @param {Object} scheduledTest - ScheduledTest document
+ * @param {Object} run - Finished TestRun document
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @param {Object} transport - Optional nodemailer transporter
+ * @returns {Promise<Object|null>} - nodemailer send info, null if no recipients
+ */
+export async function sendRunDigest(
+  scheduledTest,
+  run,
+  results,
+  transport = createEmailTransport()
+) {
+  const recipients = scheduledTest.recipients || [];
+  if (recipients.length === 0) return null;
+
+  const reportName = `${scheduledTest.name} - ${new Date(
+    run.finishedAt || Date.now()
+  ).toLocaleDateString()}`;
+
+  const [pdfBuffer, csvContent] = await Promise.all([
+    generatePDFReport(results, reportName),
+    generateCSVReport(results),
+  ]);
+
+  const statusLabel = run.status === "completed" ? "" : ` (${run.status})`;
+
+  const info = await transport.sendMail({
+    from: process.env.EMAIL_FROM || DEFAULT_FROM,
+    to: recipients.join(", "),
+    subject: `PageSpeed results: ${scheduledTest.name}${statusLabel}`,
+    html: buildRunDigestHtml(scheduledTest, run, results),
+    attachments: [
+      {
+        filename: "pagespeed-report.pdf",
+        content: pdfBuffer,
+        contentType: "application/pdf",
+      },
+      {
+        filename: "pagespeed-report.csv",
+        content: csvContent,
+        contentType: "text/csv",
+      },
+    ],
+  });
+
+  console.log(
+    `Sent digest for "${scheduledTest.name}" to ${recipients.length} recipient(s)`
+  );
+
+  return info;
+}
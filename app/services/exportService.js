@@ -1,129 +1,60 @@
 import PDFDocument from "pdfkit";
 import { Parser } from "json2csv";
+import {
+  CATEGORIES,
+  WEB_VITALS,
+  formatMetricValue,
+  getCategoryScores,
+  getWebVitals,
+} from "../lib/lighthouse";
+import {
+  STRATEGIES,
+  getStrategyLabel,
+  sortResultsByUrl,
+} from "../lib/strategies";
+import { describeBudgetViolations } from "../lib/budgets";
+import {
+  FIELD_CATEGORIES,
+  FIELD_METRICS,
+  getAssessmentLabel,
+  getResultFieldData,
+} from "../lib/fieldData";
+import {
+  COMPARISON_METRICS,
+  getComparisonRowLabel,
+} from "../lib/comparison";
+import { serializeResult, summarizeRunResults } from "../lib/apiV1";
 
 /**
- * Generate a PDF report from PageSpeed test results
- * @param {Array} results - Array of test results
- * @param {string} reportName - Name of the report
- * @returns {Promise<Buffer>} - PDF buffer
+ * CSV columns for page or origin field data, e.g. fieldLcp or originFieldLcp
+ * @param {string} prefix - "field" or "originField"
+ * @param {Object} fieldData - Field data from getFieldData
+ * @returns {Object} - Column values, empty without field data
  */
-export async function generatePDFReport(results, reportName) {
-  return new Promise((resolve, reject) => {
-    try {
-      // Create a PDF document
-      const doc = new PDFDocument({
-        margin: 50,
-        size: "A4",
-      });
-
-      // Collect chunks of the PDF
-      const chunks = [];
-      doc.on("data", (chunk) => chunks.push(chunk));
-      doc.on("end", () => resolve(Buffer.concat(chunks)));
-      doc.on("error", (err) => {
-        console.error("PDFKit error:", err);
-        reject(err);
-      });
-
-      // Add title
-      doc
-        .fontSize(24)
-        .font("Helvetica-Bold")
-        .text("PageSpeed Insights Report", 50, 60)
-        .fontSize(16)
-        .font("Helvetica")
-        .text(reportName || "Generated Report", 50, 100);
-
-      // Add timestamp
-      doc
-        .fontSize(10)
-        .text(`Generated on ${new Date().toLocaleString()}`, 50, 130);
-
-      // Add horizontal line
-      doc
-        .strokeColor("#e5e7eb")
-        .lineWidth(1)
-        .moveTo(50, 150)
-        .lineTo(doc.page.width - 50, 150)
-        .stroke();
-
-      // Basic summary
-      doc
-        .fontSize(14)
-        .font("Helvetica-Bold")
-        .text("Summary", 50, 180)
-        .fontSize(12)
-        .font("Helvetica")
-        .text(`URLs tested: ${results.length}`, 50, 210);
-
-      // Add results section
-      doc.addPage();
-      doc
-        .fontSize(14)
-        .font("Helvetica-Bold")
-        .text("Results by URL", 50, 60)
-        .fontSize(12)
-        .font("Helvetica");
+const getFieldDataColumns = (prefix, fieldData) => {
+  const columns = {
+    [`${prefix}Assessment`]: fieldData ? getAssessmentLabel(fieldData) : "",
+  };
 
-      // Loop through results
-      let yPosition = 100;
-      results.forEach((result, index) => {
-        if (yPosition > doc.page.height - 150) {
-          doc.addPage();
-          yPosition = 60;
-        }
-
-        doc.font("Helvetica-Bold").text(`URL: ${result.url}`, 50, yPosition);
-        yPosition += 20;
-
-        doc.font("Helvetica");
-
-        if (result.error) {
-          doc.text(`Error: ${result.error}`, 50, yPosition);
-          yPosition += 20;
-        } else if (result.data && result.data.lighthouseResult) {
-          const lhr = result.data.lighthouseResult;
-          const categories = lhr.categories;
-
-          // Display scores
-          if (categories) {
-            Object.entries(categories).forEach(([key, category]) => {
-              const readableKey =
-                key === "best-practices"
-                  ? "Best Practices"
-                  : key.charAt(0).toUpperCase() + key.slice(1);
-              const score = category.score
-                ? Math.round(category.score * 100)
-                : "N/A";
-              doc.text(`${readableKey}: ${score}%`, 50, yPosition);
-              yPosition += 15;
-            });
-          }
-
-          yPosition += 10;
-        } else {
-          doc.text("No valid data available", 50, yPosition);
-          yPosition += 20;
-        }
-
-        yPosition += 20; // Add spacing between results
-      });
-
-      // Finalize PDF
-      doc.end();
-    } catch (error) {
-      console.error("Error creating PDF:", error);
-      reject(error);
-    }
+  FIELD_METRICS.forEach(({ key }) => {
+    const metric = fieldData?.metrics[key];
+    columns[`${prefix}${key.charAt(0).toUpperCase()}${key.slice(1)}`] = metric
+      ? `${metric.value} (${FIELD_CATEGORIES[metric.category] || "Unrated"})`
+      : "";
   });
-}
+
+  return columns;
+};
 
 /**
  * Generate a CSV export of PageSpeed test results
  * @param {Array} results - Array of test results
+ * @param {Object} options
+ * @param {boolean} options.keepOrder - Keep the given order, e.g. a sorted
+ *   table, instead of grouping both strategies of a URL
  * @returns {string} - CSV content
  */
-export function generateCSVReport(results) {
+export function generateCSVReport(results, { keepOrder = false } = {}) {
   // Prepare data for CSV export
   const fields = [
     "url",
@@ -138,11 +69,16 @@ export function generateCSVReport(results) {
     "totalBlockingTime",
     "speedIndex",
     "interactive",
+    ...Object.keys(getFieldDataColumns("field", null)),
+    ...Object.keys(getFieldDataColumns("originField", null)),
+    "budgetStatus",
+    "budgetViolations",
     "testDate",
   ];
 
-  // Convert results to CSV-friendly format
-  const csvData = results.map((result) => {
+  // Convert results to CSV-friendly format, both strategies of a URL together
+  const orderedResults = keepOrder ? results : sortResultsByUrl(results);
+  const csvData = orderedResults.map((result) => {
     if (result.error || !result.data || !result.data.lighthouseResult) {
       return {
         url: result.url,
@@ -154,23 +90,18 @@ export function generateCSVReport(results) {
 
     const lhr = result.data.lighthouseResult;
     const audits = lhr.audits || {};
-    const categories = lhr.categories || {};
+    const scores = getCategoryScores(lhr);
+    // Categories left out of the run have no score rather than a zero
+    const formatScore = (key) => scores[key] ?? "Not run";
+    const fieldData = getResultFieldData(result);
 
     return {
       url: result.url,
       strategy: result.strategy || "mobile",
-      performanceScore: categories.performance?.score
-        ? Math.round(categories.performance.score * 100)
-        : "N/A",
-      accessibilityScore: categories.accessibility?.score
-        ? Math.round(categories.accessibility.score * 100)
-        : "N/A",
-      bestPracticesScore: categories["best-practices"]?.score
-        ? Math.round(categories["best-practices"].score * 100)
-        : "N/A",
-      seoScore: categories.seo?.score
-        ? Math.round(categories.seo.score * 100)
-        : "N/A",
+      performanceScore: formatScore("performance"),
+      accessibilityScore: formatScore("accessibility"),
+      bestPracticesScore: formatScore("best-practices"),
+      seoScore: formatScore("seo"),
       firstContentfulPaint:
         audits["first-contentful-paint"]?.displayValue || "N/A",
       largestContentfulPaint:
@@ -180,6 +111,15 @@ export function generateCSVReport(results) {
       totalBlockingTime: audits["total-blocking-time"]?.displayValue || "N/A",
       speedIndex: audits["speed-index"]?.displayValue || "N/A",
       interactive: audits["interactive"]?.displayValue || "N/A",
+      ...getFieldDataColumns("field", fieldData.page),
+      ...getFieldDataColumns("originField", fieldData.origin),
+      // Empty when no budget applies to the URL
+      budgetStatus: result.budget
+        ? result.budget.passed
+          ? "Passed"
+          : "Failed"
+        : "",
+      budgetViolations: describeBudgetViolations(result.budget).join("; "),
       testDate: result.data.analysisUTCTimestamp || new Date().toISOString(),
     };
   });
@@ -193,3 +133,305 @@ export function generateCSVReport(results) {
     throw error;
   }
 }
+
+/**
+ * Generate a JSON export in the result schema of the v1 API
+ * @param {Array} results - Array of test results
+ * @returns {string} - JSON content with { summary, results }
+ */
+export function generateJSONReport(results) {
+  return JSON.stringify(
+    {
+      summary: summarizeRunResults(results),
+      results: sortResultsByUrl(results).map(serializeResult),
+    },
+    null,
+    2
+  );
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+/**
+ * Render one result as a JUnit test case. A budget violation is a failure,
+ * a URL that could not be tested is an error.
+ * @param {Object} result - Test result
+ * @returns {string} - <testcase> element
+ */
+const renderTestCase = (result) => {
+  const attributes = `classname="pagespeed.${escapeXml(
+    result.strategy
+  )}" name="${escapeXml(result.url)}"`;
+  const lhr = result.data?.lighthouseResult;
+
+  if (result.error || !lhr) {
+    const message = result.error || "Invalid or incomplete response data";
+    return `    <testcase ${attributes}>
+      <error message="${escapeXml(message)}" type="error"/>
+    </testcase>`;
+  }
+
+  const scores = getCategoryScores(lhr);
+  const vitals = getWebVitals(lhr);
+  const output = [
+    CATEGORIES.filter(({ key }) => scores[key] !== null)
+      .map(({ key, label }) => `${label} ${scores[key]}`)
+      .join(", "),
+    WEB_VITALS.filter(({ key }) => vitals[key].score !== null)
+      .map(({ key, label }) => `${label} ${vitals[key].value}`)
+      .join(", "),
+  ].join("\n");
+
+  const violations = describeBudgetViolations(result.budget);
+  const failure =
+    violations.length > 0
+      ? `
+      <failure message="${escapeXml(violations.join("; "))}" type="budget">${escapeXml(
+          violations.join("\n")
+        )}</failure>`
+      : "";
+
+  return `    <testcase ${attributes}>${failure}
+      <system-out>${escapeXml(output)}</system-out>
+    </testcase>`;
+};
+
+/**
+ * Generate a JUnit XML report for CI systems, one test suite per strategy
+ * and one test case per URL
+ * @param {Array} results - Array of test results
+ * @param {string} reportName - Name of the report
+ * @returns {string} - XML content
+ */
+export function generateJUnitReport(results, reportName = "PageSpeed") {
+  const countFailures = (suiteResults) =>
+    suiteResults.filter((result) => result.budget && !result.budget.passed)
+      .length;
+  const countErrors = (suiteResults) =>
+    suiteResults.filter(
+      (result) => result.error || !result.data?.lighthouseResult
+    ).length;
+
+  const suites = STRATEGIES.map((strategy) =>
+    sortResultsByUrl(results).filter((result) => result.strategy === strategy)
+  )
+    .filter((suiteResults) => suiteResults.length > 0)
+    .map(
+      (suiteResults) => `  <testsuite name="${escapeXml(
+        `${reportName} (${getStrategyLabel(suiteResults[0].strategy)})`
+      )}" tests="${suiteResults.length}" failures="${countFailures(
+        suiteResults
+      )}" errors="${countErrors(suiteResults)}" skipped="0">
+${suiteResults.map(renderTestCase).join("\n")}
+  </testsuite>`
+    );
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites name="${escapeXml(reportName)}" tests="${
+    results.length
+  }" failures="${countFailures(results)}" errors="${countErrors(results)}">
+${suites.join("\n")}
+</testsuites>
+`;
+}
+
+/**
+ * Get the status of a comparison row for reports
+ * @param {Object} row - Row from compareResults
+ * @returns {string} - 'Error', 'Regressed', 'Improved' or 'Unchanged'
+ */
+const getComparisonStatus = (row) => {
+  if (row.error) return "Error";
+  if (row.regressions.length > 0) return "Regressed";
+  if (row.improvements.length > 0) return "Improved";
+  return "Unchanged";
+};
+
+const formatSigned = (value, format = (number) => `${number}`) =>
+  value === null ? "" : `${value > 0 ? "+" : ""}${format(value)}`;
+
+/**
+ * Generate a CSV with one row per URL and strategy of a comparison
+ * @param {Object} comparison - Result of compareResults
+ * @returns {string} - CSV content
+ */
+export function generateComparisonCSV(comparison) {
+  const csvData = comparison.rows.map((row) => {
+    // One before/after/change triple per metric, so columns are labelled
+    const record = {
+      URL: row.url,
+      Strategy: row.strategy,
+      Status: getComparisonStatus(row),
+    };
+
+    CATEGORIES.forEach(({ key, label }) => {
+      const { before, after, delta } = row.categories[key] || {};
+      record[`${label} before`] = before ?? "";
+      record[`${label} after`] = after ?? "";
+      record[`${label} change`] = formatSigned(delta ?? null);
+    });
+
+    COMPARISON_METRICS.forEach(({ key, label, unit }) => {
+      const { before, after, delta } = row.metrics[key] || {};
+      const format = (value) => formatMetricValue(value, unit);
+      record[`${label} before`] = before === null || before === undefined ? "" : format(before);
+      record[`${label} after`] = after === null || after === undefined ? "" : format(after);
+      record[`${label} change`] = formatSigned(delta ?? null, format);
+    });
+
+    record.Regressions = row.regressions.join("; ");
+    record["Newly failing audits"] = row.newlyFailing
+      .map((audit) => audit.title)
+      .join("; ");
+    record["Newly passing audits"] = row.newlyPassing
+      .map((audit) => audit.title)
+      .join("; ");
+    record.Error = row.error || "";
+
+    return record;
+  });
+
+  try {
+    const json2csvParser = new Parser();
+    return json2csvParser.parse(csvData);
+  } catch (error) {
+    console.error("Error generating comparison CSV:", error);
+    throw error;
+  }
+}
+
+/**
+ * Generate a PDF regression report from a comparison
+ * @param {Object} comparison - Result of compareResults
+ * @param {string} reportName - Name of the report
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+export async function generateComparisonPDF(comparison, reportName) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ margin: 50, size: "A4" });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", (err) => {
+        console.error("PDFKit error:", err);
+        reject(err);
+      });
+
+      const { summary, thresholds, unmatched } = comparison;
+
+      doc
+        .fontSize(24)
+        .font("Helvetica-Bold")
+        .text("PageSpeed Comparison Report", 50, 60)
+        .fontSize(16)
+        .font("Helvetica")
+        .text(reportName || "Baseline vs Current", 50, 100)
+        .fontSize(10)
+        .text(`Generated on ${new Date().toLocaleString()}`, 50, 130);
+
+      doc
+        .strokeColor("#e5e7eb")
+        .lineWidth(1)
+        .moveTo(50, 150)
+        .lineTo(doc.page.width - 50, 150)
+        .stroke();
+
+      doc
+        .fontSize(14)
+        .font("Helvetica-Bold")
+        .text("Summary", 50, 170)
+        .fontSize(11)
+        .font("Helvetica")
+        .text(`Pages compared: ${summary.compared}`, 50, 195)
+        .text(`Regressed: ${summary.regressed}   Improved: ${summary.improved}`)
+        .text(`Newly failing audits: ${summary.newlyFailingAudits}`)
+        .fillColor("#6b7280")
+        .text(
+          `Regression threshold: ${thresholds.score} score points or ${thresholds.metric}% slower`
+        );
+      if (unmatched.baseline.length > 0 || unmatched.current.length > 0) {
+        doc.text(
+          `Not compared: ${unmatched.baseline.length} only in baseline, ${unmatched.current.length} only in current`
+        );
+      }
+      doc.fillColor("black");
+
+      let yPosition = doc.y + 25;
+      comparison.rows.forEach((row) => {
+        if (yPosition > doc.page.height - 150) {
+          doc.addPage();
+          yPosition = 60;
+        }
+
+        const status = getComparisonStatus(row);
+        doc
+          .fontSize(11)
+          .font("Helvetica-Bold")
+          .fillColor(status === "Regressed" ? "#e11d48" : "black")
+          .text(`${getComparisonRowLabel(row)} - ${status}`, 50, yPosition)
+          .fillColor("black")
+          .font("Helvetica")
+          .fontSize(9);
+
+        if (row.error) {
+          doc.text(`Error: ${row.error}`);
+          yPosition = doc.y + 15;
+          return;
+        }
+
+        const categoryText = CATEGORIES.filter(
+          ({ key }) => row.categories[key].delta !== null
+        )
+          .map(({ key, label }) => {
+            const { before, after, delta } = row.categories[key];
+            return `${label}: ${before} -> ${after} (${formatSigned(delta)})`;
+          })
+          .join("   ");
+        if (categoryText) doc.text(categoryText);
+
+        const metricText = COMPARISON_METRICS.filter(
+          ({ key }) => row.metrics[key].delta !== null
+        )
+          .map(({ key, label, unit }) => {
+            const { before, after, delta } = row.metrics[key];
+            const format = (value) => formatMetricValue(value, unit);
+            return `${label}: ${format(before)} -> ${format(after)} (${formatSigned(delta, format)})`;
+          })
+          .join("   ");
+        if (metricText) doc.text(metricText);
+
+        if (row.regressions.length > 0) {
+          doc
+            .fillColor("#e11d48")
+            .text(`Regressions: ${row.regressions.join(", ")}`)
+            .fillColor("black");
+        }
+        if (row.newlyFailing.length > 0) {
+          doc.text(
+            `Newly failing: ${row.newlyFailing.map((audit) => audit.title).join(", ")}`
+          );
+        }
+        if (row.newlyPassing.length > 0) {
+          doc.text(
+            `Newly passing: ${row.newlyPassing.map((audit) => audit.title).join(", ")}`
+          );
+        }
+
+        yPosition = doc.y + 15;
+      });
+
+      doc.end();
+    } catch (error) {
+      console.error("Error generating comparison PDF:", error);
+      reject(error);
+    }
+  });
+}
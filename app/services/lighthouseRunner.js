@@ -0,0 +1,177 @@
+const DEFAULT_POOL_SIZE = Number(process.env.LIGHTHOUSE_CONCURRENCY) || 1;
+const DEFAULT_TIMEOUT_MS = Number(process.env.PAGESPEED_TIMEOUT_MS) || 120000;
+
+// Lighthouse runs are CPU bound, so they share one pool per process rather
+// than one per batch
+const pool = { size: Math.max(1, DEFAULT_POOL_SIZE), active: 0, queue: [] };
+
+/**
+ * Lighthouse configs PSI runs with. These are the Lightrider configs that
+ * ship with Lighthouse: simulated Slow 4G and a Moto G Power screen for
+ * mobile, simulated dense 4G and a 1350x940 screen for desktop. Their CPU
+ * slowdown is tuned to PSI's servers; LIGHTHOUSE_CPU_SLOWDOWN overrides it
+ * for machines that are much faster or slower.
+ * @param {string} strategy - 'mobile' or 'desktop'
+ * @returns {Promise<Object>} - Lighthouse config
+ */
+export async function getEmulationConfig(strategy) {
+  const { default: config } =
+    strategy === "desktop"
+      ? await import("lighthouse/core/config/lr-desktop-config.js")
+      : await import("lighthouse/core/config/lr-mobile-config.js");
+
+  const cpuSlowdown = Number(process.env.LIGHTHOUSE_CPU_SLOWDOWN);
+  if (!cpuSlowdown) return config;
+
+  return {
+    ...config,
+    settings: {
+      ...config.settings,
+      throttling: {
+        ...config.settings.throttling,
+        cpuSlowdownMultiplier: cpuSlowdown,
+      },
+    },
+  };
+}
+
+/**
+ * Run Lighthouse in a local headless Chrome. Waits for a free slot in the
+ * pool (LIGHTHOUSE_CONCURRENCY, default 1) and launches a fresh Chrome for
+ * every run, found through CHROME_PATH or the usual install locations.
+ * @param {string} url - URL to test
+ * @param {string} strategy - 'mobile' or 'desktop'
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - PSI-like response body with lighthouseResult
+ */
+export async function runLocalLighthouse(url, strategy, options = {}) {
+  await acquireSlot(options.signal);
+
+  try {
+    return await runInChrome(url, strategy, options);
+  } finally {
+    releaseSlot();
+  }
+}
+
+/**
+ * Launch Chrome, run Lighthouse and kill Chrome again, also on timeout or
+ * when the batch is aborted
+ * @param {string} url - URL to test
+ * @param {string} strategy - 'mobile' or 'desktop'
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - PSI-like response body
+ */
+async function runInChrome(url, strategy, options) {
+  const { signal } = options;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  const [{ default: lighthouse }, chromeLauncher, config] = await Promise.all([
+    import("lighthouse"),
+    import("chrome-launcher"),
+    getEmulationConfig(strategy),
+  ]);
+
+  const chrome = await chromeLauncher.launch({
+    chromeFlags: [
+      "--headless=new",
+      // e.g. --no-sandbox when running as root in a container
+      ...(process.env.LIGHTHOUSE_CHROME_FLAGS || "")
+        .split(" ")
+        .filter(Boolean),
+    ],
+  });
+
+  let timer;
+  let cancel;
+  const stopped = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const timeoutError = new Error(
+        `Lighthouse timed out after ${Math.round(timeoutMs / 1000)}s`
+      );
+      timeoutError.timeout = true;
+      reject(timeoutError);
+    }, timeoutMs);
+    cancel = () => reject(new Error("Cancelled"));
+    signal?.addEventListener("abort", cancel);
+  });
+
+  try {
+    const runnerResult = await Promise.race([
+      lighthouse(
+        url,
+        {
+          port: chrome.port,
+          output: "json",
+          logLevel: "error",
+          onlyCategories: options.categories,
+          locale: options.locale,
+        },
+        config
+      ),
+      stopped,
+    ]);
+
+    if (!runnerResult?.lhr) {
+      throw new Error("Lighthouse did not return a result");
+    }
+
+    return {
+      id: url,
+      analysisUTCTimestamp: runnerResult.lhr.fetchTime,
+      lighthouseResult: runnerResult.lhr,
+    };
+  } catch (error) {
+    // Lighthouse errors carry PSI's error codes, which decide about retries
+    if (error.code && !error.message.includes(error.code)) {
+      throw new Error(
+        `Lighthouse returned error: ${error.code}. ${error.message}`
+      );
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", cancel);
+    chrome.kill();
+  }
+}
+
+/**
+ * Wait until fewer than pool.size runs are active
+ * @param {AbortSignal} signal - Stops waiting when the batch is aborted
+ * @returns {Promise<void>}
+ */
+function acquireSlot(signal) {
+  // An abort event never fires again for a signal that is already aborted
+  if (signal?.aborted) {
+    return Promise.reject(new Error("Cancelled"));
+  }
+
+  if (pool.active < pool.size) {
+    pool.active++;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = () => {
+      signal?.removeEventListener("abort", cancel);
+      pool.active++;
+      resolve();
+    };
+    const cancel = () => {
+      pool.queue = pool.queue.filter((queued) => queued !== waiter);
+      reject(new Error("Cancelled"));
+    };
+
+    pool.queue.push(waiter);
+    signal?.addEventListener("abort", cancel, { once: true });
+  });
+}
+
+/**
+ * Free a slot and start the next queued run
+ */
+function releaseSlot() {
+  pool.active--;
+  pool.queue.shift()?.();
+}
@@ -0,0 +1,264 @@
+import crypto from "crypto";
+import { mkdir, readFile, writeFile } from "fs/promises";
+import path from "path";
+import { CATEGORY_KEYS } from "../lib/testOptions";
+import { runLocalLighthouse } from "./lighthouseRunner";
+
+export const PAGESPEED_API_URL =
+  "https://www.googleapis.com/pagespeedonline/v5/runPagespeed";
+
+export const PAGESPEED_PROVIDERS = [
+  "live",
+  "fixture",
+  "record",
+  "lighthouse",
+];
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.PAGESPEED_TIMEOUT_MS) || 120000;
+const DEFAULT_FIXTURES_DIR = "fixtures/pagespeed";
+
+/**
+ * Pick the PSI provider, by default from environment variables.
+ * PAGESPEED_PROVIDER=fixture replays recorded responses from
+ * PAGESPEED_FIXTURES_DIR, record calls the API and saves each response there,
+ * lighthouse runs Lighthouse in a local Chrome, live (the default) only
+ * calls the API. PAGESPEED_API_URL replaces the Google endpoint, e.g. with a
+ * local mock server.
+ * @param {Object} overrides - { name, apiUrl, dir } taking precedence over
+ *   the environment
+ * @returns {Object} - Provider, see createLiveProvider
+ * @throws {Error} - When the provider name is unknown
+ */
+export function getPageSpeedProvider(overrides = {}) {
+  const name = overrides.name || process.env.PAGESPEED_PROVIDER || "live";
+  const apiUrl =
+    overrides.apiUrl || process.env.PAGESPEED_API_URL || PAGESPEED_API_URL;
+  const dir =
+    overrides.dir || process.env.PAGESPEED_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  if (!PAGESPEED_PROVIDERS.includes(name)) {
+    throw new Error(
+      `Unknown PSI provider "${name}". Use ${PAGESPEED_PROVIDERS.join(", ")}`
+    );
+  }
+
+  if (name === "fixture") return createFixtureProvider({ dir });
+  if (name === "record") return createRecordingProvider({ apiUrl, dir });
+  if (name === "lighthouse") return createLighthouseProvider();
+  return createLiveProvider({ apiUrl });
+}
+
+/**
+ * Whether tests need a PSI API key with the configured provider. Replaying
+ * fixtures and local Lighthouse runs work without one.
+ * @returns {boolean}
+ */
+export function requiresApiKey() {
+  return getPageSpeedProvider().requiresApiKey;
+}
+
+/**
+ * Provider that calls the PSI API, or a server with the same interface
+ * @param {Object} config
+ * @param {string} config.apiUrl - runPagespeed endpoint
+ * @returns {Object} - { name, requiresApiKey, fetchResult(url, apiKey, strategy, options) }
+ *   where fetchResult resolves with the PSI response body and rejects with
+ *   errors carrying status and retryAfter for HTTP errors, or timeout: true
+ */
+export function createLiveProvider({ apiUrl = PAGESPEED_API_URL } = {}) {
+  return {
+    name: "live",
+    requiresApiKey: true,
+    fetchResult: (url, apiKey, strategy, options) =>
+      requestPageSpeedResult(apiUrl, url, apiKey, strategy, options),
+  };
+}
+
+/**
+ * Provider that replays responses saved by the recording provider. Fixtures
+ * are keyed by URL and strategy only, so categories and locale are ignored.
+ * @param {Object} config
+ * @param {string} config.dir - Fixture directory
+ * @returns {Object} - Provider, see createLiveProvider
+ */
+export function createFixtureProvider({ dir = DEFAULT_FIXTURES_DIR } = {}) {
+  return {
+    name: "fixture",
+    requiresApiKey: false,
+    fetchResult: async (url, apiKey, strategy) => {
+      const file = getFixturePath(dir, url, strategy);
+
+      let text;
+      try {
+        text = await readFile(file, "utf8");
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+
+        const missingError = new Error(
+          `No recorded ${strategy} response for ${url} (${file}). Record one with PAGESPEED_PROVIDER=record.`
+        );
+        missingError.status = 404;
+        throw missingError;
+      }
+
+      return JSON.parse(text);
+    },
+  };
+}
+
+/**
+ * Provider that calls the API and saves every successful response as a
+ * fixture for the fixture provider
+ * @param {Object} config
+ * @param {string} config.apiUrl - runPagespeed endpoint
+ * @param {string} config.dir - Fixture directory
+ * @returns {Object} - Provider, see createLiveProvider
+ */
+export function createRecordingProvider({
+  apiUrl = PAGESPEED_API_URL,
+  dir = DEFAULT_FIXTURES_DIR,
+} = {}) {
+  return {
+    name: "record",
+    requiresApiKey: true,
+    fetchResult: async (url, apiKey, strategy, options) => {
+      const data = await requestPageSpeedResult(
+        apiUrl,
+        url,
+        apiKey,
+        strategy,
+        options
+      );
+
+      const file = getFixturePath(dir, url, strategy);
+      await mkdir(path.dirname(file), { recursive: true });
+      await writeFile(file, JSON.stringify(data, null, 2));
+      console.log(`Recorded ${strategy} response for ${url} to ${file}`);
+
+      return data;
+    },
+  };
+}
+
+/**
+ * Provider that runs Lighthouse in a local headless Chrome with PSI's
+ * emulation settings, for URLs PSI can't reach such as staging or intranet
+ * sites. Results have no CrUX field data.
+ * @returns {Object} - Provider, see createLiveProvider
+ */
+export function createLighthouseProvider() {
+  return {
+    name: "lighthouse",
+    requiresApiKey: false,
+    fetchResult: (url, apiKey, strategy, options) =>
+      runLocalLighthouse(url, strategy, options),
+  };
+}
+
+/**
+ * Fixture file of a URL and strategy. The name starts with the host and path
+ * so fixtures are easy to find, and ends with a hash of the full URL so
+ * similar URLs don't collide.
+ * @param {string} dir - Fixture directory
+ * @param {string} url - Tested URL
+ * @param {string} strategy - 'mobile' or 'desktop'
+ * @returns {string} - File path
+ */
+export function getFixturePath(dir, url, strategy) {
+  let normalized = url;
+  try {
+    normalized = new URL(url).href;
+  } catch (e) {
+    // Keep URLs the URL parser rejects as they are
+  }
+
+  const slug = normalized
+    .replace(/^https?:\/\//, "")
+    .replace(/[^a-zA-Z0-9.-]+/g, "_")
+    .replace(/_+$/, "")
+    .slice(0, 80);
+  const hash = crypto
+    .createHash("sha256")
+    .update(normalized)
+    .digest("hex")
+    .slice(0, 8);
+
+  return path.join(dir, `${slug}-${hash}.${strategy}.json`);
+}
+
+/**
+ * Make a single runPagespeed request
+ * @param {string} apiUrl - runPagespeed endpoint
+ * @param {string} url - URL to test
+ * @param {string} apiKey - Google PageSpeed API key
+ * @param {string} strategy - Test strategy ('mobile' or 'desktop')
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - PSI response body
+ */
+async function requestPageSpeedResult(
+  apiUrl,
+  url,
+  apiKey,
+  strategy,
+  options = {}
+) {
+  const { signal } = options;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+
+  // Create URL params
+  const params = new URLSearchParams();
+  params.append("url", url);
+  if (apiKey) params.append("key", apiKey);
+  (options.categories || CATEGORY_KEYS).forEach((category) =>
+    params.append("category", category)
+  );
+  params.append("strategy", strategy);
+
+  if (options.locale) params.append("locale", options.locale);
+  if (options.utmCampaign) params.append("utm_campaign", options.utmCampaign);
+  if (options.utmSource) params.append("utm_source", options.utmSource);
+
+  const requestUrl = `${apiUrl}?${params.toString()}`;
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  const cancel = () => controller.abort();
+  signal?.addEventListener("abort", cancel);
+
+  let response;
+  try {
+    response = await fetch(requestUrl, { signal: controller.signal });
+  } catch (error) {
+    if (error.name === "AbortError" && !signal?.aborted) {
+      const timeoutError = new Error(
+        `Request timed out after ${Math.round(timeoutMs / 1000)}s`
+      );
+      timeoutError.timeout = true;
+      throw timeoutError;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener("abort", cancel);
+  }
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    let errorMessage = "API request failed";
+
+    try {
+      const errorData = JSON.parse(errorText);
+      errorMessage = errorData.error?.message || errorMessage;
+    } catch (e) {
+      // If JSON parsing fails, use the text as is
+      errorMessage = errorText || errorMessage;
+    }
+
+    const error = new Error(errorMessage);
+    error.status = response.status;
+    error.retryAfter = Number(response.headers.get("retry-after")) || null;
+    throw error;
+  }
+
+  return response.json();
+}
@@ -1,16 +1,95 @@
+import { expandStrategy } from "../lib/strategies";
+import { getPageSpeedProvider } from "./pagespeedProviders";
+import { getCacheKey, getCachedResult } from "./resultCache";
+import { isQuotaError } from "../lib/apiKeys";
+
+const DEFAULT_CONCURRENCY = Number(process.env.PAGESPEED_CONCURRENCY) || 4;
+// PAGESPEED_RETRIES=0 turns retries off; values that aren't a count fall back to 3
+const RETRIES_SETTING = process.env.PAGESPEED_RETRIES ? Number(process.env.PAGESPEED_RETRIES) : NaN;
+const DEFAULT_RETRIES =
+  Number.isFinite(RETRIES_SETTING) && RETRIES_SETTING >= 0 ? RETRIES_SETTING : 3;
+const DEFAULT_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+// Lighthouse errors that usually succeed when the page is tested again
+const TRANSIENT_LIGHTHOUSE_ERRORS = [
+  "FAILED_DOCUMENT_REQUEST",
+  "ERRORED_DOCUMENT_REQUEST",
+  "NO_FCP",
+  "NO_NAVSTART",
+  "PROTOCOL_TIMEOUT",
+  "TARGET_CRASHED",
+  "PAGE_HUNG",
+];
+
 /**
  * Run PageSpeed tests for multiple URLs
  * @param {Array<string>} urls - Array of URLs to test
- * @param {string} apiKey - Google PageSpeed API key
- * @param {string} strategy - Test strategy ('mobile' or 'desktop')
- * @returns {Promise<Array>} - Array of test results
+ * @param {string|Object} apiKey - Google PageSpeed API key, or a key pool
+ *   from loadKeyPool that picks a key per request
+ * @param {string} strategy - Test strategy ('mobile', 'desktop' or 'both')
+ * @param {Object} options - Runner options
+ * @param {number} options.concurrency - Maximum number of requests in flight
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.timeoutMs - Timeout per request in milliseconds
+ * @param {Object} options.provider - PSI provider, defaults to getPageSpeedProvider()
+ * @param {boolean} options.forceFresh - Test again even if a cached result exists
+ * @param {number} options.backoffMs - Delay before the first retry, doubled on each retry
+ * @param {Array<string>} options.categories - Lighthouse categories to run, defaults to all
+ * @param {string} options.locale - Locale for audit text
+ * @param {string} options.utmCampaign - utm_campaign parameter sent to PSI
+ * @param {string} options.utmSource - utm_source parameter sent to PSI
+ * @param {Function} options.onResult - Called with (result, index) as each test finishes
+ * @param {AbortSignal} options.signal - Aborts the remaining tests when triggered
+ * @returns {Promise<Array>} - Array of test results, in the order of urls and,
+ *   for 'both', mobile before desktop. When aborted, only the tests that
+ *   finished are included.
  */
-export async function runPageSpeedTests(urls, apiKey, strategy = "mobile") {
+export async function runPageSpeedTests(
+  urls,
+  apiKey,
+  strategy = "mobile",
+  options = {}
+) {
+  const concurrency = Math.max(1, options.concurrency || DEFAULT_CONCURRENCY);
+
+  // One job per URL and strategy
+  const jobs = urls.flatMap((url) =>
+    expandStrategy(strategy).map((jobStrategy) => ({
+      url,
+      strategy: jobStrategy,
+    }))
+  );
+
   try {
-    // Run tests in parallel
-    const promises = urls.map((url) => runPageSpeedTest(url, apiKey, strategy));
-    const results = await Promise.all(promises);
-    return results;
+    const results = new Array(jobs.length);
+    let nextIndex = 0;
+
+    // Each worker takes the next job until none are left or the batch is aborted
+    const worker = async () => {
+      while (nextIndex < jobs.length && !options.signal?.aborted) {
+        const index = nextIndex++;
+        const result = await runPageSpeedTest(
+          jobs[index].url,
+          apiKey,
+          jobs[index].strategy,
+          options
+        );
+
+        if (result.cancelled) continue;
+
+        results[index] = result;
+        options.onResult?.(result, index);
+      }
+    };
+
+    const workers = Array.from(
+      { length: Math.min(concurrency, jobs.length) },
+      worker
+    );
+    await Promise.all(workers);
+
+    return results.filter(Boolean);
   } catch (error) {
     console.error("Error running PageSpeed tests:", error);
     throw error;
@@ -18,56 +97,204 @@ export async function runPageSpeedTests(urls, apiKey, strategy = "mobile") {
 }
 
 /**
- * Run a PageSpeed test for a single URL
+ * Run a PageSpeed test for a single URL. Recent results for the same URL,
+ * strategy, categories and locale come from the result cache, and a test
+ * that is already running for them is joined rather than started again.
  * @param {string} url - URL to test
- * @param {string} apiKey - Google PageSpeed API key
+ * @param {string|Object} apiKey - Google PageSpeed API key or key pool
  * @param {string} strategy - Test strategy ('mobile' or 'desktop')
- * @returns {Promise<Object>} - Test result
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - Test result, including the number of attempts
+ *   and the cache status from getCachedResult. Has cancelled: true when
+ *   options.signal aborted the test.
  */
-async function runPageSpeedTest(url, apiKey, strategy) {
-  try {
-    // Make sure the URL is properly formatted
-    let processedUrl = url;
+export async function runPageSpeedTest(url, apiKey, strategy, options = {}) {
+  // Make sure the URL is properly formatted
+  let processedUrl = url;
+
+  if (!/^https?:\/\//.test(processedUrl)) {
+    processedUrl = "https://" + processedUrl;
+  }
+
+  const provider = options.provider || getPageSpeedProvider();
+  const key = getCacheKey(provider.name, processedUrl, strategy, options);
+
+  const result = await getCachedResult(
+    key,
+    () =>
+      runWithRetries(url, processedUrl, apiKey, strategy, {
+        ...options,
+        provider,
+      }),
+    { forceFresh: options.forceFresh }
+  );
+
+  // A shared or cached result may have been requested with another spelling
+  return { ...result, url: result.error ? url : processedUrl };
+}
+
+/**
+ * Test a URL, retrying quota, server and transient Lighthouse errors with
+ * exponential backoff. With a key pool, a quota error first moves on to
+ * another key without waiting or using up a retry.
+ * @param {string} url - URL as requested
+ * @param {string} processedUrl - URL with scheme
+ * @param {string|Object} apiKey - Google PageSpeed API key or key pool
+ * @param {string} strategy - Test strategy ('mobile' or 'desktop')
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - Test result, including the number of attempts
+ */
+async function runWithRetries(url, processedUrl, apiKey, strategy, options) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+
+  const usesPool = typeof apiKey?.acquire === "function";
+  // Only providers that send a key draw one from the pool and use its quota
+  const keyPool = usesPool && options.provider.requiresApiKey ? apiKey : null;
+
+  let attempts = 0;
+  let rotations = 0;
+
+  while (true) {
+    if (options.signal?.aborted) {
+      return { url, error: "Cancelled", strategy, attempts, cancelled: true };
+    }
 
-    if (!/^https?:\/\//.test(processedUrl)) {
-      processedUrl = "https://" + processedUrl;
+    let key = usesPool ? undefined : apiKey;
+    let poolKey = null;
+    if (keyPool) {
+      const lease = keyPool.acquire();
+      if (lease.error) {
+        return { url, error: lease.error, strategy, attempts };
+      }
+      if (lease.waitMs) {
+        console.warn(
+          `All API keys are rate limited, waiting ${lease.waitMs}ms for ${processedUrl}`
+        );
+        await sleep(lease.waitMs, options.signal);
+        continue;
+      }
+      poolKey = lease.key;
+      key = poolKey.value;
     }
 
-    // Create URL params
-    const params = new URLSearchParams();
-    params.append("url", processedUrl);
-    params.append("key", apiKey);
-    params.append("category", "performance");
-    params.append("category", "accessibility");
-    params.append("category", "best-practices");
-    params.append("category", "seo");
-    params.append("strategy", strategy);
+    attempts++;
 
-    const apiUrl = `https://www.googleapis.com/pagespeedonline/v5/runPagespeed?${params.toString()}`;
+    try {
+      console.log(
+        `Running ${strategy} test for: ${processedUrl} (attempt ${attempts})`
+      );
 
-    console.log(`Running ${strategy} test for: ${processedUrl}`);
+      const data = await fetchPageSpeedResult(
+        processedUrl,
+        key,
+        strategy,
+        options
+      );
+      return { url: processedUrl, data, strategy, attempts };
+    } catch (error) {
+      // Cancelled mid-request: the next iteration reports it
+      if (options.signal?.aborted) continue;
 
-    const response = await fetch(apiUrl);
+      if (poolKey && isQuotaError(error)) {
+        keyPool.reportQuotaError(poolKey, error);
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      let errorMessage = "API request failed";
+        // Each key gets one chance before the normal retries apply
+        if (rotations < keyPool.size) {
+          rotations++;
+          continue;
+        }
+      }
 
-      try {
-        const errorData = JSON.parse(errorText);
-        errorMessage = errorData.error?.message || errorMessage;
-      } catch (e) {
-        // If JSON parsing fails, use the text as is
-        errorMessage = errorText || errorMessage;
+      if (attempts > retries + rotations || !isRetryableError(error)) {
+        console.error(`Error testing ${url}:`, error);
+        return { url, error: error.message, strategy, attempts };
       }
 
-      throw new Error(errorMessage);
+      const delay = getRetryDelay(error, attempts, backoffMs);
+      console.warn(
+        `Retrying ${processedUrl} in ${delay}ms after: ${error.message}`
+      );
+      await sleep(delay, options.signal);
     }
+  }
+}
 
-    const data = await response.json();
-    return { url: processedUrl, data, strategy };
-  } catch (error) {
-    console.error(`Error testing ${url}:`, error);
-    return { url, error: error.message, strategy };
+/**
+ * Get a PSI response from options.provider
+ * @param {string} url - URL to test
+ * @param {string} apiKey - Google PageSpeed API key
+ * @param {string} strategy - Test strategy ('mobile' or 'desktop')
+ * @param {Object} options - Same options as runPageSpeedTests
+ * @returns {Promise<Object>} - PSI response body
+ */
+async function fetchPageSpeedResult(url, apiKey, strategy, options = {}) {
+  const data = await options.provider.fetchResult(
+    url,
+    apiKey,
+    strategy,
+    options
+  );
+
+  // PSI can answer 200 with a Lighthouse runtime error instead of results
+  const runtimeError = data.lighthouseResult?.runtimeError;
+  if (runtimeError?.code && runtimeError.code !== "NO_ERROR") {
+    throw new Error(
+      `Lighthouse returned error: ${runtimeError.code}. ${runtimeError.message || ""}`.trim()
+    );
   }
+
+  return data;
+}
+
+/**
+ * Decide whether a failed request is worth retrying
+ * @param {Error} error - Error thrown by fetchPageSpeedResult
+ * @returns {boolean} - True for quota, server, timeout and transient Lighthouse errors
+ */
+function isRetryableError(error) {
+  if (error.timeout) return true;
+  if (error.status === 429 || error.status >= 500) return true;
+
+  // Network failures from fetch itself have no status
+  if (!error.status && error.name === "TypeError") return true;
+
+  return TRANSIENT_LIGHTHOUSE_ERRORS.some((code) =>
+    error.message?.includes(code)
+  );
+}
+
+/**
+ * Exponential backoff with jitter, honouring Retry-After when the API sends it
+ * @param {Error} error - Error that caused the retry
+ * @param {number} attempt - Number of the attempt that failed (1-based)
+ * @param {number} backoffMs - Base delay in milliseconds
+ * @returns {number} - Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, backoffMs) {
+  if (error.retryAfter) {
+    return Math.min(error.retryAfter * 1000, MAX_BACKOFF_MS);
+  }
+
+  const exponential = backoffMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * backoffMs;
+  return Math.min(exponential + jitter, MAX_BACKOFF_MS);
+}
+
+/**
+ * Wait before retrying, resolving early if the batch is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener("abort", done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener("abort", done);
+  });
 }
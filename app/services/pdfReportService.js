@@ -0,0 +1,797 @@
+import PDFDocument from "pdfkit";
+import {
+  CATEGORIES,
+  WEB_VITALS,
+  formatBytes,
+  formatMetricValue,
+  getCategoryScores,
+  getOpportunities,
+  getWebVitals,
+} from "../lib/lighthouse";
+import {
+  STRATEGIES,
+  getStrategyLabel,
+  groupResultsByUrl,
+  sortResultsByUrl,
+} from "../lib/strategies";
+import { describeBudgetViolations, summarizeBudgets } from "../lib/budgets";
+import { describeFieldData, getResultFieldData } from "../lib/fieldData";
+import { DEFAULT_PRIMARY_COLOR, isValidColor } from "../lib/branding";
+
+const MARGIN = 50;
+const CARD_PADDING = 14;
+const SCREENSHOT_WIDTH = 100;
+const SCREENSHOT_HEIGHT = 170;
+const CARD_OPPORTUNITIES = 3;
+const CARD_OPPORTUNITY_ITEMS = 2;
+const WORST_PAGES = 5;
+const LISTED_ERRORS = 10;
+
+// Averages shown in the executive summary next to the category scores
+const SUMMARY_VITALS = WEB_VITALS.filter(({ key }) =>
+  ["lcp", "cls", "tbt"].includes(key)
+);
+
+const COLORS = {
+  text: "#111827",
+  muted: "#6b7280",
+  border: "#e5e7eb",
+  good: "#059669",
+  average: "#d97706",
+  poor: "#e11d48",
+  link: "#2563eb",
+};
+
+const getScoreColor = (score) => {
+  if (score === null || score === undefined) return COLORS.muted;
+  if (score >= 90) return COLORS.good;
+  if (score >= 50) return COLORS.average;
+  return COLORS.poor;
+};
+
+// Audit scores are 0–1, category scores 0–100
+const getAuditColor = (auditScore) =>
+  auditScore === null || auditScore === undefined
+    ? COLORS.muted
+    : getScoreColor(auditScore * 100);
+
+const getPageSpeedInsightsUrl = (url, strategy) =>
+  `https://developers.google.com/speed/pagespeed/insights/?url=${encodeURIComponent(url)}&strategy=${strategy}`;
+
+const average = (values) => {
+  const numbers = values.filter((value) => typeof value === "number");
+  if (numbers.length === 0) return null;
+  return numbers.reduce((total, value) => total + value, 0) / numbers.length;
+};
+
+/**
+ * Decode a PNG or JPEG data URL for PDFKit
+ * @param {string} dataUrl - Data URL
+ * @returns {Buffer|null} - Image data, null for anything else
+ */
+function decodeImage(dataUrl) {
+  const match =
+    typeof dataUrl === "string" &&
+    dataUrl.match(/^data:image\/(?:jpeg|png);base64,(.+)$/);
+
+  return match ? Buffer.from(match[1], "base64") : null;
+}
+
+/**
+ * Get the final screenshot of a result. Trimmed results from the database
+ * have no screenshot.
+ * @param {Object} lhr - lighthouseResult
+ * @returns {Buffer|null} - JPEG or PNG data
+ */
+const getScreenshot = (lhr) =>
+  decodeImage(lhr?.audits?.["final-screenshot"]?.details?.data);
+
+/**
+ * Text color that stays readable on a background color
+ * @param {string} hex - Background color, e.g. "#1d4ed8"
+ * @returns {string} - Dark or white text color
+ */
+const getContrastColor = (hex) => {
+  const [red, green, blue] = [1, 3, 5].map((start) =>
+    parseInt(hex.slice(start, start + 2), 16)
+  );
+  // Perceived brightness, see WCAG relative luminance
+  const brightness = (red * 299 + green * 587 + blue * 114) / 1000;
+  return brightness > 150 ? COLORS.text : "white";
+};
+
+/**
+ * Resolve the look of the report from an optional branding profile
+ * @param {Object} branding - BrandingProfile fields, or null
+ * @returns {Object} - Colors, logo and texts used while drawing
+ */
+function getTheme(branding) {
+  const primary = isValidColor(branding?.primaryColor)
+    ? branding.primaryColor
+    : DEFAULT_PRIMARY_COLOR;
+
+  const onPrimary = getContrastColor(primary);
+
+  return {
+    primary,
+    onPrimary,
+    // Light brand colors are unreadable as text on white pages
+    heading: onPrimary === "white" ? primary : COLORS.text,
+    logo: decodeImage(branding?.logo),
+    companyName: branding?.companyName || "",
+    clientName: branding?.clientName || "",
+    footerText: branding?.footerText || "",
+    coverNote: branding?.coverNote || "",
+  };
+}
+
+/**
+ * Averages per strategy, worst pages and failures for the executive summary
+ * @param {Array} results - Test results
+ * @returns {Object} - { strategies, worstPages, errors, fieldData, budgets }
+ */
+function summarizeResults(results) {
+  const successful = results.filter(
+    (result) => !result.error && result.data?.lighthouseResult?.categories
+  );
+
+  const strategies = STRATEGIES.map((strategy) => {
+    const strategyResults = successful.filter(
+      (result) => result.strategy === strategy
+    );
+    if (strategyResults.length === 0) return null;
+
+    const lhrs = strategyResults.map((result) => result.data.lighthouseResult);
+    const scores = lhrs.map(getCategoryScores);
+    const vitals = lhrs.map(getWebVitals);
+
+    const categories = {};
+    CATEGORIES.forEach(({ key }) => {
+      const value = average(scores.map((score) => score[key]));
+      categories[key] = value === null ? null : Math.round(value);
+    });
+
+    const metrics = {};
+    SUMMARY_VITALS.forEach(({ key }) => {
+      metrics[key] = average(vitals.map((vital) => vital[key].numericValue));
+    });
+
+    return { strategy, count: strategyResults.length, categories, metrics };
+  }).filter(Boolean);
+
+  const worstPages = successful
+    .map((result) => ({
+      result,
+      performance: getCategoryScores(result.data.lighthouseResult).performance,
+    }))
+    .filter(({ performance }) => performance !== null)
+    .sort((a, b) => a.performance - b.performance)
+    .slice(0, WORST_PAGES);
+
+  const assessed = successful
+    .map((result) => getResultFieldData(result).page)
+    .filter((fieldData) => fieldData && fieldData.passed !== null);
+
+  return {
+    strategies,
+    worstPages,
+    errors: results.filter((result) => result.error),
+    fieldData: {
+      assessed: assessed.length,
+      passed: assessed.filter((fieldData) => fieldData.passed).length,
+    },
+    budgets: summarizeBudgets(results),
+  };
+}
+
+/**
+ * Collect what a result card shows, so its height is known before drawing
+ * @param {Object} result - Test result
+ * @param {string} destination - Named destination of the card
+ * @returns {Object} - Card content
+ */
+function prepareCard(result, destination) {
+  const lhr = result.error ? null : result.data?.lighthouseResult;
+  const card = { result, destination, available: Boolean(lhr?.categories) };
+  if (!card.available) return card;
+
+  const fieldData = getResultFieldData(result);
+  card.scores = getCategoryScores(lhr);
+  card.vitals = getWebVitals(lhr);
+  card.screenshot = getScreenshot(lhr);
+  card.fieldLines = [
+    ["Field data (page)", fieldData.page],
+    ["Field data (origin)", fieldData.origin],
+  ]
+    .filter(([, data]) => data)
+    .map(([label, data]) => ({
+      text: `${label}: ${describeFieldData(data)}`,
+      color: data.passed === null ? COLORS.muted : data.passed ? COLORS.good : COLORS.poor,
+    }));
+  card.opportunities = getOpportunities(lhr, {
+    limit: CARD_OPPORTUNITIES,
+    itemLimit: CARD_OPPORTUNITY_ITEMS,
+  });
+
+  return card;
+}
+
+/**
+ * Height of a card as drawn by drawCard
+ * @param {Object} card - Content from prepareCard
+ * @returns {number} - Height in points
+ */
+function getCardHeight(card) {
+  // Header, error or "no data" line and links
+  if (!card.available) return 92;
+
+  const rows = Math.ceil(WEB_VITALS.length / 4);
+  const left =
+    46 + 14 + rows * 28 + card.fieldLines.length * 12 + (card.result.budget ? 12 : 0);
+  const body = Math.max(left, card.screenshot ? SCREENSHOT_HEIGHT : 0);
+  const opportunities =
+    card.opportunities.length === 0
+      ? 0
+      : 16 +
+        card.opportunities.reduce(
+          (total, opportunity) => total + 12 + opportunity.items.length * 10,
+          0
+        );
+
+  return CARD_PADDING + 34 + body + 8 + opportunities + 22 + CARD_PADDING;
+}
+
+/**
+ * Write one line of text, cut off with an ellipsis when it is too long
+ * @param {PDFDocument} doc - Document
+ * @param {string} text - Text
+ * @param {number} x - Left edge
+ * @param {number} y - Top edge
+ * @param {Object} options - PDFKit text options, width is required
+ */
+function writeLine(doc, text, x, y, options) {
+  doc.text(text, x, y, {
+    ...options,
+    height: doc.currentLineHeight(true),
+    ellipsis: true,
+  });
+}
+
+/**
+ * Draw the card of one result: scores, lab metrics, field data, budget,
+ * screenshot, top opportunities and links
+ * @param {PDFDocument} doc - Document
+ * @param {Object} card - Content from prepareCard
+ * @param {number} top - Top edge of the card
+ */
+function drawCard(doc, card, top) {
+  const { result } = card;
+  const width = doc.page.width - MARGIN * 2;
+  const height = getCardHeight(card);
+  const left = MARGIN + CARD_PADDING;
+  const innerWidth = width - CARD_PADDING * 2;
+  const strategyLabel = getStrategyLabel(result.strategy);
+
+  doc
+    .roundedRect(MARGIN, top, width, height, 4)
+    .lineWidth(1)
+    .strokeColor(COLORS.border)
+    .stroke();
+
+  // Header with the URL, also the target of the summary links
+  doc.font("Helvetica-Bold").fontSize(11).fillColor(COLORS.text);
+  writeLine(doc, result.url, left, top + CARD_PADDING, {
+    width: innerWidth - 80,
+    destination: card.destination,
+  });
+
+  doc.font("Helvetica").fontSize(8);
+  const badgeWidth = doc.widthOfString(strategyLabel) + 12;
+  doc
+    .roundedRect(MARGIN + width - CARD_PADDING - badgeWidth, top + CARD_PADDING - 2, badgeWidth, 14, 7)
+    .fill("#f3f4f6");
+  doc
+    .fillColor("#374151")
+    .text(strategyLabel, MARGIN + width - CARD_PADDING - badgeWidth + 6, top + CARD_PADDING + 1);
+
+  const testedAt = result.data?.analysisUTCTimestamp;
+  doc.fillColor(COLORS.muted);
+  writeLine(
+    doc,
+    [
+      testedAt && `Tested ${new Date(testedAt).toLocaleString()}`,
+      result.data?.lighthouseResult?.lighthouseVersion &&
+        `Lighthouse ${result.data.lighthouseResult.lighthouseVersion}`,
+      result.attempts > 1 && `${result.attempts} attempts`,
+    ]
+      .filter(Boolean)
+      .join(" · "),
+    left,
+    top + CARD_PADDING + 17,
+    { width: innerWidth }
+  );
+
+  let y = top + CARD_PADDING + 34;
+
+  if (!card.available) {
+    doc
+      .fontSize(10)
+      .fillColor(result.error ? COLORS.poor : COLORS.muted);
+    writeLine(
+      doc,
+      result.error ? `Error: ${result.error}` : "No valid data available",
+      left,
+      y,
+      { width: innerWidth }
+    );
+    y += 22;
+  } else {
+    const bodyTop = y;
+    const columnWidth =
+      (innerWidth - (card.screenshot ? SCREENSHOT_WIDTH + 14 : 0)) / 4;
+
+    CATEGORIES.forEach(({ key, label }, index) => {
+      const x = left + index * columnWidth;
+      const score = card.scores[key];
+      doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted).text(label, x, y);
+      if (score === null) {
+        doc.fontSize(10).text("Not run", x, y + 16);
+      } else {
+        doc
+          .font("Helvetica-Bold")
+          .fontSize(20)
+          .fillColor(getScoreColor(score))
+          .text(`${score}`, x, y + 11);
+      }
+    });
+    y += 46;
+
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text("LAB METRICS", left, y);
+    y += 14;
+
+    WEB_VITALS.forEach(({ key, label }, index) => {
+      const x = left + (index % 4) * columnWidth;
+      const rowY = y + Math.floor(index / 4) * 28;
+      const vital = card.vitals[key];
+      doc.font("Helvetica").fontSize(7.5).fillColor(COLORS.muted);
+      writeLine(doc, label, x, rowY, { width: columnWidth - 6 });
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .fillColor(getAuditColor(vital.score))
+        .text(vital.value, x, rowY + 10);
+    });
+    y += Math.ceil(WEB_VITALS.length / 4) * 28;
+
+    doc.font("Helvetica").fontSize(8);
+    card.fieldLines.forEach((line) => {
+      doc.fillColor(line.color);
+      writeLine(doc, line.text, left, y, { width: columnWidth * 4 });
+      y += 12;
+    });
+
+    if (result.budget) {
+      doc.fillColor(result.budget.passed ? COLORS.good : COLORS.poor);
+      writeLine(
+        doc,
+        result.budget.passed
+          ? "Budget passed"
+          : `Budget failed: ${describeBudgetViolations(result.budget).join(", ")}`,
+        left,
+        y,
+        { width: columnWidth * 4 }
+      );
+      y += 12;
+    }
+
+    if (card.screenshot) {
+      const x = MARGIN + width - CARD_PADDING - SCREENSHOT_WIDTH;
+      try {
+        doc.image(card.screenshot, x, bodyTop, {
+          fit: [SCREENSHOT_WIDTH, SCREENSHOT_HEIGHT],
+          align: "center",
+        });
+      } catch (error) {
+        // An unreadable screenshot shouldn't stop the report
+        console.error(`Could not add screenshot of ${result.url}:`, error);
+      }
+      y = Math.max(y, bodyTop + SCREENSHOT_HEIGHT);
+    }
+
+    y += 8;
+
+    if (card.opportunities.length > 0) {
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(8)
+        .fillColor(COLORS.muted)
+        .text("TOP OPPORTUNITIES", left, y);
+      y += 16;
+
+      card.opportunities.forEach((opportunity) => {
+        const savings = [
+          opportunity.savingsMs > 0 && formatMetricValue(opportunity.savingsMs, "ms"),
+          opportunity.savingsBytes > 0 && formatBytes(opportunity.savingsBytes),
+        ]
+          .filter(Boolean)
+          .join(", ");
+
+        doc.font("Helvetica").fontSize(9).fillColor(COLORS.text);
+        writeLine(doc, opportunity.title, left, y, { width: innerWidth - 110 });
+        doc
+          .fillColor(COLORS.poor)
+          .text(savings, left + innerWidth - 100, y, { width: 100, align: "right" });
+        y += 12;
+
+        doc.fontSize(7.5).fillColor(COLORS.muted);
+        opportunity.items.forEach((item) => {
+          const waste =
+            item.wastedBytes !== null
+              ? formatBytes(item.wastedBytes)
+              : item.wastedMs !== null
+                ? formatMetricValue(item.wastedMs, "ms")
+                : "";
+          writeLine(doc, `${item.label}${waste ? ` (${waste})` : ""}`, left + 10, y, {
+            width: innerWidth - 10,
+          });
+          y += 10;
+        });
+      });
+    }
+  }
+
+  // Links at the bottom of the card
+  const linkY = top + height - CARD_PADDING - 10;
+  doc.font("Helvetica").fontSize(9).fillColor(COLORS.link);
+  doc.text("Open page", left, linkY, { link: result.url, underline: true });
+  doc.text(`${strategyLabel} PageSpeed Insights report`, left + 80, linkY, {
+    link: getPageSpeedInsightsUrl(result.url, result.strategy),
+    underline: true,
+  });
+}
+
+/**
+ * Draw the cover page
+ * @param {PDFDocument} doc - Document
+ * @param {Array} results - Test results
+ * @param {Object} summary - From summarizeResults
+ * @param {string} reportName - Name of the report
+ * @param {Object} theme - From getTheme
+ */
+function drawCover(doc, results, summary, reportName, theme) {
+  const width = doc.page.width;
+  const textWidth = width - MARGIN * 2;
+
+  doc.rect(0, 0, width, 300).fill(theme.primary);
+
+  if (theme.logo) {
+    try {
+      doc.image(theme.logo, MARGIN, 45, { fit: [180, 55] });
+    } catch (error) {
+      console.error("Could not add branding logo:", error);
+    }
+  }
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(30)
+    .fillColor(theme.onPrimary)
+    .text("PageSpeed Insights Report", MARGIN, 120, { width: textWidth })
+    .font("Helvetica")
+    .fontSize(16)
+    .text(reportName || "Generated Report", MARGIN, doc.y + 8, {
+      width: textWidth,
+    });
+  if (theme.clientName) {
+    doc.fontSize(12).text(`Prepared for ${theme.clientName}`, MARGIN, doc.y + 6, {
+      width: textWidth,
+    });
+  }
+  doc
+    .fontSize(10)
+    .text(
+      [
+        theme.companyName && `Prepared by ${theme.companyName}`,
+        `Generated on ${new Date().toLocaleString()}`,
+      ]
+        .filter(Boolean)
+        .join(" · "),
+      MARGIN,
+      260,
+      { width: textWidth }
+    );
+
+  const urlCount = groupResultsByUrl(results).length;
+  doc
+    .font("Helvetica")
+    .fontSize(12)
+    .fillColor(COLORS.text)
+    .text(
+      `${urlCount} URL${urlCount === 1 ? "" : "s"} · ${results.length} test${
+        results.length === 1 ? "" : "s"
+      }${summary.errors.length > 0 ? ` · ${summary.errors.length} failed` : ""}`,
+      MARGIN,
+      340
+    );
+
+  // Average performance per strategy as the headline figures
+  summary.strategies.forEach((strategy, index) => {
+    const x = MARGIN + index * 180;
+    const score = strategy.categories.performance;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(48)
+      .fillColor(getScoreColor(score))
+      .text(score === null ? "-" : `${score}`, x, 380)
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(COLORS.muted)
+      .text(`Average ${getStrategyLabel(strategy.strategy).toLowerCase()} performance`, x, 440);
+  });
+
+  if (theme.coverNote) {
+    doc
+      .font("Helvetica")
+      .fontSize(11)
+      .fillColor(COLORS.text)
+      .text(theme.coverNote, MARGIN, 490, {
+        width: textWidth,
+        height: doc.page.height - 490 - MARGIN,
+        ellipsis: true,
+      });
+  }
+}
+
+/**
+ * Draw the executive summary: averages, field data and budget outcomes,
+ * the worst pages and failed tests
+ * @param {PDFDocument} doc - Document
+ * @param {Object} summary - From summarizeResults
+ * @param {Map} destinations - Named destination of each result card
+ * @param {Object} theme - From getTheme
+ */
+function drawSummary(doc, summary, destinations, theme) {
+  const width = doc.page.width - MARGIN * 2;
+
+  doc
+    .font("Helvetica-Bold")
+    .fontSize(18)
+    .fillColor(theme.heading)
+    .text("Executive Summary", MARGIN, 60);
+
+  doc.font("Helvetica").fontSize(10).fillColor(COLORS.text).moveDown(0.8);
+  if (summary.fieldData.assessed > 0) {
+    doc.text(
+      `${summary.fieldData.passed} of ${summary.fieldData.assessed} pages with real-user data pass the Core Web Vitals assessment.`,
+      MARGIN
+    );
+  }
+  if (summary.budgets.evaluated > 0) {
+    doc.text(
+      `Budgets: ${summary.budgets.passed} passed, ${summary.budgets.failed} failed, ${summary.budgets.violations} violations.`,
+      MARGIN
+    );
+  }
+
+  // Averages per strategy
+  let y = doc.y + 20;
+  const columns = [
+    { label: "Strategy", width: 75 },
+    ...CATEGORIES.map(({ label }) => ({ label, width: 65 })),
+    ...SUMMARY_VITALS.map(({ label }) => ({ label: `Avg ${label}`, width: 50 })),
+  ];
+  const columnX = (index) =>
+    MARGIN + columns.slice(0, index).reduce((total, column) => total + column.width, 0);
+
+  doc.font("Helvetica-Bold").fontSize(12).fillColor(COLORS.text).text("Averages", MARGIN, y);
+  y += 20;
+  doc.font("Helvetica").fontSize(8).fillColor(COLORS.muted);
+  columns.forEach((column, index) => doc.text(column.label, columnX(index), y));
+  y += 14;
+
+  summary.strategies.forEach((strategy) => {
+    doc.moveTo(MARGIN, y - 4).lineTo(MARGIN + width, y - 4).strokeColor(COLORS.border).stroke();
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(COLORS.text)
+      .text(`${getStrategyLabel(strategy.strategy)} (${strategy.count})`, columnX(0), y);
+    CATEGORIES.forEach(({ key }, index) => {
+      const score = strategy.categories[key];
+      doc
+        .font("Helvetica-Bold")
+        .fillColor(getScoreColor(score))
+        .text(score === null ? "Not run" : `${score}`, columnX(index + 1), y);
+    });
+    SUMMARY_VITALS.forEach(({ key, unit }, index) => {
+      const value = strategy.metrics[key];
+      doc
+        .font("Helvetica")
+        .fillColor(COLORS.text)
+        .text(
+          value === null ? "N/A" : formatMetricValue(value, unit),
+          columnX(CATEGORIES.length + 1 + index),
+          y
+        );
+    });
+    y += 20;
+  });
+
+  // Worst pages by performance, linked to their cards
+  if (summary.worstPages.length > 0) {
+    y += 16;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .fillColor(COLORS.text)
+      .text("Lowest performance scores", MARGIN, y);
+    y += 20;
+
+    summary.worstPages.forEach(({ result, performance }) => {
+      const lcp = getWebVitals(result.data.lighthouseResult).lcp.value;
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(10)
+        .fillColor(getScoreColor(performance))
+        .text(`${performance}`, MARGIN, y);
+      doc.font("Helvetica").fillColor(COLORS.link);
+      writeLine(doc, result.url, MARGIN + 35, y, {
+        width: width - 200,
+        goTo: destinations.get(result),
+      });
+      doc
+        .fillColor(COLORS.muted)
+        .text(`${getStrategyLabel(result.strategy)} · LCP ${lcp}`, MARGIN + width - 155, y, {
+          width: 155,
+          align: "right",
+        });
+      y += 16;
+    });
+  }
+
+  if (summary.errors.length > 0) {
+    y += 16;
+    doc
+      .font("Helvetica-Bold")
+      .fontSize(12)
+      .fillColor(COLORS.text)
+      .text("Failed tests", MARGIN, y);
+    y += 20;
+
+    doc.font("Helvetica").fontSize(9);
+    summary.errors.slice(0, LISTED_ERRORS).forEach((result) => {
+      doc.fillColor(COLORS.poor);
+      writeLine(
+        doc,
+        `${result.url} (${getStrategyLabel(result.strategy)}): ${result.error}`,
+        MARGIN,
+        y,
+        { width, goTo: destinations.get(result) }
+      );
+      y += 14;
+    });
+    if (summary.errors.length > LISTED_ERRORS) {
+      doc
+        .fillColor(COLORS.muted)
+        .text(`and ${summary.errors.length - LISTED_ERRORS} more`, MARGIN, y);
+    }
+  }
+}
+
+/**
+ * Add the footer text and page numbers to the pages after the cover
+ * @param {PDFDocument} doc - Document with buffered pages
+ * @param {string} reportName - Name of the report
+ * @param {Object} theme - From getTheme
+ */
+function drawFooters(doc, reportName, theme) {
+  const { start, count } = doc.bufferedPageRange();
+
+  for (let index = start + 1; index < start + count; index++) {
+    doc.switchToPage(index);
+    // Writing below the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc
+      .font("Helvetica")
+      .fontSize(8)
+      .fillColor(COLORS.muted)
+      .text(
+        theme.footerText || reportName || "PageSpeed Insights Report",
+        MARGIN,
+        doc.page.height - 35,
+        { width: doc.page.width - MARGIN * 2 - 80, height: 10, ellipsis: true }
+      )
+      .text(`Page ${index} of ${count - 1}`, MARGIN, doc.page.height - 35, {
+        width: doc.page.width - MARGIN * 2,
+        align: "right",
+        lineBreak: false,
+      });
+    doc.page.margins.bottom = bottom;
+  }
+}
+
+/**
+ * Generate the PDF report of PageSpeed test results: a cover page, an
+ * executive summary and a card per URL and strategy
+ * @param {Array} results - Array of test results
+ * @param {string} reportName - Name of the report
+ * @param {Object} branding - Optional BrandingProfile with logo, colors and
+ *   texts for the cover and footers
+ * @param {Object} options
+ * @param {boolean} options.keepOrder - Keep the given order of the result
+ *   cards instead of grouping both strategies of a URL
+ * @returns {Promise<Buffer>} - PDF buffer
+ */
+export async function generatePDFReport(
+  results,
+  reportName,
+  branding = null,
+  { keepOrder = false } = {}
+) {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({
+        margin: MARGIN,
+        size: "A4",
+        bufferPages: true,
+        info: {
+          Title: reportName || "PageSpeed Insights Report",
+          ...(branding?.companyName && { Author: branding.companyName }),
+        },
+      });
+
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+      doc.on("error", (err) => {
+        console.error("PDFKit error:", err);
+        reject(err);
+      });
+
+      const orderedResults = keepOrder ? results : sortResultsByUrl(results);
+      const destinations = new Map(
+        orderedResults.map((result, index) => [result, `result-${index + 1}`])
+      );
+      const summary = summarizeResults(orderedResults);
+      const theme = getTheme(branding);
+
+      drawCover(doc, orderedResults, summary, reportName, theme);
+
+      doc.addPage();
+      drawSummary(doc, summary, destinations, theme);
+
+      doc.addPage();
+      doc
+        .font("Helvetica-Bold")
+        .fontSize(18)
+        .fillColor(theme.heading)
+        .text("Results by URL", MARGIN, 60);
+
+      let y = doc.y + 16;
+      orderedResults.forEach((result) => {
+        const card = prepareCard(result, destinations.get(result));
+        const height = getCardHeight(card);
+        if (y + height > doc.page.height - MARGIN) {
+          doc.addPage();
+          y = MARGIN;
+        }
+
+        drawCard(doc, card, y);
+        y += height + 14;
+      });
+
+      drawFooters(doc, reportName, theme);
+
+      // Finalize PDF
+      doc.end();
+    } catch (error) {
+      console.error("Error creating PDF:", error);
+      reject(error);
+    }
+  });
+}
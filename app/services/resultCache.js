@@ -0,0 +1,146 @@
+const DEFAULT_TTL_SECONDS =
+  Number(process.env.PAGESPEED_CACHE_TTL_SECONDS ?? 600) || 0;
+const MAX_ENTRIES = Number(process.env.PAGESPEED_CACHE_MAX_ENTRIES) || 100;
+
+// Successful results by cache key, oldest first: { result, fetchedAt }
+const entries = new Map();
+// Tests that are still running, by cache key
+const inFlight = new Map();
+
+/**
+ * Normalize a URL for the cache key: lowercase scheme and host, default
+ * path "/" and no fragment, which PSI never sees
+ * @param {string} url - URL with scheme
+ * @returns {string} - Normalized URL
+ */
+export function normalizeCacheUrl(url) {
+  try {
+    const parsed = new URL(url);
+    parsed.hash = "";
+    return parsed.href;
+  } catch (e) {
+    return url;
+  }
+}
+
+/**
+ * Cache key of a test. Results depend on the provider, URL, strategy,
+ * categories and locale; the utm parameters don't change them.
+ * @param {string} provider - Provider name
+ * @param {string} url - URL with scheme
+ * @param {string} strategy - 'mobile' or 'desktop'
+ * @param {Object} options - { categories, locale } as in runPageSpeedTests
+ * @returns {string} - Cache key
+ */
+export function getCacheKey(
+  provider,
+  url,
+  strategy,
+  { categories, locale } = {}
+) {
+  return JSON.stringify([
+    provider,
+    normalizeCacheUrl(url),
+    strategy,
+    categories?.length ? categories.join(",") : "all",
+    locale || "",
+  ]);
+}
+
+/**
+ * Check whether a result is a new measurement rather than a copy of one:
+ * served from the cache or shared with a test that was already running,
+ * e.g. a URL listed twice in a batch
+ * @param {Object} result - Result of runPageSpeedTest
+ * @returns {boolean} - True unless the cache status is "hit" or "shared"
+ */
+export function isMeasuredResult(result) {
+  return !result.cache || result.cache.status === "miss";
+}
+
+/**
+ * Return a cached result for the key, join a test that is running for it or
+ * run a new one. Only successful results are cached.
+ * @param {string} key - Key from getCacheKey
+ * @param {Function} runTest - Runs the test, resolves with a result in the
+ *   shape of runPageSpeedTest and never rejects
+ * @param {Object} options
+ * @param {boolean} options.forceFresh - Ignore cached results. A test that is
+ *   already running is still joined, as its result will be fresh.
+ * @param {number} options.ttlSeconds - How long results stay cached, 0 only
+ *   de-duplicates running tests
+ * @returns {Promise<Object>} - Result with cache: { status, fetchedAt } where
+ *   status is "miss" (tested now), "hit" (cached) or "shared" (joined a
+ *   running test) and fetchedAt is when the result was received
+ */
+export async function getCachedResult(
+  key,
+  runTest,
+  { forceFresh = false, ttlSeconds = DEFAULT_TTL_SECONDS } = {}
+) {
+  const entry = entries.get(key);
+  if (entry && Date.now() - entry.fetchedAt >= ttlSeconds * 1000) {
+    entries.delete(key);
+  } else if (entry && !forceFresh) {
+    return withCacheStatus(entry.result, "hit", entry.fetchedAt);
+  }
+
+  const running = inFlight.get(key);
+  if (running) {
+    const { result, fetchedAt } = await running;
+    // A test cancelled by another batch doesn't cancel this one
+    if (!result.cancelled) {
+      return withCacheStatus(result, "shared", fetchedAt);
+    }
+  }
+
+  const test = runTest().then((result) => ({
+    result,
+    fetchedAt: Date.now(),
+  }));
+  inFlight.set(key, test);
+
+  let finished;
+  try {
+    finished = await test;
+  } finally {
+    if (inFlight.get(key) === test) inFlight.delete(key);
+  }
+
+  const { result, fetchedAt } = finished;
+  if (!result.error && ttlSeconds > 0) {
+    storeResult(key, result, fetchedAt);
+  }
+
+  return withCacheStatus(result, "miss", fetchedAt);
+}
+
+/**
+ * Add a result, dropping the oldest entries beyond MAX_ENTRIES as each one
+ * holds a full Lighthouse result
+ * @param {string} key - Cache key
+ * @param {Object} result - Successful result
+ * @param {number} fetchedAt - Timestamp in milliseconds
+ */
+function storeResult(key, result, fetchedAt) {
+  entries.delete(key);
+  entries.set(key, { result, fetchedAt });
+
+  while (entries.size > MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+}
+
+/**
+ * Copy a result with its cache status
+ * @param {Object} result - Test result
+ * @param {string} status - "miss", "hit" or "shared"
+ * @param {number} fetchedAt - Timestamp in milliseconds
+ * @returns {Object} - Result with cache
+ */
+function withCacheStatus(result, status, fetchedAt) {
+  return {
+    ...result,
+    cache: { status, fetchedAt: new Date(fetchedAt).toISOString() },
+  };
+}
@@ -0,0 +1,235 @@
+import { connectToDatabase } from "../lib/mongoose";
+import {
+  trimLighthouseResult,
+  getCategoryScores,
+  getWebVitals,
+} from "../lib/lighthouse";
+import { trimLoadingExperience } from "../lib/fieldData";
+import { isMeasuredResult } from "./resultCache";
+import TestRun from "../models/TestRun";
+import TestResult from "../models/TestResult";
+
+/**
+ * Create a test run record before the tests start
+ * @param {Object} options - Run details
+ * @param {Array<string>} options.urls - URLs being tested
+ * @param {string} options.strategy - Test strategy ('mobile', 'desktop' or 'both')
+ * @param {string} options.source - 'scheduled', 'manual' or 'api'
+ * @param {string} options.scheduledTest - ScheduledTest id, if any
+ * @param {string} options.accessToken - AccessToken id of an API run
+ * @param {Array<string>} options.categories - Categories requested, if not all
+ * @param {string} options.locale - Locale requested, if any
+ * @returns {Promise<Object>} - Created TestRun document
+ */
+export async function createTestRun({
+  urls,
+  strategy,
+  source,
+  scheduledTest,
+  accessToken,
+  categories,
+  locale,
+}) {
+  await connectToDatabase();
+
+  return TestRun.create({
+    urls,
+    strategy,
+    categories,
+    locale,
+    source,
+    scheduledTest,
+    accessToken,
+    status: "running",
+    startedAt: new Date(),
+  });
+}
+
+/**
+ * Store the results of a run and mark the run as finished
+ * @param {Object} run - TestRun document created by createTestRun
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @returns {Promise<Object>} - Updated TestRun document
+ */
+export async function saveRunResults(run, results) {
+  await connectToDatabase();
+
+  const documents = results.map((result) => ({
+    run: run._id,
+    scheduledTest: run.scheduledTest,
+    url: result.url,
+    strategy: result.strategy,
+    testedAt: result.data?.analysisUTCTimestamp
+      ? new Date(result.data.analysisUTCTimestamp)
+      : new Date(),
+    error: result.error,
+    attempts: result.attempts,
+    lighthouseResult: result.error
+      ? undefined
+      : trimLighthouseResult(result.data?.lighthouseResult),
+    loadingExperience: trimLoadingExperience(result.data?.loadingExperience),
+    originLoadingExperience: trimLoadingExperience(
+      result.data?.originLoadingExperience
+    ),
+    budget: result.budget,
+    cached: isMeasuredResult(result) ? undefined : true,
+  }));
+
+  await TestResult.insertMany(documents);
+
+  const errorCount = results.filter((result) => result.error).length;
+
+  let status = "completed";
+  if (errorCount === results.length) {
+    status = "failed";
+  } else if (errorCount > 0) {
+    status = "partial";
+  }
+
+  run.status = status;
+  run.finishedAt = new Date();
+  run.resultCount = results.length;
+  run.errorCount = errorCount;
+  return run.save();
+}
+
+/**
+ * Mark a run as failed when the tests could not be run at all
+ * @param {Object} run - TestRun document
+ * @param {Error} error - Error that stopped the run
+ * @returns {Promise<Object>} - Updated TestRun document
+ */
+export async function failTestRun(run, error) {
+  await connectToDatabase();
+
+  run.status = "failed";
+  run.finishedAt = new Date();
+  run.error = error.message;
+  return run.save();
+}
+
+/**
+ * Store the results of a run started from the UI
+ * @param {Array} results - Results returned by runPageSpeedTests
+ * @param {string} strategy - Test strategy ('mobile', 'desktop' or 'both')
+ * @param {Object} testOptions - Options the tests ran with (categories, locale)
+ * @returns {Promise<Object>} - Finished TestRun document
+ */
+export async function saveManualRun(results, strategy, testOptions = {}) {
+  const run = await createTestRun({
+    urls: [...new Set(results.map((result) => result.url))],
+    strategy,
+    source: "manual",
+    categories: testOptions.categories,
+    locale: testOptions.locale,
+  });
+
+  return saveRunResults(run, results);
+}
+
+/**
+ * Load the stored results of a run
+ * @param {Object} run - TestRun document
+ * @returns {Promise<Array>} - Results in the shape of runPageSpeedTest, in
+ *   the order they were saved
+ */
+export async function getRunResults(run) {
+  await connectToDatabase();
+
+  const results = await TestResult.find({ run: run._id }).sort({ _id: 1 });
+  return results.map((result) => result.toResult());
+}
+
+/**
+ * Load the latest earlier result of each URL and strategy in a run, the
+ * baseline that score drops are measured against
+ * @param {Object} run - TestRun document the results belong to
+ * @param {Array} results - Results of the run
+ * @returns {Promise<Array>} - Earlier results in the shape of runPageSpeedTest
+ */
+export async function getPreviousResults(run, results) {
+  await connectToDatabase();
+
+  const keys = new Map(
+    results
+      .filter((result) => !result.error)
+      .map((result) => [`${result.url}|${result.strategy}`, result])
+  );
+
+  const previous = await Promise.all(
+    [...keys.values()].map(({ url, strategy }) =>
+      TestResult.findOne({
+        url,
+        strategy,
+        run: { $ne: run._id },
+        error: { $exists: false },
+        cached: { $ne: true },
+        testedAt: { $lt: run.startedAt },
+      }).sort({ testedAt: -1 })
+    )
+  );
+
+  return previous.filter(Boolean).map((result) => result.toResult());
+}
+
+/**
+ * List every tested URL with its latest test time and number of results
+ * @returns {Promise<Array>} - [{ url, lastTestedAt, count }]
+ */
+export async function listTestedUrls() {
+  await connectToDatabase();
+
+  const urls = await TestResult.aggregate([
+    { $match: { error: { $exists: false }, cached: { $ne: true } } },
+    {
+      $group: {
+        _id: "$url",
+        lastTestedAt: { $max: "$testedAt" },
+        count: { $sum: 1 },
+      },
+    },
+    { $sort: { lastTestedAt: -1 } },
+  ]);
+
+  return urls.map(({ _id, lastTestedAt, count }) => ({
+    url: _id,
+    lastTestedAt,
+    count,
+  }));
+}
+
+/**
+ * Get the score and metric history of a URL, oldest first
+ * @param {string} url - Tested URL
+ * @param {Object} options - Filters
+ * @param {string} options.strategy - Only include this strategy
+ * @param {Date} options.since - Only include results tested after this date
+ * @param {number} options.limit - Maximum number of points
+ * @returns {Promise<Array>} - [{ testedAt, strategy, scores, metrics }]
+ */
+export async function getUrlHistory(url, { strategy, since, limit = 500 } = {}) {
+  await connectToDatabase();
+
+  const query = { url, error: { $exists: false }, cached: { $ne: true } };
+  if (strategy) query.strategy = strategy;
+  if (since) query.testedAt = { $gte: since };
+
+  const results = await TestResult.find(query)
+    .sort({ testedAt: -1 })
+    .limit(limit);
+
+  return results.reverse().map((result) => {
+    const vitals = getWebVitals(result.lighthouseResult);
+
+    return {
+      testedAt: result.testedAt,
+      strategy: result.strategy,
+      scores: getCategoryScores(result.lighthouseResult),
+      metrics: {
+        lcp: vitals.lcp.numericValue ?? null,
+        cls: vitals.cls.numericValue ?? null,
+        tbt: vitals.tbt.numericValue ?? null,
+      },
+    };
+  });
+}
@@ -0,0 +1,185 @@
+import { connectToDatabase } from "../lib/mongoose";
+import { getNextRunDate } from "../lib/cron";
+import { getScheduledTestOptions } from "../lib/scheduledTests";
+import { applyBudgets } from "../lib/budgets";
+import ScheduledTest from "../models/ScheduledTest";
+import { runPageSpeedTests } from "./pagespeedService";
+import { requiresApiKey } from "./pagespeedProviders";
+import { resolveApiKey } from "./apiKeyService";
+import { sendRunDigest } from "./emailService";
+import { loadBudgets } from "./budgetService";
+import { notifyWebhooks } from "./webhookService";
+import {
+  createTestRun,
+  saveRunResults,
+  failTestRun,
+} from "./resultService";
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Run a scheduled test now and store its results
+ * @param {Object} scheduledTest - ScheduledTest document (with apiKey selected)
+ * @returns {Promise<Object>} - Finished TestRun document
+ */
+export async function runScheduledTest(scheduledTest) {
+  await connectToDatabase();
+
+  const apiKey = await resolveApiKey(scheduledTest.apiKey);
+  const testOptions = getScheduledTestOptions(scheduledTest);
+
+  const run = await createTestRun({
+    urls: scheduledTest.urls,
+    strategy: scheduledTest.strategy,
+    source: "scheduled",
+    scheduledTest: scheduledTest._id,
+    categories: testOptions.categories,
+    locale: testOptions.locale,
+  });
+
+  await ScheduledTest.updateOne(
+    { _id: scheduledTest._id },
+    { $set: { lastRunStatus: "running", lastRunAt: run.startedAt } }
+  );
+
+  let results = [];
+
+  try {
+    if (!apiKey && requiresApiKey()) {
+      throw new Error(
+        "No API key configured for this schedule, on the API Keys page or in PAGESPEED_API_KEY"
+      );
+    }
+
+    console.log(
+      `Running scheduled test "${scheduledTest.name}" (${scheduledTest.urls.length} URLs)`
+    );
+
+    const budgets = await loadBudgets();
+    results = (
+      await runPageSpeedTests(
+        scheduledTest.urls,
+        apiKey,
+        scheduledTest.strategy,
+        // Each scheduled run is a new measurement for the history
+        { ...testOptions, forceFresh: true }
+      )
+    ).map((result) => applyBudgets(result, budgets, scheduledTest.budget));
+    await saveRunResults(run, results);
+  } catch (error) {
+    console.error(`Scheduled test "${scheduledTest.name}" failed:`, error);
+    await failTestRun(run, error);
+  }
+
+  await ScheduledTest.updateOne(
+    { _id: scheduledTest._id },
+    {
+      $set: {
+        lastRunStatus: run.status,
+        lastRunError: run.error || null,
+      },
+    }
+  );
+
+  if (results.length > 0 && scheduledTest.recipients?.length > 0) {
+    try {
+      await sendRunDigest(scheduledTest, run, results);
+    } catch (error) {
+      // A failed email should not mark an otherwise successful run as failed
+      console.error(`Error sending digest for "${scheduledTest.name}":`, error);
+    }
+  }
+
+  try {
+    await notifyWebhooks(run, results, scheduledTest);
+  } catch (error) {
+    console.error(`Error notifying webhooks for "${scheduledTest.name}":`, error);
+  }
+
+  return run;
+}
+
+/**
+ * Find enabled scheduled tests whose next run time has passed and run them.
+ * Each test is claimed by moving its nextRunAt forward before it runs, so
+ * two scheduler instances never pick up the same test.
+ * @param {Date} now - Reference time
+ * @returns {Promise<Array>} - TestRun documents for the runs started
+ */
+export async function runDueScheduledTests(now = new Date()) {
+  await connectToDatabase();
+
+  const dueTests = await ScheduledTest.find({
+    enabled: true,
+    nextRunAt: { $lte: now },
+  })
+    .select("+apiKey")
+    .sort({ nextRunAt: 1 });
+
+  const runs = [];
+
+  // Run one schedule at a time to stay within the PSI quota
+  for (const dueTest of dueTests) {
+    let nextRunAt;
+    try {
+      nextRunAt = getNextRunDate(dueTest.frequency, dueTest.timezone, now);
+    } catch (error) {
+      console.error(`Invalid frequency for "${dueTest.name}":`, error);
+      await ScheduledTest.updateOne(
+        { _id: dueTest._id },
+        { $set: { enabled: false, lastRunError: error.message } }
+      );
+      continue;
+    }
+
+    const claimed = await ScheduledTest.findOneAndUpdate(
+      { _id: dueTest._id, enabled: true, nextRunAt: dueTest.nextRunAt },
+      { $set: { nextRunAt } },
+      { new: true }
+    ).select("+apiKey");
+
+    if (!claimed) continue;
+
+    runs.push(await runScheduledTest(claimed));
+  }
+
+  return runs;
+}
+
+/**
+ * Start polling for due scheduled tests in this process
+ * @param {number} intervalMs - Polling interval in milliseconds
+ */
+export function startScheduler(intervalMs = DEFAULT_INTERVAL_MS) {
+  if (global.pagespeedScheduler) return;
+
+  let ticking = false;
+
+  const tick = async () => {
+    // Skip this tick if the previous one is still running tests
+    if (ticking) return;
+    ticking = true;
+
+    try {
+      await runDueScheduledTests();
+    } catch (error) {
+      console.error("Scheduler tick failed:", error);
+    } finally {
+      ticking = false;
+    }
+  };
+
+  global.pagespeedScheduler = setInterval(tick, intervalMs);
+  console.log(`Scheduler started, checking every ${intervalMs / 1000}s`);
+  tick();
+}
+
+/**
+ * Stop the in-process scheduler started by startScheduler
+ */
+export function stopScheduler() {
+  if (!global.pagespeedScheduler) return;
+
+  clearInterval(global.pagespeedScheduler);
+  global.pagespeedScheduler = null;
+}
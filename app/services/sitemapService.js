@@ -0,0 +1,154 @@
+import { gunzipSync } from "zlib";
+
+const DEFAULT_MAX_SITEMAPS = 50;
+const DEFAULT_MAX_URLS = 10000;
+const FETCH_TIMEOUT_MS = 30000;
+// Largest sitemap a .xml.gz file may unpack to, well above the 50 MB the
+// sitemap protocol allows, so a gzip bomb can't exhaust the memory
+const MAX_SITEMAP_BYTES = 50 * 1024 * 1024;
+
+const XML_ENTITIES = {
+  "&amp;": "&",
+  "&lt;": "<",
+  "&gt;": ">",
+  "&quot;": '"',
+  "&apos;": "'",
+};
+
+/**
+ * Error for a response that isn't a usable sitemap, the request is at fault
+ * rather than the server
+ * @param {string} reason - What is wrong with it
+ * @returns {Error} - Error with a 400 status
+ */
+function createNotSitemapError(reason) {
+  const error = new Error(`Not a sitemap: ${reason}`);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse the <loc> entries of a sitemap or sitemap index
+ * @param {string} xml - Sitemap XML
+ * @returns {{ type: string, locations: Array<string> }} - 'index' or 'urlset'
+ *   and the locations listed in it
+ */
+export function parseSitemap(xml) {
+  const type = /<sitemapindex[\s>]/i.test(xml) ? "index" : "urlset";
+  if (type === "urlset" && !/<urlset[\s>]/i.test(xml)) {
+    throw createNotSitemapError("expected <urlset> or <sitemapindex>");
+  }
+
+  const locations = [...xml.matchAll(/<loc>([\s\S]*?)<\/loc>/gi)]
+    .map(([, value]) =>
+      value
+        .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, "$1")
+        .replace(/&(amp|lt|gt|quot|apos);/g, (entity) => XML_ENTITIES[entity])
+        .trim()
+    )
+    .filter((location) => location.length > 0);
+
+  return { type, locations };
+}
+
+/**
+ * Download a sitemap, unpacking .xml.gz files
+ * @param {string} url - Sitemap URL
+ * @returns {Promise<string>} - Sitemap XML
+ */
+async function fetchSitemapXml(url) {
+  const response = await fetch(url, {
+    headers: { Accept: "application/xml, text/xml;q=0.9, */*;q=0.8" },
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Fetching ${url} failed with status ${response.status}`);
+  }
+
+  const buffer = Buffer.from(await response.arrayBuffer());
+
+  // Gzip magic number, servers rarely send a Content-Encoding for .xml.gz
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+    try {
+      return gunzipSync(buffer, { maxOutputLength: MAX_SITEMAP_BYTES }).toString("utf8");
+    } catch (e) {
+      if (e instanceof RangeError) {
+        throw createNotSitemapError("unpacks to more than 50 MB");
+      }
+      throw e;
+    }
+  }
+
+  return buffer.toString("utf8");
+}
+
+/**
+ * Collect the page URLs of a sitemap, following sitemap index files
+ * @param {Object} source - Where to start
+ * @param {string} source.url - Sitemap URL to download
+ * @param {string} source.xml - Sitemap XML that was uploaded instead
+ * @param {Object} options - Limits
+ * @param {number} options.maxSitemaps - Maximum sitemap files to download
+ * @param {number} options.maxUrls - Stop once this many URLs were found
+ * @returns {Promise<Object>} - { urls, sitemaps (files read), errors, truncated }
+ */
+export async function loadSitemapUrls(
+  { url, xml },
+  { maxSitemaps = DEFAULT_MAX_SITEMAPS, maxUrls = DEFAULT_MAX_URLS } = {}
+) {
+  const urls = new Set();
+  const visited = new Set();
+  const errors = [];
+  let loaded = 0;
+  let truncated = false;
+
+  // Breadth first, so a huge index still yields URLs from several children
+  const root = xml ? { xml } : { url };
+  const queue = [root];
+
+  while (queue.length > 0) {
+    if (urls.size >= maxUrls || visited.size >= maxSitemaps) {
+      truncated = true;
+      break;
+    }
+
+    const next = queue.shift();
+    if (next.url) {
+      if (visited.has(next.url)) continue;
+      visited.add(next.url);
+    }
+
+    let sitemap;
+    try {
+      sitemap = parseSitemap(next.xml ?? (await fetchSitemapXml(next.url)));
+    } catch (error) {
+      // The first sitemap has to load, a broken child only loses its URLs
+      if (next === root) {
+        throw error;
+      }
+      errors.push(error.message);
+      continue;
+    }
+    loaded += 1;
+
+    if (sitemap.type === "index") {
+      sitemap.locations.forEach((location) => queue.push({ url: location }));
+    } else {
+      for (const location of sitemap.locations) {
+        if (urls.size >= maxUrls) {
+          truncated = true;
+          break;
+        }
+        urls.add(location);
+      }
+    }
+  }
+
+  return {
+    urls: [...urls],
+    sitemaps: loaded,
+    errors,
+    truncated,
+  };
+}
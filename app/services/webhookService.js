@@ -0,0 +1,403 @@
+import crypto from "crypto";
+import { connectToDatabase } from "../lib/mongoose";
+import { CATEGORIES, getCategoryScores } from "../lib/lighthouse";
+import { describeBudgetViolations, summarizeBudgets } from "../lib/budgets";
+import { getScoreDrops } from "../lib/comparison";
+import { getStrategyLabel } from "../lib/strategies";
+import Webhook from "../models/Webhook";
+import WebhookDelivery from "../models/WebhookDelivery";
+import { getPreviousResults } from "./resultService";
+import { isMeasuredResult } from "./resultCache";
+
+// WEBHOOK_RETRIES=0 turns retries off; values that aren't a count fall back to 3
+const RETRIES_SETTING = process.env.WEBHOOK_RETRIES ? Number(process.env.WEBHOOK_RETRIES) : NaN;
+const DEFAULT_RETRIES =
+  Number.isFinite(RETRIES_SETTING) && RETRIES_SETTING >= 0 ? RETRIES_SETTING : 3;
+const DEFAULT_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const DEFAULT_BACKOFF_MS = 2000;
+const MAX_BACKOFF_MS = 60000;
+
+// Characters of the response body kept in the delivery log
+const MAX_RESPONSE_LENGTH = 1000;
+
+// Lines listed in a Slack message before "and N more"
+const SLACK_LINES = 10;
+
+/**
+ * Sign a webhook body. Receivers recompute the HMAC over
+ * "<timestamp>.<body>" with their copy of the secret and compare.
+ * @param {string} body - JSON request body
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-PageSpeed-Timestamp
+ * @returns {string} - "sha256=<hex digest>"
+ */
+export function signWebhookBody(body, secret, timestamp) {
+  const digest = crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex");
+
+  return `sha256=${digest}`;
+}
+
+/**
+ * Build the JSON payload of an event
+ * @param {string} event - Event key, see WEBHOOK_EVENTS, or "ping"
+ * @param {Object} context - What happened
+ * @param {Object} context.run - Finished TestRun document
+ * @param {Object} context.scheduledTest - ScheduledTest document, if any
+ * @param {Array} context.results - Results of the run
+ * @param {Array} context.drops - Score drops from getScoreDrops
+ * @returns {Object} - Payload
+ */
+export function buildWebhookPayload(
+  event,
+  { run, scheduledTest = null, results = [], drops = [] } = {}
+) {
+  const payload = {
+    event,
+    sentAt: new Date().toISOString(),
+    scheduledTest: scheduledTest
+      ? { id: String(scheduledTest._id), name: scheduledTest.name }
+      : null,
+  };
+
+  if (!run) return payload;
+
+  payload.run = {
+    id: String(run._id),
+    source: run.source,
+    status: run.status,
+    strategy: run.strategy,
+    startedAt: run.startedAt,
+    finishedAt: run.finishedAt,
+    resultCount: run.resultCount,
+    errorCount: run.errorCount,
+    error: run.error,
+  };
+  payload.budgets = summarizeBudgets(results);
+
+  if (event === "run.completed") {
+    payload.results = results.map((result) => ({
+      url: result.url,
+      strategy: result.strategy,
+      error: result.error,
+      scores: result.error
+        ? undefined
+        : getCategoryScores(result.data?.lighthouseResult),
+      budgetPassed: result.budget ? result.budget.passed : undefined,
+    }));
+  }
+
+  if (event === "budget.failed") {
+    payload.violations = results
+      .filter((result) => result.budget && !result.budget.passed)
+      .map((result) => ({
+        url: result.url,
+        strategy: result.strategy,
+        violations: describeBudgetViolations(result.budget),
+        checks: result.budget.checks.filter((check) => !check.passed),
+      }));
+  }
+
+  if (event === "score.dropped") {
+    payload.drops = drops;
+  }
+
+  return payload;
+}
+
+/**
+ * List lines as Slack bullets, cut off after SLACK_LINES
+ * @param {Array<string>} lines - Lines to list
+ * @returns {string} - mrkdwn text
+ */
+function formatSlackList(lines) {
+  const listed = lines.slice(0, SLACK_LINES).map((line) => `• ${line}`);
+  if (lines.length > SLACK_LINES) {
+    listed.push(`…and ${lines.length - SLACK_LINES} more`);
+  }
+  return listed.join("\n");
+}
+
+/**
+ * Convert a payload into a Slack incoming webhook message
+ * @param {Object} payload - Payload from buildWebhookPayload
+ * @returns {Object} - { text } in Slack mrkdwn
+ */
+export function buildSlackMessage(payload) {
+  const name = payload.scheduledTest?.name || "Manual run";
+  const getLabel = (entry) => `${entry.url} (${getStrategyLabel(entry.strategy)})`;
+
+  if (payload.event === "ping") {
+    return { text: "Test delivery from PageSpeed Tester" };
+  }
+
+  const { run, budgets } = payload;
+  const counts = [
+    `${run.resultCount} result${run.resultCount === 1 ? "" : "s"}`,
+    `${run.errorCount} error${run.errorCount === 1 ? "" : "s"}`,
+    budgets.evaluated > 0 &&
+      `${budgets.failed} of ${budgets.evaluated} over budget`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  if (payload.event === "budget.failed") {
+    return {
+      text: `*Budget violations: ${name}*\n${formatSlackList(
+        payload.violations.map(
+          (entry) => `${getLabel(entry)}: ${entry.violations.join(", ")}`
+        )
+      )}`,
+    };
+  }
+
+  if (payload.event === "score.dropped") {
+    return {
+      text: `*Score drops: ${name}*\n${formatSlackList(
+        payload.drops.map(
+          (drop) =>
+            `${getLabel(drop)}: ${drop.label} ${drop.before} → ${drop.after} (${drop.delta})`
+        )
+      )}`,
+    };
+  }
+
+  const lines = payload.results.map((result) => {
+    if (result.error) return `${getLabel(result)}: ${result.error}`;
+
+    const scores = CATEGORIES.filter(({ key }) => result.scores[key] !== null)
+      .map(({ key, label }) => `${label} ${result.scores[key]}`)
+      .join(", ");
+    return `${getLabel(result)}: ${scores}`;
+  });
+
+  return {
+    text: [
+      `*PageSpeed run finished: ${name}* (${run.status})`,
+      counts,
+      run.error,
+      formatSlackList(lines),
+    ]
+      .filter(Boolean)
+      .join("\n"),
+  };
+}
+
+/**
+ * Decide whether a failed delivery is worth retrying
+ * @param {number|undefined} statusCode - Response status, unset on network errors
+ * @returns {boolean} - True for network errors, timeouts, 429 and 5xx
+ */
+function isRetryableDelivery(statusCode) {
+  return !statusCode || statusCode === 429 || statusCode >= 500;
+}
+
+/**
+ * Make a single delivery attempt
+ * @param {Object} webhook - Webhook document with its secret selected
+ * @param {string} event - Event key
+ * @param {string} deliveryId - Id sent as X-PageSpeed-Delivery
+ * @param {string} body - JSON request body
+ * @param {number} timeoutMs - Request timeout
+ * @returns {Promise<Object>} - Attempt entry for the delivery log, with ok
+ *   and the response text
+ */
+async function attemptDelivery(webhook, event, deliveryId, body, timeoutMs) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const headers = {
+    "Content-Type": "application/json",
+    "User-Agent": "PageSpeed-Tester-Webhook",
+    "X-PageSpeed-Event": event,
+    "X-PageSpeed-Delivery": deliveryId,
+    "X-PageSpeed-Timestamp": String(timestamp),
+  };
+  if (webhook.secret) {
+    headers["X-PageSpeed-Signature"] = signWebhookBody(
+      body,
+      webhook.secret,
+      timestamp
+    );
+  }
+
+  const attemptedAt = new Date();
+
+  try {
+    const response = await fetch(webhook.url, {
+      method: "POST",
+      headers,
+      body,
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    const text = await response.text().catch(() => "");
+
+    return {
+      attemptedAt,
+      statusCode: response.status,
+      error: response.ok ? undefined : `HTTP ${response.status}`,
+      durationMs: Date.now() - attemptedAt.getTime(),
+      ok: response.ok,
+      response: text.slice(0, MAX_RESPONSE_LENGTH),
+    };
+  } catch (error) {
+    return {
+      attemptedAt,
+      error:
+        error.name === "TimeoutError"
+          ? `Request timed out after ${Math.round(timeoutMs / 1000)}s`
+          : error.cause?.message || error.message,
+      durationMs: Date.now() - attemptedAt.getTime(),
+      ok: false,
+    };
+  }
+}
+
+/**
+ * Post an event to a webhook, retrying network errors, timeouts, 429 and
+ * 5xx responses with exponential backoff. Every attempt is recorded in the
+ * delivery log as it happens.
+ * @param {Object} webhook - Webhook document with its secret selected
+ * @param {string} event - Event key
+ * @param {Object} payload - Payload from buildWebhookPayload
+ * @param {Object} options - Delivery options
+ * @param {number} options.retries - Retries after the first attempt
+ * @param {number} options.timeoutMs - Timeout per attempt in milliseconds
+ * @param {number} options.backoffMs - Delay before the first retry, doubled on each retry
+ * @returns {Promise<Object>} - Finished WebhookDelivery document
+ */
+export async function deliverWebhook(webhook, event, payload, options = {}) {
+  const retries = options.retries ?? DEFAULT_RETRIES;
+  const timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+  const backoffMs = options.backoffMs ?? DEFAULT_BACKOFF_MS;
+
+  await connectToDatabase();
+
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event,
+    run: payload.run?.id,
+    url: webhook.url,
+    payload,
+  });
+
+  const body = JSON.stringify(
+    webhook.format === "slack" ? buildSlackMessage(payload) : payload
+  );
+
+  while (true) {
+    const { ok, response, ...attempt } = await attemptDelivery(
+      webhook,
+      event,
+      String(delivery._id),
+      body,
+      timeoutMs
+    );
+
+    delivery.attempts.push(attempt);
+    delivery.response = response;
+
+    if (ok) {
+      delivery.status = "delivered";
+      delivery.deliveredAt = new Date();
+      return delivery.save();
+    }
+
+    if (
+      delivery.attempts.length > retries ||
+      !isRetryableDelivery(attempt.statusCode)
+    ) {
+      console.error(
+        `Webhook "${webhook.name}" failed for ${event}: ${attempt.error}`
+      );
+      delivery.status = "failed";
+      return delivery.save();
+    }
+
+    await delivery.save();
+
+    const delay = Math.min(
+      backoffMs * 2 ** (delivery.attempts.length - 1),
+      MAX_BACKOFF_MS
+    );
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+/**
+ * Send a "ping" event once, without retries, to check a webhook's setup
+ * @param {Object} webhook - Webhook document with its secret selected
+ * @returns {Promise<Object>} - Finished WebhookDelivery document
+ */
+export async function sendTestWebhook(webhook) {
+  return deliverWebhook(webhook, "ping", buildWebhookPayload("ping"), {
+    retries: 0,
+  });
+}
+
+/**
+ * Fire the webhooks of a finished run: the schedule's own webhooks and the
+ * global ones. run.completed always fires, budget.failed when a result is
+ * over budget and score.dropped when a category score fell by at least the
+ * webhook's threshold since the previous result of the URL and strategy.
+ * Cached and shared results repeat a measurement that was already notified,
+ * so only new measurements are reported, and a run without any sends nothing.
+ * @param {Object} run - Finished TestRun document
+ * @param {Array} results - Results of the run, with budget evaluations
+ * @param {Object} scheduledTest - ScheduledTest document, null for manual runs
+ * @returns {Promise<Array>} - WebhookDelivery documents
+ */
+export async function notifyWebhooks(run, allResults, scheduledTest = null) {
+  const results = allResults.filter(isMeasuredResult);
+  if (allResults.length > 0 && results.length === 0) return [];
+
+  await connectToDatabase();
+
+  const webhooks = await Webhook.find({
+    enabled: true,
+    // null also matches webhooks without a schedule, the global ones
+    $or: [
+      { scheduledTest: null },
+      ...(scheduledTest ? [{ scheduledTest: scheduledTest._id }] : []),
+    ],
+  }).select("+secret");
+
+  if (webhooks.length === 0) return [];
+
+  const hasBudgetFailures = summarizeBudgets(results).failed > 0;
+  const previousResults = webhooks.some((webhook) =>
+    webhook.events.includes("score.dropped")
+  )
+    ? await getPreviousResults(run, results)
+    : [];
+
+  const deliveries = webhooks.flatMap((webhook) => {
+    const drops = getScoreDrops(
+      previousResults,
+      results,
+      webhook.scoreDropThreshold
+    );
+    const context = { run, scheduledTest, results, drops };
+
+    return webhook.events
+      .filter(
+        (event) =>
+          event === "run.completed" ||
+          (event === "budget.failed" && hasBudgetFailures) ||
+          (event === "score.dropped" && drops.length > 0)
+      )
+      .map((event) =>
+        deliverWebhook(webhook, event, buildWebhookPayload(event, context))
+      );
+  });
+
+  const settled = await Promise.allSettled(deliveries);
+
+  settled
+    .filter(({ status }) => status === "rejected")
+    .forEach(({ reason }) => console.error("Error delivering webhook:", reason));
+
+  return settled
+    .filter(({ status }) => status === "fulfilled")
+    .map(({ value }) => value);
+}
@@ -0,0 +1,265 @@
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import Link from "next/link";
+import WebhookForm from "../components/WebhookForm";
+import WebhookDeliveryLog from "../components/WebhookDeliveryLog";
+import { WEBHOOK_EVENTS, WEBHOOK_FORMATS } from "../lib/webhooks";
+import { requestJson } from "../lib/requestJson";
+import "../globals.css";
+
+const secondaryButtonClassName =
+  "rounded-md border border-gray-300 bg-white px-3 py-1.5 text-xs font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50";
+
+export default function Webhooks() {
+  const [webhooks, setWebhooks] = useState([]);
+  const [scheduledTests, setScheduledTests] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [editingId, setEditingId] = useState(null);
+  const [formKey, setFormKey] = useState(0);
+  // Webhook whose delivery log is open, and a counter to reload it
+  const [logId, setLogId] = useState(null);
+  const [logKey, setLogKey] = useState(0);
+  const [testingId, setTestingId] = useState(null);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const data = await requestJson("/api/webhooks");
+      setWebhooks(data.webhooks);
+      setError("");
+    } catch (loadError) {
+      setError(`Error loading webhooks: ${loadError.message}`);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWebhooks();
+    // Only needed for the schedule names, the page works without them
+    requestJson("/api/scheduled-tests")
+      .then((data) => setScheduledTests(data.scheduledTests))
+      .catch(() => setScheduledTests([]));
+  }, [loadWebhooks]);
+
+  const handleCreate = async (values) => {
+    await requestJson("/api/webhooks", {
+      method: "POST",
+      body: JSON.stringify(values),
+    });
+    // Remount the form to clear it
+    setFormKey((key) => key + 1);
+    await loadWebhooks();
+  };
+
+  const handleUpdate = async (id, values) => {
+    await requestJson(`/api/webhooks/${id}`, {
+      method: "PATCH",
+      body: JSON.stringify(values),
+    });
+    setEditingId(null);
+    await loadWebhooks();
+  };
+
+  const handleToggleEnabled = async (webhook) => {
+    try {
+      await handleUpdate(webhook._id, { enabled: !webhook.enabled });
+    } catch (toggleError) {
+      alert(`Error updating webhook: ${toggleError.message}`);
+    }
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!confirm(`Delete the webhook "${webhook.name}" and its delivery log?`)) {
+      return;
+    }
+
+    try {
+      await requestJson(`/api/webhooks/${webhook._id}`, { method: "DELETE" });
+      await loadWebhooks();
+    } catch (deleteError) {
+      alert(`Error deleting webhook: ${deleteError.message}`);
+    }
+  };
+
+  const handleSendTest = async (webhook) => {
+    setTestingId(webhook._id);
+    try {
+      const { delivery } = await requestJson(
+        `/api/webhooks/${webhook._id}/test`,
+        { method: "POST" }
+      );
+      if (delivery.status !== "delivered") {
+        const attempt = delivery.attempts[delivery.attempts.length - 1];
+        alert(`Test delivery failed: ${attempt?.error || "unknown error"}`);
+      }
+      setLogId(webhook._id);
+      setLogKey((key) => key + 1);
+    } catch (testError) {
+      alert(`Error sending test delivery: ${testError.message}`);
+    } finally {
+      setTestingId(null);
+    }
+  };
+
+  const getScopeLabel = (webhook) => {
+    if (!webhook.scheduledTest) return "All runs";
+
+    const test = scheduledTests.find(({ _id }) => _id === webhook.scheduledTest);
+    return `Schedule: ${test ? test.name : "deleted schedule"}`;
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 p-6 sm:p-8">
+      <main className="mx-auto max-w-6xl">
+        <div className="mb-8 flex flex-col items-start justify-between gap-4 sm:flex-row sm:items-center">
+          <h1 className="text-2xl font-medium text-gray-900 sm:text-3xl">
+            Webhooks
+          </h1>
+          <Link
+            href="/"
+            className="rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 shadow-sm transition-colors hover:bg-gray-50"
+          >
+            Back to Tester
+          </Link>
+        </div>
+
+        <div className="mb-8 rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <h2 className="mb-2 text-lg font-medium text-gray-900">
+            New Webhook
+          </h2>
+          <p className="mb-5 text-sm text-gray-500">
+            Webhooks post to Slack or any JSON endpoint when a run finishes,
+            when a result is over budget and when a category score drops since
+            the previous test of the same URL. Global webhooks fire for every
+            run, others only for their schedule.
+          </p>
+          <WebhookForm
+            key={formKey}
+            scheduledTests={scheduledTests}
+            onSubmit={handleCreate}
+          />
+        </div>
+
+        {error && (
+          <div className="mb-6 rounded-md border border-red-200 bg-red-50 p-4 text-sm text-red-600">
+            {error}
+          </div>
+        )}
+
+        <div className="mb-6 border-b border-gray-200 pb-4">
+          <h2 className="text-xl font-medium text-gray-900">Webhooks</h2>
+        </div>
+
+        {loading ? (
+          <p className="text-sm text-gray-500">Loading webhooks...</p>
+        ) : webhooks.length === 0 ? (
+          <p className="text-sm text-gray-500">No webhooks yet.</p>
+        ) : (
+          <div className="space-y-4">
+            {webhooks.map((webhook) => (
+              <div
+                key={webhook._id}
+                className="rounded-lg border border-gray-200 bg-white p-5 shadow-sm"
+              >
+                {editingId === webhook._id ? (
+                  <WebhookForm
+                    initialValues={webhook}
+                    scheduledTests={scheduledTests}
+                    onSubmit={(values) => handleUpdate(webhook._id, values)}
+                    onCancel={() => setEditingId(null)}
+                    submitLabel="Save Changes"
+                  />
+                ) : (
+                  <>
+                    <div className="flex flex-col justify-between gap-4 sm:flex-row sm:items-start">
+                      <div className="min-w-0">
+                        <div className="flex items-center gap-2">
+                          <h3 className="text-sm font-medium text-gray-900">
+                            {webhook.name}
+                          </h3>
+                          {!webhook.enabled && (
+                            <span className="rounded-full bg-gray-100 px-2.5 py-0.5 text-xs font-medium text-gray-700">
+                              Paused
+                            </span>
+                          )}
+                        </div>
+                        <p className="mt-1 break-all font-mono text-xs text-gray-500">
+                          {webhook.url}
+                        </p>
+                        <p className="mt-1 text-xs text-gray-500">
+                          {[
+                            WEBHOOK_FORMATS.find(
+                              ({ value }) => value === webhook.format
+                            )?.label,
+                            getScopeLabel(webhook),
+                            WEBHOOK_EVENTS.filter(({ key }) =>
+                              webhook.events.includes(key)
+                            )
+                              .map(({ key, label }) =>
+                                key === "score.dropped"
+                                  ? `${label} ≥ ${webhook.scoreDropThreshold}`
+                                  : label
+                              )
+                              .join(", "),
+                            webhook.signed ? "Signed" : "Unsigned",
+                          ].join(" · ")}
+                        </p>
+                      </div>
+
+                      <div className="flex flex-wrap gap-2">
+                        <button
+                          onClick={() => handleSendTest(webhook)}
+                          disabled={testingId === webhook._id}
+                          className={secondaryButtonClassName}
+                        >
+                          {testingId === webhook._id ? "Sending..." : "Send Test"}
+                        </button>
+                        <button
+                          onClick={() =>
+                            setLogId(logId === webhook._id ? null : webhook._id)
+                          }
+                          className={secondaryButtonClassName}
+                        >
+                          {logId === webhook._id ? "Hide Deliveries" : "Deliveries"}
+                        </button>
+                        <button
+                          onClick={() => handleToggleEnabled(webhook)}
+                          className={secondaryButtonClassName}
+                        >
+                          {webhook.enabled ? "Pause" : "Resume"}
+                        </button>
+                        <button
+                          onClick={() => setEditingId(webhook._id)}
+                          className={secondaryButtonClassName}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          onClick={() => handleDelete(webhook)}
+                          className="rounded-md border border-red-200 bg-white px-3 py-1.5 text-xs font-medium text-red-600 shadow-sm transition-colors hover:bg-red-50"
+                        >
+                          Delete
+                        </button>
+                      </div>
+                    </div>
+
+                    {logId === webhook._id && (
+                      <div className="mt-4 border-t border-gray-100 pt-4">
+                        <WebhookDeliveryLog
+                          webhookId={webhook._id}
+                          refreshKey={logKey}
+                        />
+                      </div>
+                    )}
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </main>
+    </div>
+  );
+}
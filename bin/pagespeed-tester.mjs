@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { register } from "node:module";
+
+// Must be registered before anything under app/ is imported
+register("../cli/hooks.mjs", import.meta.url);
+
+const { main } = await import("../cli/index.mjs");
+process.exitCode = await main(process.argv.slice(2));
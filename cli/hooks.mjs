@@ -0,0 +1,30 @@
+// Module hooks that let plain Node load the app's modules the way the
+// Next.js bundler does: imports without a file extension (relative ones and
+// package subpaths such as "next/server") resolve to .js or .jsx, and files
+// under app/ are ES modules although package.json has no "type": "module".
+const APP_URL = new URL("../app/", import.meta.url).href;
+const EXTENSIONS = [".js", ".jsx"];
+
+export async function resolve(specifier, context, nextResolve) {
+  try {
+    return await nextResolve(specifier, context);
+  } catch (error) {
+    if (error.code !== "ERR_MODULE_NOT_FOUND") throw error;
+
+    for (const extension of EXTENSIONS) {
+      try {
+        return await nextResolve(`${specifier}${extension}`, context);
+      } catch (e) {
+        // Try the next extension
+      }
+    }
+    throw error;
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  if (url.startsWith(APP_URL) && /\.jsx?$/.test(url)) {
+    return nextLoad(url, { ...context, format: "module" });
+  }
+  return nextLoad(url, context);
+}
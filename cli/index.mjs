@@ -0,0 +1,374 @@
+import { readFile, writeFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { parseArgs } from "node:util";
+import { runPageSpeedTests } from "../app/services/pagespeedService.js";
+import { getPageSpeedProvider } from "../app/services/pagespeedProviders.js";
+import {
+  generateCSVReport,
+  generateJSONReport,
+  generateJUnitReport,
+} from "../app/services/exportService.js";
+import { generatePDFReport } from "../app/services/pdfReportService.js";
+import {
+  applyBudgets,
+  cleanThresholds,
+  describeBudgetViolations,
+  summarizeBudgets,
+} from "../app/lib/budgets.js";
+import { getCategoryScores, getWebVitals } from "../app/lib/lighthouse.js";
+import { getTestOptions } from "../app/lib/testOptions.js";
+import {
+  expandStrategy,
+  getStrategyLabel,
+  isValidStrategy,
+  sortResultsByUrl,
+} from "../app/lib/strategies.js";
+
+const USAGE = `Usage: pagespeed-tester run <urls-file> [options]
+
+Tests every URL in <urls-file> (one per line, # starts a comment, - reads
+stdin) with PageSpeed Insights and prints a summary table.
+
+Options:
+  --strategy <mobile|desktop|both>  Devices to test (default: mobile)
+  --budget <file>                   Budget JSON: thresholds such as
+                                    { "performance": 80, "lcp": 2500 }, or a
+                                    list of { urlPattern, thresholds }
+  --out <file>                      Write a report, the extension picks the
+                                    format: .csv, .json, .xml (JUnit) or .pdf.
+                                    Can be repeated
+  --categories <list>               Comma-separated Lighthouse categories
+  --locale <locale>                 Locale for audit text, e.g. de
+  --concurrency <n>                 PSI requests in flight (default: 4)
+  --api-key <key>                   PSI API key (default: $PAGESPEED_API_KEY)
+  --provider <name>                 live calls PSI, fixture replays recorded
+                                    responses, record calls PSI and records
+                                    them, lighthouse runs Lighthouse in a
+                                    local Chrome
+                                    (default: $PAGESPEED_PROVIDER or live)
+  --fixtures <dir>                  Directory of recorded responses
+                                    (default: $PAGESPEED_FIXTURES_DIR or
+                                    fixtures/pagespeed)
+  -h, --help                        Show this help
+
+Exit codes: 0 all tests passed their budgets, 1 a budget failed or a URL
+could not be tested, 2 invalid usage.`;
+
+// Report writers by file extension
+const REPORT_WRITERS = {
+  ".csv": (results) => generateCSVReport(results),
+  ".json": (results) => generateJSONReport(results),
+  ".xml": (results, reportName) => generateJUnitReport(results, reportName),
+  ".pdf": (results, reportName) => generatePDFReport(results, reportName),
+};
+
+const SUMMARY_COLUMNS = [
+  { label: "Perf", category: "performance" },
+  { label: "A11y", category: "accessibility" },
+  { label: "BP", category: "best-practices" },
+  { label: "SEO", category: "seo" },
+  { label: "LCP", vital: "lcp" },
+  { label: "CLS", vital: "cls" },
+  { label: "TBT", vital: "tbt" },
+];
+
+class UsageError extends Error {}
+
+/**
+ * Read the URLs to test from a file or stdin
+ * @param {string} path - File path, "-" for stdin
+ * @returns {Promise<Array<string>>} - URLs without blank lines and comments
+ */
+async function readUrls(path) {
+  let text;
+  if (path === "-") {
+    const chunks = [];
+    for await (const chunk of process.stdin) chunks.push(chunk);
+    text = Buffer.concat(chunks).toString("utf8");
+  } else {
+    text = await readFile(path, "utf8");
+  }
+
+  return text
+    .split("\n")
+    .map((line) => line.replace(/#.*$/, "").trim())
+    .filter((line) => line.length > 0);
+}
+
+/**
+ * Read a budget file into the shape of saved budgets
+ * @param {string} path - JSON file
+ * @returns {Promise<Array>} - [{ urlPattern, thresholds }]
+ */
+async function readBudgets(path) {
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, "utf8"));
+  } catch (error) {
+    throw new UsageError(`Could not read the budget file: ${error.message}`);
+  }
+
+  const list = Array.isArray(data) ? data : data.budgets;
+  const budgets = Array.isArray(list)
+    ? list.map(({ urlPattern, thresholds }) => ({
+        urlPattern,
+        thresholds: cleanThresholds(thresholds),
+      }))
+    : [{ thresholds: cleanThresholds(data) }];
+
+  if (budgets.every(({ thresholds }) => Object.keys(thresholds).length === 0)) {
+    throw new UsageError("The budget file does not set any thresholds");
+  }
+
+  return budgets;
+}
+
+/**
+ * Pad table cells into aligned columns
+ * @param {Array<Array<string>>} rows - Header row first
+ * @returns {string} - Table text
+ */
+function formatTable(rows) {
+  const widths = rows[0].map((_, index) =>
+    Math.max(...rows.map((row) => row[index].length))
+  );
+
+  return rows
+    .map((row) =>
+      row
+        .map((cell, index) =>
+          index === row.length - 1 ? cell : cell.padEnd(widths[index])
+        )
+        .join("  ")
+    )
+    .join("\n");
+}
+
+/**
+ * Summary table of the results with scores, lab metrics and budget status
+ * @param {Array} results - Test results with budget evaluations
+ * @returns {string} - Table and totals
+ */
+function formatSummary(results) {
+  const rows = sortResultsByUrl(results).map((result) => {
+    const row = [result.url, getStrategyLabel(result.strategy)];
+    const lhr = result.data?.lighthouseResult;
+
+    if (result.error || !lhr) {
+      return [
+        ...row,
+        ...SUMMARY_COLUMNS.map(() => "-"),
+        `Error: ${result.error || "Invalid or incomplete response data"}`,
+      ];
+    }
+
+    const scores = getCategoryScores(lhr);
+    const vitals = getWebVitals(lhr);
+    let budget = "-";
+    if (result.budget) {
+      budget = result.budget.passed
+        ? "Passed"
+        : `Failed: ${describeBudgetViolations(result.budget).join(", ")}`;
+    }
+
+    return [
+      ...row,
+      ...SUMMARY_COLUMNS.map(({ category, vital }) =>
+        category ? `${scores[category] ?? "-"}` : vitals[vital].value
+      ),
+      budget,
+    ];
+  });
+
+  const header = ["URL", "Strategy", ...SUMMARY_COLUMNS.map(({ label }) => label), "Budget"];
+  const errors = results.filter((result) => result.error).length;
+  const budgets = summarizeBudgets(results);
+  const totals = [
+    `${results.length} result${results.length === 1 ? "" : "s"}`,
+    `${errors} error${errors === 1 ? "" : "s"}`,
+    budgets.evaluated > 0 &&
+      `${budgets.failed} of ${budgets.evaluated} over budget`,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return `${formatTable([header, ...rows])}\n\n${totals}`;
+}
+
+/**
+ * Parse the options of the run command
+ * @param {Array<string>} args - Arguments after "run"
+ * @returns {Object} - { help, urlsFile, strategy, budgetFile, outputs, testOptions, concurrency, provider, apiKey }
+ */
+function parseRunArgs(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        strategy: { type: "string", default: "mobile" },
+        budget: { type: "string" },
+        out: { type: "string", multiple: true, default: [] },
+        categories: { type: "string" },
+        locale: { type: "string" },
+        concurrency: { type: "string" },
+        "api-key": { type: "string" },
+        provider: { type: "string" },
+        fixtures: { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const { values, positionals } = parsed;
+  if (values.help) return { help: true };
+
+  if (positionals.length !== 1) {
+    throw new UsageError("Please pass one file with the URLs to test");
+  }
+
+  if (!isValidStrategy(values.strategy)) {
+    throw new UsageError("--strategy must be 'mobile', 'desktop' or 'both'");
+  }
+
+  const unknownOutputs = values.out.filter(
+    (path) => !REPORT_WRITERS[extname(path).toLowerCase()]
+  );
+  if (unknownOutputs.length > 0) {
+    throw new UsageError(
+      `Unsupported report format: ${unknownOutputs.join(", ")}. Use .csv, .json, .xml or .pdf`
+    );
+  }
+
+  let testOptions;
+  try {
+    testOptions = getTestOptions({
+      categories: values.categories
+        ?.split(",")
+        .map((category) => category.trim()),
+      locale: values.locale,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const concurrency = values.concurrency ? Number(values.concurrency) : undefined;
+  if (concurrency !== undefined && !(concurrency >= 1)) {
+    throw new UsageError("--concurrency must be a number of at least 1");
+  }
+
+  let provider;
+  try {
+    provider = getPageSpeedProvider({
+      name: values.provider,
+      dir: values.fixtures,
+    });
+  } catch (error) {
+    throw new UsageError(error.message);
+  }
+
+  const apiKey = values["api-key"] || process.env.PAGESPEED_API_KEY;
+  if (!apiKey && provider.requiresApiKey) {
+    throw new UsageError("Set PAGESPEED_API_KEY or pass --api-key");
+  }
+
+  return {
+    urlsFile: positionals[0],
+    strategy: values.strategy,
+    budgetFile: values.budget,
+    outputs: values.out,
+    testOptions,
+    concurrency,
+    provider,
+    apiKey,
+  };
+}
+
+/**
+ * Run the tests, print the summary and write the reports
+ * @param {Object} options - Parsed options from parseRunArgs
+ * @returns {Promise<number>} - Exit code
+ */
+async function run(options) {
+  const urls = await readUrls(options.urlsFile);
+  if (urls.length === 0) {
+    throw new UsageError(`No URLs found in ${options.urlsFile}`);
+  }
+
+  const budgets = options.budgetFile ? await readBudgets(options.budgetFile) : [];
+  const total = urls.length * expandStrategy(options.strategy).length;
+  let finished = 0;
+
+  console.error(
+    `Testing ${urls.length} URL${urls.length === 1 ? "" : "s"} (${total} test${total === 1 ? "" : "s"})`
+  );
+
+  const results = (
+    await runPageSpeedTests(urls, options.apiKey, options.strategy, {
+      ...options.testOptions,
+      concurrency: options.concurrency,
+      provider: options.provider,
+      onResult: (result) => {
+        finished++;
+        console.error(
+          `[${finished}/${total}] ${result.error ? "failed" : "done"} ${getStrategyLabel(result.strategy)} ${result.url}`
+        );
+      },
+    })
+  ).map((result) => applyBudgets(result, budgets));
+
+  process.stdout.write(`\n${formatSummary(results)}\n`);
+
+  const reportName = `PageSpeed Report - ${new Date().toLocaleDateString()}`;
+  for (const path of options.outputs) {
+    const writer = REPORT_WRITERS[extname(path).toLowerCase()];
+    await writeFile(path, await writer(results, reportName));
+    console.error(`Wrote ${path}`);
+  }
+
+  const failedTests = results.filter((result) => result.error).length;
+  const overBudget = summarizeBudgets(results).failed;
+  return failedTests > 0 || overBudget > 0 ? 1 : 0;
+}
+
+/**
+ * Entry point of the pagespeed-tester command
+ * @param {Array<string>} argv - Command-line arguments without node and the script
+ * @returns {Promise<number>} - Exit code
+ */
+export async function main(argv) {
+  // The services log progress with console.log; keep stdout for the summary
+  console.log = console.error;
+
+  const [command, ...args] = argv;
+
+  try {
+    if (!command || command === "help" || command === "--help" || command === "-h") {
+      process.stdout.write(`${USAGE}\n`);
+      return command ? 0 : 2;
+    }
+
+    if (command !== "run") {
+      throw new UsageError(`Unknown command "${command}"`);
+    }
+
+    const options = parseRunArgs(args);
+    if (options.help) {
+      process.stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+
+    return await run(options);
+  } catch (error) {
+    if (error instanceof UsageError || error.code === "ENOENT") {
+      console.error(`${error.message}\n\n${USAGE}`);
+      return 2;
+    }
+
+    console.error("pagespeed-tester failed:", error);
+    return 1;
+  }
+}
@@ -0,0 +1,12 @@
+export async function register() {
+  // The scheduler needs Node APIs and a long-lived process, so it is opt-in
+  // and never started in the edge runtime
+  if (
+    process.env.NEXT_RUNTIME === "nodejs" &&
+    process.env.SCHEDULER_ENABLED === "true"
+  ) {
+    const { startScheduler } = await import("./app/services/scheduler");
+    const intervalMs = Number(process.env.SCHEDULER_INTERVAL_MS) || undefined;
+    startScheduler(intervalMs);
+  }
+}
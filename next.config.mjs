@@ -1,4 +1,8 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  // PDFKit and Lighthouse load files from disk, which breaks when they are
+  // bundled
+  serverExternalPackages: ["pdfkit", "lighthouse", "chrome-launcher"],
+};
 
 export default nextConfig;
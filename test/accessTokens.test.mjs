@@ -0,0 +1,63 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { GET, POST } from "../app/api/access-tokens/route.js";
+import { DELETE } from "../app/api/access-tokens/[id]/route.js";
+
+const ADMIN_SECRET = process.env.ADMIN_SECRET;
+
+const createRequest = (headers = {}) =>
+  new Request("http://localhost/api/access-tokens", {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({ name: "Deploy pipeline" }),
+  });
+
+describe("access token management", () => {
+  afterEach(() => {
+    if (ADMIN_SECRET === undefined) {
+      delete process.env.ADMIN_SECRET;
+    } else {
+      process.env.ADMIN_SECRET = ADMIN_SECRET;
+    }
+  });
+
+  it("rejects an unauthenticated POST", async () => {
+    process.env.ADMIN_SECRET = "admin-secret";
+
+    const response = await POST(createRequest());
+
+    assert.equal(response.status, 401);
+    assert.deepEqual(await response.json(), { error: "Unauthorized" });
+  });
+
+  it("rejects a POST with the wrong secret", async () => {
+    process.env.ADMIN_SECRET = "admin-secret";
+
+    const response = await POST(
+      createRequest({ Authorization: "Bearer not-the-secret" })
+    );
+
+    assert.equal(response.status, 401);
+  });
+
+  it("rejects listing and revoking without the secret", async () => {
+    process.env.ADMIN_SECRET = "admin-secret";
+
+    const list = await GET(new Request("http://localhost/api/access-tokens"));
+    const revoke = await DELETE(
+      new Request("http://localhost/api/access-tokens/1", { method: "DELETE" }),
+      { params: Promise.resolve({ id: "1" }) }
+    );
+
+    assert.equal(list.status, 401);
+    assert.equal(revoke.status, 401);
+  });
+
+  it("refuses to manage tokens when no admin secret is configured", async () => {
+    delete process.env.ADMIN_SECRET;
+
+    const response = await POST(createRequest({ Authorization: "Bearer " }));
+
+    assert.equal(response.status, 403);
+  });
+});
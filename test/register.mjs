@@ -0,0 +1,4 @@
+import { register } from "node:module";
+
+// Lets plain Node load the app's modules, see cli/hooks.mjs
+register("../cli/hooks.mjs", import.meta.url);